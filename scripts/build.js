@@ -21,12 +21,23 @@ const filesToCopy = [
   'background.js',
   'content.js',
   'inject.js',
+  'credential.js',
+  'lifecycle.js',
+  'cbor.js',
+  'encoding.js',
+  'sdjwt.js',
+  'jwt.js',
+  'clientid.js',
+  'dcql.js',
+  'x509.js',
   'protocols.js',
   'modal.js',
   'popup.html',
   'popup.js',
   'options.html',
-  'options.js'
+  'options.js',
+  'confirm-registration.html',
+  'confirm-registration.js'
 ];
 
 // Directories to copy recursively
@@ -3,6 +3,8 @@
  * Manages wallet configuration and credential requests
  */
 
+/* global importScripts, X509 */
+
 // Default wallets configuration
 const DEFAULT_WALLETS = [
   {
@@ -22,9 +24,290 @@ const STORAGE_KEYS = {
   WALLETS: 'configured_wallets',
   ENABLED: 'extension_enabled',
   DEVELOPER_MODE: 'developer_mode',
-  STATS: 'usage_stats'
+  STATS: 'usage_stats',
+  ORIGIN_WALLETS: 'origin_wallets',
+  REQUEST_HISTORY: 'request_history',
+  TIMEOUTS: 'request_timeouts',
+  TRUST_ANCHORS: 'trust_anchors'
+};
+
+// Default request lifecycle timeouts, in seconds: time to choose a wallet,
+// and time a wallet gets to respond (wallets may set their own `timeout`)
+const DEFAULT_TIMEOUTS = {
+  requestTimeout: 30,
+  walletTimeout: 300
 };
 
+// Number of credential requests kept in the request history
+const MAX_REQUEST_HISTORY = 50;
+
+// Time the user gets to confirm a wallet a page registers, in milliseconds;
+// an unanswered registration is declined
+const REGISTRATION_CONFIRM_TIMEOUT = 120000;
+
+// Protocol plugins, in dependency order, as the page loads them. The Manifest V3
+// service worker imports them here; background pages (Firefox, Safari) list
+// them before background.js in the manifest
+const PROTOCOL_SCRIPTS = [
+  'cbor.js',
+  'encoding.js',
+  'sdjwt.js',
+  'jwt.js',
+  'clientid.js',
+  'dcql.js',
+  'protocols.js',
+  'protocols/OpenID4VPPlugin.js',
+  'protocols/OpenID4VCIPlugin.js',
+  'protocols/MdocPlugin.js'
+];
+
+// Certificate chain validation against the trust anchors (background only)
+const TRUST_SCRIPTS = [
+  'x509.js'
+];
+
+if (typeof importScripts === 'function' && typeof self.ProtocolPluginRegistry === 'undefined') {
+  try {
+    importScripts(...PROTOCOL_SCRIPTS, ...TRUST_SCRIPTS);
+  } catch (err) {
+    console.error('Failed to load protocol plugins:', err);
+  }
+}
+
+/**
+ * Create the protocol registry of the background from the loaded plugins
+ * @returns {ProtocolPluginRegistry|null} Null when the plugins did not load
+ */
+function createProtocolRegistry() {
+  const scope = typeof self !== 'undefined' ? self : null;
+  if (!scope || typeof scope.ProtocolPluginRegistry === 'undefined') {
+    console.warn('Protocol plugins not loaded, wallet protocols are not checked');
+    return null;
+  }
+
+  const registry = new scope.ProtocolPluginRegistry();
+  (scope._pendingProtocolPlugins || []).forEach(plugin => {
+    try {
+      registry.register(plugin);
+    } catch (err) {
+      console.error('Failed to register protocol plugin:', err);
+    }
+  });
+  scope._pendingProtocolPlugins = [];
+  return registry;
+}
+
+// Decides which declared wallet protocols the extension can actually handle
+const protocolRegistry = createProtocolRegistry();
+
+// In-flight credential requests per tab: tabId -> Map(requestId -> request state)
+const tabRequests = new Map();
+
+/**
+ * Record an in-flight credential request for a tab
+ */
+function trackRequest(tabId, requestId, state) {
+  if (!tabRequests.has(tabId)) {
+    tabRequests.set(tabId, new Map());
+  }
+  const requests = tabRequests.get(tabId);
+  requests.set(requestId, { ...requests.get(requestId), ...state });
+}
+
+/**
+ * Drop the state of a credential request
+ */
+function untrackRequest(tabId, requestId) {
+  releaseSelector(tabId, requestId);
+  dropCheckedRequests(tabId, requestId);
+  const requests = tabRequests.get(tabId);
+  if (!requests) {
+    return false;
+  }
+  const removed = requests.delete(requestId);
+  if (requests.size === 0) {
+    tabRequests.delete(tabId);
+  }
+  return removed;
+}
+
+// Requests the background checked, until their wallet is invoked:
+// tabId -> Map(requestId -> { frameId, requests, wallets, context, selection })
+const checkedRequests = new Map();
+
+/**
+ * Keep the requests of a call the background checked, and the wallets they
+ * may be sent to, for building the wallet's invocation
+ */
+function keepCheckedRequests(tabId, requestId, checked) {
+  if (!checkedRequests.has(tabId)) {
+    checkedRequests.set(tabId, new Map());
+  }
+  checkedRequests.get(tabId).set(requestId, checked);
+}
+
+/**
+ * Look up the checked requests of a call made by a frame
+ * @returns {Object|null} Null when the frame made no such call
+ */
+function getCheckedRequests(tabId, frameId, requestId) {
+  const requests = checkedRequests.get(tabId);
+  const checked = requests && requests.get(requestId);
+  return checked && checked.frameId === frameId ? checked : null;
+}
+
+/**
+ * Drop the checked requests of a call
+ */
+function dropCheckedRequests(tabId, requestId) {
+  const requests = checkedRequests.get(tabId);
+  if (requests && requests.delete(requestId) && requests.size === 0) {
+    checkedRequests.delete(tabId);
+  }
+}
+
+// The wallet selector is shown for one request at a time per tab, whichever
+// frame made it: tabId -> { active: { requestId, frameId } | null, waiting: [...] }
+const selectorQueues = new Map();
+
+/**
+ * Wait until the tab's wallet selector is free for a request
+ * @param {number} tabId - Tab ID
+ * @param {number} frameId - Frame that made the request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<boolean>} False when the request left the queue before its turn
+ */
+function acquireSelector(tabId, frameId, requestId) {
+  if (!selectorQueues.has(tabId)) {
+    selectorQueues.set(tabId, { active: null, waiting: [] });
+  }
+  const queue = selectorQueues.get(tabId);
+  if (!queue.active) {
+    queue.active = { requestId, frameId };
+    return Promise.resolve(true);
+  }
+  console.log('Wallet selector busy, queueing request:', requestId);
+  return new Promise(resolve => {
+    queue.waiting.push({ requestId, frameId, resolve });
+  });
+}
+
+/**
+ * Free the tab's wallet selector held by a request (a wallet was chosen or
+ * the request settled), or drop the request from the queue
+ */
+function releaseSelector(tabId, requestId) {
+  const queue = selectorQueues.get(tabId);
+  if (!queue) {
+    return;
+  }
+  const index = queue.waiting.findIndex(entry => entry.requestId === requestId);
+  if (index !== -1) {
+    queue.waiting.splice(index, 1)[0].resolve(false);
+  }
+  if (queue.active && queue.active.requestId === requestId) {
+    const next = queue.waiting.shift();
+    queue.active = next ? { requestId: next.requestId, frameId: next.frameId } : null;
+    if (next) {
+      next.resolve(true);
+    }
+  }
+  if (!queue.active && queue.waiting.length === 0) {
+    selectorQueues.delete(tabId);
+  }
+}
+
+/**
+ * Release the selector requests of a frame whose document went away
+ * A new top-level document replaces the documents of every frame
+ */
+function releaseFrameSelectors(tabId, frameId) {
+  const queue = selectorQueues.get(tabId);
+  if (!queue) {
+    return;
+  }
+  const requestIds = queue.waiting
+    .concat(queue.active ? [queue.active] : [])
+    .filter(entry => frameId === 0 || entry.frameId === frameId)
+    .map(entry => entry.requestId);
+  requestIds.forEach(requestId => untrackRequest(tabId, requestId));
+}
+
+// Wallet registrations waiting for the user's answer in the confirmation window:
+// registrationId -> { wallet, origin, windowId, resolve }
+const pendingRegistrations = new Map();
+
+/**
+ * Ask the user to confirm a wallet a page registers
+ * Opens confirm-registration.html in its own window: closing it, or leaving
+ * it unanswered, declines the registration
+ * @param {Object} wallet - Wallet the page asked to register
+ * @param {string} origin - Origin of the page
+ * @returns {Promise<boolean>} Whether the user allowed the registration
+ */
+async function confirmWalletRegistration(wallet, origin) {
+  const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+  const windows = typeof browser !== 'undefined' ? browser.windows : chrome.windows;
+  const registrationId = 'registration-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  const decision = new Promise(resolve => {
+    pendingRegistrations.set(registrationId, { wallet, origin, windowId: null, resolve });
+  });
+  const timer = setTimeout(() => settleRegistration(registrationId, false), REGISTRATION_CONFIRM_TIMEOUT);
+
+  try {
+    const created = await windows.create({
+      url: runtime.getURL('confirm-registration.html?id=' + encodeURIComponent(registrationId)),
+      type: 'popup',
+      width: 420,
+      height: 520
+    });
+    const pending = pendingRegistrations.get(registrationId);
+    if (pending) {
+      pending.windowId = created.id;
+    } else {
+      windows.remove(created.id).catch(() => {});
+    }
+  } catch (err) {
+    console.error('Failed to open the wallet registration confirmation:', err);
+    settleRegistration(registrationId, false);
+  }
+
+  const allowed = await decision;
+  clearTimeout(timer);
+  return allowed;
+}
+
+/**
+ * Answer a pending wallet registration and close its confirmation window
+ * @param {string} registrationId - Registration ID
+ * @param {boolean} allowed - Whether the user allowed it
+ * @returns {boolean} False when the registration was no longer pending
+ */
+function settleRegistration(registrationId, allowed) {
+  const pending = pendingRegistrations.get(registrationId);
+  if (!pending) {
+    return false;
+  }
+  pendingRegistrations.delete(registrationId);
+  pending.resolve(allowed);
+  if (pending.windowId !== null) {
+    const windows = typeof browser !== 'undefined' ? browser.windows : chrome.windows;
+    windows.remove(pending.windowId).catch(() => {});
+  }
+  return true;
+}
+
+/**
+ * Whether a message comes from the registration confirmation window
+ * Pages cannot load it: it is not a web accessible resource
+ */
+function isRegistrationConfirmation(sender) {
+  const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+  return sender.id === runtime.id &&
+    typeof sender.url === 'string' &&
+    sender.url.startsWith(runtime.getURL('confirm-registration.html'));
+}
+
 /**
  * Initialize extension
  */
@@ -69,6 +352,15 @@ async function isExtensionEnabled() {
   return result[STORAGE_KEYS.ENABLED] !== false;
 }
 
+/**
+ * Check if developer mode is enabled
+ */
+async function isDeveloperMode() {
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  const result = await storage.local.get(STORAGE_KEYS.DEVELOPER_MODE);
+  return result[STORAGE_KEYS.DEVELOPER_MODE] === true;
+}
+
 /**
  * Update usage statistics
  */
@@ -92,7 +384,104 @@ async function updateStats(action) {
 }
 
 /**
- * Get all supported protocols from registered wallets
+ * Get the configured request lifecycle timeouts (seconds)
+ */
+async function getTimeouts() {
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  const result = await storage.local.get(STORAGE_KEYS.TIMEOUTS);
+  return { ...DEFAULT_TIMEOUTS, ...result[STORAGE_KEYS.TIMEOUTS] };
+}
+
+/**
+ * Check that a timeout setting is a positive number of seconds
+ */
+function isValidTimeout(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Get the wallet last chosen on an origin, if it is still enabled
+ * and handles one of the requested protocols
+ */
+async function getRememberedWallet(origin, protocols) {
+  const requested = protocols.map(normalizeProtocol);
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  const result = await storage.local.get(STORAGE_KEYS.ORIGIN_WALLETS);
+  const walletId = (result[STORAGE_KEYS.ORIGIN_WALLETS] || {})[origin];
+  if (!walletId) {
+    return null;
+  }
+  
+  const wallets = await getConfiguredWallets();
+  return wallets.find(w =>
+    w.id === walletId &&
+    w.enabled &&
+    getWalletProtocols(w).some(p => requested.includes(p))
+  ) || null;
+}
+
+/**
+ * Remember the wallet chosen on an origin for silent mediation
+ */
+async function rememberWallet(origin, walletId) {
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  const result = await storage.local.get(STORAGE_KEYS.ORIGIN_WALLETS);
+  const originWallets = result[STORAGE_KEYS.ORIGIN_WALLETS] || {};
+  originWallets[origin] = walletId;
+  await storage.local.set({ [STORAGE_KEYS.ORIGIN_WALLETS]: originWallets });
+}
+
+/**
+ * Add or update a request in the request history (newest first)
+ */
+async function recordRequestHistory(requestId, entry) {
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  const result = await storage.local.get(STORAGE_KEYS.REQUEST_HISTORY);
+  const history = result[STORAGE_KEYS.REQUEST_HISTORY] || [];
+  
+  const index = history.findIndex(h => h.requestId === requestId);
+  if (index >= 0) {
+    history[index] = { ...history[index], ...entry };
+  } else {
+    history.unshift({ requestId, timestamp: new Date().toISOString(), ...entry });
+    history.length = Math.min(history.length, MAX_REQUEST_HISTORY);
+  }
+  
+  await storage.local.set({ [STORAGE_KEYS.REQUEST_HISTORY]: history });
+}
+
+/**
+ * Check the protocols a wallet declares against the protocol plugins
+ * Without the plugins every string entry is taken at its word
+ * @param {Object} wallet - Wallet configuration
+ * @returns {Object} { supported, invalid: [{ protocol, reason }] }
+ */
+function checkWalletProtocols(wallet) {
+  if (protocolRegistry) {
+    return protocolRegistry.checkWalletProtocols(wallet);
+  }
+  const protocols = Array.isArray(wallet.protocols) ? wallet.protocols : [];
+  return { supported: protocols.filter(p => typeof p === 'string'), invalid: [] };
+}
+
+/**
+ * Get the protocols of a wallet that a protocol plugin handles
+ * @returns {string[]} Canonical protocol identifiers
+ */
+function getWalletProtocols(wallet) {
+  return checkWalletProtocols(wallet).supported;
+}
+
+/**
+ * Get the canonical identifier of a requested protocol (aliases are resolved)
+ */
+function normalizeProtocol(protocol) {
+  return protocolRegistry ? protocolRegistry.normalizeProtocol(protocol) : protocol;
+}
+
+/**
+ * Get all supported protocols: those declared by enabled wallets that a
+ * protocol plugin handles
  */
 async function getSupportedProtocols() {
   const wallets = await getConfiguredWallets();
@@ -101,9 +490,7 @@ async function getSupportedProtocols() {
   // Collect all unique protocols
   const protocols = new Set();
   for (const wallet of enabledWallets) {
-    if (wallet.protocols && Array.isArray(wallet.protocols)) {
-      wallet.protocols.forEach(p => protocols.add(p));
-    }
+    getWalletProtocols(wallet).forEach(p => protocols.add(p));
   }
   
   return Array.from(protocols);
@@ -114,12 +501,172 @@ async function getSupportedProtocols() {
  */
 async function getWalletsForProtocol(protocol) {
   const wallets = await getConfiguredWallets();
-  return wallets.filter(w => 
-    w.enabled && 
-    w.protocols && 
-    Array.isArray(w.protocols) && 
-    w.protocols.includes(protocol)
-  );
+  return wallets.filter(w => w.enabled && getWalletProtocols(w).includes(normalizeProtocol(protocol)));
+}
+
+/**
+ * Get the trust anchors imported on the options page
+ * @returns {Promise<Object[]>} { fingerprint, certificate (base64 DER), subject, issuer, notBefore, notAfter, addedAt }
+ */
+async function getTrustAnchors() {
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  const result = await storage.local.get(STORAGE_KEYS.TRUST_ANCHORS);
+  return result[STORAGE_KEYS.TRUST_ANCHORS] || [];
+}
+
+/**
+ * A trust anchor as the options page lists it, without the certificate
+ */
+function summarizeTrustAnchor(anchor) {
+  const summary = { ...anchor };
+  delete summary.certificate;
+  return summary;
+}
+
+/**
+ * Add CA certificates to the trust anchors
+ * Certificates already present (same SHA-256 fingerprint) are skipped
+ * @param {string} pem - PEM text with one or more certificates
+ * @returns {Promise<Object>} { added, skipped, anchors }
+ */
+async function importTrustAnchors(pem) {
+  if (typeof X509 === 'undefined') {
+    throw new Error('Certificate support is not loaded');
+  }
+  const anchors = await getTrustAnchors();
+  let added = 0;
+  let skipped = 0;
+
+  for (const der of X509.fromPem(pem)) {
+    const certificate = X509.parse(der);
+    if (!certificate.basicConstraints || !certificate.basicConstraints.ca) {
+      throw new Error(`${certificate.subject.name} is not a CA certificate`);
+    }
+    const fingerprint = await X509.fingerprint(der);
+    if (anchors.some(anchor => anchor.fingerprint === fingerprint)) {
+      skipped++;
+      continue;
+    }
+    anchors.push({
+      fingerprint: fingerprint,
+      certificate: X509.toBase64(der),
+      subject: certificate.subject.name,
+      issuer: certificate.issuer.name,
+      notBefore: certificate.notBefore.toISOString(),
+      notAfter: certificate.notAfter.toISOString(),
+      addedAt: new Date().toISOString()
+    });
+    added++;
+  }
+
+  const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+  await storage.local.set({ [STORAGE_KEYS.TRUST_ANCHORS]: anchors });
+  return { added, skipped, anchors };
+}
+
+/**
+ * Validate a certificate chain (x5c, leaf first) against the trust anchors
+ * @param {string[]} chain - Base64 DER certificates
+ * @param {string} [dnsName] - dNSName the leaf certificate must hold
+ * @returns {Promise<Object>} { valid, error? }
+ */
+async function validateCertificateChain(chain, dnsName) {
+  if (typeof X509 === 'undefined') {
+    return { valid: false, error: 'Certificate support is not loaded' };
+  }
+  const anchors = await getTrustAnchors();
+  if (anchors.length === 0) {
+    return { valid: false, error: 'No trust anchors configured' };
+  }
+  const result = await X509.validateChain(chain, anchors.map(anchor => anchor.certificate), {
+    dnsName: dnsName || undefined
+  });
+  return result.valid ? { valid: true, anchor: result.anchor.subject.name } : result;
+}
+
+/**
+ * Check the requests of a page with the background's own protocol plugins
+ *
+ * The page prepared the requests, but page scripts can replace any global
+ * there (the JWT verifier, the client_id checks, crypto.subtle) and change
+ * the prepared data. So the requests are prepared again here, from the data
+ * the page was called with, and the background's prepared data replaces the
+ * page's: the signature, client_id prefix and certificate chain checks hold
+ * for exactly what goes on. Page-registered JWT verifiers and middleware
+ * take no part.
+ * @param {Object[]} requests - Prepared requests ({ protocol, data, originalData })
+ * @param {Object} sender - Sender of the request (the calling frame)
+ * @returns {Promise<Object>} accepted: requests with the data the background
+ *   prepared, rejected: [{ protocol, error }]
+ */
+async function checkRequestTrust(requests, sender) {
+  const context = {
+    origin: getSenderOrigin(sender),
+    url: sender.url,
+    certificateValidator: (chain, options = {}) => validateCertificateChain(chain, options.dnsName)
+  };
+
+  const results = await Promise.all(requests.map(async (request) => {
+    if (!protocolRegistry) {
+      return { protocol: request.protocol, error: 'Protocol plugins not loaded' };
+    }
+    try {
+      const prepared = await protocolRegistry.prepareRequest(request.protocol, request.originalData, context);
+      return { request: { protocol: request.protocol, data: prepared, originalData: request.originalData } };
+    } catch (err) {
+      return { protocol: request.protocol, error: err.message };
+    }
+  }));
+
+  return {
+    accepted: results.filter(result => result.request).map(result => result.request),
+    rejected: results.filter(result => !result.request)
+  };
+}
+
+/**
+ * Build the URL the chosen wallet is opened with, from the request the
+ * background checked
+ *
+ * The page's beforeInvoke hooks ran on the request after the check: only
+ * the parameters they added, that the protocol plugin does not bind, are
+ * kept (see ProtocolPluginRegistry.applyInvokeChanges). A call's wallet is
+ * invoked once.
+ * @param {number} tabId - Tab of the call
+ * @param {number} frameId - Frame that made the call
+ * @param {string} requestId - Request ID
+ * @param {Object} data - Request data after the page's beforeInvoke hooks
+ * @returns {Object} { protocol, invocationUrl, requestData } or { error }
+ */
+function buildWalletInvocation(tabId, frameId, requestId, data) {
+  const checked = getCheckedRequests(tabId, frameId, requestId);
+  if (!checked || !checked.selection) {
+    return { error: 'No wallet was chosen for this request' };
+  }
+  dropCheckedRequests(tabId, requestId);
+
+  const { walletId, requestIndex } = checked.selection;
+  const wallet = checked.wallets.find(w => w.id === walletId);
+  const request = Number.isInteger(requestIndex) ? checked.requests[requestIndex] : undefined;
+  if (!wallet || !request) {
+    return { error: 'The chosen wallet was not offered this request' };
+  }
+  if (!getWalletProtocols(wallet).includes(normalizeProtocol(request.protocol))) {
+    return { error: `The chosen wallet does not support ${request.protocol}` };
+  }
+
+  try {
+    const walletData = protocolRegistry.applyInvokeChanges(request.protocol, request.data, data);
+    const formatted = protocolRegistry.formatForWallet(request.protocol, walletData, wallet.url,
+      { ...checked.context, wallet: wallet });
+    return {
+      protocol: request.protocol,
+      invocationUrl: formatted.invocationUrl,
+      requestData: formatted.requestData
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
 }
 
 /**
@@ -143,33 +690,122 @@ async function handleMessage(message, sender, sendResponse) {
       // Update statistics
       await updateStats('intercept');
 
+      // 'get' presents a credential, 'create' stores (issues) one
+      const operation = message.operation || 'get';
+      // Credential Management mediation requirement, 'optional' by default
+      const mediation = message.mediation || 'optional';
+      console.log(`Credential ${operation} request from:`, message.origin, `(mediation: ${mediation})`);
+
+      // Only requests that pass the background's own trust checks go on
+      const { accepted: requests, rejected } = await checkRequestTrust(message.requests || [], sender);
+      rejected.forEach(({ protocol, error }) => {
+        console.warn(`Request for protocol ${protocol} rejected:`, error);
+      });
+
+      // As requested for the history; matched by their canonical identifiers
+      const requestedProtocols = requests.map(r => r.protocol);
+      const canonicalProtocols = requestedProtocols.map(normalizeProtocol);
+      const history = {
+        origin: message.origin,
+        operation: operation,
+        mediation: mediation,
+        protocols: requestedProtocols
+      };
+
       // Get configured wallets that support the requested protocols
       const allWallets = await getConfiguredWallets();
       const enabledWallets = allWallets.filter(w => w.enabled);
       
-      // Filter wallets by protocols if requests specify protocols
-      let matchingWallets = enabledWallets;
-      if (message.requests && Array.isArray(message.requests)) {
-        const requestedProtocols = message.requests.map(r => r.protocol);
-        matchingWallets = enabledWallets.filter(wallet => 
-          wallet.protocols && 
-          Array.isArray(wallet.protocols) &&
-          wallet.protocols.some(p => requestedProtocols.includes(p))
-        );
-      }
+      // Filter wallets by the protocols of the accepted requests
+      const matchingWallets = enabledWallets.filter(wallet =>
+        getWalletProtocols(wallet).some(p => canonicalProtocols.includes(p))
+      );
 
       // If no wallets support the requested protocols, fall back to native
       if (matchingWallets.length === 0) {
         console.log('No wallets support requested protocols, using native API');
+        await recordRequestHistory(message.requestId, { ...history, outcome: 'native' });
         sendResponse({ useNative: true });
         return true;
       }
 
-      // Inject modal and show wallet selector
-      await injectWalletModal(sender.tab.id, sender.frameId);
+      // Silent mediation never shows the selector: use the wallet remembered
+      // for this origin, or refuse the request
+      if (mediation === 'silent') {
+        const wallet = await getRememberedWallet(message.origin, requestedProtocols);
+        if (!wallet) {
+          console.log('No remembered wallet for silent mediation on:', message.origin);
+          await recordRequestHistory(message.requestId, { ...history, outcome: 'not-allowed' });
+          sendResponse({
+            notAllowed: true,
+            error: 'Silent mediation requires a wallet previously chosen on this origin'
+          });
+          return true;
+        }
+
+        trackRequest(sender.tab.id, message.requestId, {
+          origin: message.origin,
+          operation: operation,
+          mediation: mediation,
+          protocols: requestedProtocols,
+          walletId: wallet.id,
+          startedAt: Date.now()
+        });
+        await recordRequestHistory(message.requestId, { ...history, outcome: 'silent', walletId: wallet.id });
+        keepCheckedRequests(sender.tab.id, message.requestId, {
+          frameId: sender.frameId || 0,
+          requests: requests,
+          wallets: [wallet],
+          context: { origin: getSenderOrigin(sender), url: sender.url },
+          selection: null
+        });
+
+        // The content script picks the request for the wallet with the protocol plugins
+        sendResponse({
+          silentWallet: wallet,
+          requests: requests,
+          operation: operation
+        });
+        return true;
+      }
+
+      // 'optional', 'conditional' and 'required' all ask the user; conditional
+      // requests only get here once the page has seen a user gesture
+      trackRequest(sender.tab.id, message.requestId, {
+        origin: message.origin,
+        operation: operation,
+        mediation: mediation,
+        protocols: requestedProtocols,
+        startedAt: Date.now()
+      });
+      await recordRequestHistory(message.requestId, { ...history, outcome: 'selector' });
+      keepCheckedRequests(sender.tab.id, message.requestId, {
+        frameId: sender.frameId || 0,
+        requests: requests,
+        wallets: matchingWallets,
+        context: { origin: getSenderOrigin(sender), url: sender.url },
+        selection: null
+      });
+
+      // One selector per tab: wait while another request of the tab is being selected
+      const granted = await acquireSelector(sender.tab.id, sender.frameId || 0, message.requestId);
+      if (!granted) {
+        sendResponse({ cancelled: true });
+        return true;
+      }
+
+      // The content script shows the wallet selector (modal.js, a content
+      // script as well); the selector of an embedded frame is shown in the
+      // top-level frame (see RELAY_WALLET_SELECTOR)
       
-      // Send matching wallets to content script
-      sendResponse({ wallets: matchingWallets, requests: message.requests });
+      // Send matching wallets to content script, with the time the user has to choose
+      const timeouts = await getTimeouts();
+      sendResponse({
+        wallets: matchingWallets,
+        requests: requests,
+        operation: operation,
+        requestTimeout: timeouts.requestTimeout * 1000
+      });
       return true;
     }
     
@@ -177,8 +813,125 @@ async function handleMessage(message, sender, sendResponse) {
       // Record wallet usage
       await updateStats(`wallet:${message.walletId}`);
       
-      // Here you would handle the actual credential request to the wallet
-      // For now, we'll just acknowledge
+      if (sender.tab) {
+        trackRequest(sender.tab.id, message.requestId, { walletId: message.walletId });
+        // The wallet and the request it receives, for building its invocation
+        const checked = getCheckedRequests(sender.tab.id, sender.frameId || 0, message.requestId);
+        if (checked) {
+          checked.selection = { walletId: message.walletId, requestIndex: message.requestIndex };
+        }
+        // The selector is free for the tab's next queued request
+        releaseSelector(sender.tab.id, message.requestId);
+      }
+      
+      // Remember the choice so silent mediation can reuse it on this origin
+      if (message.origin) {
+        await rememberWallet(message.origin, message.walletId);
+      }
+      await recordRequestHistory(message.requestId, { walletId: message.walletId });
+      
+      // The page waits for the wallet's own timeout, or the configured default
+      const timeouts = await getTimeouts();
+      const wallet = (await getConfiguredWallets()).find(w => w.id === message.walletId);
+      const walletTimeout = wallet && isValidTimeout(wallet.timeout) ? wallet.timeout : timeouts.walletTimeout;
+      
+      sendResponse({ success: true, walletTimeout: walletTimeout * 1000 });
+      return true;
+    }
+    
+    else if (message.type === 'BUILD_WALLET_INVOCATION') {
+      // The content script opens the chosen wallet at the URL built here
+      sendResponse(sender.tab
+        ? buildWalletInvocation(sender.tab.id, sender.frameId || 0, message.requestId, message.data)
+        : { error: 'No wallet was chosen for this request' });
+      return true;
+    }
+    
+    else if (message.type === 'RELAY_WALLET_SELECTOR') {
+      // An embedded frame asks the top-level frame to show its wallet selector,
+      // labelled with the frame's origin; the answer is the user's choice
+      const tabs = typeof browser !== 'undefined' ? browser.tabs : chrome.tabs;
+      const result = await tabs.sendMessage(sender.tab.id, {
+        type: 'SHOW_FRAME_WALLET_SELECTOR',
+        selector: message.selector,
+        requesterOrigin: getSenderOrigin(sender)
+      }, { frameId: 0 });
+      sendResponse(result || { closed: true });
+      return true;
+    }
+    
+    else if (message.type === 'OPEN_FRAME_WALLET') {
+      // An embedded frame has built the URL of the wallet the top-level frame
+      // opened on the user's click; the answer is the wallet's response
+      const tabs = typeof browser !== 'undefined' ? browser.tabs : chrome.tabs;
+      const result = await tabs.sendMessage(sender.tab.id, {
+        type: 'OPEN_FRAME_WALLET_WINDOW',
+        requestId: message.requestId,
+        url: message.url,
+        requesterOrigin: getSenderOrigin(sender)
+      }, { frameId: 0 });
+      sendResponse(result || { closed: true });
+      return true;
+    }
+    
+    else if (message.type === 'REQUEST_LIFECYCLE') {
+      // Lifecycle event from the page: keep the per-tab state current
+      let { event } = message;
+      
+      // Disclosed claims are for developer tooling only
+      if (event.disclosedClaims !== undefined && !(await isDeveloperMode())) {
+        event = { ...event };
+        delete event.disclosedClaims;
+      }
+      if (sender.tab) {
+        if (event.state === 'settled') {
+          untrackRequest(sender.tab.id, event.requestId);
+          
+          // Close a selector the top-level frame still shows for an embedded frame
+          if (sender.frameId) {
+            const tabs = typeof browser !== 'undefined' ? browser.tabs : chrome.tabs;
+            tabs.sendMessage(sender.tab.id, {
+              type: 'CLOSE_FRAME_WALLET_SELECTOR',
+              requestId: event.requestId
+            }, { frameId: 0 }).catch(() => {});
+          }
+        } else {
+          trackRequest(sender.tab.id, event.requestId, {
+            origin: message.origin,
+            status: event.state,
+            updatedAt: event.timestamp
+          });
+        }
+      }
+      
+      // Notify popup if open
+      const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+      runtime.sendMessage({
+        type: 'REQUEST_LIFECYCLE_UPDATE',
+        tabId: sender.tab ? sender.tab.id : null,
+        origin: message.origin,
+        event: event
+      }).catch(() => {});
+      
+      sendResponse({ success: true });
+      return true;
+    }
+    
+    else if (message.type === 'GET_ACTIVE_REQUESTS') {
+      const requests = [];
+      tabRequests.forEach((tabState, tabId) => {
+        tabState.forEach((state, requestId) => {
+          requests.push({ tabId, requestId, ...state });
+        });
+      });
+      sendResponse({ requests });
+      return true;
+    }
+    
+    else if (message.type === 'REQUEST_ABORTED') {
+      // The page aborted the request through its AbortSignal
+      const removed = sender.tab ? untrackRequest(sender.tab.id, message.requestId) : false;
+      console.log('Credential request aborted:', message.requestId, removed ? '(state cleared)' : '(no state)');
       sendResponse({ success: true });
       return true;
     }
@@ -202,7 +955,8 @@ async function handleMessage(message, sender, sendResponse) {
       sendResponse({
         enabled: result[STORAGE_KEYS.ENABLED] !== false,
         developerMode: result[STORAGE_KEYS.DEVELOPER_MODE] === true,
-        stats: result[STORAGE_KEYS.STATS] || { interceptCount: 0, walletUses: {} }
+        stats: result[STORAGE_KEYS.STATS] || { interceptCount: 0, walletUses: {} },
+        timeouts: await getTimeouts()
       });
       return true;
     }
@@ -216,6 +970,17 @@ async function handleMessage(message, sender, sendResponse) {
       if (message.developerMode !== undefined) {
         updates[STORAGE_KEYS.DEVELOPER_MODE] = message.developerMode;
       }
+      if (message.timeouts !== undefined) {
+        const timeouts = { ...DEFAULT_TIMEOUTS, ...message.timeouts };
+        if (!isValidTimeout(timeouts.requestTimeout) || !isValidTimeout(timeouts.walletTimeout)) {
+          sendResponse({ success: false, error: 'Timeouts must be positive numbers of seconds' });
+          return true;
+        }
+        updates[STORAGE_KEYS.TIMEOUTS] = {
+          requestTimeout: timeouts.requestTimeout,
+          walletTimeout: timeouts.walletTimeout
+        };
+      }
       await storage.local.set(updates);
       sendResponse({ success: true });
       return true;
@@ -231,11 +996,26 @@ async function handleMessage(message, sender, sendResponse) {
     else if (message.type === 'REGISTER_WALLET') {
       // Handle wallet auto-registration
       const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
-      const result = await storage.local.get(STORAGE_KEYS.WALLETS);
+      const origin = getSenderOrigin(sender) || message.origin;
+      let result = await storage.local.get(STORAGE_KEYS.WALLETS);
       let wallets = result[STORAGE_KEYS.WALLETS] || DEFAULT_WALLETS;
       
       // Check if wallet already exists (by URL)
-      const existingWallet = wallets.find(w => w.url === message.wallet.url);
+      let existingWallet = wallets.find(w => w.url === message.wallet.url);
+      
+      if (!existingWallet) {
+        // Pages may not add wallets without the user's consent
+        if (!(await confirmWalletRegistration(message.wallet, origin))) {
+          console.log('Wallet registration declined:', message.wallet.url, 'from', origin);
+          sendResponse({ success: false, error: 'The user declined the wallet registration' });
+          return true;
+        }
+        
+        // The list may have changed while the user decided
+        result = await storage.local.get(STORAGE_KEYS.WALLETS);
+        wallets = result[STORAGE_KEYS.WALLETS] || DEFAULT_WALLETS;
+        existingWallet = wallets.find(w => w.url === message.wallet.url);
+      }
       
       if (existingWallet) {
         // Wallet already registered
@@ -257,14 +1037,14 @@ async function handleMessage(message, sender, sendResponse) {
         ...message.wallet,
         enabled: true,
         autoRegistered: true,
-        registeredFrom: message.origin,
+        registeredFrom: origin,
         registeredAt: new Date().toISOString()
       };
       
       wallets.push(newWallet);
       await storage.local.set({ [STORAGE_KEYS.WALLETS]: wallets });
       
-      console.log('Wallet registered:', newWallet.name, 'from', message.origin);
+      console.log('Wallet registered:', newWallet.name, 'from', origin);
       
       sendResponse({
         success: true,
@@ -274,6 +1054,23 @@ async function handleMessage(message, sender, sendResponse) {
       return true;
     }
     
+    else if (message.type === 'GET_WALLET_REGISTRATION') {
+      // The confirmation window shows the wallet and the page registering it
+      const pending = isRegistrationConfirmation(sender) && pendingRegistrations.get(message.registrationId);
+      sendResponse(pending
+        ? { wallet: pending.wallet, origin: pending.origin }
+        : { error: 'No pending wallet registration' });
+      return true;
+    }
+    
+    else if (message.type === 'WALLET_REGISTRATION_DECISION') {
+      // The user allowed or declined a wallet registration
+      const settled = isRegistrationConfirmation(sender) &&
+        settleRegistration(message.registrationId, message.allowed === true);
+      sendResponse({ success: settled });
+      return true;
+    }
+    
     else if (message.type === 'CHECK_WALLET') {
       // Check if a wallet is registered
       const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
@@ -286,6 +1083,13 @@ async function handleMessage(message, sender, sendResponse) {
       return true;
     }
     
+    else if (message.type === 'GET_REQUEST_HISTORY') {
+      const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+      const result = await storage.local.get(STORAGE_KEYS.REQUEST_HISTORY);
+      sendResponse({ history: result[STORAGE_KEYS.REQUEST_HISTORY] || [] });
+      return true;
+    }
+    
     else if (message.type === 'GET_SUPPORTED_PROTOCOLS') {
       // Get all supported protocols
       const protocols = await getSupportedProtocols();
@@ -293,9 +1097,56 @@ async function handleMessage(message, sender, sendResponse) {
       return true;
     }
     
+    else if (message.type === 'CHECK_WALLET_PROTOCOLS') {
+      // Report the protocol entries of each wallet (the given ones, or the
+      // configured ones) that no protocol plugin handles
+      const wallets = Array.isArray(message.wallets) ? message.wallets : await getConfiguredWallets();
+      const reports = {};
+      wallets.forEach(wallet => {
+        reports[wallet.id] = checkWalletProtocols(wallet);
+      });
+      sendResponse({
+        reports: reports,
+        protocols: protocolRegistry ? protocolRegistry.getSupportedProtocols() : null
+      });
+      return true;
+    }
+    
+    else if (message.type === 'GET_TRUST_ANCHORS') {
+      const anchors = await getTrustAnchors();
+      sendResponse({ anchors: anchors.map(summarizeTrustAnchor) });
+      return true;
+    }
+    
+    else if (message.type === 'IMPORT_TRUST_ANCHORS') {
+      try {
+        const { added, skipped, anchors } = await importTrustAnchors(message.pem);
+        sendResponse({
+          success: true,
+          added: added,
+          skipped: skipped,
+          anchors: anchors.map(summarizeTrustAnchor)
+        });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      return true;
+    }
+    
+    else if (message.type === 'REMOVE_TRUST_ANCHOR') {
+      const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+      const anchors = (await getTrustAnchors()).filter(anchor => anchor.fingerprint !== message.fingerprint);
+      await storage.local.set({ [STORAGE_KEYS.TRUST_ANCHORS]: anchors });
+      sendResponse({ success: true });
+      return true;
+    }
+    
     else if (message.type === 'CONTENT_SCRIPT_READY') {
-      // Content script has loaded
+      // Content script has loaded; requests of the document it replaced are gone
       console.log('Content script ready on:', message.origin);
+      if (sender.tab) {
+        releaseFrameSelectors(sender.tab.id, sender.frameId || 0);
+      }
       sendResponse({ success: true });
       return true;
     }
@@ -308,22 +1159,42 @@ async function handleMessage(message, sender, sendResponse) {
 }
 
 /**
- * Inject wallet modal into the page
+ * Get the origin of the frame that sent a message
+ * Prefers the browser-provided sender origin over the frame URL
  */
-async function injectWalletModal(tabId, frameId) {
-  const tabs = typeof browser !== 'undefined' ? browser.tabs : chrome.tabs;
-  
+function getSenderOrigin(sender) {
+  if (sender.origin) {
+    return sender.origin;
+  }
   try {
-    await tabs.executeScript(tabId, {
-      file: 'modal.js',
-      frameId: frameId || 0,
-      runAt: 'document_end'
-    });
-  } catch (error) {
-    console.error('Failed to inject modal:', error);
+    return new URL(sender.url).origin;
+  } catch (err) {
+    return null;
   }
 }
 
+// Drop per-tab request state when a tab is closed
+const tabsApi = typeof browser !== 'undefined' ? browser.tabs : (typeof chrome !== 'undefined' ? chrome.tabs : null);
+if (tabsApi && tabsApi.onRemoved) {
+  tabsApi.onRemoved.addListener((tabId) => {
+    tabRequests.delete(tabId);
+    selectorQueues.delete(tabId);
+    checkedRequests.delete(tabId);
+  });
+}
+
+// Closing a registration confirmation window declines the registration
+const windowsApi = typeof browser !== 'undefined' ? browser.windows : (typeof chrome !== 'undefined' ? chrome.windows : null);
+if (windowsApi && windowsApi.onRemoved) {
+  windowsApi.onRemoved.addListener((windowId) => {
+    pendingRegistrations.forEach((pending, registrationId) => {
+      if (pending.windowId === windowId) {
+        settleRegistration(registrationId, false);
+      }
+    });
+  });
+}
+
 // Listen for messages from content scripts
 if (typeof browser !== 'undefined') {
   browser.runtime.onMessage.addListener(handleMessage);
@@ -0,0 +1,784 @@
+/**
+ * CBOR / COSE codec
+ *
+ * Self-contained CBOR (RFC 8949) decoder and deterministic encoder, with the
+ * COSE (RFC 9052) structures mdoc payloads are built from. Protocol plugins
+ * and developer-mode tooling share it; nothing is loaded from the network.
+ *
+ * Decoded values:
+ * - unsigned and negative integers up to 2^53 as numbers, floats as numbers
+ * - byte strings as Uint8Array, text strings as strings
+ * - arrays as arrays, maps as Map (any key type)
+ * - tag 0 (date/time string) as Date
+ * - tag 24 (embedded CBOR) as EncodedCbor, keeping the exact bytes
+ * - tag 1004 (full-date, RFC 8943) as FullDate
+ * - any other tag as Tagged
+ *
+ * The encoder produces core deterministic encoding (RFC 8949 Section 4.2.1):
+ * shortest arguments, shortest exact floats, definite lengths only and map
+ * keys sorted by their encoded bytes.
+ */
+
+/* global module, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else {
+    root.CborCodec = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function() {
+  'use strict';
+
+  // CBOR tags with built-in handling
+  const TAGS = {
+    DATE_TIME: 0,
+    ENCODED_CBOR: 24,
+    FULL_DATE: 1004,
+    COSE_MAC0: 17,
+    COSE_SIGN1: 18
+  };
+
+  // Nesting limit for decoded, encoded and diagnosed items
+  const MAX_DEPTH = 32;
+
+  // Break stop code ending an indefinite-length item
+  const BREAK = 0xff;
+
+  // RFC 3339 date-time (tag 0) and full-date (tag 1004)
+  const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+  const FULL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  const isMap = (value) => value instanceof Map;
+  const isBytes = (value) => ArrayBuffer.isView(value) && !(value instanceof DataView);
+  const toBytes = (value) => new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+  /**
+   * A tagged item without built-in handling
+   */
+  class Tagged {
+    /**
+     * @param {number} tag - Tag number
+     * @param {*} value - Tag content
+     */
+    constructor(tag, value) {
+      if (!Number.isSafeInteger(tag) || tag < 0) {
+        throw new Error(`Invalid CBOR tag: ${tag}`);
+      }
+      this.tag = tag;
+      this.value = value;
+    }
+  }
+
+  /**
+   * An embedded CBOR data item (tag 24, bstr .cbor)
+   *
+   * The bytes are kept as they were received: signatures and digests cover
+   * them, so they are never re-encoded.
+   */
+  class EncodedCbor {
+    /**
+     * @param {Uint8Array} bytes - Encoded data item
+     */
+    constructor(bytes) {
+      if (!isBytes(bytes)) {
+        throw new Error('Embedded CBOR must be a byte string');
+      }
+      this.bytes = toBytes(bytes);
+    }
+
+    /**
+     * Encode a value and embed it
+     * @param {*} value - Value to encode
+     * @returns {EncodedCbor}
+     */
+    static wrap(value) {
+      return new EncodedCbor(encode(value));
+    }
+
+    /**
+     * Decode the embedded item
+     * @returns {*}
+     */
+    decode() {
+      return decode(this.bytes);
+    }
+  }
+
+  /**
+   * A calendar date without time or time zone (tag 1004, e.g. birth_date)
+   */
+  class FullDate {
+    /**
+     * @param {string} value - Date as YYYY-MM-DD
+     */
+    constructor(value) {
+      if (typeof value !== 'string' || !FULL_DATE_PATTERN.test(value) || !isValidFullDate(value)) {
+        throw new Error(`Invalid full-date: ${value}`);
+      }
+      this.value = value;
+    }
+
+    /**
+     * The calendar date of a Date in UTC
+     * @param {Date} date
+     * @returns {FullDate}
+     */
+    static fromDate(date) {
+      return new FullDate(formatDateTime(date).slice(0, 10));
+    }
+
+    /**
+     * Midnight UTC of this date
+     * @returns {Date}
+     */
+    toDate() {
+      return new Date(`${this.value}T00:00:00Z`);
+    }
+
+    toString() {
+      return this.value;
+    }
+
+    toJSON() {
+      return this.value;
+    }
+  }
+
+  function isValidFullDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  /**
+   * Format a Date as a tag 0 date/time string, without fractional seconds
+   * when there are none (as ISO 18013-5 requires)
+   */
+  function formatDateTime(date) {
+    const year = date.getUTCFullYear();
+    if (isNaN(date.getTime()) || year < 0 || year > 9999) {
+      throw new Error('Cannot encode an invalid or out of range date');
+    }
+    return date.toISOString().replace('.000Z', 'Z');
+  }
+
+  /**
+   * Decode a half-precision float
+   */
+  function decodeHalf(half) {
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) {
+      return sign * Math.pow(2, -14) * (fraction / 1024);
+    }
+    if (exponent === 0x1f) {
+      return fraction ? NaN : sign * Infinity;
+    }
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+  }
+
+  /**
+   * Half-precision bits of a finite float, or null when it is not exact
+   */
+  function encodeHalf(value) {
+    if (Math.fround(value) !== value) {
+      return null;
+    }
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, value);
+    const bits = view.getUint32(0);
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = ((bits >>> 23) & 0xff) - 127;
+    const mantissa = bits & 0x7fffff;
+
+    if (exponent === -127 && mantissa === 0) {
+      return sign;
+    }
+    if (exponent >= -14 && exponent <= 15) {
+      if (mantissa & 0x1fff) {
+        return null;
+      }
+      return sign | ((exponent + 15) << 10) | (mantissa >> 13);
+    }
+    if (exponent >= -24 && exponent < -14) {
+      // Half subnormal: the implicit leading bit becomes part of the fraction
+      const shift = 13 + (-14 - exponent);
+      const significand = 0x800000 | mantissa;
+      if (significand & ((1 << shift) - 1)) {
+        return null;
+      }
+      return sign | (significand >> shift);
+    }
+    return null;
+  }
+
+  /**
+   * Decode one CBOR data item spanning all of the bytes
+   *
+   * @param {Uint8Array} bytes - Encoded item
+   * @returns {*} Decoded item
+   */
+  function decode(bytes) {
+    if (!isBytes(bytes)) {
+      throw new Error('CBOR input must be a byte array');
+    }
+    bytes = toBytes(bytes);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const utf8 = new TextDecoder('utf-8', { fatal: true });
+    let offset = 0;
+
+    function need(length) {
+      if (offset + length > bytes.length) {
+        throw new Error('Invalid CBOR: unexpected end of data');
+      }
+    }
+
+    // Argument of the head, or null for an indefinite length
+    function readArgument(major, info) {
+      let value;
+      if (info < 24) {
+        return info;
+      } else if (info === 24) {
+        need(1);
+        value = bytes[offset];
+        offset += 1;
+      } else if (info === 25) {
+        need(2);
+        value = view.getUint16(offset);
+        offset += 2;
+      } else if (info === 26) {
+        need(4);
+        value = view.getUint32(offset);
+        offset += 4;
+      } else if (info === 27) {
+        need(8);
+        const high = view.getUint32(offset);
+        if (high > 0x1fffff) {
+          throw new Error('Invalid CBOR: integer too large');
+        }
+        value = high * 0x100000000 + view.getUint32(offset + 4);
+        offset += 8;
+      } else if (info === 31 && major >= 2 && major <= 5) {
+        return null;
+      } else {
+        throw new Error(`Invalid CBOR: reserved additional information ${info}`);
+      }
+      return value;
+    }
+
+    function readSimple(info) {
+      switch (info) {
+        case 20: return false;
+        case 21: return true;
+        case 22: return null;
+        case 23: return undefined;
+        case 25: {
+          need(2);
+          const value = decodeHalf(view.getUint16(offset));
+          offset += 2;
+          return value;
+        }
+        case 26: {
+          need(4);
+          const value = view.getFloat32(offset);
+          offset += 4;
+          return value;
+        }
+        case 27: {
+          need(8);
+          const value = view.getFloat64(offset);
+          offset += 8;
+          return value;
+        }
+        case 31:
+          throw new Error('Invalid CBOR: unexpected break');
+        default:
+          throw new Error(`Invalid CBOR: unsupported simple value ${info}`);
+      }
+    }
+
+    function atBreak() {
+      need(1);
+      if (bytes[offset] === BREAK) {
+        offset += 1;
+        return true;
+      }
+      return false;
+    }
+
+    function readString(major, length) {
+      need(length);
+      const chunk = bytes.subarray(offset, offset + length);
+      offset += length;
+      if (major === 2) {
+        return chunk.slice();
+      }
+      try {
+        return utf8.decode(chunk);
+      } catch (err) {
+        throw new Error('Invalid CBOR: text string is not valid UTF-8');
+      }
+    }
+
+    // Indefinite-length string: definite-length chunks of the same type
+    function readChunks(major) {
+      const chunks = [];
+      while (!atBreak()) {
+        const initial = bytes[offset];
+        offset += 1;
+        const length = (initial >> 5) === major ? readArgument(major, initial & 0x1f) : null;
+        if (length === null) {
+          throw new Error('Invalid CBOR: malformed indefinite-length string');
+        }
+        chunks.push(readString(major, length));
+      }
+      if (major === 3) {
+        return chunks.join('');
+      }
+      const value = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      let position = 0;
+      for (const chunk of chunks) {
+        value.set(chunk, position);
+        position += chunk.length;
+      }
+      return value;
+    }
+
+    function readMapEntry(map, depth) {
+      const key = readItem(depth + 1);
+      if (map.has(key)) {
+        throw new Error(`Invalid CBOR: duplicate map key ${key}`);
+      }
+      map.set(key, readItem(depth + 1));
+    }
+
+    function readTag(tag, value) {
+      switch (tag) {
+        case TAGS.DATE_TIME: {
+          const date = typeof value === 'string' && DATE_TIME_PATTERN.test(value) ? new Date(value) : null;
+          if (!date || isNaN(date.getTime())) {
+            throw new Error('Invalid CBOR: tag 0 must be an RFC 3339 date/time string');
+          }
+          return date;
+        }
+        case TAGS.ENCODED_CBOR:
+          if (!isBytes(value)) {
+            throw new Error('Invalid CBOR: tag 24 must wrap a byte string');
+          }
+          return new EncodedCbor(value);
+        case TAGS.FULL_DATE:
+          try {
+            return new FullDate(value);
+          } catch (err) {
+            throw new Error('Invalid CBOR: tag 1004 must be a full-date string');
+          }
+        default:
+          return new Tagged(tag, value);
+      }
+    }
+
+    function readItem(depth) {
+      if (depth > MAX_DEPTH) {
+        throw new Error('Invalid CBOR: nested too deeply');
+      }
+      need(1);
+      const initial = bytes[offset];
+      offset += 1;
+      const major = initial >> 5;
+      const info = initial & 0x1f;
+
+      if (major === 7) {
+        return readSimple(info);
+      }
+
+      const argument = readArgument(major, info);
+      switch (major) {
+        case 0:
+          return argument;
+        case 1:
+          return -1 - argument;
+        case 2:
+        case 3:
+          return argument === null ? readChunks(major) : readString(major, argument);
+        case 4: {
+          const items = [];
+          if (argument === null) {
+            while (!atBreak()) {
+              items.push(readItem(depth + 1));
+            }
+            return items;
+          }
+          // Every item takes at least one byte
+          need(argument);
+          for (let i = 0; i < argument; i++) {
+            items.push(readItem(depth + 1));
+          }
+          return items;
+        }
+        case 5: {
+          const map = new Map();
+          if (argument === null) {
+            while (!atBreak()) {
+              readMapEntry(map, depth);
+            }
+            return map;
+          }
+          need(argument * 2);
+          for (let i = 0; i < argument; i++) {
+            readMapEntry(map, depth);
+          }
+          return map;
+        }
+        default:
+          return readTag(argument, readItem(depth + 1));
+      }
+    }
+
+    const value = readItem(0);
+    if (offset !== bytes.length) {
+      throw new Error('Invalid CBOR: unexpected data after the item');
+    }
+    return value;
+  }
+
+  /**
+   * Encode a value with core deterministic encoding
+   *
+   * Accepts everything decode() returns, plus plain objects (maps with text
+   * keys). Integral numbers are encoded as integers.
+   *
+   * @param {*} value - Value to encode
+   * @returns {Uint8Array} Encoded item
+   */
+  function encode(value) {
+    const out = [];
+
+    function writeHead(major, argument) {
+      if (argument < 24) {
+        out.push((major << 5) | argument);
+      } else if (argument < 0x100) {
+        out.push((major << 5) | 24, argument);
+      } else if (argument < 0x10000) {
+        out.push((major << 5) | 25, argument >> 8, argument & 0xff);
+      } else if (argument < 0x100000000) {
+        out.push((major << 5) | 26, argument >>> 24, (argument >> 16) & 0xff, (argument >> 8) & 0xff, argument & 0xff);
+      } else {
+        const high = Math.floor(argument / 0x100000000);
+        const low = argument >>> 0;
+        out.push((major << 5) | 27,
+          high >>> 24, (high >> 16) & 0xff, (high >> 8) & 0xff, high & 0xff,
+          low >>> 24, (low >> 16) & 0xff, (low >> 8) & 0xff, low & 0xff);
+      }
+    }
+
+    function writeBytes(major, bytes) {
+      writeHead(major, bytes.length);
+      for (let i = 0; i < bytes.length; i++) {
+        out.push(bytes[i]);
+      }
+    }
+
+    function writeFloat(number) {
+      if (isNaN(number)) {
+        out.push(0xf9, 0x7e, 0x00);
+        return;
+      }
+      const half = isFinite(number) ? encodeHalf(number) : (number > 0 ? 0x7c00 : 0xfc00);
+      if (half !== null) {
+        out.push(0xf9, half >> 8, half & 0xff);
+        return;
+      }
+      const single = Math.fround(number) === number;
+      const view = new DataView(new ArrayBuffer(single ? 4 : 8));
+      if (single) {
+        view.setFloat32(0, number);
+      } else {
+        view.setFloat64(0, number);
+      }
+      out.push(single ? 0xfa : 0xfb, ...new Uint8Array(view.buffer));
+    }
+
+    function writeMap(entries, depth) {
+      const encoded = entries.map(([key, entry]) => [encodeNested(key, depth), entry]);
+      encoded.sort((a, b) => compareBytes(a[0], b[0]));
+      for (let i = 1; i < encoded.length; i++) {
+        if (compareBytes(encoded[i - 1][0], encoded[i][0]) === 0) {
+          throw new Error('Cannot encode a map with duplicate keys');
+        }
+      }
+      writeHead(5, encoded.length);
+      for (const [key, entry] of encoded) {
+        for (let i = 0; i < key.length; i++) {
+          out.push(key[i]);
+        }
+        writeItem(entry, depth + 1);
+      }
+    }
+
+    function encodeNested(item, depth) {
+      const start = out.length;
+      writeItem(item, depth + 1);
+      return Uint8Array.from(out.splice(start));
+    }
+
+    function writeItem(item, depth) {
+      if (depth > MAX_DEPTH) {
+        throw new Error('Cannot encode CBOR: nested too deeply');
+      }
+      if (typeof item === 'number') {
+        if (Number.isSafeInteger(item) && !Object.is(item, -0)) {
+          item >= 0 ? writeHead(0, item) : writeHead(1, -1 - item);
+        } else {
+          writeFloat(item);
+        }
+      } else if (typeof item === 'string') {
+        writeBytes(3, new TextEncoder().encode(item));
+      } else if (typeof item === 'boolean') {
+        out.push(item ? 0xf5 : 0xf4);
+      } else if (item === null) {
+        out.push(0xf6);
+      } else if (item === undefined) {
+        out.push(0xf7);
+      } else if (isBytes(item)) {
+        writeBytes(2, toBytes(item));
+      } else if (Array.isArray(item)) {
+        writeHead(4, item.length);
+        item.forEach(entry => writeItem(entry, depth + 1));
+      } else if (isMap(item)) {
+        writeMap(Array.from(item), depth);
+      } else if (item instanceof Date) {
+        writeHead(6, TAGS.DATE_TIME);
+        writeItem(formatDateTime(item), depth + 1);
+      } else if (item instanceof EncodedCbor) {
+        writeHead(6, TAGS.ENCODED_CBOR);
+        writeBytes(2, item.bytes);
+      } else if (item instanceof FullDate) {
+        writeHead(6, TAGS.FULL_DATE);
+        writeItem(item.value, depth + 1);
+      } else if (item instanceof Tagged) {
+        writeHead(6, item.tag);
+        writeItem(item.value, depth + 1);
+      } else if (typeof item === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(item))) {
+        writeMap(Object.entries(item), depth);
+      } else {
+        throw new Error(`Cannot encode ${typeof item} values as CBOR`);
+      }
+    }
+
+    writeItem(value, 0);
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Bytewise lexicographic order (shorter first on a common prefix)
+   */
+  function compareBytes(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) {
+        return a[i] - b[i];
+      }
+    }
+    return a.length - b.length;
+  }
+
+  /**
+   * Parse a COSE_Sign1 or COSE_Mac0 structure
+   *
+   * COSE_Sign1 = [protected: bstr, unprotected: map, payload: bstr / nil, signature: bstr]
+   * COSE_Mac0  = [protected: bstr, unprotected: map, payload: bstr / nil, tag: bstr]
+   *
+   * @private
+   */
+  function parseCose(value, tag, name) {
+    if (isBytes(value)) {
+      value = decode(value);
+    }
+    if (value instanceof Tagged) {
+      if (value.tag !== tag) {
+        throw new Error(`Invalid ${name}: expected tag ${tag}, got ${value.tag}`);
+      }
+      value = value.value;
+    }
+    if (!Array.isArray(value) || value.length !== 4) {
+      throw new Error(`Invalid ${name}: must be an array of 4 items`);
+    }
+
+    const [protectedBytes, unprotectedHeader, payload, last] = value;
+    if (!isBytes(protectedBytes)) {
+      throw new Error(`Invalid ${name}: protected header must be a byte string`);
+    }
+    if (!isMap(unprotectedHeader)) {
+      throw new Error(`Invalid ${name}: unprotected header must be a map`);
+    }
+    if (payload !== null && !isBytes(payload)) {
+      throw new Error(`Invalid ${name}: payload must be a byte string or nil`);
+    }
+    if (!isBytes(last)) {
+      throw new Error(`Invalid ${name}: ${tag === TAGS.COSE_SIGN1 ? 'signature' : 'tag'} must be a byte string`);
+    }
+
+    // An empty protected header is a zero-length byte string
+    let protectedHeader = new Map();
+    if (protectedBytes.length > 0) {
+      try {
+        protectedHeader = decode(protectedBytes);
+      } catch (err) {
+        throw new Error(`Invalid ${name}: protected header: ${err.message}`);
+      }
+      if (!isMap(protectedHeader)) {
+        throw new Error(`Invalid ${name}: protected header must be a map`);
+      }
+    }
+
+    for (const label of protectedHeader.keys()) {
+      if (unprotectedHeader.has(label)) {
+        throw new Error(`Invalid ${name}: header ${label} is both protected and unprotected`);
+      }
+    }
+
+    return {
+      type: name,
+      protectedHeader: protectedHeader,
+      protectedBytes: toBytes(protectedBytes),
+      unprotectedHeader: unprotectedHeader,
+      payload: payload === null ? null : toBytes(payload),
+      [tag === TAGS.COSE_SIGN1 ? 'signature' : 'tag']: toBytes(last)
+    };
+  }
+
+  /**
+   * Parse a COSE_Sign1 (RFC 9052 Section 4.2), tagged or not
+   * @param {*} value - Decoded item or its encoded bytes
+   * @returns {Object} type, protectedHeader, protectedBytes, unprotectedHeader, payload, signature
+   */
+  function parseCoseSign1(value) {
+    return parseCose(value, TAGS.COSE_SIGN1, 'COSE_Sign1');
+  }
+
+  /**
+   * Parse a COSE_Mac0 (RFC 9052 Section 6.2), tagged or not
+   * @param {*} value - Decoded item or its encoded bytes
+   * @returns {Object} type, protectedHeader, protectedBytes, unprotectedHeader, payload, tag
+   */
+  function parseCoseMac0(value) {
+    return parseCose(value, TAGS.COSE_MAC0, 'COSE_Mac0');
+  }
+
+  /**
+   * Bytes a parsed COSE_Sign1 signature or COSE_Mac0 tag is computed over
+   * (Sig_structure, RFC 9052 Section 4.4; MAC_structure, Section 6.3)
+   *
+   * @param {Object} cose - Output from parseCoseSign1() or parseCoseMac0()
+   * @param {Uint8Array} [externalAad] - Externally supplied data
+   * @param {Uint8Array} [detachedPayload] - Payload when it is not carried
+   * @returns {Uint8Array}
+   */
+  function toBeSigned(cose, externalAad = new Uint8Array(0), detachedPayload = null) {
+    const payload = cose.payload || detachedPayload;
+    if (!payload) {
+      throw new Error(`${cose.type} has a detached payload that was not supplied`);
+    }
+    const context = cose.type === 'COSE_Sign1' ? 'Signature1' : 'MAC0';
+    return encode([context, cose.protectedBytes, externalAad, payload]);
+  }
+
+  /**
+   * Diagnostic notation (RFC 8949 Section 8) of a decoded value, for display
+   *
+   * Embedded CBOR is shown decoded (<< >>) when it is well-formed. Numbers
+   * do not keep their encoded width, so 1.0 shows as 1.
+   *
+   * @param {*} value - Decoded value
+   * @param {Object} [options]
+   * @param {number} [options.indent] - Spaces per level; one line when omitted
+   * @returns {string}
+   */
+  function diagnose(value, options = {}) {
+    const indent = options.indent ? ' '.repeat(options.indent) : '';
+
+    function list(open, close, parts, depth) {
+      if (parts.length === 0) {
+        return open + close;
+      }
+      if (!indent) {
+        return open + parts.join(', ') + close;
+      }
+      const inner = indent.repeat(depth + 1);
+      return `${open}\n${inner}${parts.join(`,\n${inner}`)}\n${indent.repeat(depth)}${close}`;
+    }
+
+    function show(item, depth) {
+      if (depth > MAX_DEPTH) {
+        throw new Error('Cannot diagnose CBOR: nested too deeply');
+      }
+      if (typeof item === 'number') {
+        if (isNaN(item)) {
+          return 'NaN';
+        }
+        if (Object.is(item, -0)) {
+          return '-0.0';
+        }
+        return String(item);
+      }
+      if (typeof item === 'string') {
+        return JSON.stringify(item);
+      }
+      if (typeof item === 'boolean' || item === null || item === undefined) {
+        return String(item);
+      }
+      if (isBytes(item)) {
+        return `h'${Array.from(toBytes(item), byte => byte.toString(16).padStart(2, '0')).join('')}'`;
+      }
+      if (Array.isArray(item)) {
+        return list('[', ']', item.map(entry => show(entry, depth + 1)), depth);
+      }
+      if (isMap(item) || (typeof item === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(item)))) {
+        const entries = isMap(item) ? Array.from(item) : Object.entries(item);
+        return list('{', '}', entries.map(([key, entry]) => `${show(key, depth + 1)}: ${show(entry, depth + 1)}`), depth);
+      }
+      if (item instanceof Date) {
+        return `${TAGS.DATE_TIME}(${JSON.stringify(formatDateTime(item))})`;
+      }
+      if (item instanceof FullDate) {
+        return `${TAGS.FULL_DATE}(${JSON.stringify(item.value)})`;
+      }
+      if (item instanceof EncodedCbor) {
+        let embedded;
+        try {
+          embedded = item.decode();
+        } catch (err) {
+          return `${TAGS.ENCODED_CBOR}(${show(item.bytes, depth)})`;
+        }
+        return `${TAGS.ENCODED_CBOR}(<<${show(embedded, depth + 1)}>>)`;
+      }
+      if (item instanceof Tagged) {
+        return `${item.tag}(${show(item.value, depth + 1)})`;
+      }
+      throw new Error(`Cannot diagnose ${typeof item} values`);
+    }
+
+    return show(value, 0);
+  }
+
+  return {
+    TAGS,
+    Tagged,
+    EncodedCbor,
+    FullDate,
+    decode,
+    encode,
+    diagnose,
+    parseCoseSign1,
+    parseCoseMac0,
+    toBeSigned,
+    isBytes
+  };
+});
@@ -0,0 +1,410 @@
+/**
+ * OpenID4VP Client Identifier Prefixes
+ *
+ * Parses client_id values ("<prefix>:<identifier>") and enforces the rules
+ * of each prefix (OpenID4VP 1.0 Section 5.9). A client_id without a known
+ * prefix is a pre-registered client identifier, which the wallet has to
+ * know already.
+ *
+ * Each prefix has one validator with two checks:
+ * - unsigned(clientId, params): the request came with plain parameters
+ * - signed(clientId, request, context): the request object was signed and its
+ *   signature verified with the key requestKey() picked
+ *
+ * The parsed client identifier (value, prefix, identifier, description,
+ * verified) goes to the wallet and the wallet selector as _clientId. Only
+ * the background's checks count: the page runs them with deferTrust, and
+ * its _clientId is replaced by the background's (background.js).
+ *
+ * References:
+ * - OpenID4VP 1.0 Section 5.9.3: Defined Client Identifier Prefixes
+ * - OpenID4VP 1.0 Section 12: Verifier Attestation JWT
+ * - OpenID4VP 1.0 Appendix A.2: Client Identifier over the DC API
+ */
+
+/* global module, require, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS - JWS decoding and verification from jwt.js
+    module.exports = factory(require('./jwt.js'), require('./encoding.js'));
+  } else if (typeof define === 'function' && define.amd) {
+    define(['Jwt', 'Encoding'], factory);
+  } else {
+    if (!root.Jwt || !root.Encoding) {
+      console.error('Jwt or Encoding not found. Make sure encoding.js and jwt.js are loaded first.');
+      return;
+    }
+    root.ClientId = factory(root.Jwt, root.Encoding);
+  }
+})(typeof window !== 'undefined' ? window : this, function(Jwt, Encoding) {
+  'use strict';
+
+  // Prefix of client identifiers without a known prefix
+  const PRE_REGISTERED = 'pre-registered';
+
+  const DNS_NAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+  // base64url SHA-256 hash, without padding
+  const SHA256_HASH = /^[A-Za-z0-9_-]{43}$/;
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  /**
+   * Parse an absolute URL
+   * @returns {URL|null}
+   */
+  function parseUrl(value) {
+    try {
+      return new URL(value);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Require the x5c header of a signed request
+   */
+  function requireX5c(clientId, header) {
+    if (!Array.isArray(header.x5c) || header.x5c.length === 0 || header.x5c.some(value => typeof value !== 'string')) {
+      throw new Error(`client_id prefix ${clientId.prefix} requires an x5c certificate chain in the request object header`);
+    }
+  }
+
+  /**
+   * Validate a certificate chain with the validator of the context
+   * (the trust anchors of the extension, see x509.js)
+   * @returns {Promise<boolean>} True once the chain is trusted, false when
+   *   the context defers trust to the extension (deferTrust)
+   */
+  async function checkCertificateChain(chain, options, context) {
+    if (context.deferTrust) {
+      return false;
+    }
+    if (typeof context.certificateValidator !== 'function') {
+      throw new Error('certificate chain cannot be validated: no trust store available');
+    }
+    let result;
+    try {
+      result = await context.certificateValidator(chain, options);
+    } catch (err) {
+      result = { valid: false, error: err.message };
+    }
+    if (!result || !result.valid) {
+      throw new Error(`certificate chain is not trusted: ${(result && result.error) || 'Invalid chain'}`);
+    }
+    return true;
+  }
+
+  /**
+   * Reject requests that a prefix only allows signed
+   * A request passed by reference (request_uri) is checked once its request
+   * object is fetched.
+   */
+  function requireSigned(clientId, params) {
+    if (!params.request_uri) {
+      throw new Error(`client_id prefix ${clientId.prefix} requires a signed request`);
+    }
+  }
+
+  /**
+   * Decode the Verifier Attestation JWT of a request object header
+   */
+  function decodeAttestation(header) {
+    if (typeof header.jwt !== 'string') {
+      throw new Error('client_id prefix verifier_attestation requires a Verifier Attestation JWT in the jwt header');
+    }
+    const attestation = Jwt.decode(header.jwt);
+    if (attestation.header.typ !== 'verifier-attestation+jwt') {
+      throw new Error('Verifier Attestation JWT must have typ verifier-attestation+jwt');
+    }
+    if (!isObject(attestation.payload.cnf) || !isObject(attestation.payload.cnf.jwk)) {
+      throw new Error('Verifier Attestation JWT must include cnf.jwk');
+    }
+    return attestation;
+  }
+
+  /**
+   * Key of a did:jwk DID (the DID holds its JWK)
+   * @returns {Object|null} JWK, or null for other DID methods
+   */
+  function didJwk(did) {
+    if (!did.startsWith('did:jwk:')) {
+      return null;
+    }
+    try {
+      const jwk = JSON.parse(new TextDecoder().decode(Encoding.base64UrlDecode(did.slice('did:jwk:'.length))));
+      if (isObject(jwk)) {
+        return jwk;
+      }
+    } catch (err) {
+      // Reported below
+    }
+    throw new Error(`Invalid did:jwk client_id ${did}`);
+  }
+
+  // Validators per prefix: identifier syntax, description for display,
+  // unsigned and signed request rules
+  const PREFIXES = {
+    redirect_uri: {
+      parse(identifier) {
+        const url = parseUrl(identifier);
+        if (!url) {
+          throw new Error(`redirect_uri client_id must be a URL: ${identifier}`);
+        }
+        return `${url.host} (redirect URI, unsigned request)`;
+      },
+      // The response goes to the client identifier itself
+      unsigned(clientId, params) {
+        ['response_uri', 'redirect_uri'].forEach(name => {
+          if (params[name] && params[name] !== clientId.identifier) {
+            throw new Error(`${name} ${params[name]} does not match the redirect_uri client_id ${clientId.identifier}`);
+          }
+        });
+        return false;
+      },
+      async signed() {
+        throw new Error('client_id prefix redirect_uri does not allow signed requests');
+      }
+    },
+
+    x509_san_dns: {
+      parse(identifier) {
+        if (!DNS_NAME.test(identifier)) {
+          throw new Error(`x509_san_dns client_id must be a DNS name: ${identifier}`);
+        }
+        return `${identifier} (X.509 certificate)`;
+      },
+      unsigned(clientId, params) {
+        requireSigned(clientId, params);
+        return false;
+      },
+      // The leaf certificate names the DNS name and chains to a trust anchor;
+      // the response goes to that host
+      async signed(clientId, { header, claims }, context) {
+        requireX5c(clientId, header);
+        const trusted = await checkCertificateChain(header.x5c, { dnsName: clientId.identifier }, context);
+        const responseUri = claims.response_uri && parseUrl(claims.response_uri);
+        if (claims.response_uri && (!responseUri || responseUri.hostname !== clientId.identifier.toLowerCase())) {
+          throw new Error(`response_uri ${claims.response_uri} is not on the x509_san_dns client_id host ${clientId.identifier}`);
+        }
+        return trusted;
+      }
+    },
+
+    x509_hash: {
+      parse(identifier) {
+        if (!SHA256_HASH.test(identifier)) {
+          throw new Error(`x509_hash client_id must be a base64url SHA-256 hash: ${identifier}`);
+        }
+        return `X.509 certificate ${identifier.slice(0, 12)}…`;
+      },
+      unsigned(clientId, params) {
+        requireSigned(clientId, params);
+        return false;
+      },
+      // The identifier is the hash of the leaf certificate, which chains to a trust anchor
+      async signed(clientId, { header }, context) {
+        requireX5c(clientId, header);
+        let hash;
+        try {
+          hash = Encoding.base64UrlEncode(new Uint8Array(await crypto.subtle.digest('SHA-256', Encoding.base64Decode(header.x5c[0]))));
+        } catch (err) {
+          throw new Error(`Cannot hash the x5c leaf certificate: ${err.message}`);
+        }
+        if (hash !== clientId.identifier) {
+          throw new Error('x509_hash client_id does not match the hash of the x5c leaf certificate');
+        }
+        return checkCertificateChain(header.x5c, {}, context);
+      }
+    },
+
+    decentralized_identifier: {
+      parse(identifier) {
+        if (!/^did:[a-z0-9]+:.+/.test(identifier)) {
+          throw new Error(`decentralized_identifier client_id must be a DID: ${identifier}`);
+        }
+        return `${identifier} (DID)`;
+      },
+      unsigned(clientId, params) {
+        requireSigned(clientId, params);
+        return false;
+      },
+      // The request is signed with a key of the DID, named by a DID URL kid
+      async signed(clientId, { header }) {
+        if (typeof header.kid !== 'string' || !header.kid.startsWith(`${clientId.identifier}#`)) {
+          throw new Error('client_id prefix decentralized_identifier requires a kid that is a DID URL of the client_id');
+        }
+        return true;
+      }
+    },
+
+    verifier_attestation: {
+      parse(identifier) {
+        return `${identifier} (verifier attestation)`;
+      },
+      unsigned(clientId, params) {
+        requireSigned(clientId, params);
+        return false;
+      },
+      // The attestation is issued for the identifier by an issuer chaining to
+      // a trust anchor; its cnf key signed the request (see requestKey)
+      async signed(clientId, { header, claims }, context) {
+        const attestation = decodeAttestation(header);
+        const result = await Jwt.verify(header.jwt);
+        if (!result.valid) {
+          throw new Error(`Verifier Attestation JWT is invalid: ${result.error}`);
+        }
+        if (attestation.payload.sub !== clientId.identifier) {
+          throw new Error('Verifier Attestation JWT sub does not match the client_id');
+        }
+        if (typeof attestation.payload.exp !== 'number') {
+          throw new Error('Verifier Attestation JWT must include exp');
+        }
+        const redirectUris = attestation.payload.redirect_uris;
+        if (Array.isArray(redirectUris) && claims.response_uri && !redirectUris.includes(claims.response_uri)) {
+          throw new Error(`response_uri ${claims.response_uri} is not in the redirect_uris of the Verifier Attestation JWT`);
+        }
+        if (!Array.isArray(attestation.header.x5c)) {
+          throw new Error('Verifier Attestation JWT issuer cannot be trusted: no x5c certificate chain');
+        }
+        return checkCertificateChain(attestation.header.x5c, {}, context);
+      }
+    },
+
+    // Only the wallet derives origin client identifiers (unsigned requests
+    // over the DC API); a verifier cannot send one
+    origin: {
+      parse(identifier) {
+        return `${identifier} (web origin)`;
+      },
+      unsigned() {
+        throw new Error('client_id prefix origin is reserved for the wallet and cannot be used in requests');
+      },
+      async signed() {
+        throw new Error('client_id prefix origin is reserved for the wallet and cannot be used in requests');
+      }
+    },
+
+    [PRE_REGISTERED]: {
+      parse(identifier) {
+        return `${identifier} (pre-registered)`;
+      },
+      unsigned() {
+        return false;
+      },
+      // The wallet knows the verifier's keys; the extension does not
+      async signed() {
+        return false;
+      }
+    }
+  };
+
+  /**
+   * Parse a client_id
+   * @param {string} value - client_id
+   * @returns {Object} value, prefix, identifier, description and verified (false)
+   */
+  function parse(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new Error('client_id must be a non-empty string');
+    }
+    const separator = value.indexOf(':');
+    const candidate = separator > 0 ? value.slice(0, separator) : null;
+    const prefix = candidate && candidate !== PRE_REGISTERED && PREFIXES[candidate] ? candidate : PRE_REGISTERED;
+    const identifier = prefix === PRE_REGISTERED ? value : value.slice(separator + 1);
+    if (identifier.length === 0) {
+      throw new Error(`client_id ${value} has no identifier after the ${prefix} prefix`);
+    }
+    return {
+      value: value,
+      prefix: prefix,
+      identifier: identifier,
+      description: PREFIXES[prefix].parse(identifier),
+      verified: false
+    };
+  }
+
+  /**
+   * Client identifier of an unsigned request over the DC API: the calling origin
+   * @param {string} origin - Origin of the page
+   */
+  function fromOrigin(origin) {
+    return {
+      value: `origin:${origin}`,
+      prefix: 'origin',
+      identifier: origin,
+      description: PREFIXES.origin.parse(origin),
+      // The browser reports the origin
+      verified: true
+    };
+  }
+
+  /**
+   * Check an unsigned request (or one passed by reference) against its client_id
+   * @param {Object} clientId - parse() result
+   * @param {Object} params - Authorization request parameters
+   * @returns {Object} The client identifier
+   */
+  function validateUnsigned(clientId, params) {
+    return { ...clientId, verified: PREFIXES[clientId.prefix].unsigned(clientId, params) };
+  }
+
+  /**
+   * Key a signed request must verify with, when the client_id determines it
+   * @param {Object} clientId - parse() result
+   * @param {Object} header - Request object header
+   * @param {Object} [context] - { jwtVerifier }
+   * @returns {Object|null} Jwt.verify() options naming the key ({ jwk } or
+   *   { certificate }), or null when the prefix binds no key and the
+   *   wallet-registered verifier may verify the request
+   */
+  function requestKey(clientId, header, context = {}) {
+    if (clientId.prefix === 'x509_san_dns' || clientId.prefix === 'x509_hash') {
+      // The certificate authenticates the verifier: its key, not a wallet
+      // verifier, decides whether the request is genuine
+      requireX5c(clientId, header);
+      return { certificate: header.x5c[0] };
+    }
+    if (clientId.prefix === 'verifier_attestation') {
+      return { jwk: decodeAttestation(header).payload.cnf.jwk };
+    }
+    if (clientId.prefix === 'decentralized_identifier') {
+      const jwk = didJwk(clientId.identifier);
+      // A key in the header is not bound to the DID: only a wallet verifier
+      // can resolve other DID methods
+      if (!jwk && typeof context.jwtVerifier !== 'function') {
+        throw new Error(`Cannot resolve the key of ${clientId.identifier}: only did:jwk is supported without a wallet verifier`);
+      }
+      return jwk ? { jwk } : null;
+    }
+    return null;
+  }
+
+  /**
+   * Check a signed request against its client_id
+   * The signature must already be verified with requestKey()
+   * @param {Object} clientId - parse() result
+   * @param {Object} request - { header, claims } of the request object
+   * @param {Object} [context] - { certificateValidator }, or { deferTrust }
+   *   where trust cannot be decided (the page): chains are not validated
+   *   and the client identifier is left unverified
+   * @returns {Promise<Object>} The client identifier, verified when the
+   *   prefix authenticated the verifier
+   */
+  async function validateSigned(clientId, request, context = {}) {
+    return { ...clientId, verified: await PREFIXES[clientId.prefix].signed(clientId, request, context) };
+  }
+
+  return {
+    parse,
+    fromOrigin,
+    validateUnsigned,
+    validateSigned,
+    requestKey,
+    PREFIXES: Object.keys(PREFIXES).filter(prefix => prefix !== PRE_REGISTERED)
+  };
+});
@@ -0,0 +1,84 @@
+/**
+ * Confirmation window for wallets that pages register (window.DCWS.registerWallet)
+ * The background only stores the wallet once the user allows it here
+ */
+
+document.addEventListener('DOMContentLoaded', async function() {
+  const registrationOrigin = document.getElementById('registrationOrigin');
+  const walletName = document.getElementById('walletName');
+  const walletUrl = document.getElementById('walletUrl');
+  const walletDescription = document.getElementById('walletDescription');
+  const walletProtocols = document.getElementById('walletProtocols');
+  const statusText = document.getElementById('statusText');
+  const allowBtn = document.getElementById('allowBtn');
+  const denyBtn = document.getElementById('denyBtn');
+
+  // Cross-browser compatibility
+  const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+
+  const registrationId = new URLSearchParams(window.location.search).get('id');
+
+  allowBtn.addEventListener('click', () => decide(true));
+  denyBtn.addEventListener('click', () => decide(false));
+
+  try {
+    const registration = await runtime.sendMessage({
+      type: 'GET_WALLET_REGISTRATION',
+      registrationId: registrationId
+    });
+    if (!registration || registration.error) {
+      showStatus('This wallet registration is no longer pending.');
+      return;
+    }
+    displayRegistration(registration.wallet, registration.origin);
+  } catch (error) {
+    console.error('Error loading the wallet registration:', error);
+    showStatus('The wallet registration could not be loaded.');
+  }
+
+  /**
+   * Show the wallet the page asks to register
+   * Values come from the page: only ever set as text
+   */
+  function displayRegistration(wallet, origin) {
+    registrationOrigin.textContent = origin || 'An unknown page';
+    walletName.textContent = wallet.name;
+    walletUrl.textContent = wallet.url;
+    walletDescription.textContent = wallet.description || '';
+    walletDescription.style.display = wallet.description ? '' : 'none';
+    walletProtocols.textContent = (wallet.protocols || []).join(', ');
+    allowBtn.disabled = false;
+    denyBtn.disabled = false;
+  }
+
+  /**
+   * Show why the registration cannot be answered
+   */
+  function showStatus(message) {
+    statusText.textContent = message;
+    statusText.style.display = '';
+    allowBtn.disabled = true;
+    denyBtn.disabled = true;
+  }
+
+  /**
+   * Send the user's answer; the background closes the window
+   */
+  async function decide(allowed) {
+    allowBtn.disabled = true;
+    denyBtn.disabled = true;
+    try {
+      const response = await runtime.sendMessage({
+        type: 'WALLET_REGISTRATION_DECISION',
+        registrationId: registrationId,
+        allowed: allowed
+      });
+      if (!response || !response.success) {
+        showStatus('This wallet registration is no longer pending.');
+      }
+    } catch (error) {
+      console.error('Error answering the wallet registration:', error);
+      showStatus('The answer could not be sent.');
+    }
+  }
+});
@@ -1,47 +1,127 @@
 /**
  * Content script for W3C Digital Credentials API interceptor
- * Intercepts navigator.credentials.get calls and provides wallet selection
+ * Intercepts navigator.credentials.get/create calls and provides wallet selection
  */
 
+/* global WalletSelectorModal */
+
 (function() {
   'use strict';
 
   console.log('W3C Digital Credentials API Interceptor loaded');
 
-  // Inject the protocol plugins script first
-  const protocolsScript = document.createElement('script');
-  protocolsScript.src = chrome.runtime.getURL('protocols.js');
-  protocolsScript.onload = function() {
-    // Load OpenID4VP plugin
-    const openid4vpScript = document.createElement('script');
-    openid4vpScript.src = chrome.runtime.getURL('protocols/OpenID4VPPlugin.js');
-    openid4vpScript.onload = function() {
-      // Load modal script
-      const modalScript = document.createElement('script');
-      modalScript.src = chrome.runtime.getURL('modal.js');
-      modalScript.onload = function() {
-        // After all dependencies are loaded, inject the interception script
-        const script = document.createElement('script');
-        script.src = chrome.runtime.getURL('inject.js');
-        script.onload = function() {
-          this.remove();
-        };
-        (document.head || document.documentElement).appendChild(script);
-        this.remove();
-      };
-      (document.head || document.documentElement).appendChild(modalScript);
+  // Page-context scripts, in load order: the credential factory, request
+  // lifecycle, CBOR, SD-JWT and JWT codecs and plugin base classes first, then the
+  // protocol plugins and finally the interception script. The wallet selector
+  // (modal.js) is not among them: it runs in this isolated world
+  const PAGE_SCRIPTS = [
+    'credential.js',
+    'lifecycle.js',
+    'cbor.js',
+    'encoding.js',
+    'sdjwt.js',
+    'jwt.js',
+    'clientid.js',
+    'dcql.js',
+    'protocols.js',
+    'protocols/OpenID4VPPlugin.js',
+    'protocols/OpenID4VCIPlugin.js',
+    'protocols/MdocPlugin.js',
+    'inject.js'
+  ];
+
+  // Page-context scripts that talk to this content script over a channel
+  const CHANNEL_SCRIPTS = ['inject.js'];
+
+  /**
+   * Channels to the page-context scripts: script file -> MessagePort
+   *
+   * Only messages arriving on these ports are handled, not events on the
+   * window. The channels are not private, though: a page script can watch
+   * for the injected <script> element and take its port, and inject.js runs
+   * among the page's scripts anyway. So a channel only carries what the page
+   * could ask for through the Digital Credentials API itself; the wallet
+   * choice is made in modal.js, in this isolated world, and never crosses it.
+   */
+  const pagePorts = {};
+
+  /**
+   * Inject page-context scripts one after another
+   * Each script is removed from the DOM once it has executed
+   */
+  function injectScripts(files) {
+    if (files.length === 0) {
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = chrome.runtime.getURL(files[0]);
+    script.onload = function() {
       this.remove();
+      if (CHANNEL_SCRIPTS.includes(files[0])) {
+        connectPageScript(this, files[0]);
+      }
+      injectScripts(files.slice(1));
     };
-    (document.head || document.documentElement).appendChild(openid4vpScript);
-    this.remove();
-  };
-  (document.head || document.documentElement).appendChild(protocolsScript);
+    (document.head || document.documentElement).appendChild(script);
+  }
 
-  // Listen for credential requests from the injected script
-  window.addEventListener('DC_CREDENTIALS_REQUEST', async function(event) {
-    console.log('Digital Credentials API call intercepted:', event.detail);
-    
-    const { requestId, requests, options } = event.detail;
+  /**
+   * Hand a MessagePort to a page-context script that has just run
+   * The port is delivered on the script element, already removed from the
+   * document, where the script listened for it (document.currentScript):
+   * the event does not reach listeners on the document or window
+   * @param {HTMLScriptElement} script - The executed script element
+   * @param {string} file - Script file, selecting the message handlers
+   */
+  function connectPageScript(script, file) {
+    const channel = new MessageChannel();
+    pagePorts[file] = channel.port1;
+    channel.port1.onmessage = function(event) {
+      handlePageMessage(file, event.data);
+    };
+    script.dispatchEvent(new MessageEvent('message', {
+      data: { type: 'DC_CHANNEL_CONNECT' },
+      ports: [channel.port2]
+    }));
+  }
+
+  /**
+   * Send a message to a page-context script over its channel
+   * @param {string} file - Script file (inject.js)
+   * @param {string} type - Message type
+   * @param {Object} detail - Message data
+   */
+  function postToPage(file, type, detail) {
+    const port = pagePorts[file];
+    if (!port) {
+      console.warn(`No channel to ${file}, dropping ${type}`);
+      return;
+    }
+    port.postMessage({ type: type, detail: detail });
+  }
+
+  /**
+   * Dispatch a message received from a page-context script
+   * Each script may only send the message types listed for it
+   */
+  function handlePageMessage(file, message) {
+    const handlers = PAGE_MESSAGE_HANDLERS[file];
+    if (!message || !Object.prototype.hasOwnProperty.call(handlers, message.type)) {
+      console.warn(`Ignoring unexpected message from ${file}:`, message && message.type);
+      return;
+    }
+    handlers[message.type](message.detail || {});
+  }
+
+  injectScripts(PAGE_SCRIPTS);
+
+  /**
+   * Ask the background for matching wallets and show the wallet selector
+   * @param {Object} detail - Request from inject.js
+   * @param {string} operation - 'get' (presentation) or 'create' (issuance)
+   */
+  async function handleCredentialRequest(detail, operation) {
+    const { requestId, nativeProtocols, options } = detail;
     
     try {
       // Get configured wallets from background script
@@ -51,86 +131,616 @@
       const response = await runtime.sendMessage({
         type: 'SHOW_WALLET_SELECTOR',
         requestId: requestId,
-        requests: requests,
+        requests: detail.requests,
         options: options,
+        operation: operation,
+        mediation: options && options.mediation,
         origin: window.location.origin
       });
-
+      
       if (response.useNative) {
         // Extension disabled or no matching wallets, use native API
-        window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-          detail: {
-            requestId: requestId,
-            useNative: true
-          }
-        }));
+        postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+          requestId: requestId,
+          useNative: true
+        });
+        return;
+      }
+
+      if (response.cancelled) {
+        // The request settled while waiting for the tab's wallet selector
         return;
       }
 
-      // Show wallet selection modal by dispatching event to the page context
-      // (modal.js runs in page context, content.js runs in content script context)
-      window.dispatchEvent(new CustomEvent('DC_SHOW_WALLET_SELECTOR', {
-        detail: {
+      if (response.notAllowed) {
+        // Silent mediation without a remembered wallet
+        postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
           requestId: requestId,
-          wallets: response.wallets,
-          requests: requests
+          error: response.error,
+          errorName: 'NotAllowedError'
+        });
+        return;
+      }
+
+      // The requests that passed the background's trust checks, with the
+      // client identifier it verified
+      const requests = response.requests;
+
+      // The protocol plugins pick the request each wallet receives, and
+      // exclude wallets that cannot handle any of them
+      const candidates = response.silentWallet ? [response.silentWallet] : response.wallets;
+      const matches = await matchWallets(requestId, candidates, requests);
+      if (!matches) {
+        // The request was aborted while the wallets were looked up
+        return;
+      }
+      const { offered, excluded } = applyWalletMatches(candidates, requests, matches);
+      excluded.forEach(({ wallet, reasons }) => {
+        console.log('Wallet excluded:', wallet.name, reasons);
+      });
+
+      if (response.silentWallet) {
+        // Silent mediation: invoke the remembered wallet without a selector
+        if (offered.length === 0) {
+          postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+            requestId: requestId,
+            error: 'The wallet previously chosen on this origin cannot handle this request',
+            errorName: 'NotAllowedError'
+          });
+          return;
         }
-      }));
+        const selectedRequest = requests[offered[0].requestIndex];
+        await invokeSelectedWallet({
+          requestId: requestId,
+          walletId: response.silentWallet.id,
+          wallet: response.silentWallet,
+          protocol: selectedRequest.protocol,
+          requestIndex: offered[0].requestIndex,
+          selectedRequest: selectedRequest
+        });
+        return;
+      }
+
+      if (offered.length === 0) {
+        // No wallet holds what the verifier asks for
+        console.log('No wallet can handle the requests, using native API');
+        postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+          requestId: requestId,
+          useNative: true
+        });
+        return;
+      }
+
+      // The user is now choosing a wallet: the configured request timeout applies
+      postToPage('inject.js', 'DC_WALLET_SELECTOR_SHOWN', {
+        requestId: requestId,
+        requestTimeout: response.requestTimeout
+      });
+      
+      const selector = {
+        requestId: requestId,
+        wallets: offered.map(match => match.wallet),
+        // Index into requests of the request each offered wallet receives
+        walletRequests: offered.map(match => match.requestIndex),
+        excludedWallets: excluded.map(({ wallet, reasons }) => ({
+          id: wallet.id,
+          name: wallet.name,
+          icon: wallet.icon,
+          reasons: reasons
+        })),
+        requests: requests,
+        nativeProtocols: nativeProtocols || [],
+        operation: operation
+      };
+
+      if (window.top !== window) {
+        // Embedded frame: the selector is shown in the top-level frame
+        await showSelectorInTopFrame(selector);
+        return;
+      }
+
+      showSelector(selector);
     } catch (error) {
       console.error('Error handling credential request:', error);
       
-      // Dispatch error back to the page
-      window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-        detail: {
-          requestId: requestId,
-          error: error.message
-        }
-      }));
+      // Send the error back to the page
+      postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+        requestId: requestId,
+        error: error.message
+      });
+    }
+  }
+
+  // Wallet matches asked of inject.js: requestId -> resolve
+  const walletMatchRequests = new Map();
+
+  /**
+   * Ask the protocol plugins, which run with inject.js, which request each
+   * wallet should receive
+   * @param {string} requestId - Request ID
+   * @param {Object[]} wallets - Candidate wallets
+   * @param {Object[]} requests - Requests the background accepted
+   * @returns {Promise<Object[]|null>} One match per wallet (walletId,
+   *   requestIndex into requests, reasons), or null when the request is no
+   *   longer pending
+   */
+  function matchWallets(requestId, wallets, requests) {
+    return new Promise((resolve) => {
+      walletMatchRequests.set(requestId, resolve);
+      postToPage('inject.js', 'DC_MATCH_WALLETS', { requestId: requestId, wallets: wallets, requests: requests });
+    });
+  }
+
+  /**
+   * Split wallets into those offered with the request they receive and
+   * those the protocol plugins excluded
+   * The matches come from the page, so only requests of this call are used
+   * @param {Object[]} wallets - Candidate wallets
+   * @param {Object[]} requests - Requests of the call
+   * @param {Object[]} matches - Matches from inject.js
+   * @returns {Object} offered: [{ wallet, requestIndex }], excluded: [{ wallet, reasons }]
+   */
+  function applyWalletMatches(wallets, requests, matches) {
+    const offered = [];
+    const excluded = [];
+    wallets.forEach(wallet => {
+      const match = matches.find(m => m && m.walletId === wallet.id);
+      if (match && Number.isInteger(match.requestIndex) &&
+          match.requestIndex >= 0 && match.requestIndex < requests.length) {
+        offered.push({ wallet: wallet, requestIndex: match.requestIndex });
+      } else {
+        const reasons = match && Array.isArray(match.reasons) ? match.reasons.map(String) : [];
+        excluded.push({ wallet: wallet, reasons: reasons });
+      }
+    });
+    return { offered: offered, excluded: excluded };
+  }
+
+  // Wallet selectors shown by modal.js in this frame: requestId -> selector
+  const openSelectors = new Map();
+
+  /**
+   * Show the wallet selector (modal.js)
+   * @param {Object} selector - requestId, wallets, walletRequests, excludedWallets,
+   *   requests, nativeProtocols, operation, requesterOrigin
+   */
+  function showSelector(selector) {
+    const requestId = selector.requestId;
+    openSelectors.set(requestId, selector);
+    WalletSelectorModal.show(selector, {
+      onSelect: (walletId) => handleWalletSelected(requestId, walletId),
+      onNative: () => handleSelectorClosed(requestId, { useNative: true, unsupportedOnly: true }),
+      onCancel: () => handleSelectorClosed(requestId, { cancelled: true })
+    });
+  }
+
+  /**
+   * Close the wallet selector of a request without a choice
+   * @param {string} requestId - Request ID
+   */
+  function closeSelector(requestId) {
+    if (openSelectors.delete(requestId)) {
+      WalletSelectorModal.close(requestId);
+    }
+  }
+
+  /**
+   * Invoke the wallet chosen in the selector; only wallets the selector
+   * offered are accepted
+   * @param {string} requestId - Request ID
+   * @param {string} walletId - ID of the chosen wallet
+   */
+  function handleWalletSelected(requestId, walletId) {
+    console.log('Wallet selected from modal:', walletId);
+    const selection = resolveSelection(requestId, walletId);
+    if (!selection) {
+      console.warn('Ignoring selection of a wallet that was not offered:', walletId);
+      return;
+    }
+    // The embedded frame that asked for the selector invokes the wallet
+    // itself, but only this frame has the user's click to open its window
+    const walletOrigin = new URL(selection.wallet.url).origin;
+    const frame = frameSelectors.get(requestId);
+    if (frame) {
+      reserveWalletWindow(frameWallets, requestId, walletOrigin, frame.requesterOrigin);
+      answerFrameSelector(requestId, { selection: selection });
+      return;
+    }
+    reserveWalletWindow(walletWindows, requestId, walletOrigin, null);
+    invokeSelectedWallet(selection);
+  }
+
+  /**
+   * Apply the browser wallet or cancel choice made in the selector
+   * @param {string} requestId - Request ID
+   * @param {Object} choice - useNative and unsupportedOnly, or cancelled
+   */
+  function handleSelectorClosed(requestId, choice) {
+    const { useNative, unsupportedOnly, cancelled } = choice;
+    if (!openSelectors.delete(requestId)) {
+      return;
+    }
+    if (answerFrameSelector(requestId, { useNative, unsupportedOnly, cancelled })) {
+      return;
+    }
+    postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', { requestId, useNative, unsupportedOnly, cancelled });
+  }
+
+  /**
+   * Resolve a wallet chosen in the selector against the wallets it offered
+   * @param {string} requestId - Request ID
+   * @param {string} walletId - ID of the chosen wallet
+   * @returns {Object|null} Selection (requestId, walletId, wallet, protocol,
+   *   requestIndex, selectedRequest), or null when no selector offered this wallet
+   */
+  function resolveSelection(requestId, walletId) {
+    const selector = openSelectors.get(requestId);
+    const index = selector ? selector.wallets.findIndex(w => w.id === walletId) : -1;
+    if (index === -1) {
+      return null;
+    }
+    openSelectors.delete(requestId);
+
+    // The request the protocol plugins picked for this wallet
+    const wallet = selector.wallets[index];
+    const requestIndex = selector.walletRequests[index];
+    const selectedRequest = selector.requests[requestIndex];
+
+    return {
+      requestId: requestId,
+      walletId: wallet.id,
+      wallet: wallet,
+      protocol: selectedRequest.protocol,
+      requestIndex: requestIndex,
+      selectedRequest: selectedRequest
+    };
+  }
+
+  /**
+   * Show the wallet selector of this embedded frame in the top-level frame
+   * and apply the user's choice to the request pending in this frame
+   * @param {Object} selector - Selector to show
+   */
+  async function showSelectorInTopFrame(selector) {
+    const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+    const result = await runtime.sendMessage({ type: 'RELAY_WALLET_SELECTOR', selector: selector });
+
+    if (!result || result.closed) {
+      // The request settled before the user chose
+      return;
+    }
+
+    if (result.selection) {
+      // The top-level frame opened the wallet window on the user's click
+      topFrameWallets.add(selector.requestId);
+      await invokeSelectedWallet({ ...result.selection, requestId: selector.requestId });
+      return;
+    }
+
+    // Browser wallet or cancel
+    postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+      requestId: selector.requestId,
+      useNative: result.useNative,
+      unsupportedOnly: result.unsupportedOnly,
+      cancelled: result.cancelled
+    });
+  }
+
+  // Wallet selectors shown in this top-level frame on behalf of embedded
+  // frames: requestId -> { respond, requesterOrigin }, respond being the
+  // sendResponse of the relayed selector
+  const frameSelectors = new Map();
+
+  /**
+   * Report the user's choice in a selector shown for an embedded frame
+   * @returns {boolean} True if the request belongs to an embedded frame
+   */
+  function answerFrameSelector(requestId, result) {
+    const frame = frameSelectors.get(requestId);
+    if (!frame) {
+      return false;
+    }
+    frameSelectors.delete(requestId);
+    frame.respond(result);
+    return true;
+  }
+
+  // Wallet windows opened on the user's click, before the wallet URL is
+  // known: requestId -> { walletWindow, walletOrigin, requesterOrigin, messageHandler, respond }.
+  // Those of this frame's requests, and those this top-level frame opened for
+  // embedded frames, whose request IDs are theirs
+  const walletWindows = new Map();
+  const frameWallets = new Map();
+
+  // Requests of this embedded frame whose wallet window the top-level frame opened
+  const topFrameWallets = new Set();
+
+  /**
+   * Open a blank window for the wallet chosen for a request
+   * Called on the user's click, which the browser requires to open a window:
+   * the wallet URL is only known once the background has built it (see
+   * loadWalletWindow). Embedded frames have no user activation, so the
+   * top-level frame opens the windows of their wallets
+   * @param {Map} windows - walletWindows or frameWallets
+   * @param {string} requestId - Request ID
+   * @param {string} walletOrigin - Origin of the chosen wallet
+   * @param {string|null} requesterOrigin - Origin of the embedded frame, if any
+   */
+  function reserveWalletWindow(windows, requestId, walletOrigin, requesterOrigin) {
+    const walletWindow = window.open('about:blank', '_blank');
+    if (!walletWindow) {
+      console.error('Failed to open wallet window - popup may be blocked');
+    }
+    windows.set(requestId, {
+      walletWindow: walletWindow,
+      walletOrigin: walletOrigin,
+      requesterOrigin: requesterOrigin,
+      messageHandler: null,
+      respond: null
+    });
+  }
+
+  /**
+   * Load the wallet URL into the window opened for a request, and pass the
+   * wallet's response on
+   * @param {Map} windows - walletWindows or frameWallets
+   * @param {string} requestId - Request ID
+   * @param {string} href - Wallet URL, built by the background
+   * @param {Function} respond - Called with { response } when the wallet answers
+   * @returns {string|null} Why the wallet could not be opened, or null
+   */
+  function loadWalletWindow(windows, requestId, href, respond) {
+    const entry = windows.get(requestId);
+    if (!entry || entry.respond) {
+      return 'No wallet window was opened for this request';
+    }
+
+    let url;
+    try {
+      url = new URL(href);
+    } catch (error) {
+      url = null;
     }
+    if (!url || url.origin !== entry.walletOrigin) {
+      closeWalletWindow(windows, requestId, null);
+      return 'Wallet URL is not on the origin of the chosen wallet';
+    }
+    if (!entry.walletWindow || entry.walletWindow.closed) {
+      closeWalletWindow(windows, requestId, null);
+      return 'Failed to open wallet window - popup blocked by browser';
+    }
+
+    // The wallet answers its opener, this frame
+    entry.messageHandler = function(event) {
+      if (event.origin !== entry.walletOrigin || !event.data ||
+          event.data.type !== 'DC_WALLET_RESPONSE' || event.data.requestId !== requestId) {
+        return;
+      }
+      console.log('Received wallet response:', requestId);
+      closeWalletWindow(windows, requestId, { response: event.data.response }, false);
+    };
+    window.addEventListener('message', entry.messageHandler);
+    entry.respond = respond;
+    entry.walletWindow.location.href = url.href;
+    return null;
+  }
+
+  /**
+   * Stop waiting for the wallet of a request
+   * @param {Map} windows - walletWindows or frameWallets
+   * @param {string} requestId - Request ID
+   * @param {Object|null} result - Answer for whoever waits for the wallet, if any
+   * @param {boolean} [closeWindow=true] - Also close the wallet window
+   */
+  function closeWalletWindow(windows, requestId, result, closeWindow = true) {
+    const entry = windows.get(requestId);
+    if (!entry) {
+      return;
+    }
+    windows.delete(requestId);
+    if (entry.messageHandler) {
+      window.removeEventListener('message', entry.messageHandler);
+    }
+    if (closeWindow && entry.walletWindow && !entry.walletWindow.closed) {
+      entry.walletWindow.close();
+    }
+    if (entry.respond && result) {
+      entry.respond(result);
+    }
+  }
+
+  /**
+   * Load the wallet URL of an embedded frame's request into the window
+   * opened for it, and answer with the wallet's response
+   * @param {Object} message - requestId, url, requesterOrigin
+   * @param {Function} sendResponse - Answered with { response }, { error } or { closed }
+   * @returns {boolean} True if sendResponse is called later
+   */
+  function loadFrameWallet(message, sendResponse) {
+    const { requestId, requesterOrigin } = message;
+    const frameWallet = frameWallets.get(requestId);
+    if (!frameWallet || frameWallet.requesterOrigin !== requesterOrigin) {
+      sendResponse({ error: 'No wallet window was opened for this request' });
+      return false;
+    }
+    const error = loadWalletWindow(frameWallets, requestId, message.url, sendResponse);
+    if (error) {
+      sendResponse({ error: error });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Release the wallet window of a settled request of this frame
+   * A window still blank, or that of an aborted request, is closed; the
+   * wallet closes its own window once it has answered
+   * @param {string} requestId - Request ID
+   * @param {string} [outcome] - Outcome of the request
+   */
+  function releaseWalletWindow(requestId, outcome) {
+    topFrameWallets.delete(requestId);
+    const entry = walletWindows.get(requestId);
+    if (entry) {
+      closeWalletWindow(walletWindows, requestId, null, !entry.respond || outcome === 'aborted');
+    }
+  }
+
+  // Show and close selectors relayed from embedded frames by the background
+  const runtimeApi = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+  runtimeApi.onMessage.addListener(function(message, sender, sendResponse) {
+    if (message.type === 'SHOW_FRAME_WALLET_SELECTOR') {
+      console.log('Showing wallet selector for embedded frame:', message.requesterOrigin);
+      frameSelectors.set(message.selector.requestId, {
+        respond: sendResponse,
+        requesterOrigin: message.requesterOrigin
+      });
+      showSelector({ ...message.selector, requesterOrigin: message.requesterOrigin });
+      return true; // Respond once the user has chosen
+    }
+
+    if (message.type === 'OPEN_FRAME_WALLET_WINDOW') {
+      return loadFrameWallet(message, sendResponse);
+    }
+
+    // The embedded frame's request settled: close its selector or wallet window
+    if (message.type === 'CLOSE_FRAME_WALLET_SELECTOR') {
+      if (answerFrameSelector(message.requestId, { closed: true })) {
+        closeSelector(message.requestId);
+      }
+      closeWalletWindow(frameWallets, message.requestId, { closed: true });
+      return false;
+    }
+
+    return false;
   });
 
-  // Listen for wallet selection from the page context (modal.js)
-  window.addEventListener('DC_WALLET_SELECTED', async function(event) {
-    console.log('Wallet selected from modal:', event.detail);
-    const { requestId, walletId, wallet, protocol, selectedRequest } = event.detail;
+  /**
+   * Tell the background which wallet was chosen and invoke it from the page
+   * @param {Object} selection - requestId, walletId, wallet, protocol,
+   *   requestIndex, selectedRequest
+   */
+  async function invokeSelectedWallet(selection) {
+    const { requestId, walletId, wallet, protocol, requestIndex, selectedRequest } = selection;
     
     try {
       const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
       
-      // Notify background script
-      await runtime.sendMessage({
+      // Notify background script, which answers with the wallet's response timeout
+      const response = await runtime.sendMessage({
         type: 'WALLET_SELECTED',
         walletId: walletId,
         requestId: requestId,
-        protocol: protocol
+        requestIndex: requestIndex,
+        protocol: protocol,
+        origin: window.location.origin
+      });
+      
+      // The page runs the beforeInvoke hooks, then asks for the wallet to be opened
+      postToPage('inject.js', 'DC_INVOKE_WALLET', {
+        requestId: requestId,
+        wallet: wallet,
+        protocol: protocol,
+        request: selectedRequest,
+        timeout: response && response.walletTimeout
       });
-
-      // Invoke the wallet
-      window.dispatchEvent(new CustomEvent('DC_INVOKE_WALLET', {
-        detail: {
-          requestId: requestId,
-          wallet: wallet,
-          protocol: protocol,
-          request: selectedRequest
-        }
-      }));
     } catch (error) {
       console.error('Error handling wallet selection:', error);
-      window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-        detail: {
+      releaseWalletWindow(requestId);
+      postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+        requestId: requestId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Open the wallet of a request at the URL the background builds from the
+   * request it checked, and pass the wallet's response to the page
+   * @param {Object} detail - requestId, and the request data after the
+   *   page's beforeInvoke hooks
+   */
+  async function openWallet(detail) {
+    const { requestId, data } = detail;
+    const inTopFrame = topFrameWallets.delete(requestId);
+
+    try {
+      const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+      const invocation = await runtime.sendMessage({
+        type: 'BUILD_WALLET_INVOCATION',
+        requestId: requestId,
+        data: data
+      });
+      if (!invocation || invocation.error) {
+        throw new Error(invocation ? invocation.error : 'The wallet invocation could not be built');
+      }
+      console.log('Opening wallet URL:', invocation.invocationUrl);
+
+      if (inTopFrame) {
+        await openWalletInTopFrame(requestId, invocation);
+        return;
+      }
+
+      if (!walletWindows.has(requestId)) {
+        // Silent mediation: no click in the selector opened a window
+        reserveWalletWindow(walletWindows, requestId, new URL(invocation.invocationUrl).origin, null);
+      }
+      const error = loadWalletWindow(walletWindows, requestId, invocation.invocationUrl, (result) => {
+        postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
           requestId: requestId,
-          error: error.message
-        }
-      }));
+          response: result.response,
+          protocol: invocation.protocol
+        });
+      });
+      if (error) {
+        throw new Error(error);
+      }
+      postToPage('inject.js', 'DC_WALLET_OPENED', { requestId: requestId, requestData: invocation.requestData });
+    } catch (error) {
+      console.error('Error opening wallet:', error);
+      releaseWalletWindow(requestId);
+      postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', {
+        requestId: requestId,
+        error: error.message
+      });
     }
-  });
+  }
+
+  /**
+   * Have the top-level frame load the wallet URL of this embedded frame's
+   * request into the window it opened, and pass the wallet's response on
+   * @param {string} requestId - Request ID
+   * @param {Object} invocation - protocol, invocationUrl and requestData
+   *   built by the background
+   */
+  async function openWalletInTopFrame(requestId, invocation) {
+    const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+
+    // The request awaits the wallet before the top-level frame relays its response
+    postToPage('inject.js', 'DC_WALLET_OPENED', { requestId: requestId, requestData: invocation.requestData });
+    const result = await runtime.sendMessage({
+      type: 'OPEN_FRAME_WALLET',
+      requestId: requestId,
+      url: invocation.invocationUrl
+    });
+
+    if (!result || result.closed) {
+      // The request settled before the wallet responded
+      return;
+    }
+    postToPage('inject.js', 'DC_CREDENTIALS_RESPONSE', result.error
+      ? { requestId: requestId, error: result.error }
+      : { requestId: requestId, response: result.response, protocol: invocation.protocol });
+  }
+
+  /**
+   * Handle wallet registration requests
+   */
+  async function handleWalletRegistration(detail) {
+    console.log('Wallet registration request:', detail);
+
+    const { registrationId, wallet } = detail;
 
-  // Listen for wallet registration requests
-  window.addEventListener('DC_WALLET_REGISTRATION_REQUEST', async function(event) {
-    console.log('Wallet registration request:', event.detail);
-    
-    const { registrationId, wallet } = event.detail;
-    
     try {
       const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
       
@@ -142,34 +752,32 @@
       });
       
       // Send response back to page
-      window.dispatchEvent(new CustomEvent('DC_WALLET_REGISTRATION_RESPONSE', {
-        detail: {
-          registrationId: registrationId,
-          success: response.success,
-          alreadyRegistered: response.alreadyRegistered,
-          wallet: response.wallet,
-          error: response.error
-        }
-      }));
+      postToPage('inject.js', 'DC_WALLET_REGISTRATION_RESPONSE', {
+        registrationId: registrationId,
+        success: response.success,
+        alreadyRegistered: response.alreadyRegistered,
+        wallet: response.wallet,
+        error: response.error
+      });
     } catch (error) {
       console.error('Error handling wallet registration:', error);
       
-      window.dispatchEvent(new CustomEvent('DC_WALLET_REGISTRATION_RESPONSE', {
-        detail: {
-          registrationId: registrationId,
-          success: false,
-          error: error.message
-        }
-      }));
+      postToPage('inject.js', 'DC_WALLET_REGISTRATION_RESPONSE', {
+        registrationId: registrationId,
+        success: false,
+        error: error.message
+      });
     }
-  });
+  }
+
+  /**
+   * Handle wallet check requests
+   */
+  async function handleWalletCheck(detail) {
+    console.log('Wallet check request:', detail);
+
+    const { checkId, url } = detail;
 
-  // Listen for wallet check requests
-  window.addEventListener('DC_WALLET_CHECK_REQUEST', async function(event) {
-    console.log('Wallet check request:', event.detail);
-    
-    const { checkId, url } = event.detail;
-    
     try {
       const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
       
@@ -178,30 +786,28 @@
         url: url
       });
       
-      window.dispatchEvent(new CustomEvent('DC_WALLET_CHECK_RESPONSE', {
-        detail: {
-          checkId: checkId,
-          isRegistered: response.isRegistered
-        }
-      }));
+      postToPage('inject.js', 'DC_WALLET_CHECK_RESPONSE', {
+        checkId: checkId,
+        isRegistered: response.isRegistered
+      });
     } catch (error) {
       console.error('Error checking wallet:', error);
       
-      window.dispatchEvent(new CustomEvent('DC_WALLET_CHECK_RESPONSE', {
-        detail: {
-          checkId: checkId,
-          isRegistered: false
-        }
-      }));
+      postToPage('inject.js', 'DC_WALLET_CHECK_RESPONSE', {
+        checkId: checkId,
+        isRegistered: false
+      });
     }
-  });
+  }
+
+  /**
+   * Handle protocol update requests
+   */
+  async function handleProtocolsUpdate(detail) {
+    console.log('Protocols update request:', detail);
+
+    const { updateId } = detail;
 
-  // Listen for protocol update requests
-  window.addEventListener('DC_PROTOCOLS_UPDATE_REQUEST', async function(event) {
-    console.log('Protocols update request:', event.detail);
-    
-    const { updateId } = event.detail;
-    
     try {
       const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
       
@@ -209,23 +815,85 @@
         type: 'GET_SUPPORTED_PROTOCOLS'
       });
       
-      window.dispatchEvent(new CustomEvent('DC_PROTOCOLS_UPDATE_RESPONSE', {
-        detail: {
-          updateId: updateId,
-          protocols: response.protocols
-        }
-      }));
+      postToPage('inject.js', 'DC_PROTOCOLS_UPDATE_RESPONSE', {
+        updateId: updateId,
+        protocols: response.protocols
+      });
     } catch (error) {
       console.error('Error getting supported protocols:', error);
       
-      window.dispatchEvent(new CustomEvent('DC_PROTOCOLS_UPDATE_RESPONSE', {
-        detail: {
-          updateId: updateId,
-          protocols: []
+      postToPage('inject.js', 'DC_PROTOCOLS_UPDATE_RESPONSE', {
+        updateId: updateId,
+        protocols: []
+      });
+    }
+  }
+
+  // Messages each page-context script may send over its channel
+  const PAGE_MESSAGE_HANDLERS = {
+    'inject.js': {
+      DC_CREDENTIALS_REQUEST: function(detail) {
+        console.log('Digital Credentials API call intercepted:', detail);
+        handleCredentialRequest(detail, 'get');
+      },
+
+      DC_CREDENTIALS_CREATE: function(detail) {
+        console.log('Digital Credentials API create call intercepted:', detail);
+        handleCredentialRequest(detail, 'create');
+      },
+
+      // Requests picked for each wallet by the protocol plugins
+      DC_WALLET_MATCHES: function(detail) {
+        const resolve = walletMatchRequests.get(detail.requestId);
+        if (!resolve) {
+          return;
+        }
+        walletMatchRequests.delete(detail.requestId);
+        resolve(Array.isArray(detail.matches) ? detail.matches : null);
+      },
+
+      // Aborted requests: close the selector and let the background drop its per-tab state
+      DC_REQUEST_ABORTED: function(detail) {
+        console.log('Credential request aborted:', detail);
+        closeSelector(detail.requestId);
+        releaseWalletWindow(detail.requestId, 'aborted');
+
+        const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+        runtime.sendMessage({
+          type: 'REQUEST_ABORTED',
+          requestId: detail.requestId
+        }).catch(err => {
+          console.error('Error reporting aborted request:', err);
+        });
+      },
+
+      // Forward request lifecycle events so the popup and developer tooling can
+      // follow them, close the selector of requests settled without a choice
+      // and release their wallet window
+      DC_REQUEST_LIFECYCLE: function(detail) {
+        if (detail.state === 'settled') {
+          closeSelector(detail.requestId);
+          releaseWalletWindow(detail.requestId, detail.outcome);
         }
-      }));
+
+        const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+        runtime.sendMessage({
+          type: 'REQUEST_LIFECYCLE',
+          event: detail,
+          origin: window.location.origin
+        }).catch(err => {
+          console.error('Error reporting request lifecycle event:', err);
+        });
+      },
+
+      // A request's beforeInvoke hooks ran: open its wallet
+      DC_OPEN_WALLET: openWallet,
+
+      DC_WALLET_REGISTRATION_REQUEST: handleWalletRegistration,
+      DC_WALLET_CHECK_REQUEST: handleWalletCheck,
+      DC_PROTOCOLS_UPDATE_REQUEST: handleProtocolsUpdate
     }
-  });
+  };
 
   // Notify extension that content script is ready
   const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
@@ -0,0 +1,193 @@
+/**
+ * DigitalCredential factory for the Digital Credentials API
+ * Builds the credential objects returned from intercepted
+ * navigator.credentials.get() / create() calls
+ *
+ * When the browser implements DigitalCredential, credentials are created on
+ * the native prototype so `instanceof DigitalCredential` and
+ * `instanceof Credential` hold. Otherwise a polyfill following the
+ * W3C Digital Credentials interface is used:
+ *
+ *   interface DigitalCredential : Credential {
+ *     [Default] object toJSON();
+ *     readonly attribute DOMString protocol;
+ *     readonly attribute object data;
+ *     static boolean userAgentAllowsProtocol(DOMString protocol);
+ *   };
+ *
+ * Reference: https://w3c-fedid.github.io/digital-credentials/
+ */
+
+/* global module */
+
+(function() {
+  'use strict';
+
+  // Internal slots of polyfilled credentials ([[id]], [[type]], [[protocol]], [[data]])
+  const credentialSlots = new WeakMap();
+
+  /**
+   * Read the internal slots of a polyfilled credential
+   * Throws like a native attribute getter when called on a foreign object
+   */
+  function getCredentialSlots(credential) {
+    const slots = credentialSlots.get(credential);
+    if (!slots) {
+      throw new TypeError('Illegal invocation');
+    }
+    return slots;
+  }
+
+  /**
+   * Define the polyfill classes on top of the scope's Credential, if any
+   * @param {Object} scope - Global object (window)
+   * @returns {Function} DigitalCredential polyfill class
+   */
+  function defineDigitalCredentialPolyfill(scope) {
+    // Credential exists in every browser with the Credential Management API;
+    // provide a minimal base where it does not
+    const CredentialBase = typeof scope.Credential === 'function'
+      ? scope.Credential
+      : class Credential {
+        constructor() {
+          throw new TypeError('Illegal constructor');
+        }
+      };
+
+    class DigitalCredential extends CredentialBase {
+      constructor() {
+        // Like the native interface, DigitalCredential is not constructible
+        throw new TypeError('Illegal constructor');
+      }
+
+      get id() {
+        return getCredentialSlots(this).id;
+      }
+
+      get type() {
+        return getCredentialSlots(this).type;
+      }
+
+      get protocol() {
+        return getCredentialSlots(this).protocol;
+      }
+
+      get data() {
+        return getCredentialSlots(this).data;
+      }
+
+      toJSON() {
+        const slots = getCredentialSlots(this);
+        return {
+          id: slots.id,
+          type: slots.type,
+          protocol: slots.protocol,
+          data: slots.data
+        };
+      }
+
+      static userAgentAllowsProtocol(_protocol) {
+        return false;
+      }
+    }
+
+    Object.defineProperty(DigitalCredential.prototype, Symbol.toStringTag, {
+      value: 'DigitalCredential',
+      configurable: true
+    });
+
+    return DigitalCredential;
+  }
+
+  /**
+   * Install the DigitalCredential polyfill when the browser has no native one
+   * @param {Object} scope - Global object (window)
+   * @returns {Function} The DigitalCredential interface now on the scope
+   */
+  function installDigitalCredentialPolyfill(scope) {
+    if (typeof scope.DigitalCredential === 'function') {
+      return scope.DigitalCredential;
+    }
+
+    const DigitalCredential = defineDigitalCredentialPolyfill(scope);
+
+    // Interface objects are writable, configurable and non-enumerable globals
+    Object.defineProperty(scope, 'DigitalCredential', {
+      value: DigitalCredential,
+      writable: true,
+      configurable: true,
+      enumerable: false
+    });
+    credentialSlots.set(DigitalCredential, null); // mark as polyfill
+
+    return DigitalCredential;
+  }
+
+  /**
+   * Check if a DigitalCredential interface is our polyfill
+   */
+  function isPolyfill(DigitalCredential) {
+    return credentialSlots.has(DigitalCredential);
+  }
+
+  /**
+   * Create a DigitalCredential for a wallet response
+   * @param {string} protocol - Protocol identifier of the request that was answered
+   * @param {Object} data - Protocol-specific response data
+   * @param {Object} [scope] - Global object providing DigitalCredential (defaults to window)
+   * @returns {DigitalCredential} Credential with type 'digital' and an empty id
+   */
+  function createDigitalCredential(protocol, data, scope) {
+    if (typeof protocol !== 'string' || protocol.length === 0) {
+      throw new TypeError('DigitalCredential protocol must be a non-empty string');
+    }
+    if (data === null || typeof data !== 'object') {
+      throw new TypeError('DigitalCredential data must be an object');
+    }
+
+    const globalScope = scope || (typeof window !== 'undefined' ? window : globalThis);
+    const DigitalCredential = installDigitalCredentialPolyfill(globalScope);
+    const credential = Object.create(DigitalCredential.prototype);
+
+    // Digital credentials have no identifier of their own: id is the empty string
+    const slots = { id: '', type: 'digital', protocol: protocol, data: data };
+
+    if (isPolyfill(DigitalCredential)) {
+      credentialSlots.set(credential, slots);
+      return credential;
+    }
+
+    // Native prototype: its attribute getters only work on browser-created
+    // objects, so shadow them with read-only own properties
+    Object.defineProperties(credential, {
+      id: { value: slots.id, enumerable: true },
+      type: { value: slots.type, enumerable: true },
+      protocol: { value: slots.protocol, enumerable: true },
+      data: { value: slots.data, enumerable: true },
+      toJSON: {
+        value: function toJSON() {
+          return { id: slots.id, type: slots.type, protocol: slots.protocol, data: slots.data };
+        }
+      }
+    });
+
+    return credential;
+  }
+
+  const DigitalCredentialFactory = {
+    createDigitalCredential,
+    installDigitalCredentialPolyfill
+  };
+
+  // Export for use in other scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = DigitalCredentialFactory;
+  }
+
+  // Make available globally for browser extension
+  if (typeof window !== 'undefined') {
+    window.DigitalCredentialFactory = DigitalCredentialFactory;
+  }
+
+})();
@@ -0,0 +1,640 @@
+/**
+ * Digital Credentials Query Language (DCQL)
+ *
+ * Validates the structure of a dcql_query (credentials, credential_sets,
+ * claims, claim_sets, meta) before a request reaches the selector, and
+ * checks a wallet's vp_token against the query it answers: presentations
+ * are keyed by the credential query ids and satisfy the required credential
+ * sets.
+ *
+ * Errors name the offending member by its path in the query, e.g.
+ * "credentials[0].claims[1].path must be a non-empty array".
+ *
+ * Queries and responses also translate to and from Presentation Exchange,
+ * for wallets that only understand one of the two query languages.
+ *
+ * References:
+ * - OpenID4VP 1.0 Section 6: Digital Credentials Query Language
+ * - OpenID4VP 1.0 Section 8.1: Response Parameters (vp_token)
+ * - OpenID4VP 1.0 Appendix B: Credential Format Specific Parameters
+ * - DIF Presentation Exchange 2.0
+ */
+
+/* global module, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else {
+    root.Dcql = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function() {
+  'use strict';
+
+  // Credential query and claims query ids (OpenID4VP 1.0 Section 6.1, 6.3)
+  const ID = /^[A-Za-z0-9_-]+$/;
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isNonEmptyArray = (value) => Array.isArray(value) && value.length > 0;
+  const isString = (value) => typeof value === 'string';
+
+  /**
+   * Check the optional members of an object with their checks
+   * @param {Object} object - Object to check
+   * @param {string} path - Path of the object in the query
+   * @param {Object} checks - member -> [predicate, expectation]
+   */
+  function checkOptional(object, path, checks) {
+    Object.keys(checks).forEach(member => {
+      const [predicate, expectation] = checks[member];
+      if (object[member] !== undefined && !predicate(object[member])) {
+        throw new Error(`${path}.${member} must be ${expectation}`);
+      }
+    });
+  }
+
+  /**
+   * Check an id: non-empty, letters, digits, _ and -
+   */
+  function checkId(id, path) {
+    if (!isString(id) || !ID.test(id)) {
+      throw new Error(`${path} must be a non-empty string of letters, digits, _ and -`);
+    }
+  }
+
+  // Format-specific meta members (Appendix B)
+  const META_CHECKS = {
+    'dc+sd-jwt': {
+      vct_values: [value => isNonEmptyArray(value) && value.every(isString), 'a non-empty array of strings']
+    },
+    'vc+sd-jwt': {
+      vct_values: [value => isNonEmptyArray(value) && value.every(isString), 'a non-empty array of strings']
+    },
+    mso_mdoc: {
+      doctype_value: [isString, 'a string']
+    },
+    jwt_vc_json: {
+      type_values: [value => isNonEmptyArray(value) && value.every(types => isNonEmptyArray(types) && types.every(isString)),
+        'a non-empty array of non-empty arrays of strings']
+    },
+    ldp_vc: {
+      type_values: [value => isNonEmptyArray(value) && value.every(types => isNonEmptyArray(types) && types.every(isString)),
+        'a non-empty array of non-empty arrays of strings']
+    }
+  };
+
+  /**
+   * Validate a claims query
+   * @param {Object} claim - Claims query
+   * @param {string} path - Path of the claims query
+   * @param {string} format - Format of its credential query
+   */
+  function validateClaim(claim, path, format) {
+    if (!isObject(claim)) {
+      throw new Error(`${path} must be an object`);
+    }
+    if (claim.id !== undefined) {
+      checkId(claim.id, `${path}.id`);
+    }
+    if (!isNonEmptyArray(claim.path)) {
+      throw new Error(`${path}.path must be a non-empty array`);
+    }
+    claim.path.forEach((element, index) => {
+      if (!isString(element) && element !== null && !(Number.isInteger(element) && element >= 0)) {
+        throw new Error(`${path}.path[${index}] must be a string, a non-negative integer or null`);
+      }
+    });
+    // mdoc claims are a namespace and a data element identifier
+    if (format === 'mso_mdoc' && (claim.path.length !== 2 || !claim.path.every(isString))) {
+      throw new Error(`${path}.path must be a namespace and a data element identifier for mso_mdoc`);
+    }
+    checkOptional(claim, path, {
+      values: [value => isNonEmptyArray(value) &&
+        value.every(v => isString(v) || Number.isInteger(v) || typeof v === 'boolean'),
+        'a non-empty array of strings, integers or booleans'],
+      intent_to_retain: [value => typeof value === 'boolean', 'a boolean']
+    });
+  }
+
+  /**
+   * Validate a credential query
+   * @param {Object} credential - Credential query
+   * @param {string} path - Path of the credential query
+   */
+  function validateCredential(credential, path) {
+    if (!isObject(credential)) {
+      throw new Error(`${path} must be an object`);
+    }
+    checkId(credential.id, `${path}.id`);
+    if (!isString(credential.format) || credential.format.length === 0) {
+      throw new Error(`${path}.format must be a non-empty string`);
+    }
+    checkOptional(credential, path, {
+      multiple: [value => typeof value === 'boolean', 'a boolean'],
+      require_cryptographic_holder_binding: [value => typeof value === 'boolean', 'a boolean'],
+      meta: [isObject, 'an object']
+    });
+    if (credential.meta !== undefined) {
+      checkOptional(credential.meta, `${path}.meta`, META_CHECKS[credential.format] || {});
+    }
+
+    if (credential.trusted_authorities !== undefined) {
+      if (!isNonEmptyArray(credential.trusted_authorities)) {
+        throw new Error(`${path}.trusted_authorities must be a non-empty array`);
+      }
+      credential.trusted_authorities.forEach((authority, index) => {
+        const authorityPath = `${path}.trusted_authorities[${index}]`;
+        if (!isObject(authority) || !isString(authority.type)) {
+          throw new Error(`${authorityPath} must be an object with a type`);
+        }
+        if (!isNonEmptyArray(authority.values) || !authority.values.every(isString)) {
+          throw new Error(`${authorityPath}.values must be a non-empty array of strings`);
+        }
+      });
+    }
+
+    const claimIds = new Set();
+    if (credential.claims !== undefined) {
+      if (!isNonEmptyArray(credential.claims)) {
+        throw new Error(`${path}.claims must be a non-empty array`);
+      }
+      credential.claims.forEach((claim, index) => {
+        validateClaim(claim, `${path}.claims[${index}]`, credential.format);
+        if (claim.id !== undefined) {
+          if (claimIds.has(claim.id)) {
+            throw new Error(`${path}.claims[${index}].id "${claim.id}" is used by another claims query`);
+          }
+          claimIds.add(claim.id);
+        }
+      });
+    }
+
+    if (credential.claim_sets !== undefined) {
+      if (credential.claims === undefined) {
+        throw new Error(`${path}.claim_sets requires claims`);
+      }
+      credential.claims.forEach((claim, index) => {
+        if (claim.id === undefined) {
+          throw new Error(`${path}.claims[${index}].id is required with claim_sets`);
+        }
+      });
+      checkIdSets(credential.claim_sets, `${path}.claim_sets`, claimIds, 'claims query');
+    }
+  }
+
+  /**
+   * Check a list of alternatives, each a non-empty list of known ids
+   * (claim_sets, credential set options)
+   */
+  function checkIdSets(sets, path, knownIds, kind) {
+    if (!isNonEmptyArray(sets)) {
+      throw new Error(`${path} must be a non-empty array`);
+    }
+    sets.forEach((set, index) => {
+      if (!isNonEmptyArray(set) || !set.every(isString)) {
+        throw new Error(`${path}[${index}] must be a non-empty array of ids`);
+      }
+      set.forEach(id => {
+        if (!knownIds.has(id)) {
+          throw new Error(`${path}[${index}] names unknown ${kind} "${id}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate the structure of a DCQL query
+   * @param {Object} query - dcql_query
+   * @returns {Object} The query
+   */
+  function validateQuery(query) {
+    if (!isObject(query)) {
+      throw new Error('query must be an object');
+    }
+    if (!isNonEmptyArray(query.credentials)) {
+      throw new Error('credentials must be a non-empty array');
+    }
+
+    const credentialIds = new Set();
+    query.credentials.forEach((credential, index) => {
+      validateCredential(credential, `credentials[${index}]`);
+      if (credentialIds.has(credential.id)) {
+        throw new Error(`credentials[${index}].id "${credential.id}" is used by another credential query`);
+      }
+      credentialIds.add(credential.id);
+    });
+
+    if (query.credential_sets !== undefined) {
+      if (!isNonEmptyArray(query.credential_sets)) {
+        throw new Error('credential_sets must be a non-empty array');
+      }
+      query.credential_sets.forEach((set, index) => {
+        const path = `credential_sets[${index}]`;
+        if (!isObject(set)) {
+          throw new Error(`${path} must be an object`);
+        }
+        checkIdSets(set.options, `${path}.options`, credentialIds, 'credential query');
+        checkOptional(set, path, {
+          required: [value => typeof value === 'boolean', 'a boolean']
+        });
+      });
+    }
+
+    return query;
+  }
+
+  /**
+   * Credential sets the vp_token has to satisfy: the required credential
+   * sets, or every credential query when there are none
+   * @returns {Array<Object>} { path, options }
+   */
+  function requiredSets(query) {
+    if (query.credential_sets === undefined) {
+      return query.credentials.map((credential, index) => ({
+        path: `credentials[${index}]`,
+        options: [[credential.id]]
+      }));
+    }
+    return query.credential_sets
+      .map((set, index) => ({ path: `credential_sets[${index}]`, options: set.options, required: set.required !== false }))
+      .filter(set => set.required);
+  }
+
+  /**
+   * Check a vp_token against the DCQL query it answers
+   * @param {Object} query - dcql_query of the request (valid)
+   * @param {Object} vpToken - Presentations keyed by credential query id
+   * @returns {Object} { presented: ids with presentations }
+   */
+  function checkResponse(query, vpToken) {
+    if (!isObject(vpToken)) {
+      throw new Error('vp_token must be an object keyed by credential query id');
+    }
+    const credentials = new Map(query.credentials.map(credential => [credential.id, credential]));
+
+    const presented = Object.keys(vpToken).filter(id => {
+      const credential = credentials.get(id);
+      if (!credential) {
+        throw new Error(`vp_token.${id} answers no credential query of the request`);
+      }
+      // A single presentation may be sent without the array
+      const presentations = Array.isArray(vpToken[id]) ? vpToken[id] : [vpToken[id]];
+      if (presentations.length > 1 && credential.multiple !== true) {
+        throw new Error(`vp_token.${id} has ${presentations.length} presentations, the credential query allows one`);
+      }
+      return presentations.length > 0 && presentations.every(presentation => presentation !== null && presentation !== undefined);
+    });
+
+    requiredSets(query).forEach(set => {
+      if (!set.options.some(option => option.every(id => presented.includes(id)))) {
+        const options = set.options.map(option => option.join(' + ')).join(' or ');
+        throw new Error(`vp_token does not satisfy ${set.path}: expected presentations for ${options}`);
+      }
+    });
+
+    return { presented: presented };
+  }
+
+  // Presentation Exchange translation, for wallets that only understand one
+  // query language. Translations are deterministic: the input descriptor at
+  // index i and the credential query at index i describe the same credential,
+  // so a response is mapped back by translating the request again.
+
+  // DCQL format -> Presentation Exchange format of the credential and of its presentation
+  const PE_FORMATS = {
+    'dc+sd-jwt': ['vc+sd-jwt', 'vc+sd-jwt'],
+    'vc+sd-jwt': ['vc+sd-jwt', 'vc+sd-jwt'],
+    mso_mdoc: ['mso_mdoc', 'mso_mdoc'],
+    jwt_vc_json: ['jwt_vc_json', 'jwt_vp_json'],
+    ldp_vc: ['ldp_vc', 'ldp_vp']
+  };
+
+  // Presentation Exchange format -> DCQL format
+  const DCQL_FORMATS = {
+    'vc+sd-jwt': 'dc+sd-jwt',
+    'dc+sd-jwt': 'dc+sd-jwt',
+    mso_mdoc: 'mso_mdoc',
+    jwt_vc_json: 'jwt_vc_json',
+    jwt_vp_json: 'jwt_vc_json',
+    jwt_vc: 'jwt_vc_json',
+    jwt_vp: 'jwt_vc_json',
+    ldp_vc: 'ldp_vc',
+    ldp_vp: 'ldp_vc',
+    ldp: 'ldp_vc'
+  };
+
+  // Id of the presentation definition translated from a DCQL query
+  const DEFINITION_ID = 'dcql_query';
+
+  /**
+   * Parse the JSONPath of a Presentation Exchange field into a DCQL claims path
+   * Only member names, array indices and wildcards have an equivalent.
+   * @param {string} jsonPath - e.g. $.address.street or $['org.iso.18013.5.1']['family_name']
+   * @returns {Array<string|number|null>} Claims path
+   */
+  function parseJsonPath(jsonPath) {
+    const segment = /^(?:\.([A-Za-z_$][\w$-]*)|\.\*|\[\*\]|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]|\["((?:[^"\\]|\\.)*)"\])/;
+    if (!isString(jsonPath) || jsonPath[0] !== '$') {
+      throw new Error(`JSONPath ${jsonPath} must start with $`);
+    }
+    const path = [];
+    let rest = jsonPath.slice(1);
+    while (rest.length > 0) {
+      const match = segment.exec(rest);
+      if (!match) {
+        throw new Error(`JSONPath ${jsonPath} has no DCQL equivalent`);
+      }
+      const name = match[1] !== undefined ? match[1]
+        : match[3] !== undefined ? match[3].replace(/\\(.)/g, '$1')
+        : match[4] !== undefined ? match[4].replace(/\\(.)/g, '$1')
+        : undefined;
+      path.push(name !== undefined ? name : match[2] !== undefined ? Number(match[2]) : null);
+      rest = rest.slice(match[0].length);
+    }
+    if (path.length === 0) {
+      throw new Error(`JSONPath ${jsonPath} selects the whole credential`);
+    }
+    return path;
+  }
+
+  /**
+   * Write a DCQL claims path as JSONPath
+   * mdoc paths use the bracket notation of ISO/IEC 18013-7.
+   */
+  function toJsonPath(path, format) {
+    return '$' + path.map(element => {
+      if (element === null) {
+        return '[*]';
+      }
+      if (typeof element === 'number') {
+        return `[${element}]`;
+      }
+      return format !== 'mso_mdoc' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(element)
+        ? `.${element}`
+        : `['${element.replace(/['\\]/g, '\\$&')}']`;
+    }).join('');
+  }
+
+  /**
+   * Translate a Presentation Exchange presentation definition into a DCQL query
+   *
+   * Each input descriptor becomes a credential query with the descriptor id
+   * (made a valid DCQL id), its one format and a claims query per required
+   * field. Filters become values when they are a const or an enum, a $.vct
+   * field becomes meta.vct_values, and an mdoc descriptor id is its doctype.
+   * Optional fields are left out. submission_requirements, descriptors with
+   * several formats and JSONPath filters have no equivalent and throw.
+   *
+   * @param {Object} definition - presentation_definition
+   * @returns {Object} dcql_query
+   */
+  function fromPresentationDefinition(definition) {
+    if (!isObject(definition) || !isNonEmptyArray(definition.input_descriptors)) {
+      throw new Error('presentation_definition must have input_descriptors');
+    }
+    if (definition.submission_requirements !== undefined) {
+      throw new Error('submission_requirements have no DCQL equivalent');
+    }
+
+    const ids = new Set();
+    const credentials = definition.input_descriptors.map((descriptor, index) => {
+      const path = `input_descriptors[${index}]`;
+      if (!isObject(descriptor) || !isString(descriptor.id)) {
+        throw new Error(`${path} must be an object with an id`);
+      }
+      const declared = Object.keys(descriptor.format || definition.format || {});
+      const unknown = declared.find(format => !DCQL_FORMATS[format]);
+      if (unknown) {
+        throw new Error(`${path} format ${unknown} has no DCQL equivalent`);
+      }
+      const formats = Array.from(new Set(declared.map(format => DCQL_FORMATS[format])));
+      if (formats.length !== 1) {
+        throw new Error(`${path} must accept exactly one credential format`);
+      }
+
+      let id = ID.test(descriptor.id) ? descriptor.id : descriptor.id.replace(/[^A-Za-z0-9_-]/g, '_');
+      for (let n = 2; ids.has(id); n++) {
+        id = `${id.replace(/_\d+$/, '')}_${n}`;
+      }
+      ids.add(id);
+
+      const credential = { id: id, format: formats[0] };
+      const meta = {};
+      if (credential.format === 'mso_mdoc') {
+        meta.doctype_value = descriptor.id;
+      }
+      const claims = [];
+      const fields = (descriptor.constraints && descriptor.constraints.fields) || [];
+      fields.filter(field => field.optional !== true).forEach((field, fieldIndex) => {
+        if (!isObject(field) || !isNonEmptyArray(field.path)) {
+          throw new Error(`${path}.constraints.fields[${fieldIndex}] must have a path`);
+        }
+        const claimPath = parseJsonPath(field.path[0]);
+        const filter = field.filter || {};
+        const values = filter.const !== undefined ? [filter.const] : filter.enum;
+
+        if (credential.format === 'dc+sd-jwt' && claimPath.length === 1 && claimPath[0] === 'vct' && values) {
+          meta.vct_values = values;
+          return;
+        }
+        const claim = { path: claimPath };
+        if (Array.isArray(values) && values.every(v => isString(v) || Number.isInteger(v) || typeof v === 'boolean')) {
+          claim.values = values;
+        }
+        if (typeof field.intent_to_retain === 'boolean') {
+          claim.intent_to_retain = field.intent_to_retain;
+        }
+        claims.push(claim);
+      });
+
+      if (Object.keys(meta).length > 0) {
+        credential.meta = meta;
+      }
+      if (claims.length > 0) {
+        credential.claims = claims;
+      }
+      return credential;
+    });
+
+    return validateQuery({ credentials: credentials });
+  }
+
+  /**
+   * Translate a DCQL query into a Presentation Exchange presentation definition
+   *
+   * Each credential query becomes an input descriptor with the credential
+   * query id (the doctype for mdoc, as ISO/IEC 18013-7 expects), its format,
+   * a field per claims query of the first (preferred) claim set and
+   * limit_disclosure for selectively disclosable formats. Credential sets
+   * become submission requirements over descriptor groups.
+   * trusted_authorities and multiple have no equivalent and are left out.
+   *
+   * @param {Object} query - dcql_query (valid)
+   * @returns {Object} presentation_definition
+   */
+  function toPresentationDefinition(query) {
+    const doctypes = query.credentials
+      .map(credential => credential.format === 'mso_mdoc' && credential.meta && credential.meta.doctype_value)
+      .filter(Boolean);
+
+    const descriptors = query.credentials.map((credential, index) => {
+      if (!PE_FORMATS[credential.format]) {
+        throw new Error(`credentials[${index}].format ${credential.format} has no Presentation Exchange equivalent`);
+      }
+      const doctype = credential.format === 'mso_mdoc' && credential.meta && credential.meta.doctype_value;
+      const descriptor = {
+        id: doctype && doctypes.indexOf(doctype) === doctypes.lastIndexOf(doctype) ? doctype : credential.id,
+        format: { [PE_FORMATS[credential.format][0]]: {} }
+      };
+
+      const fields = [];
+      if (credential.meta && credential.meta.vct_values) {
+        fields.push({ path: ['$.vct'], filter: { type: 'string', enum: credential.meta.vct_values } });
+      }
+      const claims = credential.claims || [];
+      const requested = credential.claim_sets
+        ? claims.filter(claim => credential.claim_sets[0].includes(claim.id))
+        : claims;
+      requested.forEach(claim => {
+        const field = { path: [toJsonPath(claim.path, credential.format)] };
+        if (claim.values) {
+          field.filter = { enum: claim.values };
+        }
+        if (claim.intent_to_retain !== undefined) {
+          field.intent_to_retain = claim.intent_to_retain;
+        }
+        fields.push(field);
+      });
+
+      if (fields.length > 0) {
+        descriptor.constraints = { fields: fields };
+        // Without claims queries the whole credential is requested
+        if (requested.length > 0 && credential.format !== 'jwt_vc_json' && credential.format !== 'ldp_vc') {
+          descriptor.constraints.limit_disclosure = 'required';
+        }
+      }
+      return descriptor;
+    });
+
+    const definition = { id: DEFINITION_ID, input_descriptors: descriptors };
+    if (query.credential_sets) {
+      const byId = new Map(query.credentials.map((credential, index) => [credential.id, descriptors[index]]));
+      const addGroup = (option, group) => option.forEach(id => {
+        const descriptor = byId.get(id);
+        descriptor.group = (descriptor.group || []).concat(group);
+      });
+
+      definition.submission_requirements = query.credential_sets.map((set, setIndex) => {
+        const requirement = set.required === false ? { rule: 'pick', min: 0, max: 1 } : { rule: 'pick', count: 1 };
+        if (isString(set.purpose)) {
+          requirement.purpose = set.purpose;
+        }
+        if (set.options.every(option => option.length === 1)) {
+          requirement.from = `set${setIndex}`;
+          set.options.forEach(option => addGroup(option, requirement.from));
+        } else {
+          requirement.from_nested = set.options.map((option, optionIndex) => {
+            const group = `set${setIndex}_option${optionIndex}`;
+            addGroup(option, group);
+            return { rule: 'all', from: group };
+          });
+        }
+        return requirement;
+      });
+    }
+    return definition;
+  }
+
+  /**
+   * Key the vp_token of a Presentation Exchange response by credential query id
+   * For a wallet that got toPresentationDefinition(query).
+   * @param {Object} query - dcql_query of the request (valid)
+   * @param {*} vpToken - vp_token of the response
+   * @param {Object} submission - presentation_submission of the response
+   * @returns {Object} vp_token keyed by credential query id
+   */
+  function fromPresentationSubmission(query, vpToken, submission) {
+    if (!isObject(submission) || !Array.isArray(submission.descriptor_map)) {
+      throw new Error('presentation_submission must have a descriptor_map');
+    }
+    const descriptors = toPresentationDefinition(query).input_descriptors;
+    const credentialIds = new Map(descriptors.map((descriptor, index) => [descriptor.id, query.credentials[index].id]));
+
+    const keyed = {};
+    submission.descriptor_map.forEach((entry, index) => {
+      const path = `presentation_submission.descriptor_map[${index}]`;
+      const id = isObject(entry) && credentialIds.get(entry.id);
+      if (!id) {
+        throw new Error(`${path} answers no input descriptor of the request`);
+      }
+      let presentation;
+      if (entry.path === '$') {
+        presentation = vpToken;
+      } else {
+        const match = /^\$\[(\d+)\]$/.exec(entry.path);
+        if (!match || !Array.isArray(vpToken) || Number(match[1]) >= vpToken.length) {
+          throw new Error(`${path}.path ${entry.path} selects no presentation of the vp_token`);
+        }
+        presentation = vpToken[Number(match[1])];
+      }
+      keyed[id] = (keyed[id] || []).concat([presentation]);
+    });
+    return keyed;
+  }
+
+  /**
+   * Map a vp_token keyed by credential query id to a Presentation Exchange response
+   * For a wallet that got fromPresentationDefinition(definition). The
+   * vp_token is checked against that query first.
+   * @param {Object} definition - presentation_definition of the request
+   * @param {Object} vpToken - vp_token keyed by credential query id
+   * @returns {Object} { vp_token, presentation_submission }
+   */
+  function toPresentationSubmission(definition, vpToken) {
+    const query = fromPresentationDefinition(definition);
+    checkResponse(query, vpToken);
+
+    const descriptors = new Map(query.credentials.map((credential, index) => [credential.id, {
+      id: definition.input_descriptors[index].id,
+      format: PE_FORMATS[credential.format][1]
+    }]));
+
+    const presentations = [];
+    const descriptorMap = [];
+    Object.keys(vpToken).forEach(id => {
+      const descriptor = descriptors.get(id);
+      (Array.isArray(vpToken[id]) ? vpToken[id] : [vpToken[id]]).forEach(presentation => {
+        descriptorMap.push({ id: descriptor.id, format: descriptor.format, path: `$[${presentations.length}]` });
+        presentations.push(presentation);
+      });
+    });
+    // A single presentation is the vp_token itself
+    if (presentations.length === 1) {
+      descriptorMap[0].path = '$';
+    }
+
+    return {
+      vp_token: presentations.length === 1 ? presentations[0] : presentations,
+      presentation_submission: {
+        id: `${definition.id}-submission`,
+        definition_id: definition.id,
+        descriptor_map: descriptorMap
+      }
+    };
+  }
+
+  return {
+    validateQuery,
+    checkResponse,
+    fromPresentationDefinition,
+    toPresentationDefinition,
+    fromPresentationSubmission,
+    toPresentationSubmission
+  };
+});
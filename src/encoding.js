@@ -0,0 +1,153 @@
+/**
+ * Base64, base64url, PEM and DER decoding
+ *
+ * The one decoder for the JWT, SD-JWT, client identifier, X.509 and mdoc
+ * code: base64url for JOSE values, base64 for x5c certificates and PEM
+ * blocks, and DER element headers for certificates.
+ *
+ * References:
+ * - RFC 4648: The Base16, Base32, and Base64 Data Encodings
+ * - RFC 7468: Textual encodings of PKIX structures (PEM)
+ * - X.690: ASN.1 encoding rules (DER)
+ */
+
+/* global module, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else {
+    root.Encoding = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function() {
+  'use strict';
+
+  /**
+   * Bytes of a binary string (as atob() returns)
+   * @private
+   */
+  function fromBinary(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Binary string of bytes (as btoa() takes)
+   * @private
+   */
+  function toBinary(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return binary;
+  }
+
+  /**
+   * Decode base64 (RFC 4648 Section 4), as in x5c and PEM; whitespace is ignored
+   * @param {string} value - base64 string
+   * @returns {Uint8Array}
+   */
+  function base64Decode(value) {
+    const base64 = typeof value === 'string' ? value.replace(/\s+/g, '') : '';
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64) || base64.length % 4 === 1) {
+      throw new Error('not valid base64');
+    }
+    return fromBinary(atob(base64));
+  }
+
+  /**
+   * Encode bytes as base64, with padding
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function base64Encode(bytes) {
+    return btoa(toBinary(bytes));
+  }
+
+  /**
+   * Decode base64url (RFC 4648 Section 5, unpadded) to bytes
+   * @param {string} value - base64url string
+   * @returns {Uint8Array}
+   */
+  function base64UrlDecode(value) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value) || value.length % 4 === 1) {
+      throw new Error('not valid base64url');
+    }
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return fromBinary(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)));
+  }
+
+  /**
+   * Encode bytes as base64url without padding
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function base64UrlEncode(bytes) {
+    return base64Encode(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode the blocks of a PEM text with one label; other blocks are skipped
+   * @param {string} text - One or more "-----BEGIN <label>-----" blocks
+   * @param {string} label - Block label, e.g. CERTIFICATE
+   * @returns {Uint8Array[]} DER contents of the blocks, possibly none
+   */
+  function pemDecode(text, label) {
+    const blocks = [];
+    const pattern = new RegExp(`-----BEGIN ${label}-----([\\s\\S]*?)-----END ${label}-----`, 'g');
+    let match;
+    while ((match = pattern.exec(String(text))) !== null) {
+      blocks.push(base64Decode(match[1]));
+    }
+    return blocks;
+  }
+
+  /**
+   * Read a DER element header (X.690)
+   * @param {Uint8Array} bytes - Encoded data
+   * @param {number} offset - Start of the element
+   * @returns {Object} tag, offset of the element, start of the contents and end of the element
+   */
+  function readDer(bytes, offset) {
+    if (offset + 2 > bytes.length) {
+      throw new Error('truncated DER');
+    }
+    const tag = bytes[offset];
+    let length = bytes[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+      const count = length & 0x7f;
+      if (count === 0 || count > 4 || start + count > bytes.length) {
+        throw new Error('unsupported DER length');
+      }
+      length = 0;
+      for (let i = 0; i < count; i++) {
+        length = length * 256 + bytes[start + i];
+      }
+      start += count;
+    }
+    if (start + length > bytes.length) {
+      throw new Error('truncated DER');
+    }
+    return { tag: tag, offset: offset, start: start, end: start + length };
+  }
+
+  return {
+    base64Decode,
+    base64Encode,
+    base64UrlDecode,
+    base64UrlEncode,
+    pemDecode,
+    readDer
+  };
+});
@@ -1,6 +1,7 @@
 /**
  * Injected script that runs in the page context
- * Intercepts navigator.credentials.get() calls for the Digital Credentials API
+ * Intercepts navigator.credentials.get() and navigator.credentials.create()
+ * calls for the Digital Credentials API
  */
 
 (function() {
@@ -8,20 +9,82 @@
 
   console.log('Digital Credentials API interceptor injected');
 
-  // Store the original navigator.credentials.get
+  // Channel to the content script, handed over on this script's element once
+  // it has run (see connectPageScript in content.js). Messages sent before
+  // then are queued, and events dispatched on the window are not read. A page
+  // script can still take the port, so the channel is not private: it only
+  // carries requests the page could make anyway, never the wallet choice.
+  let extensionPort = null;
+  const queuedMessages = [];
+  const extensionListeners = new Map(); // message type -> Set of handlers
+  const currentScript = document.currentScript;
+  if (currentScript) {
+    currentScript.addEventListener('message', function connect(event) {
+      if (extensionPort || !event.data || event.data.type !== 'DC_CHANNEL_CONNECT' || !event.ports || !event.ports[0]) {
+        return;
+      }
+      currentScript.removeEventListener('message', connect);
+      extensionPort = event.ports[0];
+      extensionPort.onmessage = handleExtensionMessage;
+      queuedMessages.splice(0).forEach(message => extensionPort.postMessage(message));
+    });
+  } else {
+    console.error('Digital Credentials API interceptor not loaded by the extension');
+  }
+
+  // Store the original navigator.credentials.get and create
   const originalCredentialsGet = navigator.credentials.get.bind(navigator.credentials);
+  const originalCredentialsCreate = navigator.credentials.create.bind(navigator.credentials);
   
   // Store original DigitalCredential.userAgentAllowsProtocol if it exists
   const originalUserAgentAllowsProtocol = typeof DigitalCredential !== 'undefined' && DigitalCredential.userAgentAllowsProtocol 
     ? DigitalCredential.userAgentAllowsProtocol.bind(DigitalCredential)
     : null;
   
+  // Factory for the DigitalCredential objects returned to the page
+  const credentialFactory = window.DigitalCredentialFactory || null;
+  
+  // Provide the DigitalCredential interface where the browser has none,
+  // so relying parties can use instanceof checks on returned credentials
+  if (credentialFactory) {
+    credentialFactory.installDigitalCredentialPolyfill(window);
+  }
+  
+  // Request lifecycle: explicit states, request and wallet timeouts, and
+  // DC_REQUEST_LIFECYCLE events for the extension and developer tooling
+  // (the window event is informational only, the extension never reads it,
+  // and does not carry the disclosed claims: the background only passes those
+  // on in developer mode)
+  const lifecycle = new window.RequestLifecycle({
+    onTimeout: handleRequestTimeout,
+    onEvent: (lifecycleEvent) => {
+      postToExtension('DC_REQUEST_LIFECYCLE', lifecycleEvent);
+      const pageEvent = { ...lifecycleEvent };
+      delete pageEvent.disclosedClaims;
+      window.dispatchEvent(new CustomEvent('DC_REQUEST_LIFECYCLE', { detail: pageEvent }));
+    }
+  });
+  
   // Counter for request IDs
   let requestIdCounter = 0;
   
   // Store pending requests
   const pendingRequests = new Map();
   
+  // Wallets the extension is asked to open: requestId -> { timeout }
+  const walletInvocations = new Map();
+  
+  // Requests are sent to the wallet selector one at a time: requests made
+  // while another one is being selected wait here, oldest first
+  const requestQueue = [];
+  let selectingRequestId = null;
+  
+  // Events that count as a user gesture for conditional mediation
+  const USER_GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
+  // Query languages a wallet may declare (OpenID4VP DCQL, DIF Presentation Exchange)
+  const QUERY_LANGUAGES = ['dcql', 'presentation_exchange'];
+
   // Cache of supported protocols (updated when wallets register)
   let supportedProtocols = new Set();
   
@@ -44,11 +107,132 @@
     window._pendingProtocolPlugins = [];
   }
 
+  // Register middleware hooks queued the same way ({ hooks, protocol })
+  if (protocolRegistry && window._pendingProtocolMiddleware) {
+    window._pendingProtocolMiddleware.forEach(middleware => {
+      try {
+        protocolRegistry.use(middleware.hooks, { protocol: middleware.protocol });
+      } catch (err) {
+        console.error('Failed to register pending protocol middleware:', err);
+      }
+    });
+    window._pendingProtocolMiddleware = [];
+  }
+
+  /**
+   * Whether a registry result is a promise (a middleware hook returned one)
+   */
+  function isThenable(value) {
+    return !!protocolRegistry && window.ProtocolPluginRegistry.isThenable(value);
+  }
+
+  /**
+   * Whether an error is a middleware veto
+   */
+  function isVeto(error) {
+    return !!error && error.name === 'MiddlewareVetoError';
+  }
+
   // Store wallet-provided callbacks
   const walletCallbacks = {
     jwtVerifiers: new Map(), // Maps wallet URL -> JWT verification function
   };
-  
+
+  /**
+   * JWT verifier for signed requests, backed by the wallet-registered verifiers
+   * The wallet is not chosen yet when a request is prepared, so a JWT is
+   * valid once any registered verifier accepts it. Page scripts can register
+   * verifiers too, so they can only turn a request down: the background
+   * verifies every request again without them.
+   * @returns {Function|null} async (jwt, options) => { valid, error? }, or
+   *   null when no wallet registered a verifier
+   */
+  function registeredJwtVerifier() {
+    if (walletCallbacks.jwtVerifiers.size === 0) {
+      return null;
+    }
+    return async function(jwt, options) {
+      let lastError = null;
+      for (const verify of walletCallbacks.jwtVerifiers.values()) {
+        try {
+          const result = await verify(jwt, options);
+          if (result && result.valid) {
+            return result;
+          }
+          lastError = (result && result.error) || lastError;
+        } catch (error) {
+          lastError = error.message;
+        }
+      }
+      return { valid: false, error: lastError || 'Invalid signature' };
+    };
+  }
+
+  /**
+   * The page making a request, as the protocol plugins see it
+   * @returns {Object} origin and url
+   */
+  function pageContext() {
+    return { origin: window.location.origin, url: window.location.href };
+  }
+
+  /**
+   * Send a message to the content script
+   * @param {string} type - Message type
+   * @param {Object} detail - Message data (structured-cloneable)
+   */
+  function postToExtension(type, detail) {
+    const message = { type: type, detail: detail };
+    if (extensionPort) {
+      extensionPort.postMessage(message);
+    } else {
+      queuedMessages.push(message);
+    }
+  }
+
+  /**
+   * Listen for a message type from the content script
+   * @param {string} type - Message type
+   * @param {Function} handler - Called with the message data
+   */
+  function addExtensionListener(type, handler) {
+    if (!extensionListeners.has(type)) {
+      extensionListeners.set(type, new Set());
+    }
+    extensionListeners.get(type).add(handler);
+  }
+
+  /**
+   * Stop listening for a message type from the content script
+   */
+  function removeExtensionListener(type, handler) {
+    const handlers = extensionListeners.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  /**
+   * Dispatch a message received from the content script
+   */
+  function handleExtensionMessage(event) {
+    const { type, detail } = event.data || {};
+    const handlers = extensionListeners.get(type);
+    if (!handlers) {
+      console.warn('Ignoring unexpected message from the extension:', type);
+      return;
+    }
+    Array.from(handlers).forEach(handler => handler(detail || {}));
+  }
+
+  /**
+   * The canonical identifier of a protocol the page names (aliases resolved),
+   * as the extension reports supported protocols
+   */
+  function normalizeProtocol(protocol) {
+    return protocolRegistry ? protocolRegistry.normalizeProtocol(protocol) : protocol;
+  }
+
   /**
    * Override DigitalCredential.userAgentAllowsProtocol
    * This allows the extension to report protocols supported by web wallets
@@ -56,7 +240,7 @@
   if (typeof DigitalCredential !== 'undefined') {
     DigitalCredential.userAgentAllowsProtocol = function(protocol) {
       // Check if any registered web wallet supports this protocol
-      if (supportedProtocols.has(protocol)) {
+      if (supportedProtocols.has(normalizeProtocol(protocol))) {
         return true;
       }
       
@@ -77,25 +261,23 @@
     return new Promise((resolve) => {
       const updateId = `protocols-update-${Date.now()}`;
       
-      const responseHandler = function(event) {
-        if (event.detail.updateId === updateId) {
-          window.removeEventListener('DC_PROTOCOLS_UPDATE_RESPONSE', responseHandler);
-          if (event.detail.protocols) {
-            supportedProtocols = new Set(event.detail.protocols);
+      const responseHandler = function(detail) {
+        if (detail.updateId === updateId) {
+          removeExtensionListener('DC_PROTOCOLS_UPDATE_RESPONSE', responseHandler);
+          if (detail.protocols) {
+            supportedProtocols = new Set(detail.protocols);
             console.log('Updated supported protocols:', Array.from(supportedProtocols));
           }
           resolve();
         }
       };
       
-      window.addEventListener('DC_PROTOCOLS_UPDATE_RESPONSE', responseHandler);
+      addExtensionListener('DC_PROTOCOLS_UPDATE_RESPONSE', responseHandler);
       
-      window.dispatchEvent(new CustomEvent('DC_PROTOCOLS_UPDATE_REQUEST', {
-        detail: { updateId: updateId }
-      }));
+      postToExtension('DC_PROTOCOLS_UPDATE_REQUEST', { updateId: updateId });
       
       setTimeout(() => {
-        window.removeEventListener('DC_PROTOCOLS_UPDATE_RESPONSE', responseHandler);
+        removeExtensionListener('DC_PROTOCOLS_UPDATE_RESPONSE', responseHandler);
         resolve();
       }, 1000);
     });
@@ -105,284 +287,687 @@
   updateSupportedProtocols();
 
   /**
-   * Override navigator.credentials.get
+   * Intercept a Digital Credentials API call
+   * Shared by navigator.credentials.get() (presentation) and
+   * navigator.credentials.create() (issuance)
+   * @param {string} operation - 'get' or 'create'
+   * @param {Object} options - Options passed by the page
+   * @param {Function} nativeFn - Original browser implementation
+   * @returns {Promise} Promise resolving to the credential
    */
-  navigator.credentials.get = async function(options) {
-    console.log('navigator.credentials.get intercepted:', options);
-
-    // Check if this is a digital identity request
-    const isDigitalIdentityRequest = options && (
-      options.identity || 
-      options.digital || 
-      options.mediation === 'optional' ||
-      options.mediation === 'required'
-    );
-
-    if (!isDigitalIdentityRequest) {
-      // If not a digital identity request, pass through to native implementation
-      console.log('Not a digital identity request, passing to native API');
-      return originalCredentialsGet(options);
-    }
-    
+  async function interceptDigitalCredentialRequest(operation, options, nativeFn) {
     // Extract digital credential requests
     const digitalRequests = options.digital?.requests || [];
     
     if (digitalRequests.length === 0) {
       // No digital requests, pass through
       console.log('No digital credential requests, passing to native API');
-      return originalCredentialsGet(options);
+      return nativeFn(options);
+    }
+    
+    // Without the protocol plugins (protocols.js did not load) requests
+    // cannot be prepared for a wallet
+    if (!protocolRegistry) {
+      console.warn('Protocol plugins not loaded, passing to native API');
+      return nativeFn(options);
     }
     
-    // Filter requests by supported protocols
-    const supportedRequests = digitalRequests.filter(req => supportedProtocols.has(req.protocol));
-    const unsupportedRequests = digitalRequests.filter(req => !supportedProtocols.has(req.protocol));
+    // Filter requests by supported protocols and by plugins handling this operation
+    const isInterceptable = req => supportedProtocols.has(normalizeProtocol(req.protocol)) &&
+      protocolRegistry.supportsOperation(req.protocol, operation);
+    const supportedRequests = digitalRequests.filter(isInterceptable);
+    const unsupportedRequests = digitalRequests.filter(req => !isInterceptable(req));
     
     // If no requests match our supported protocols, pass through to native
     if (supportedRequests.length === 0) {
       console.log('No requests match supported protocols, passing to native API');
-      return originalCredentialsGet(options);
+      return nativeFn(options);
     }
     
-    // If we have mixed requests, we'll handle the supported ones and log the unsupported
+    // Mixed requests: web wallets handle the supported ones, while the
+    // selector's browser wallet entry only gets the unsupported ones
+    const nativeProtocols = unsupportedRequests.map(r => r.protocol);
+    const nativeOptions = unsupportedRequests.length > 0
+      ? { ...options, digital: { ...options.digital, requests: unsupportedRequests } }
+      : options;
     if (unsupportedRequests.length > 0) {
-      console.log('Unsupported protocols will be handled by native API:', 
-        unsupportedRequests.map(r => r.protocol));
+      console.log('Unsupported protocols will be offered to the native API:', nativeProtocols);
     }
 
-    // Generate unique request ID
-    const requestId = `dc-req-${++requestIdCounter}-${Date.now()}`;
+    // Generate unique request ID (unique across the frames of a tab)
+    const requestId = `dc-req-${++requestIdCounter}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
-    // Process requests through protocol plugins
+    // Process requests through protocol plugins (and their middleware hooks)
     const processedRequests = [];
+    const vetoes = [];
     for (const request of supportedRequests) {
       try {
-        const preparedData = protocolRegistry.prepareRequest(request.protocol, request.data);
+        // Trust is not decided here, where page scripts can replace any
+        // global: the background repeats the signature, client_id and
+        // certificate chain checks and its client identifier replaces ours
+        let preparedData = protocolRegistry.prepareRequest(request.protocol, request.data, {
+          ...pageContext(),
+          jwtVerifier: registeredJwtVerifier(),
+          deferTrust: true
+        });
+        if (isThenable(preparedData)) {
+          preparedData = await preparedData;
+        }
         processedRequests.push({
           protocol: request.protocol,
           data: preparedData,
           originalData: request.data
         });
       } catch (error) {
+        if (isVeto(error)) {
+          console.warn(`Request for protocol ${request.protocol} vetoed by middleware:`, error.message);
+          vetoes.push(error);
+          continue;
+        }
         console.error(`Error preparing request for protocol ${request.protocol}:`, error);
         // Skip this request if we can't prepare it
       }
     }
     
+    // Requests refused by a policy are not handed to the browser instead
+    if (processedRequests.length === 0 && vetoes.length > 0) {
+      throw new DOMException(vetoes[0].message, 'NotAllowedError');
+    }
+    
     if (processedRequests.length === 0) {
       console.log('No requests could be processed, passing to native API');
-      return originalCredentialsGet(options);
+      return nativeFn(options);
+    }
+    
+    // Embedded frames need the digital-credentials-get/create policy, as with the native API
+    const policyFeature = operation === 'create' ? 'digital-credentials-create' : 'digital-credentials-get';
+    if (!isAllowedByPermissionsPolicy(policyFeature)) {
+      throw new DOMException(
+        `The '${policyFeature}' feature is not enabled in this document. Permissions Policy may be used to delegate Digital Credentials API capabilities to cross-origin child frames.`,
+        'NotAllowedError'
+      );
+    }
+    
+    // An already aborted signal rejects right away, as the native API does
+    const { signal, ...transferableOptions } = options;
+    if (signal && signal.aborted) {
+      throw abortReason(signal);
+    }
+    
+    // Conditional mediation only continues once the user interacts with the page
+    if (options.mediation === 'conditional') {
+      console.log('Conditional mediation, waiting for a user gesture');
+      await waitForUserGesture(signal);
     }
     
     // Create a promise that will be resolved when we get the response
     const credentialPromise = new Promise((resolve, reject) => {
-      pendingRequests.set(requestId, { resolve, reject, options, processedRequests });
-
-      // Set a timeout for the request (30 seconds)
-      setTimeout(() => {
-        if (pendingRequests.has(requestId)) {
-          pendingRequests.delete(requestId);
-          reject(new DOMException('Request timeout', 'AbortError'));
+      const pending = {
+        resolve, reject, options, nativeOptions, processedRequests, operation, nativeFn, cleanup: () => {},
+        signature: requestSignature(operation, options),
+        // The AbortSignal stays in the page: it cannot cross into the content script
+        message: {
+          type: operation === 'create' ? 'DC_CREDENTIALS_CREATE' : 'DC_CREDENTIALS_REQUEST',
+          detail: {
+            requestId: requestId,
+            requests: processedRequests,
+            nativeProtocols: nativeProtocols,
+            options: transferableOptions
+          }
         }
-      }, 30000);
-    });
+      };
+      pendingRequests.set(requestId, pending);
+      lifecycle.start(requestId, {
+        operation: operation,
+        mediation: options.mediation,
+        protocols: processedRequests.map(r => r.protocol),
+        queued: selectingRequestId !== null
+      });
 
-    // Dispatch custom event to content script
-    window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_REQUEST', {
-      detail: {
-        requestId: requestId,
-        requests: processedRequests,
-        options: options
+      // Abort the whole flow when the relying party aborts
+      if (signal) {
+        const onAbort = () => abortRequest(requestId, abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        pending.cleanup = () => signal.removeEventListener('abort', onAbort);
       }
-    }));
+    });
+
+    enqueueRequest(requestId);
 
     return credentialPromise;
-  };
+  }
+
+  /**
+   * Queue a request for the wallet selector
+   * A newer identical request (a page calling twice, e.g. on a double click)
+   * supersedes the ones still waiting: they are rejected right away. The
+   * request being selected is never interrupted.
+   * @param {string} requestId - Request ID
+   */
+  function enqueueRequest(requestId) {
+    const signature = pendingRequests.get(requestId).signature;
+    if (signature !== null) {
+      requestQueue
+        .filter(queuedId => pendingRequests.get(queuedId).signature === signature)
+        .forEach(queuedId => {
+          console.log('Credential request superseded by a newer identical request:', queuedId);
+          takePendingRequest(queuedId, 'superseded').reject(new DOMException(
+            'The request was superseded by a newer identical credential request.',
+            'AbortError'
+          ));
+        });
+    }
+
+    requestQueue.push(requestId);
+    startNextRequest();
+  }
+
+  /**
+   * Send the oldest queued request to the content script once no other
+   * request of this frame is in the wallet selector
+   */
+  function startNextRequest() {
+    while (selectingRequestId === null && requestQueue.length > 0) {
+      const requestId = requestQueue.shift();
+      const pending = pendingRequests.get(requestId);
+      try {
+        postToExtension(pending.message.type, pending.message.detail);
+        selectingRequestId = requestId;
+      } catch (error) {
+        // Options the channel cannot clone (DataCloneError)
+        takePendingRequest(requestId, 'error').reject(error);
+      }
+    }
+  }
 
   /**
-   * Listen for responses from the content script
+   * Let the next queued request in once a request has left the selector
+   * (its wallet is being invoked, or it settled)
+   * @param {string} requestId - Request ID
    */
-  window.addEventListener('DC_CREDENTIALS_RESPONSE', function(event) {
-    const { requestId, response, error, useNative, protocol } = event.detail;
+  function releaseSelector(requestId) {
+    const queueIndex = requestQueue.indexOf(requestId);
+    if (queueIndex !== -1) {
+      requestQueue.splice(queueIndex, 1);
+    }
+    if (selectingRequestId === requestId) {
+      selectingRequestId = null;
+      startNextRequest();
+    }
+  }
+
+  /**
+   * Identify requests with the same operation, mediation and digital requests
+   * @returns {string|null} Signature, or null when the requests cannot be serialized
+   */
+  function requestSignature(operation, options) {
+    try {
+      return JSON.stringify([operation, options.mediation || null, options.digital.requests]);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a Permissions Policy feature is enabled in this document
+   * Uses the browser's policy when it knows the feature, and otherwise applies
+   * the feature's default allowlist ('self'): the top-level document and
+   * frames same-origin with it
+   * @param {string} feature - Policy-controlled feature name
+   * @returns {boolean} True if the feature is enabled
+   */
+  function isAllowedByPermissionsPolicy(feature) {
+    const policy = document.permissionsPolicy || document.featurePolicy;
+    if (policy && typeof policy.features === 'function' && policy.features().includes(feature)) {
+      return policy.allowsFeature(feature);
+    }
+    
+    if (window.top === window) {
+      return true;
+    }
+    try {
+      return window.top.location.origin === window.location.origin;
+    } catch (err) {
+      // Cross-origin top-level document
+      return false;
+    }
+  }
+
+  /**
+   * Wait for a user gesture on the page
+   * Resolves right away when the page already has transient user activation
+   * @param {AbortSignal} [signal] - Rejects with the signal's reason when aborted
+   * @returns {Promise<void>}
+   */
+  function waitForUserGesture(signal) {
+    if (navigator.userActivation && navigator.userActivation.isActive) {
+      return Promise.resolve();
+    }
     
+    return new Promise((resolve, reject) => {
+      const onGesture = (event) => {
+        // Only trusted events count: the page cannot synthesize a gesture
+        if (!event.isTrusted) {
+          return;
+        }
+        cleanup();
+        resolve();
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(abortReason(signal));
+      };
+      function cleanup() {
+        USER_GESTURE_EVENTS.forEach(type => window.removeEventListener(type, onGesture, true));
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+      
+      USER_GESTURE_EVENTS.forEach(type => window.addEventListener(type, onGesture, true));
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Get the rejection reason for an aborted signal
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {*} signal.reason, or an AbortError where reason is unsupported
+   */
+  function abortReason(signal) {
+    return signal.reason !== undefined
+      ? signal.reason
+      : new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  /**
+   * Remove a pending request, release its abort listener and settle its lifecycle
+   * @param {string} requestId - Request ID
+   * @param {string} outcome - Lifecycle outcome (fulfilled, rejected, cancelled, native, error, aborted, timeout, superseded)
+   * @param {Object} [details] - Extra data for the settled lifecycle event
+   * @returns {Object|undefined} The pending request, if it was still pending
+   */
+  function takePendingRequest(requestId, outcome, details) {
     const pending = pendingRequests.get(requestId);
     if (!pending) {
-      console.warn('Received response for unknown request:', requestId);
+      return undefined;
+    }
+    pendingRequests.delete(requestId);
+    pending.cleanup();
+    lifecycle.settle(requestId, outcome, details);
+    releaseSelector(requestId);
+    return pending;
+  }
+
+  /**
+   * Reject a request whose request or wallet response timeout expired
+   * @param {string} requestId - Request ID
+   * @param {string} state - Lifecycle state the request timed out in
+   */
+  function handleRequestTimeout(requestId, state) {
+    const pending = takePendingRequest(requestId, 'timeout');
+    if (!pending) {
       return;
     }
+    
+    const message = state === 'awaiting-response' ? 'Wallet response timeout' : 'Request timeout';
+    console.warn(message + ' for request:', requestId);
+    cancelWalletInvocation(requestId);
+    pending.reject(new DOMException(message, 'AbortError'));
+  }
 
-    pendingRequests.delete(requestId);
+  /**
+   * Abort a pending request
+   * Rejects the caller, stops waiting for the wallet and tells the modal
+   * and the extension to drop their state for this request
+   * @param {string} requestId - Request ID
+   * @param {*} reason - Rejection reason (the signal's reason)
+   */
+  function abortRequest(requestId, reason) {
+    const pending = takePendingRequest(requestId, 'aborted');
+    if (!pending) {
+      return;
+    }
+    
+    console.log('Credential request aborted by the page:', requestId);
+    cancelWalletInvocation(requestId);
+    pending.reject(reason);
+    
+    postToExtension('DC_REQUEST_ABORTED', { requestId: requestId });
+  }
+
+  /**
+   * Stop waiting for the wallet opened for a request
+   * The content script closes the wallet window of an aborted request
+   * @param {string} requestId - Request ID
+   */
+  function cancelWalletInvocation(requestId) {
+    walletInvocations.delete(requestId);
+  }
+
+  /**
+   * Override navigator.credentials.get
+   */
+  navigator.credentials.get = async function(options) {
+    console.log('navigator.credentials.get intercepted:', options);
+
+    // Check if this is a digital identity request
+    const isDigitalIdentityRequest = options && (
+      options.identity || 
+      options.digital || 
+      options.mediation === 'optional' ||
+      options.mediation === 'required'
+    );
+
+    if (!isDigitalIdentityRequest) {
+      // If not a digital identity request, pass through to native implementation
+      console.log('Not a digital identity request, passing to native API');
+      return originalCredentialsGet(options);
+    }
+    
+    return interceptDigitalCredentialRequest('get', options, originalCredentialsGet);
+  };
+
+  /**
+   * Override navigator.credentials.create
+   * Digital credential issuance uses create({ digital: { requests: [...] } })
+   */
+  navigator.credentials.create = async function(options) {
+    if (!options || !options.digital) {
+      // Passkeys, passwords etc. are left to the native implementation
+      return originalCredentialsCreate(options);
+    }
+
+    console.log('navigator.credentials.create intercepted:', options);
+    
+    return interceptDigitalCredentialRequest('create', options, originalCredentialsCreate);
+  };
+
+  /**
+   * Settle a request with the selector's outcome (from the content script)
+   * or with a wallet's response (relayed by the content script)
+   * @param {Object} detail - requestId and one of useNative (with unsupportedOnly),
+   *   cancelled, error (with errorName) or response (with protocol)
+   */
+  function handleCredentialResponse(detail) {
+    const { requestId, response, error, errorName, useNative, unsupportedOnly, cancelled, protocol } = detail;
+    
+    if (!pendingRequests.has(requestId)) {
+      console.warn('Received response for unknown request:', requestId);
+      return;
+    }
 
     if (useNative) {
-      // User chose to use native browser implementation
+      // User chose the browser wallet from the selector (unsupportedOnly),
+      // or the extension handed the whole request back to the browser
       console.log('Using native Digital Credentials API');
-      originalCredentialsGet(pending.options)
+      const pending = takePendingRequest(requestId, 'native');
+      cancelWalletInvocation(requestId);
+      pending.nativeFn(unsupportedOnly ? pending.nativeOptions : pending.options)
         .then(credential => pending.resolve(credential))
         .catch(err => pending.reject(err));
+    } else if (cancelled) {
+      // User cancelled the wallet selector
+      const pending = takePendingRequest(requestId, 'cancelled');
+      cancelWalletInvocation(requestId);
+      pending.reject(new DOMException('User cancelled the request', 'AbortError'));
     } else if (error) {
-      // An error occurred
-      pending.reject(new DOMException(error, 'AbortError'));
+      // An error occurred (NotAllowedError when silent mediation is refused)
+      const pending = takePendingRequest(requestId, 'error');
+      cancelWalletInvocation(requestId);
+      pending.reject(new DOMException(error, errorName || 'AbortError'));
     } else if (response) {
-      // Validate the response using the protocol plugin
+      // Only accept a response from the wallet this request is waiting for
+      if (!lifecycle.transition(requestId, 'validating', { protocol: protocol })) {
+        console.warn('Ignoring response for request not awaiting a wallet:', requestId);
+        return;
+      }
+      cancelWalletInvocation(requestId);
+      
+      // No protocol specified: return the response as-is
+      if (!protocol) {
+        takePendingRequest(requestId, 'fulfilled').resolve(response);
+        return;
+      }
+      
+      // Validate with the protocol plugin when one is registered
+      let validatedResponse;
       try {
-        if (protocol && protocolRegistry.isSupported(protocol)) {
-          const validatedResponse = protocolRegistry.validateResponse(protocol, response);
-          
-          // Create a DigitalCredential-like object
-          const credential = {
-            type: 'digital',
-            protocol: protocol,
-            data: validatedResponse,
-            id: `credential-${Date.now()}`,
-            // Add toJSON method for serialization
-            toJSON: function() {
-              return {
-                type: this.type,
-                protocol: this.protocol,
-                data: this.data,
-                id: this.id
-              };
-            }
-          };
-          
-          pending.resolve(credential);
-        } else {
-          // No protocol specified or unknown protocol, return as-is
-          pending.resolve(response);
-        }
+        validatedResponse = protocolRegistry.isSupported(protocol)
+          ? protocolRegistry.validateResponse(protocol, response, pendingRequests.get(requestId).invokedRequest)
+          : response;
       } catch (validationError) {
-        console.error('Response validation failed:', validationError);
-        pending.reject(new DOMException('Invalid credential response: ' + validationError.message, 'AbortError'));
+        rejectResponse(requestId, validationError);
+        return;
+      }
+      
+      if (isThenable(validatedResponse)) {
+        validatedResponse.then(
+          validated => fulfillResponse(requestId, protocol, validated),
+          validationError => rejectResponse(requestId, validationError)
+        );
+      } else {
+        fulfillResponse(requestId, protocol, validatedResponse);
       }
     } else {
-      // User cancelled
-      pending.reject(new DOMException('User cancelled the request', 'AbortError'));
+      console.warn('Ignoring credential response without an outcome:', requestId);
     }
-  });
+  }
 
   /**
-   * Listen for wallet invocation requests
+   * Resolve a request with its validated wallet response
+   * @param {string} requestId - Request ID
+   * @param {string} protocol - Protocol of the response
+   * @param {Object} validatedResponse - Response after validation and afterResponse hooks
    */
-  window.addEventListener('DC_INVOKE_WALLET', function(event) {
-    const { requestId, wallet, protocol, request } = event.detail;
+  function fulfillResponse(requestId, protocol, validatedResponse) {
+    if (!pendingRequests.has(requestId)) {
+      return;
+    }
     
-    console.log('Invoking wallet:', wallet.name, 'for protocol:', protocol);
+    // Disclosed claims go to developer tooling with the settled event
+    let disclosedClaims;
+    try {
+      const plugin = protocolRegistry.getPlugin(protocol);
+      if (plugin && typeof plugin.getDisclosedClaims === 'function') {
+        disclosedClaims = plugin.getDisclosedClaims(validatedResponse);
+      }
+    } catch (validationError) {
+      rejectResponse(requestId, validationError);
+      return;
+    }
+    
+    if (isThenable(disclosedClaims)) {
+      disclosedClaims.then(
+        claims => resolveResponse(requestId, protocol, validatedResponse, claims),
+        validationError => rejectResponse(requestId, validationError)
+      );
+    } else {
+      resolveResponse(requestId, protocol, validatedResponse, disclosedClaims);
+    }
+  }
+
+  /**
+   * Resolve a request with its credential once its disclosed claims are known
+   * @param {string} requestId - Request ID
+   * @param {string} protocol - Protocol of the response
+   * @param {Object} validatedResponse - Response after validation and afterResponse hooks
+   * @param {Array<Object>} [disclosedClaims] - Claims the plugin found disclosed
+   */
+  function resolveResponse(requestId, protocol, validatedResponse, disclosedClaims) {
+    if (!pendingRequests.has(requestId)) {
+      return;
+    }
     
+    let credential;
     try {
-      // Build wallet URL with the authorization request
-      const walletUrl = buildWalletUrl(wallet, protocol, request);
-      
-      console.log('Opening wallet URL:', walletUrl);
-      
-      // Store the request context for when the wallet responds
-      const responseChannel = `dc-response-${requestId}`;
-      
-      // Listen for response via postMessage or redirect
-      const messageHandler = function(messageEvent) {
-        // Verify origin matches wallet domain
-        const walletOrigin = new URL(wallet.url).origin;
-        if (messageEvent.origin !== walletOrigin) {
-          return;
-        }
-        
-        // Check if this is a DC API response
-        if (messageEvent.data && messageEvent.data.type === 'DC_WALLET_RESPONSE' && messageEvent.data.requestId === requestId) {
-          console.log('Received wallet response via postMessage:', messageEvent.data);
-          
-          window.removeEventListener('message', messageHandler);
-          
-          // Dispatch the response
-          window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-            detail: {
-              requestId: requestId,
-              response: messageEvent.data.response,
-              protocol: protocol
-            }
-          }));
-        }
-      };
-      
-      window.addEventListener('message', messageHandler);
-      
-      // Set a timeout for the wallet response
-      setTimeout(() => {
-        window.removeEventListener('message', messageHandler);
-        
-        // Check if request is still pending
-        const pending = pendingRequests.get(requestId);
-        if (pending) {
-          console.warn('Wallet response timeout for request:', requestId);
-          window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-            detail: {
-              requestId: requestId,
-              error: 'Wallet response timeout'
-            }
-          }));
-        }
-      }, 300000); // 5 minute timeout
-      
-      // Open the wallet in a new tab (not popup)
-      const walletWindow = window.open(walletUrl, '_blank');
-      
-      if (!walletWindow) {
-        console.error('Failed to open wallet window - popup may be blocked');
-        throw new Error('Failed to open wallet window - popup blocked by browser');
+      credential = createCredential(protocol, validatedResponse);
+    } catch (validationError) {
+      rejectResponse(requestId, validationError);
+      return;
+    }
+    const settledDetails = disclosedClaims !== undefined ? { disclosedClaims: disclosedClaims } : {};
+    takePendingRequest(requestId, 'fulfilled', settledDetails).resolve(credential);
+  }
+
+  /**
+   * Create the credential a request resolves with: a DigitalCredential
+   * (native prototype or polyfill), or a plain object of the same shape
+   * when credential.js did not load
+   * @param {string} protocol - Protocol of the response
+   * @param {Object} data - Validated response
+   * @returns {Object} Credential
+   */
+  function createCredential(protocol, data) {
+    if (credentialFactory) {
+      return credentialFactory.createDigitalCredential(protocol, data);
+    }
+    return {
+      type: 'digital',
+      protocol: protocol,
+      data: data,
+      toJSON: function() {
+        return { type: this.type, protocol: this.protocol, data: this.data };
       }
-      
-    } catch (error) {
-      console.error('Error invoking wallet:', error);
-      window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-        detail: {
-          requestId: requestId,
-          error: error.message
-        }
-      }));
+    };
+  }
+
+  /**
+   * Reject a request whose wallet response failed validation or was vetoed
+   * @param {string} requestId - Request ID
+   * @param {Error} validationError - Why the response was refused
+   */
+  function rejectResponse(requestId, validationError) {
+    const pending = takePendingRequest(requestId, 'rejected');
+    if (!pending) {
+      return;
     }
+    console.error('Response validation failed:', validationError);
+    pending.reject(isVeto(validationError)
+      ? new DOMException(validationError.message, 'NotAllowedError')
+      : new DOMException('Invalid credential response: ' + validationError.message, 'AbortError'));
+  }
+
+  /**
+   * Listen for selector outcomes from the content script
+   */
+  addExtensionListener('DC_CREDENTIALS_RESPONSE', handleCredentialResponse);
+
+  /**
+   * Follow the wallet selector, shown in this frame or in the top-level frame,
+   * so the request timeout configured in the extension applies while the
+   * user chooses a wallet
+   */
+  addExtensionListener('DC_WALLET_SELECTOR_SHOWN', function(detail) {
+    const { requestId, requestTimeout } = detail;
+    lifecycle.transition(requestId, 'selecting', { requestTimeout: requestTimeout });
   });
 
   /**
-   * Build wallet URL with authorization request parameters
+   * Pick the request each offered wallet gets, with the protocol plugins,
+   * before the content script shows the selector
    */
-  function buildWalletUrl(wallet, protocol, request) {
-    const walletBaseUrl = wallet.url;
+  addExtensionListener('DC_MATCH_WALLETS', function(detail) {
+    const { requestId, wallets, requests } = detail;
+    const pending = pendingRequests.get(requestId);
     
-    // Extract the actual request data (request might have .data property from prepareRequest)
-    const requestData = request.data || request;
+    postToExtension('DC_WALLET_MATCHES', {
+      requestId: requestId,
+      // The request may have been aborted while the wallets were looked up;
+      // only the requests the background accepted are matched
+      matches: pending ? protocolRegistry.matchWallets(requests, wallets) : null
+    });
+  });
+
+  /**
+   * Listen for wallet invocation requests
+   */
+  addExtensionListener('DC_INVOKE_WALLET', function(detail) {
+    const { requestId, wallet, protocol, request, timeout } = detail;
     
-    // For OpenID4VP protocols, construct the authorization request
-    if (protocol.startsWith('openid4vp')) {
-      // wwWallet's UriHandlerProvider checks window.location.search for query parameters
-      // It looks for client_id and request_uri (or direct parameters) in the URL query string
-      // So we pass all OpenID4VP parameters directly as query params to the wallet URL
-      const walletUrl = new URL(walletBaseUrl);
-      
-      // Set all OpenID4VP parameters as query params per parseAuthorizationParams()
-      walletUrl.searchParams.set('client_id', window.location.origin);
-      walletUrl.searchParams.set('response_type', requestData.response_type || 'vp_token');
-      walletUrl.searchParams.set('response_mode', requestData.response_mode || 'dc_api');
-      walletUrl.searchParams.set('nonce', requestData.nonce);
-      walletUrl.searchParams.set('response_uri', window.location.href);
-      
-      // Complex parameters need to be JSON-stringified per OpenID4VP spec
-      walletUrl.searchParams.set('client_metadata', JSON.stringify(requestData.client_metadata || {}));
-      walletUrl.searchParams.set('dcql_query', JSON.stringify(requestData.dcql_query || {}));
-      
-      // Add state if provided
-      if (requestData.state) {
-        walletUrl.searchParams.set('state', requestData.state);
-      }
-      
-      console.log('Built wallet URL with query params:', walletUrl.toString().substring(0, 200) + '...');
-      
-      return walletUrl.toString();
+    // The request may have been aborted or timed out while the wallet was being selected
+    if (!pendingRequests.has(requestId) ||
+        !lifecycle.transition(requestId, 'invoking', { walletId: wallet.id, protocol: protocol })) {
+      console.log('Request no longer pending, not invoking wallet:', requestId);
+      return;
     }
     
-    // For other protocols, use a generic approach
-    const url = new URL(walletBaseUrl);
-    url.searchParams.set('request', JSON.stringify(requestData));
-    url.searchParams.set('protocol', protocol);
-    url.searchParams.set('origin', window.location.origin);
+    console.log('Invoking wallet:', wallet.name, 'for protocol:', protocol);
+
+    // The wallet was chosen: the next queued request may use the selector
+    releaseSelector(requestId);
+
+    // beforeInvoke middleware hooks may add to the request or veto the invocation
+    let requestData;
+    try {
+      requestData = protocolRegistry && protocolRegistry.isSupported(protocol)
+        ? protocolRegistry.beforeInvoke(protocol, request.data, wallet)
+        : request.data;
+    } catch (error) {
+      failWalletInvocation(requestId, error);
+      return;
+    }
+
+    if (isThenable(requestData)) {
+      requestData.then(
+        data => openWallet(requestId, data, timeout),
+        error => failWalletInvocation(requestId, error)
+      );
+    } else {
+      openWallet(requestId, requestData, timeout);
+    }
+  });
+
+  /**
+   * Have the extension open the wallet with a request
+   * The URL is not built here, where page scripts could change it: the
+   * background builds it from the request it checked, with what the
+   * beforeInvoke hooks added, and the content script opens the wallet and
+   * relays its response as a DC_CREDENTIALS_RESPONSE
+   * @param {string} requestId - Request ID
+   * @param {Object} data - Request data after the beforeInvoke hooks
+   * @param {number} timeout - Wallet response timeout (ms)
+   */
+  function openWallet(requestId, data, timeout) {
+    // The request may have been aborted while the hooks ran
+    if (!pendingRequests.has(requestId)) {
+      return;
+    }
+    walletInvocations.set(requestId, { timeout: timeout });
+    postToExtension('DC_OPEN_WALLET', { requestId: requestId, data: data });
+  }
+
+  /**
+   * The extension opened the wallet: wait for its response
+   */
+  addExtensionListener('DC_WALLET_OPENED', function(detail) {
+    const { requestId, requestData } = detail;
+    const invocation = walletInvocations.get(requestId);
+    if (!invocation || !pendingRequests.has(requestId)) {
+      return;
+    }
+    // The response is checked against the request the wallet got
+    pendingRequests.get(requestId).invokedRequest = requestData;
     
-    return url.toString();
+    // The wallet's response timeout (from the extension settings) now applies
+    lifecycle.transition(requestId, 'awaiting-response', { walletTimeout: invocation.timeout });
+  });
+
+  /**
+   * Reject a request whose wallet could not be invoked
+   * @param {string} requestId - Request ID
+   * @param {Error} error - Why (NotAllowedError when middleware vetoed it)
+   */
+  function failWalletInvocation(requestId, error) {
+    console.error('Error invoking wallet:', error);
+    cancelWalletInvocation(requestId);
+    handleCredentialResponse({
+      requestId: requestId,
+      error: error.message,
+      errorName: isVeto(error) ? 'NotAllowedError' : undefined
+    });
   }
 
   console.log('Digital Credentials API interception active');
@@ -414,6 +999,10 @@
      * @param {string} [walletInfo.icon] - Optional icon (emoji or URL)
      * @param {string} [walletInfo.logo] - Optional logo URL
      * @param {string} [walletInfo.color] - Optional brand color
+     * @param {string[]} [walletInfo.formats] - Credential formats the wallet holds (e.g. 'dc+sd-jwt', 'mso_mdoc')
+     * @param {string[]} [walletInfo.credentialTypes] - Credential types the wallet holds (vct values, mdoc doctypes)
+     * @param {string[]} [walletInfo.queryLanguages] - Query languages the wallet understands ('dcql',
+     *   'presentation_exchange'); other queries are translated for it
      * @returns {Promise<Object>} Result of registration
      */
     registerWallet: async function(walletInfo) {
@@ -432,14 +1021,35 @@
         throw new Error('Invalid wallet URL: ' + walletInfo.url);
       }
       
-      // Validate protocol identifiers (must be ASCII lower alpha, digits, and hyphens)
-      const protocolPattern = /^[a-z0-9-]+$/;
-      for (const protocol of walletInfo.protocols) {
-        if (!protocolPattern.test(protocol)) {
-          throw new Error('Invalid protocol identifier: ' + protocol + ' (must contain only lowercase letters, digits, and hyphens)');
+      // Validate protocol identifiers as the protocol plugins resolve them:
+      // identifiers, aliases (org.iso.mdoc) and version ranges (openid4vp@1.0).
+      // Well-formed protocols no plugin handles are kept (the options page
+      // reports them)
+      const invalidProtocols = protocolRegistry
+        ? protocolRegistry.checkWalletProtocols({ protocols: walletInfo.protocols }).invalid
+          .filter(entry => entry.reason === 'not a protocol identifier' || entry.reason === 'invalid version range')
+        : walletInfo.protocols
+          .filter(protocol => typeof protocol !== 'string' || protocol.trim() === '')
+          .map(protocol => ({ protocol, reason: 'not a protocol identifier' }));
+      if (invalidProtocols.length > 0) {
+        const { protocol, reason } = invalidProtocols[0];
+        throw new Error('Invalid protocol identifier: ' + protocol + ' (' + reason + ')');
+      }
+      
+      // Optional capabilities, used to pick the request each wallet receives
+      for (const field of ['formats', 'credentialTypes']) {
+        if (walletInfo[field] !== undefined &&
+            (!Array.isArray(walletInfo[field]) || !walletInfo[field].every(value => typeof value === 'string'))) {
+          throw new Error('Wallet ' + field + ' must be an array of strings');
         }
       }
       
+      if (walletInfo.queryLanguages !== undefined &&
+          (!Array.isArray(walletInfo.queryLanguages) || walletInfo.queryLanguages.length === 0 ||
+           !walletInfo.queryLanguages.every(language => QUERY_LANGUAGES.includes(language)))) {
+        throw new Error('Wallet queryLanguages must be a non-empty array of: ' + QUERY_LANGUAGES.join(', '));
+      }
+      
       // Prepare wallet data
       const wallet = {
         name: walletInfo.name,
@@ -452,43 +1062,51 @@
         autoRegistered: true,
         registeredAt: new Date().toISOString()
       };
+      if (walletInfo.formats) {
+        wallet.formats = walletInfo.formats;
+      }
+      if (walletInfo.credentialTypes) {
+        wallet.credentialTypes = walletInfo.credentialTypes;
+      }
+      if (walletInfo.queryLanguages) {
+        wallet.queryLanguages = walletInfo.queryLanguages;
+      }
       
       // Send registration request to extension
       return new Promise((resolve, reject) => {
         const registrationId = `wallet-reg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         
         // Listen for response
-        const responseHandler = function(event) {
-          if (event.detail.registrationId === registrationId) {
-            window.removeEventListener('DC_WALLET_REGISTRATION_RESPONSE', responseHandler);
+        const responseHandler = function(detail) {
+          if (detail.registrationId === registrationId) {
+            removeExtensionListener('DC_WALLET_REGISTRATION_RESPONSE', responseHandler);
             
-            if (event.detail.success) {
+            if (detail.success) {
               resolve({
                 success: true,
-                alreadyRegistered: event.detail.alreadyRegistered,
-                wallet: event.detail.wallet
+                alreadyRegistered: detail.alreadyRegistered,
+                wallet: detail.wallet
               });
             } else {
-              reject(new Error(event.detail.error || 'Registration failed'));
+              reject(new Error(detail.error || 'Registration failed'));
             }
           }
         };
         
-        window.addEventListener('DC_WALLET_REGISTRATION_RESPONSE', responseHandler);
+        addExtensionListener('DC_WALLET_REGISTRATION_RESPONSE', responseHandler);
         
-        // Dispatch registration request
-        window.dispatchEvent(new CustomEvent('DC_WALLET_REGISTRATION_REQUEST', {
-          detail: {
-            registrationId: registrationId,
-            wallet: wallet
-          }
-        }));
+        // Send registration request
+        postToExtension('DC_WALLET_REGISTRATION_REQUEST', {
+          registrationId: registrationId,
+          wallet: wallet
+        });
         
-        // Timeout after 5 seconds
+        // Timeout after 150 seconds: the user first confirms the wallet in the
+        // extension, which declines it after two minutes
         setTimeout(() => {
-          window.removeEventListener('DC_WALLET_REGISTRATION_RESPONSE', responseHandler);
+          removeExtensionListener('DC_WALLET_REGISTRATION_RESPONSE', responseHandler);
           reject(new Error('Registration timeout'));
-        }, 5000);
+        }, 150000);
       });
     },
     
@@ -501,24 +1119,22 @@
       return new Promise((resolve, reject) => {
         const checkId = `wallet-check-${Date.now()}`;
         
-        const responseHandler = function(event) {
-          if (event.detail.checkId === checkId) {
-            window.removeEventListener('DC_WALLET_CHECK_RESPONSE', responseHandler);
-            resolve(event.detail.isRegistered);
+        const responseHandler = function(detail) {
+          if (detail.checkId === checkId) {
+            removeExtensionListener('DC_WALLET_CHECK_RESPONSE', responseHandler);
+            resolve(detail.isRegistered);
           }
         };
         
-        window.addEventListener('DC_WALLET_CHECK_RESPONSE', responseHandler);
+        addExtensionListener('DC_WALLET_CHECK_RESPONSE', responseHandler);
         
-        window.dispatchEvent(new CustomEvent('DC_WALLET_CHECK_REQUEST', {
-          detail: {
-            checkId: checkId,
-            url: url
-          }
-        }));
+        postToExtension('DC_WALLET_CHECK_REQUEST', {
+          checkId: checkId,
+          url: url
+        });
         
         setTimeout(() => {
-          window.removeEventListener('DC_WALLET_CHECK_RESPONSE', responseHandler);
+          removeExtensionListener('DC_WALLET_CHECK_RESPONSE', responseHandler);
           reject(new Error('Check timeout'));
         }, 5000);
       });
@@ -0,0 +1,254 @@
+/**
+ * JWT signature verification with WebCrypto
+ *
+ * Verifies compact JWS signatures (RFC 7515) with crypto.subtle, so signed
+ * requests are checked even when no wallet registered a verifier with
+ * DCWS.registerJWTVerifier(). The key comes from the x5c certificate or the
+ * jwk of the JWS header, or from a JWKS passed in the options. Whether the
+ * key is trusted is not decided here.
+ *
+ * verify() has the signature of a wallet-registered verifier, so the two are
+ * interchangeable: (jwt, options) => Promise<{ valid, header?, payload?, error? }>.
+ *
+ * References:
+ * - RFC 7515: JSON Web Signature (JWS)
+ * - RFC 7518: JSON Web Algorithms (JWA)
+ * - RFC 8037: EdDSA in JOSE
+ * - RFC 5280: X.509 certificates (SubjectPublicKeyInfo)
+ */
+
+/* global module, require, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS - base64url and DER decoding from encoding.js
+    module.exports = factory(require('./encoding.js'));
+  } else if (typeof define === 'function' && define.amd) {
+    define(['Encoding'], factory);
+  } else {
+    if (!root.Encoding) {
+      console.error('Encoding not found. Make sure encoding.js is loaded first.');
+      return;
+    }
+    root.Jwt = factory(root.Encoding);
+  }
+})(typeof window !== 'undefined' ? window : this, function(Encoding) {
+  'use strict';
+
+  // Supported JWS algorithms: WebCrypto import and verify parameters
+  const ALGORITHMS = {
+    ES256: { kty: 'EC', import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } },
+    ES384: { kty: 'EC', import: { name: 'ECDSA', namedCurve: 'P-384' }, verify: { name: 'ECDSA', hash: 'SHA-384' } },
+    RS256: { kty: 'RSA', import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+    PS256: { kty: 'RSA', import: { name: 'RSA-PSS', hash: 'SHA-256' }, verify: { name: 'RSA-PSS', saltLength: 32 } },
+    EdDSA: { kty: 'OKP', import: { name: 'Ed25519' }, verify: { name: 'Ed25519' } }
+  };
+
+  // Allowed clock skew for exp, nbf and iat, in seconds
+  const DEFAULT_CLOCK_TOLERANCE = 60;
+
+  // Public key members of a JWK (RFC 7518 Section 6, RFC 8037 Section 2).
+  // Others (alg, use, key_ops) may conflict with the WebCrypto import
+  const JWK_KEY_MEMBERS = ['kty', 'crv', 'x', 'y', 'n', 'e'];
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  /**
+   * Decode a base64url JSON object
+   * @param {string} value - base64url string
+   * @param {string} name - Part name for error messages
+   */
+  function decodeJson(value, name) {
+    let decoded;
+    try {
+      decoded = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(Encoding.base64UrlDecode(value)));
+    } catch (err) {
+      throw new Error(`JWT ${name} is not base64url-encoded JSON`);
+    }
+    if (!isObject(decoded)) {
+      throw new Error(`JWT ${name} must be a JSON object`);
+    }
+    return decoded;
+  }
+
+  /**
+   * Decode a compact JWS without verifying it
+   * @param {string} jwt - header.payload.signature
+   * @returns {Object} header, payload, signingInput and signature bytes
+   */
+  function decode(jwt) {
+    const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+    if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+      throw new Error('JWT must be a compact JWS');
+    }
+    let signature;
+    try {
+      signature = Encoding.base64UrlDecode(parts[2]);
+    } catch (err) {
+      throw new Error('JWT signature is not base64url-encoded');
+    }
+    return {
+      header: decodeJson(parts[0], 'header'),
+      payload: decodeJson(parts[1], 'payload'),
+      signingInput: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+      signature: signature
+    };
+  }
+
+  /**
+   * SubjectPublicKeyInfo of a DER certificate (RFC 5280 Section 4.1)
+   * @param {Uint8Array} der - Certificate
+   * @returns {Uint8Array} DER SubjectPublicKeyInfo
+   */
+  function certificatePublicKey(der) {
+    const certificate = Encoding.readDer(der, 0);
+    const tbs = Encoding.readDer(der, certificate.start);
+    let element = Encoding.readDer(der, tbs.start);
+    // version [0] is optional; then serialNumber, signature, issuer, validity, subject
+    let skip = element.tag === 0xa0 ? 6 : 5;
+    while (skip-- > 0) {
+      element = Encoding.readDer(der, element.end);
+    }
+    if (element.tag !== 0x30) {
+      throw new Error('certificate has no subjectPublicKeyInfo');
+    }
+    return der.slice(element.offset, element.end);
+  }
+
+  /**
+   * Decode a base64 (not base64url) x5c certificate
+   */
+  function decodeCertificate(value) {
+    if (typeof value !== 'string') {
+      throw new Error('x5c must hold base64-encoded certificates');
+    }
+    return Encoding.base64Decode(value);
+  }
+
+  /**
+   * Pick the JWK of a JWKS for a JWS
+   * Keys are matched by kid when the header has one, otherwise by key type
+   * @returns {Object|null} JWK
+   */
+  function selectJwk(jwks, header, kty) {
+    const keys = isObject(jwks) && Array.isArray(jwks.keys) ? jwks.keys.filter(isObject) : [];
+    const candidates = keys.filter(key => key.kty === kty && (!key.use || key.use === 'sig') &&
+      (!key.alg || key.alg === header.alg));
+    if (header.kid !== undefined) {
+      return candidates.find(key => key.kid === header.kid) || null;
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Import the public key a JWS names
+   * @returns {Promise<CryptoKey>}
+   */
+  async function importKey(subtle, header, options) {
+    const algorithm = ALGORITHMS[header.alg];
+
+    if (options.certificate !== undefined || (header.x5c !== undefined && !isObject(options.jwk))) {
+      if (options.certificate === undefined && (!Array.isArray(header.x5c) || header.x5c.length === 0)) {
+        throw new Error('x5c must be a non-empty array of certificates');
+      }
+      let spki;
+      try {
+        spki = certificatePublicKey(decodeCertificate(options.certificate !== undefined ? options.certificate : header.x5c[0]));
+      } catch (err) {
+        throw new Error(`Invalid x5c certificate: ${err.message}`);
+      }
+      return subtle.importKey('spki', spki, algorithm.import, false, ['verify']);
+    }
+
+    const jwk = isObject(options.jwk) ? options.jwk
+      : isObject(header.jwk) ? header.jwk : selectJwk(options.jwks, header, algorithm.kty);
+    if (!jwk) {
+      throw new Error(header.kid !== undefined
+        ? `No key found for kid "${header.kid}"`
+        : 'No key found: the JWT has no x5c or jwk header and no JWKS key matches');
+    }
+    if (jwk.kty !== algorithm.kty) {
+      throw new Error(`Key type ${jwk.kty} does not match alg ${header.alg}`);
+    }
+    const publicJwk = {};
+    JWK_KEY_MEMBERS.filter(member => jwk[member] !== undefined).forEach(member => {
+      publicJwk[member] = jwk[member];
+    });
+    return subtle.importKey('jwk', publicJwk, algorithm.import, false, ['verify']);
+  }
+
+  /**
+   * Check the exp, nbf and iat claims (RFC 7519 Section 4.1)
+   * @param {Object} payload - JWT claims
+   * @param {number} now - Seconds since the epoch
+   * @param {number} tolerance - Allowed clock skew in seconds
+   */
+  function checkTimeClaims(payload, now, tolerance) {
+    ['exp', 'nbf', 'iat'].forEach(claim => {
+      if (payload[claim] !== undefined && (typeof payload[claim] !== 'number' || !isFinite(payload[claim]))) {
+        throw new Error(`JWT ${claim} must be a number`);
+      }
+    });
+    if (payload.exp !== undefined && now - tolerance >= payload.exp) {
+      throw new Error('JWT has expired');
+    }
+    if (payload.nbf !== undefined && now + tolerance < payload.nbf) {
+      throw new Error('JWT is not yet valid');
+    }
+    if (payload.iat !== undefined && now + tolerance < payload.iat) {
+      throw new Error('JWT was issued in the future');
+    }
+  }
+
+  /**
+   * Verify a JWS signature and its time claims
+   * @param {string} jwt - Compact JWS
+   * @param {Object} [options]
+   * @param {Object} [options.jwk] - Key to verify with, ignoring the keys of the header
+   * @param {string} [options.certificate] - Certificate (base64 DER) whose key to
+   *   verify with, ignoring the keys of the header
+   * @param {Object} [options.jwks] - JWK Set to look the key up in
+   * @param {string[]} [options.algorithms] - Accepted algs (default: all supported)
+   * @param {number} [options.now] - Current time in seconds (default: the clock)
+   * @param {number} [options.clockTolerance] - Allowed clock skew in seconds
+   * @returns {Promise<Object>} { valid: true, header, payload } or { valid: false, error }
+   */
+  async function verify(jwt, options = {}) {
+    try {
+      const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+      if (!subtle) {
+        throw new Error('WebCrypto is not available');
+      }
+
+      const { header, payload, signingInput, signature } = decode(jwt);
+      const accepted = options.algorithms || Object.keys(ALGORITHMS);
+      if (!ALGORITHMS[header.alg] || !accepted.includes(header.alg)) {
+        throw new Error(`Unsupported JWT alg "${header.alg}"`);
+      }
+
+      const key = await importKey(subtle, header, options);
+      if (!await subtle.verify(ALGORITHMS[header.alg].verify, key, signature, signingInput)) {
+        throw new Error('Signature does not match');
+      }
+
+      const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+      const tolerance = options.clockTolerance !== undefined ? options.clockTolerance : DEFAULT_CLOCK_TOLERANCE;
+      checkTimeClaims(payload, now, tolerance);
+
+      return { valid: true, header: header, payload: payload };
+    } catch (err) {
+      return { valid: false, error: err.message };
+    }
+  }
+
+  return {
+    verify,
+    decode,
+    certificatePublicKey,
+    ALGORITHMS: Object.keys(ALGORITHMS)
+  };
+});
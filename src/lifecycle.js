@@ -0,0 +1,202 @@
+/**
+ * Request lifecycle manager for intercepted Digital Credentials API calls
+ *
+ * Every request moves through explicit states:
+ *
+ *   pending → selecting → invoking → awaiting-response → validating → settled
+ *
+ * Silent mediation skips the selector (pending → invoking) and any state can
+ * settle early (cancel, abort, native fallback, error, timeout).
+ *
+ * Two timers apply. The request timeout bounds the user choosing a wallet:
+ * it starts when the request reaches the selector (or the wallet, without a
+ * selector), not while the request waits for its turn behind another one.
+ * Once the wallet is open the wallet's own response timeout takes over, so a
+ * slow wallet is not cut off by the request timeout.
+ */
+
+/* global module */
+
+(function() {
+  'use strict';
+
+  // Defaults, used until the extension settings are known (milliseconds)
+  const DEFAULT_REQUEST_TIMEOUT = 30000;
+  const DEFAULT_WALLET_TIMEOUT = 300000;
+
+  const STATES = {
+    PENDING: 'pending',
+    SELECTING: 'selecting',
+    INVOKING: 'invoking',
+    AWAITING_RESPONSE: 'awaiting-response',
+    VALIDATING: 'validating',
+    SETTLED: 'settled'
+  };
+
+  // Allowed transitions; every state except settled may also settle
+  const TRANSITIONS = {
+    [STATES.PENDING]: [STATES.SELECTING, STATES.INVOKING],
+    [STATES.SELECTING]: [STATES.INVOKING],
+    [STATES.INVOKING]: [STATES.AWAITING_RESPONSE],
+    [STATES.AWAITING_RESPONSE]: [STATES.VALIDATING],
+    [STATES.VALIDATING]: []
+  };
+
+  class RequestLifecycle {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.requestTimeout] - Time allowed before a wallet is invoked (ms)
+     * @param {number} [options.walletTimeout] - Default time allowed for a wallet response (ms)
+     * @param {Function} [options.onTimeout] - Called with (requestId, state) when a timer fires
+     * @param {Function} [options.onEvent] - Called with every lifecycle event
+     */
+    constructor(options = {}) {
+      this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+      this.walletTimeout = options.walletTimeout || DEFAULT_WALLET_TIMEOUT;
+      this.onTimeout = options.onTimeout || (() => {});
+      this.onEvent = options.onEvent || (() => {});
+      this.requests = new Map(); // requestId -> { state, startedAt, requestTimeout, timerId }
+    }
+
+    /**
+     * Start tracking a request in the pending state
+     * @param {string} requestId - Request ID
+     * @param {Object} [details] - Extra event data (operation, protocols, ...)
+     */
+    start(requestId, details = {}) {
+      if (this.requests.has(requestId)) {
+        throw new Error(`Request ${requestId} is already tracked`);
+      }
+      const entry = {
+        state: STATES.PENDING,
+        startedAt: null,
+        requestTimeout: this.requestTimeout,
+        timerId: null
+      };
+      this.requests.set(requestId, entry);
+      this._emit(requestId, null, STATES.PENDING, details);
+    }
+
+    /**
+     * Move a request to its next state
+     * @param {string} requestId - Request ID
+     * @param {string} state - Target state
+     * @param {Object} [details] - Extra event data
+     * @param {number} [details.requestTimeout] - Replace the request timeout (ms), counted from when the request left pending
+     * @param {number} [details.walletTimeout] - Wallet response timeout (ms) for awaiting-response
+     * @returns {boolean} False when the request is unknown or the transition is not allowed
+     */
+    transition(requestId, state, details = {}) {
+      const entry = this.requests.get(requestId);
+      if (!entry) {
+        return false;
+      }
+      if (!TRANSITIONS[entry.state].includes(state)) {
+        console.warn(`Ignoring lifecycle transition ${entry.state} → ${state} for request:`, requestId);
+        return false;
+      }
+
+      const previousState = entry.state;
+      entry.state = state;
+
+      if (details.requestTimeout) {
+        entry.requestTimeout = details.requestTimeout;
+      }
+
+      clearTimeout(entry.timerId);
+      entry.timerId = null;
+      if (previousState === STATES.PENDING) {
+        entry.startedAt = Date.now();
+      }
+      if (state === STATES.SELECTING || state === STATES.INVOKING) {
+        this._armRequestTimer(requestId, entry);
+      } else if (state === STATES.AWAITING_RESPONSE) {
+        const walletTimeout = details.walletTimeout || this.walletTimeout;
+        entry.timerId = setTimeout(() => this._expire(requestId), walletTimeout);
+      }
+
+      this._emit(requestId, previousState, state, details);
+      return true;
+    }
+
+    /**
+     * Settle a request and release its timers
+     * @param {string} requestId - Request ID
+     * @param {string} outcome - fulfilled, rejected, cancelled, native, aborted, timeout, superseded or error
+     * @param {Object} [details] - Extra event data
+     * @returns {boolean} False when the request was not tracked
+     */
+    settle(requestId, outcome, details = {}) {
+      const entry = this.requests.get(requestId);
+      if (!entry) {
+        return false;
+      }
+      this.requests.delete(requestId);
+      clearTimeout(entry.timerId);
+      this._emit(requestId, entry.state, STATES.SETTLED, { ...details, outcome });
+      return true;
+    }
+
+    /**
+     * Get the current state of a request
+     * @param {string} requestId - Request ID
+     * @returns {string} Current state; settled once the request is no longer tracked
+     */
+    getState(requestId) {
+      const entry = this.requests.get(requestId);
+      return entry ? entry.state : STATES.SETTLED;
+    }
+
+    /**
+     * Arm the request timer for the time left since the request left pending
+     * @private
+     */
+    _armRequestTimer(requestId, entry) {
+      const remaining = Math.max(0, entry.requestTimeout - (Date.now() - entry.startedAt));
+      entry.timerId = setTimeout(() => this._expire(requestId), remaining);
+    }
+
+    /**
+     * @private
+     */
+    _expire(requestId) {
+      const entry = this.requests.get(requestId);
+      if (entry) {
+        this.onTimeout(requestId, entry.state);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _emit(requestId, previousState, state, details) {
+      try {
+        this.onEvent({
+          requestId: requestId,
+          previousState: previousState,
+          state: state,
+          timestamp: Date.now(),
+          ...details
+        });
+      } catch (err) {
+        console.error('Lifecycle event listener failed:', err);
+      }
+    }
+  }
+
+  RequestLifecycle.STATES = STATES;
+  RequestLifecycle.DEFAULT_REQUEST_TIMEOUT = DEFAULT_REQUEST_TIMEOUT;
+  RequestLifecycle.DEFAULT_WALLET_TIMEOUT = DEFAULT_WALLET_TIMEOUT;
+
+  // Export for use in other scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = RequestLifecycle;
+  }
+
+  // Make available globally for browser extension
+  if (typeof window !== 'undefined') {
+    window.RequestLifecycle = RequestLifecycle;
+  }
+
+})();
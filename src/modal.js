@@ -1,292 +1,522 @@
 /**
  * Wallet selection modal
- * Injected into pages when a Digital Credentials API call is intercepted
+ * Runs in the content script's isolated world, loaded before content.js, which
+ * shows the selector when a Digital Credentials API call is intercepted.
+ * Page scripts cannot call into this world or reach the closed shadow root
+ * of the selector, so only the user can choose a wallet, and content.js
+ * receives the choice directly
  */
 
+/* global module */
+
 (function() {
   'use strict';
 
   console.log('[modal.js] Loading wallet selector modal');
 
-  // Create modal HTML
-  const modalHTML = `
-    <div id="dc-wallet-modal-overlay" style="
+  // Modal styles. They are adopted by the shadow root rather than set as
+  // inline style attributes, so a strict style-src does not block them, and
+  // the shadow boundary keeps page CSS out
+  const MODAL_CSS = `
+    :host {
+      all: initial;
       position: fixed;
       top: 0;
       left: 0;
       right: 0;
       bottom: 0;
-      background-color: rgba(0, 0, 0, 0.5);
       z-index: 2147483647;
+    }
+
+    [hidden] {
+      display: none !important;
+    }
+
+    .overlay {
+      position: absolute;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.5);
       display: flex;
       align-items: center;
       justify-content: center;
       font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-    ">
-      <div id="dc-wallet-modal" style="
-        background: #ffffff;
-        border-radius: 8px;
-        border: 1px solid #e5e7eb;
-        max-width: 480px;
-        width: 90%;
-        max-height: 80vh;
-        overflow: hidden;
-        display: flex;
-        flex-direction: column;
-      ">
-        <!-- Header -->
-        <div style="
-          padding: 20px 24px;
-          border-bottom: 1px solid #e5e7eb;
-        ">
-          <h2 style="
-            margin: 0;
-            font-size: 18px;
-            font-weight: 600;
-            color: #000000;
-          ">Select Digital Wallet</h2>
-          <p style="
-            margin: 8px 0 0 0;
-            font-size: 14px;
-            color: #6e7582;
-          ">Choose which wallet to use for this credential request</p>
-        </div>
-
-        <!-- Content -->
-        <div id="dc-wallet-list" style="
-          padding: 16px 24px;
-          overflow-y: auto;
-          flex: 1;
-        ">
-          <!-- Wallets will be inserted here -->
-        </div>
-
-        <!-- Footer -->
-        <div style="
-          padding: 16px 24px;
-          border-top: 1px solid #e5e7eb;
-          display: flex;
-          gap: 12px;
-          justify-content: flex-end;
-        ">
-          <button id="dc-wallet-native" style="
-            padding: 8px 16px;
-            background: #f8f9f9;
-            border: 1px solid #6e7582;
-            border-radius: 8px;
-            font-size: 14px;
-            font-weight: 500;
-            color: #000000;
-            cursor: pointer;
-          ">Use Browser Wallet</button>
-          <button id="dc-wallet-cancel" style="
-            padding: 8px 16px;
-            background: #f8f9f9;
-            border: 1px solid #6e7582;
-            border-radius: 8px;
-            font-size: 14px;
-            font-weight: 500;
-            color: #000000;
-            cursor: pointer;
-          ">Cancel</button>
-        </div>
-      </div>
-    </div>
+    }
+
+    .modal {
+      background: #ffffff;
+      border-radius: 8px;
+      border: 1px solid #e5e7eb;
+      max-width: 480px;
+      width: 90%;
+      max-height: 80vh;
+      overflow: hidden;
+      display: flex;
+      flex-direction: column;
+    }
+
+    .header {
+      padding: 20px 24px;
+      border-bottom: 1px solid #e5e7eb;
+    }
+
+    .title {
+      margin: 0;
+      font-size: 18px;
+      font-weight: 600;
+      color: #000000;
+    }
+
+    .subtitle {
+      margin: 8px 0 0 0;
+      font-size: 14px;
+      color: #6e7582;
+    }
+
+    .requester {
+      margin: 12px 0 0 0;
+      padding: 8px 12px;
+      font-size: 13px;
+      color: #000000;
+      background: #fef3c7;
+      border-radius: 8px;
+      word-break: break-all;
+    }
+
+    .verifier {
+      margin: 12px 0 0 0;
+      padding: 8px 12px;
+      font-size: 13px;
+      color: #374151;
+      background: #f3f4f6;
+      border-radius: 8px;
+      word-break: break-all;
+    }
+
+    .wallet-list {
+      padding: 16px 24px;
+      overflow-y: auto;
+      flex: 1;
+    }
+
+    .wallet-item {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 16px;
+      margin-bottom: 8px;
+      border: 1px solid #e5e7eb;
+      border-radius: 8px;
+      cursor: pointer;
+      transition: all 0.2s;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      background: #ffffff;
+      font: inherit;
+      text-align: left;
+    }
+
+    .wallet-item:not(:disabled):hover,
+    .wallet-item:focus-visible {
+      border-color: #1C4587;
+      background-color: #f0f9ff;
+    }
+
+    .wallet-item:disabled {
+      cursor: default;
+      opacity: 0.6;
+    }
+
+    .wallet-icon {
+      width: 48px;
+      height: 48px;
+      background: #e8e9ea;
+      border-radius: 8px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 24px;
+      flex-shrink: 0;
+    }
+
+    .wallet-details {
+      flex: 1;
+    }
+
+    .wallet-name {
+      font-weight: 500;
+      font-size: 14px;
+      color: #000000;
+      margin-bottom: 4px;
+    }
+
+    .wallet-description {
+      font-size: 12px;
+      color: #6e7582;
+    }
+
+    .empty {
+      text-align: center;
+      padding: 32px;
+      color: #6e7582;
+    }
+
+    .empty-title {
+      margin: 0 0 16px 0;
+      font-size: 14px;
+    }
+
+    .empty-hint {
+      margin: 0;
+      font-size: 12px;
+    }
+
+    .footer {
+      padding: 16px 24px;
+      border-top: 1px solid #e5e7eb;
+      display: flex;
+      gap: 12px;
+      justify-content: flex-end;
+    }
+
+    .action {
+      padding: 8px 16px;
+      background: #f8f9f9;
+      border: 1px solid #6e7582;
+      border-radius: 8px;
+      font: inherit;
+      font-size: 14px;
+      font-weight: 500;
+      color: #000000;
+      cursor: pointer;
+    }
   `;
 
+  // Constructed once and shared by every selector shown
+  let modalStyleSheet = null;
+
+  /**
+   * Apply the modal styles to a shadow root
+   * @param {ShadowRoot} shadowRoot - Root the modal is rendered into
+   */
+  function adoptModalStyles(shadowRoot) {
+    if ('adoptedStyleSheets' in shadowRoot && typeof CSSStyleSheet === 'function' &&
+        typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+      if (!modalStyleSheet) {
+        modalStyleSheet = new CSSStyleSheet();
+        modalStyleSheet.replaceSync(MODAL_CSS);
+      }
+      shadowRoot.adoptedStyleSheets = [modalStyleSheet];
+      return;
+    }
+
+    // Without constructable stylesheets, a style element inside the shadow
+    // root is the closest equivalent
+    const style = document.createElement('style');
+    style.textContent = MODAL_CSS;
+    shadowRoot.appendChild(style);
+  }
+
+  /**
+   * Create an element with a class name and optional text
+   * @param {string} tagName - Element to create
+   * @param {string} className - Class from MODAL_CSS
+   * @param {string} [text] - Text content, never parsed as markup
+   * @returns {HTMLElement}
+   */
+  function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  // The selector currently on screen: { requestId, close }
+  let activeSelector = null;
+
   /**
    * Show wallet selection modal
    * @param {Array} wallets - List of configured wallets
    * @param {Function} onSelect - Callback when wallet is selected
    * @param {Function} onNative - Callback when native browser wallet is chosen
    * @param {Function} onCancel - Callback when cancelled
+   * @param {Object} [options] - Display options
+   * @param {string} [options.operation] - 'get' (default) or 'create' for issuance
+   * @param {string} [options.requestId] - Request shown, so it can be closed on abort
+   * @param {string[]} [options.nativeProtocols] - Protocols only the browser wallet can handle
+   * @param {string} [options.requesterOrigin] - Origin of the embedded frame that made the request
+   * @param {Object[]} [options.verifiers] - Client identifiers of the requests (description, verified)
+   * @param {Object[]} [options.excludedWallets] - Wallets that cannot handle the request (name, icon, reasons)
    */
-  window.showWalletSelector = function(wallets, onSelect, onNative, onCancel) {
+  function showWalletSelector(wallets, onSelect, onNative, onCancel, options = {}) {
     console.log('[modal.js] showWalletSelector called with', wallets);
     // Remove any existing modal
-    const existing = document.getElementById('dc-wallet-modal-overlay');
-    if (existing) {
-      existing.remove();
+    if (activeSelector) {
+      activeSelector.close();
     }
 
-    // Create modal
-    const modalContainer = document.createElement('div');
-    modalContainer.innerHTML = modalHTML;
-    const modal = modalContainer.firstElementChild;
-    document.body.appendChild(modal);
+    // The modal lives in a closed shadow root: page scripts cannot reach its
+    // elements and page styles do not apply to them
+    const host = document.createElement('dc-wallet-selector');
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
+    adoptModalStyles(shadowRoot);
+
+    const overlay = createElement('div', 'overlay');
+    const modal = createElement('div', 'modal');
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+
+    // Header
+    const header = createElement('div', 'header');
+    const title = createElement('h2', 'title', 'Select Digital Wallet');
+    const subtitle = createElement('p', 'subtitle', 'Choose which wallet to use for this credential request');
+    const requester = createElement('p', 'requester');
+    requester.hidden = true;
+    const verifier = createElement('p', 'verifier');
+    verifier.hidden = true;
+    header.append(title, subtitle, requester, verifier);
 
-    // Get wallet list container
-    const walletList = document.getElementById('dc-wallet-list');
+    // Content
+    const walletList = createElement('div', 'wallet-list');
+
+    // Footer
+    const footer = createElement('div', 'footer');
+    const nativeButton = createElement('button', 'action native', 'Use Browser Wallet');
+    nativeButton.type = 'button';
+    const cancelButton = createElement('button', 'action cancel', 'Cancel');
+    cancelButton.type = 'button';
+    footer.append(nativeButton, cancelButton);
+
+    modal.append(header, walletList, footer);
+    overlay.appendChild(modal);
+    shadowRoot.appendChild(overlay);
+
+    // Close the modal without reporting a choice
+    function closeModal() {
+      host.remove();
+      document.removeEventListener('keydown', handleEscape);
+      if (activeSelector && activeSelector.close === closeModal) {
+        activeSelector = null;
+      }
+    }
+    activeSelector = { requestId: options.requestId, close: closeModal };
+
+    // Issuance requests store a credential instead of presenting one
+    if (options.operation === 'create') {
+      title.textContent = 'Select Wallet to Store Credential';
+      subtitle.textContent = 'Choose which wallet should receive the offered credential';
+    }
+
+    // Requests from embedded frames name the frame, not the page, as requester
+    if (options.requesterOrigin) {
+      requester.textContent = 'Requested by an embedded frame from ' + options.requesterOrigin;
+      requester.hidden = false;
+    }
+
+    // The verifier as its client_id names it; unverified ones are marked
+    if (options.verifiers && options.verifiers.length > 0) {
+      verifier.textContent = 'Verifier: ' + options.verifiers
+        .map(v => v.verified ? v.description : v.description + ' – not verified')
+        .join(', ');
+      verifier.hidden = false;
+    }
 
     // Add wallets to the list
     if (wallets && wallets.length > 0) {
       wallets.forEach((wallet, index) => {
-        const walletItem = document.createElement('div');
-        walletItem.style.cssText = `
-          padding: 16px;
-          margin-bottom: 8px;
-          border: 1px solid #e5e7eb;
-          border-radius: 8px;
-          cursor: pointer;
-          transition: all 0.2s;
-          display: flex;
-          align-items: center;
-          gap: 12px;
-          background: #ffffff;
-        `;
-        
-        walletItem.innerHTML = `
-          <div style="
-            width: 48px;
-            height: 48px;
-            background: #e8e9ea;
-            border-radius: 8px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 24px;
-          ">${wallet.icon || '🔐'}</div>
-          <div style="flex: 1;">
-            <div style="
-              font-weight: 500;
-              font-size: 14px;
-              color: #000000;
-              margin-bottom: 4px;
-            ">${escapeHtml(wallet.name)}</div>
-            <div style="
-              font-size: 12px;
-              color: #6e7582;
-            ">${escapeHtml(wallet.description || wallet.url || 'Digital Identity Wallet')}</div>
-          </div>
-        `;
-
-        // Hover effects
-        walletItem.addEventListener('mouseenter', function() {
-          this.style.borderColor = '#1C4587';
-          this.style.backgroundColor = '#f0f9ff';
-        });
-        
-        walletItem.addEventListener('mouseleave', function() {
-          this.style.borderColor = '#e5e7eb';
-          this.style.backgroundColor = 'transparent';
-        });
+        const walletItem = createWalletItem(
+          wallet.icon || '🔐',
+          wallet.name,
+          wallet.description || wallet.url || 'Digital Identity Wallet'
+        );
 
         // Click handler
         walletItem.addEventListener('click', function(e) {
           e.stopPropagation(); // Prevent bubbling to overlay
-          modal.remove();
+          closeModal();
           onSelect(wallet);
         });
 
         walletList.appendChild(walletItem);
       });
     } else {
-      walletList.innerHTML = `
-        <div style="
-          text-align: center;
-          padding: 32px;
-          color: #6e7582;
-        ">
-          <p style="margin: 0 0 16px 0; font-size: 14px;">No wallets configured</p>
-          <p style="margin: 0; font-size: 12px;">Use the extension settings to add wallet providers</p>
-        </div>
-      `;
+      const empty = createElement('div', 'empty');
+      empty.append(
+        createElement('p', 'empty-title', 'No wallets configured'),
+        createElement('p', 'empty-hint', 'Use the extension settings to add wallet providers')
+      );
+      walletList.appendChild(empty);
+    }
+
+    // Wallets the protocol plugins excluded are listed, disabled, with the reason
+    (options.excludedWallets || []).forEach(excludedWallet => {
+      const reasons = excludedWallet.reasons && excludedWallet.reasons.length > 0
+        ? excludedWallet.reasons
+        : ['Cannot handle this request'];
+      const excludedItem = createWalletItem(excludedWallet.icon || '🔐', excludedWallet.name, reasons[0]);
+      excludedItem.classList.add('excluded');
+      excludedItem.disabled = true;
+      excludedItem.title = reasons.join('\n');
+      walletList.appendChild(excludedItem);
+    });
+
+    // Requests no web wallet can handle are offered to the browser wallet
+    // as a list entry instead of the footer button
+    if (options.nativeProtocols && options.nativeProtocols.length > 0) {
+      const nativeItem = createWalletItem(
+        '🌐',
+        'Browser Wallet',
+        'Handles ' + options.nativeProtocols.join(', ') + ' requests'
+      );
+      nativeItem.classList.add('native-entry');
+      nativeItem.addEventListener('click', function(e) {
+        e.stopPropagation();
+        closeModal();
+        onNative();
+      });
+      walletList.appendChild(nativeItem);
+      nativeButton.hidden = true;
     }
 
     // Button handlers
-    document.getElementById('dc-wallet-native').addEventListener('click', function(e) {
+    nativeButton.addEventListener('click', function(e) {
       e.stopPropagation();
-      modal.remove();
+      closeModal();
       onNative();
     });
 
-    document.getElementById('dc-wallet-cancel').addEventListener('click', function(e) {
+    cancelButton.addEventListener('click', function(e) {
       e.stopPropagation();
-      modal.remove();
+      closeModal();
       onCancel();
     });
 
     // ESC key handler
     function handleEscape(e) {
       if (e.key === 'Escape') {
-        modal.remove();
+        closeModal();
         onCancel();
-        document.removeEventListener('keydown', handleEscape);
       }
     }
     document.addEventListener('keydown', handleEscape);
 
     // Click outside to close
-    modal.addEventListener('click', function(e) {
-      if (e.target === modal) {
-        modal.remove();
+    overlay.addEventListener('click', function(e) {
+      if (e.target === overlay) {
+        closeModal();
         onCancel();
       }
     });
-  };
+
+    // Appended to the root element so page styles on body (transforms,
+    // overflow) cannot clip or reposition the fixed host
+    document.documentElement.appendChild(host);
+  }
 
   /**
-   * Escape HTML to prevent XSS
+   * Create a selectable entry for the wallet list
+   * @param {string} icon - Icon text (emoji)
+   * @param {string} name - Display name
+   * @param {string} description - Secondary line
+   * @returns {HTMLElement} List entry; the caller adds the click handler
    */
-  function escapeHtml(unsafe) {
-    return unsafe
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
+  function createWalletItem(icon, name, description) {
+    const walletItem = createElement('button', 'wallet-item');
+    walletItem.type = 'button';
+
+    const details = createElement('div', 'wallet-details');
+    details.append(
+      createElement('div', 'wallet-name', name),
+      createElement('div', 'wallet-description', description)
+    );
+    walletItem.append(createElement('div', 'wallet-icon', icon), details);
+
+    return walletItem;
   }
 
-  console.log('[modal.js] Wallet selector modal loaded, window.showWalletSelector =', typeof window.showWalletSelector);
+  /**
+   * Close the selector of a request without a choice, if it is on screen
+   * The request settled or was aborted before the user chose
+   * @param {string} requestId - Request ID
+   */
+  function closeSelector(requestId) {
+    if (activeSelector && activeSelector.requestId === requestId) {
+      console.log('[modal.js] Request closed, closing wallet selector:', requestId);
+      activeSelector.close();
+    }
+  }
 
-  // Listen for show wallet selector events from content script
-  window.addEventListener('DC_SHOW_WALLET_SELECTOR', function(event) {
-    console.log('[modal.js] Received DC_SHOW_WALLET_SELECTOR event:', event.detail);
-    const { requestId, wallets, requests } = event.detail;
-    
-    window.showWalletSelector(
+  /**
+   * Show the selector for a request and report the user's choice
+   * @param {Object} selector - requestId, wallets, requests, excludedWallets, nativeProtocols, operation, requesterOrigin
+   * @param {Object} handlers - Callbacks for the user's choice
+   * @param {Function} handlers.onSelect - Called with the ID of the chosen wallet
+   * @param {Function} handlers.onNative - Called when the browser wallet is chosen
+   * @param {Function} handlers.onCancel - Called when the selection is cancelled
+   */
+  function showSelectorForRequest(selector, handlers) {
+    console.log('[modal.js] Showing wallet selector:', selector);
+    const { requestId, wallets, excludedWallets, nativeProtocols, operation, requesterOrigin } = selector;
+
+    // Client identifiers the protocol plugins parsed (OpenID4VP), once each
+    const verifiers = [];
+    (selector.requests || []).forEach(request => {
+      const clientId = request && request.data && request.data._clientId;
+      if (clientId && typeof clientId.description === 'string' && !verifiers.some(v => v.value === clientId.value)) {
+        verifiers.push(clientId);
+      }
+    });
+
+    showWalletSelector(
       wallets,
-      // On wallet selected
+      // On wallet selected: the content script resolves the wallet and the
+      // request to send it from the wallets it offered
       (wallet) => {
         console.log('[modal.js] Wallet selected:', wallet.name);
-        
-        // Find matching request for this wallet's protocols
-        const selectedRequest = requests.find(req => 
-          wallet.protocols && wallet.protocols.includes(req.protocol)
-        ) || requests[0]; // fallback to first request
-        
-        // Notify content script which will forward to background
-        window.dispatchEvent(new CustomEvent('DC_WALLET_SELECTED', {
-          detail: {
-            requestId: requestId,
-            walletId: wallet.id,
-            wallet: wallet,
-            protocol: selectedRequest.protocol,
-            selectedRequest: selectedRequest
-          }
-        }));
+        handlers.onSelect(wallet.id);
       },
-      // On native browser wallet chosen
+      // On native browser wallet chosen: it only gets the requests
+      // no web wallet could handle
       () => {
         console.log('[modal.js] Using native browser wallet');
-        window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-          detail: {
-            requestId: requestId,
-            useNative: true
-          }
-        }));
+        handlers.onNative();
       },
       // On cancel
       () => {
         console.log('[modal.js] Wallet selection cancelled');
-        window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
-          detail: {
-            requestId: requestId,
-            error: 'User cancelled the request'
-          }
-        }));
+        handlers.onCancel();
+      },
+      {
+        operation: operation,
+        requestId: requestId,
+        nativeProtocols: nativeProtocols,
+        requesterOrigin: requesterOrigin,
+        verifiers: verifiers,
+        excludedWallets: excludedWallets
       }
     );
-  });
+  }
+
+  const WalletSelectorModal = {
+    show: showSelectorForRequest,
+    close: closeSelector
+  };
+
+  console.log('[modal.js] Wallet selector modal loaded');
+
+  // Export for use in other scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = WalletSelectorModal;
+  }
+
+  // Make available to content.js, which shares this isolated world
+  if (typeof window !== 'undefined') {
+    window.WalletSelectorModal = WalletSelectorModal;
+  }
 
 })();
@@ -20,7 +20,18 @@ const WWWALLET_PRESETS = [
 ];
 
 let wallets = [];
-let settings = { enabled: true, developerMode: false, stats: { interceptCount: 0, walletUses: {} } };
+let settings = {
+  enabled: true,
+  developerMode: false,
+  stats: { interceptCount: 0, walletUses: {} },
+  timeouts: { requestTimeout: 30, walletTimeout: 300 }
+};
+
+// Protocol check of each wallet by the background: walletId -> { supported, invalid }
+let protocolReports = {};
+
+// CA certificates signed requests are validated against (summaries, no DER)
+let trustAnchors = [];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async function() {
@@ -41,12 +52,40 @@ async function loadData() {
     
     wallets = walletsResponse.wallets || [];
     settings = settingsResponse || { enabled: true, developerMode: false, stats: { interceptCount: 0, walletUses: {} } };
+    await loadProtocolReports();
+    await loadTrustAnchors();
   } catch (error) {
     console.error('Failed to load data:', error);
     showNotification('Failed to load data', 'error');
   }
 }
 
+/**
+ * Ask the background which wallet protocol entries no protocol plugin handles
+ */
+async function loadProtocolReports() {
+  try {
+    const response = await runtime.sendMessage({ type: 'CHECK_WALLET_PROTOCOLS', wallets: wallets });
+    protocolReports = (response && response.reports) || {};
+  } catch (error) {
+    console.error('Failed to check wallet protocols:', error);
+    protocolReports = {};
+  }
+}
+
+/**
+ * Load the trust anchor summaries from the background
+ */
+async function loadTrustAnchors() {
+  try {
+    const response = await runtime.sendMessage({ type: 'GET_TRUST_ANCHORS' });
+    trustAnchors = (response && response.anchors) || [];
+  } catch (error) {
+    console.error('Failed to load trust anchors:', error);
+    trustAnchors = [];
+  }
+}
+
 /**
  * Setup all event listeners
  */
@@ -73,9 +112,12 @@ function setupEventListeners() {
   // Settings
   document.getElementById('extension-enabled').addEventListener('change', handleToggleEnabled);
   document.getElementById('developer-mode').addEventListener('change', handleToggleDeveloperMode);
+  document.getElementById('request-timeout').addEventListener('change', handleTimeoutChange);
+  document.getElementById('wallet-timeout').addEventListener('change', handleTimeoutChange);
   document.getElementById('clear-stats').addEventListener('click', handleClearStats);
   document.getElementById('export-config').addEventListener('click', handleExportConfig);
   document.getElementById('import-config').addEventListener('change', handleImportConfig);
+  document.getElementById('import-trust-anchor').addEventListener('change', handleImportTrustAnchor);
 
   // Close modal on outside click
   document.getElementById('edit-modal').addEventListener('click', function(e) {
@@ -358,6 +400,7 @@ function renderAll() {
   renderPresets();
   renderStats();
   renderSettings();
+  renderTrustAnchors();
 }
 
 /**
@@ -415,17 +458,34 @@ function renderWalletCard(wallet) {
   const uses = settings.stats.walletUses[wallet.id] || 0;
   const isDefault = wallets.findIndex(w => w.id === wallet.id) === 0;
   
+  // Protocol entries no protocol plugin handles, with the reason
+  const invalidProtocols = (protocolReports[wallet.id] && protocolReports[wallet.id].invalid) || [];
+  const invalidReason = (index) => {
+    const entry = invalidProtocols.find(i => i.index === index);
+    return entry ? entry.reason : null;
+  };
+  
   // Build protocols display for developer mode
   let protocolsDisplay = '';
-  if (settings.developerMode && wallet.protocols && wallet.protocols.length > 0) {
+  if (settings.developerMode && Array.isArray(wallet.protocols) && wallet.protocols.length > 0) {
     protocolsDisplay = `
       <div class="wallet-protocols" style="margin-top: 8px; padding: 8px; background: #f3f4f6; border-radius: 6px;">
         <div style="font-size: 11px; font-weight: 500; color: #6b7280; margin-bottom: 4px;">Protocols:</div>
-        <div style="font-size: 11px; color: #374151;">${wallet.protocols.map(p => `<code style="background: white; padding: 2px 6px; border-radius: 3px; margin-right: 4px;">${escapeHtml(p)}</code>`).join('')}</div>
+        <div style="font-size: 11px; color: #374151;">${wallet.protocols.map((p, index) => {
+          const reason = invalidReason(index);
+          return reason
+            ? `<code class="protocol-invalid" title="${escapeHtml(reason)}" style="background: #fee2e2; color: #991b1b; padding: 2px 6px; border-radius: 3px; margin-right: 4px; text-decoration: line-through;">${escapeHtml(String(p))}</code>`
+            : `<code style="background: white; padding: 2px 6px; border-radius: 3px; margin-right: 4px;">${escapeHtml(p)}</code>`;
+        }).join('')}</div>
       </div>
     `;
   }
   
+  // Invalid protocol entries are reported whether or not developer mode is on
+  const protocolWarning = invalidProtocols.length > 0
+    ? `<span class="badge badge-warning" title="${escapeHtml(invalidProtocols.map(i => `${String(i.protocol)}: ${i.reason}`).join('\n'))}">${invalidProtocols.length} invalid protocol${invalidProtocols.length === 1 ? '' : 's'}</span>`
+    : '';
+  
   // Render icon - handle both emoji and image icons
   let iconHtml;
   let icon = wallet.icon;
@@ -475,6 +535,7 @@ function renderWalletCard(wallet) {
         ${isDefault ? '<span class="badge badge-info">Default</span>' : ''}
         ${wallet.preset ? '<span class="badge badge-info">wwWallet</span>' : ''}
         ${uses > 0 ? `<span class="badge badge-info">Used ${uses}x</span>` : ''}
+        ${protocolWarning}
       </div>
       
       <div class="wallet-actions">
@@ -546,6 +607,10 @@ function renderStats() {
 function renderSettings() {
   document.getElementById('extension-enabled').checked = settings.enabled !== false;
   document.getElementById('developer-mode').checked = settings.developerMode === true;
+  
+  const timeouts = settings.timeouts || {};
+  document.getElementById('request-timeout').value = timeouts.requestTimeout || 30;
+  document.getElementById('wallet-timeout').value = timeouts.walletTimeout || 300;
 }
 
 /**
@@ -649,6 +714,10 @@ async function openEditModal(wallet) {
   document.getElementById('edit-wallet-description').value = wallet.description || '';
   document.getElementById('edit-wallet-icon').value = wallet.icon || '🔐';
   document.getElementById('edit-wallet-enabled').checked = wallet.enabled;
+  document.getElementById('edit-wallet-timeout').value = wallet.timeout || '';
+  // One declared query language restricts the wallet to it; none or both means any
+  const queryLanguages = Array.isArray(wallet.queryLanguages) ? wallet.queryLanguages : [];
+  document.getElementById('edit-wallet-query-language').value = queryLanguages.length === 1 ? queryLanguages[0] : '';
   
   // Update icon preview based on icon type
   const editIconPreview = document.getElementById('edit-icon-preview');
@@ -708,6 +777,21 @@ async function handleSaveEdit() {
     enabled: document.getElementById('edit-wallet-enabled').checked
   };
 
+  // Empty timeout means the default wallet response timeout applies
+  const timeout = parseInt(document.getElementById('edit-wallet-timeout').value, 10);
+  if (timeout > 0) {
+    updatedWallet.timeout = timeout;
+  } else {
+    delete updatedWallet.timeout;
+  }
+
+  const queryLanguage = document.getElementById('edit-wallet-query-language').value;
+  if (queryLanguage) {
+    updatedWallet.queryLanguages = [queryLanguage];
+  } else {
+    delete updatedWallet.queryLanguages;
+  }
+
   // Update protocols if developer mode is enabled
   if (settings.developerMode) {
     const protocolsText = document.getElementById('edit-wallet-protocols').value.trim();
@@ -780,6 +864,24 @@ async function handleToggleDeveloperMode(e) {
   );
 }
 
+/**
+ * Handle change of the request or wallet response timeout
+ */
+async function handleTimeoutChange() {
+  const requestTimeout = parseInt(document.getElementById('request-timeout').value, 10);
+  const walletTimeout = parseInt(document.getElementById('wallet-timeout').value, 10);
+  
+  if (!(requestTimeout > 0) || !(walletTimeout > 0)) {
+    showNotification('Timeouts must be a positive number of seconds', 'error');
+    renderSettings();
+    return;
+  }
+  
+  settings.timeouts = { requestTimeout, walletTimeout };
+  await saveSettings();
+  showNotification('Timeouts updated', 'success');
+}
+
 /**
  * Update UI based on developer mode state
  */
@@ -880,12 +982,98 @@ async function handleImportConfig(e) {
   e.target.value = ''; // Reset file input
 }
 
+/**
+ * Render the trust anchors list
+ */
+function renderTrustAnchors() {
+  const container = document.getElementById('trust-anchors-list');
+
+  if (trustAnchors.length === 0) {
+    container.innerHTML = `
+      <div class="setting-item">
+        <div class="setting-description">No trust anchors. Signed requests from x509_san_dns verifiers are rejected until you import one.</div>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = trustAnchors.map(anchor => `
+    <div class="setting-item" data-fingerprint="${escapeHtml(anchor.fingerprint)}">
+      <div class="setting-info">
+        <div class="setting-label">${escapeHtml(anchor.subject)}</div>
+        <div class="setting-description">
+          Valid ${escapeHtml(anchor.notBefore.slice(0, 10))} to ${escapeHtml(anchor.notAfter.slice(0, 10))}${anchor.issuer !== anchor.subject ? ` &middot; issued by ${escapeHtml(anchor.issuer)}` : ''}
+        </div>
+        <div class="setting-description"><code>SHA-256 ${escapeHtml(anchor.fingerprint.match(/.{2}/g).join(':'))}</code></div>
+      </div>
+      <button class="btn btn-secondary btn-small btn-remove-anchor">Remove</button>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('[data-fingerprint]').forEach(item => {
+    item.querySelector('.btn-remove-anchor').addEventListener('click', () => handleRemoveTrustAnchor(item.dataset.fingerprint));
+  });
+}
+
+/**
+ * Handle trust anchor import (PEM, or a single DER certificate)
+ */
+async function handleImportTrustAnchor(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let pem = new TextDecoder().decode(bytes);
+    if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+      const base64 = btoa(String.fromCharCode(...bytes));
+      pem = `-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+    }
+
+    const response = await runtime.sendMessage({ type: 'IMPORT_TRUST_ANCHORS', pem: pem });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Import failed');
+    }
+
+    await loadTrustAnchors();
+    renderTrustAnchors();
+    showNotification(response.added > 0
+      ? `Imported ${response.added} trust anchor(s)`
+      : 'Certificate already imported', 'success');
+  } catch (error) {
+    console.error('Failed to import trust anchor:', error);
+    showNotification(`Failed to import certificate: ${error.message}`, 'error');
+  }
+
+  e.target.value = ''; // Reset file input
+}
+
+/**
+ * Handle trust anchor removal
+ */
+async function handleRemoveTrustAnchor(fingerprint) {
+  if (!confirm('Signed requests from verifiers under this CA will be rejected. Remove it?')) {
+    return;
+  }
+
+  try {
+    await runtime.sendMessage({ type: 'REMOVE_TRUST_ANCHOR', fingerprint: fingerprint });
+    await loadTrustAnchors();
+    renderTrustAnchors();
+    showNotification('Trust anchor removed', 'success');
+  } catch (error) {
+    console.error('Failed to remove trust anchor:', error);
+    showNotification('Failed to remove trust anchor', 'error');
+  }
+}
+
 /**
  * Save wallets to storage
  */
 async function saveWallets() {
   try {
     await runtime.sendMessage({ type: 'SAVE_WALLETS', wallets: wallets });
+    await loadProtocolReports();
   } catch (error) {
     console.error('Failed to save wallets:', error);
     showNotification('Failed to save changes', 'error');
@@ -900,7 +1088,8 @@ async function saveSettings() {
     await runtime.sendMessage({ 
       type: 'SAVE_SETTINGS', 
       enabled: settings.enabled,
-      developerMode: settings.developerMode
+      developerMode: settings.developerMode,
+      timeouts: settings.timeouts
     });
   } catch (error) {
     console.error('Failed to save settings:', error);
@@ -11,6 +11,8 @@ document.addEventListener('DOMContentLoaded', function() {
   const interceptCount = document.getElementById('interceptCount');
   const walletCount = document.getElementById('walletCount');
   const walletList = document.getElementById('walletList');
+  const requestsSection = document.getElementById('requestsSection');
+  const requestList = document.getElementById('requestList');
 
   // Cross-browser compatibility
   const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
@@ -55,6 +57,9 @@ document.addEventListener('DOMContentLoaded', function() {
       
       updateUI(settings.enabled, settings.stats);
       displayWallets(wallets.wallets, settings.stats);
+      
+      const active = await runtime.sendMessage({ type: 'GET_ACTIVE_REQUESTS' });
+      displayRequests(active && active.requests);
     } catch (error) {
       console.error('Failed to load state:', error);
     }
@@ -114,6 +119,25 @@ document.addEventListener('DOMContentLoaded', function() {
     }).join('');
   }
 
+  /**
+   * Display in-flight credential requests and their lifecycle state
+   */
+  function displayRequests(requests) {
+    if (!requests || requests.length === 0) {
+      requestsSection.style.display = 'none';
+      requestList.innerHTML = '';
+      return;
+    }
+
+    requestsSection.style.display = '';
+    requestList.innerHTML = requests.map(request => `
+      <div class="request-item">
+        <span class="request-origin">${escapeHtml(request.origin || 'Unknown origin')}</span>
+        <span class="request-state">${escapeHtml(request.status || 'pending')}</span>
+      </div>
+    `).join('');
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
@@ -131,6 +155,10 @@ document.addEventListener('DOMContentLoaded', function() {
     if (message.type === 'STATS_UPDATE') {
       interceptCount.textContent = message.stats.interceptCount || 0;
       loadState(); // Reload to update wallet list with new usage stats
+    } else if (message.type === 'REQUEST_LIFECYCLE_UPDATE') {
+      runtime.sendMessage({ type: 'GET_ACTIVE_REQUESTS' })
+        .then(active => displayRequests(active && active.requests))
+        .catch(() => {});
     }
   });
 });
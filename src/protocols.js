@@ -16,36 +16,150 @@ class ProtocolPlugin {
     throw new Error('getProtocolId() must be implemented');
   }
   
+  /**
+   * Get the credential operations this plugin can handle
+   * 'get' is a presentation via navigator.credentials.get(),
+   * 'create' is an issuance via navigator.credentials.create()
+   * @returns {string[]} Supported operations (defaults to ['get'])
+   */
+  getSupportedOperations() {
+    return ['get'];
+  }
+  
+  /**
+   * Get the version of the protocol this plugin implements
+   * Used to prefer the newest version when a wallet supports several requests
+   * @returns {string|null} Dotted version (e.g. '1.0'), or null for drafts
+   */
+  getProtocolVersion() {
+    return null;
+  }
+  
+  /**
+   * Get the protocol family: the versions and variants of one protocol
+   * (e.g. openid4vp, openid4vp-v1-unsigned, openid4vp-v1-signed) share it
+   * @returns {string} Family name (defaults to the protocol identifier)
+   */
+  getProtocolFamily() {
+    return this.getProtocolId();
+  }
+  
+  /**
+   * Get other identifiers pages and wallets use for the protocol
+   * @returns {string[]} Aliases, normalized to the protocol identifier
+   */
+  getProtocolAliases() {
+    return [];
+  }
+
+  /**
+   * Get the request parameters the extension's checks bind, beyond those
+   * the prepared request already has: beforeInvoke hooks may not add them
+   * @returns {string[]} Parameter names (none by default)
+   */
+  getBoundParameters() {
+    return [];
+  }
+
+  /**
+   * Get the credential formats a prepared request asks for
+   * @param {Object} _preparedRequest - Output from prepareRequest()
+   * @returns {string[]} Format identifiers (e.g. 'dc+sd-jwt', 'mso_mdoc'),
+   *   empty when the request does not say
+   */
+  getRequestedFormats(_preparedRequest) {
+    return [];
+  }
+  
+  /**
+   * Get the credential types a prepared request asks for
+   * @param {Object} _preparedRequest - Output from prepareRequest()
+   * @returns {string[]} Credential types (e.g. SD-JWT VC vct values, mdoc
+   *   doctypes), empty when the request does not say
+   */
+  getRequestedCredentialTypes(_preparedRequest) {
+    return [];
+  }
+  
+  /**
+   * Score how well a wallet can handle a prepared request
+   * The default compares the requested formats and credential types with
+   * those the wallet declares; a wallet that declares none is not excluded
+   * @param {Object} preparedRequest - Output from prepareRequest()
+   * @param {Object} wallet - Wallet configuration (optional formats and credentialTypes)
+   * @returns {Object} { score, reasons }: score 0 excludes the wallet and
+   *   reasons say why; a higher score is a better match
+   */
+  matchWallet(preparedRequest, wallet) {
+    const checks = [
+      ['formats', this.getRequestedFormats(preparedRequest), wallet.formats],
+      ['credential types', this.getRequestedCredentialTypes(preparedRequest), wallet.credentialTypes]
+    ];
+    
+    let score = 1;
+    const reasons = [];
+    for (const [label, requested, declared] of checks) {
+      if (requested.length === 0 || !Array.isArray(declared)) {
+        continue;
+      }
+      const supported = requested.filter(value => declared.includes(value));
+      if (supported.length === 0) {
+        reasons.push(`supports none of the requested ${label} (${requested.join(', ')})`);
+      } else {
+        // Any one requested credential may satisfy the verifier, all of them is better
+        score += supported.length === requested.length ? 2 : 1;
+      }
+    }
+    
+    return { score: reasons.length > 0 ? 0 : score, reasons: reasons };
+  }
+  
   /**
    * Validate and prepare request data for this protocol
-   * @param {Object} requestData - Raw request data from navigator.credentials.get
-   * @returns {Object} Validated and formatted request data
+   * May return a promise, e.g. to verify a signed request
+   * @param {Object} _requestData - Raw request data from navigator.credentials.get
+   * @param {Object} [_context] - Page making the request: origin, url and
+   *   the jwtVerifier for signed requests
+   * @returns {Object|Promise<Object>} Validated and formatted request data
    */
-  prepareRequest(requestData) {
+  prepareRequest(_requestData, _context) {
     throw new Error('prepareRequest() must be implemented');
   }
   
   /**
    * Validate response data from wallet
-   * @param {Object} responseData - Response data from wallet
+   * @param {Object} _responseData - Response data from wallet
+   * @param {Object} [_request] - Prepared request the wallet answered, when known
    * @returns {Object} Validated response data
    */
-  validateResponse(responseData) {
+  validateResponse(_responseData, _request) {
     throw new Error('validateResponse() must be implemented');
   }
   
   /**
    * Format the request for transmission to the wallet
+   * The wallet is opened at the invocationUrl of the result. The default
+   * passes the whole request as JSON with the protocol and the page's origin;
+   * plugins override it for the parameters their wallets expect
    * @param {Object} preparedRequest - Output from prepareRequest()
    * @param {string} walletUrl - Target wallet URL
-   * @returns {Object} Request ready for transmission
+   * @param {Object} [context] - Page making the request: origin and url, and the wallet
+   * @returns {Object} Request ready for transmission, with invocationUrl and
+   *   the requestData the wallet's response is checked against
    */
-  formatForWallet(preparedRequest, walletUrl) {
-    // Default implementation - can be overridden
+  formatForWallet(preparedRequest, walletUrl, context = {}) {
+    const url = new URL(walletUrl);
+    url.searchParams.set('request', JSON.stringify(preparedRequest));
+    url.searchParams.set('protocol', this.getProtocolId());
+    if (context.origin) {
+      url.searchParams.set('origin', context.origin);
+    }
+    
     return {
       protocol: this.getProtocolId(),
       data: preparedRequest,
-      walletUrl: walletUrl
+      walletUrl: walletUrl,
+      invocationUrl: url.toString()
     };
   }
 }
@@ -85,13 +199,178 @@ class ExampleProtocolPlugin extends ProtocolPlugin {
   }
 }
 
+/**
+ * Protocol Catalogue
+ * The canonical protocol identifiers, with their aliases, family and version
+ *
+ * Wallets declare canonical identifiers or aliases, which name one protocol,
+ * or a family with a version range, which names every protocol of the family
+ * in the range:
+ * - openid4vp@1.0: OpenID4VP 1.0 (signed and unsigned)
+ * - openid4vp@>=1.0: 1.0 and later versions
+ * - openid4vp@draft: the draft identifier
+ * - openid4vp@*: all of them
+ */
+class ProtocolCatalogue {
+  constructor() {
+    this.entries = new Map(); // canonical id -> { id, family, version, aliases }
+    this.aliases = new Map(); // alias -> canonical id
+  }
+  
+  /**
+   * Add a protocol, replacing an earlier entry of the same identifier
+   * @param {Object} entry - id, family, version (null for drafts) and aliases
+   */
+  add(entry) {
+    const aliases = Array.isArray(entry.aliases) ? entry.aliases : [];
+    for (const alias of aliases) {
+      const target = this.aliases.get(alias);
+      if ((target && target !== entry.id) || (alias !== entry.id && this.entries.has(alias))) {
+        throw new Error(`Protocol alias '${alias}' already refers to '${target || alias}'`);
+      }
+    }
+    if (this.aliases.has(entry.id)) {
+      throw new Error(`Protocol identifier '${entry.id}' is an alias of '${this.aliases.get(entry.id)}'`);
+    }
+    
+    this.remove(entry.id);
+    this.entries.set(entry.id, {
+      id: entry.id,
+      family: entry.family || entry.id,
+      version: entry.version === undefined ? null : entry.version,
+      aliases: aliases.slice()
+    });
+    aliases.forEach(alias => this.aliases.set(alias, entry.id));
+  }
+  
+  /**
+   * Remove a protocol and its aliases
+   * @param {string} id - Canonical protocol identifier
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      entry.aliases.forEach(alias => this.aliases.delete(alias));
+      this.entries.delete(id);
+    }
+  }
+  
+  /**
+   * The canonical identifier of a protocol identifier or alias
+   * @param {string} protocol - Protocol identifier or alias
+   * @returns {string} Canonical identifier (unknown identifiers unchanged)
+   */
+  normalize(protocol) {
+    return this.aliases.get(protocol) || protocol;
+  }
+  
+  /**
+   * Get the entry of a protocol identifier or alias
+   * @param {string} protocol - Protocol identifier or alias
+   * @returns {Object|null} { id, family, version, aliases }
+   */
+  get(protocol) {
+    return this.entries.get(this.normalize(protocol)) || null;
+  }
+  
+  /**
+   * The canonical identifiers a wallet protocol declaration names
+   * @param {string} declaration - Identifier, alias or family@range
+   * @returns {string[]} Canonical identifiers, empty when none are known
+   */
+  resolve(declaration) {
+    if (typeof declaration !== 'string') {
+      return [];
+    }
+    const at = declaration.lastIndexOf('@');
+    if (at === -1) {
+      const id = this.normalize(declaration);
+      return this.entries.has(id) ? [id] : [];
+    }
+    
+    const family = declaration.slice(0, at);
+    const range = declaration.slice(at + 1);
+    if (!ProtocolCatalogue.isVersionRange(range)) {
+      return [];
+    }
+    return Array.from(this.entries.values())
+      .filter(entry => entry.family === family && ProtocolCatalogue.satisfies(entry.version, range))
+      .map(entry => entry.id);
+  }
+  
+  /**
+   * Check the syntax of a protocol identifier, alias or family: lowercase
+   * letters and digits, in parts separated by dots or hyphens (openid4vp,
+   * openid4vp-v1-signed, org.iso.mdoc)
+   * @param {string} identifier - Identifier without a version range
+   * @returns {boolean} True if the identifier is well-formed
+   */
+  static isIdentifier(identifier) {
+    return typeof identifier === 'string' && /^[a-z0-9]+([.-][a-z0-9]+)*$/.test(identifier);
+  }
+  
+  /**
+   * Check the syntax of a version range: *, draft, 1.0 or >=1.0
+   * @param {string} range - Version range
+   * @returns {boolean} True if the range is well-formed
+   */
+  static isVersionRange(range) {
+    return range === '*' || range === 'draft' || /^(>=)?\d+(\.\d+)*$/.test(range);
+  }
+  
+  /**
+   * Check a protocol version against a version range
+   * A version matches a range without >= when the range is its prefix,
+   * so 1 matches 1.0 and 1.1, and 1.0 matches 1.0 and 1.0.1
+   * @param {string|null} version - Dotted version, or null for drafts
+   * @param {string} range - Version range
+   * @returns {boolean} True if the version is in the range
+   */
+  static satisfies(version, range) {
+    if (range === '*') {
+      return true;
+    }
+    if (range === 'draft') {
+      return version === null;
+    }
+    if (version === null) {
+      return false;
+    }
+    if (range.startsWith('>=')) {
+      return ProtocolPluginRegistry.compareVersions(version, range.slice(2)) >= 0;
+    }
+    const parts = String(version).split('.').map(Number);
+    return range.split('.').map(Number).every((part, i) => (parts[i] || 0) === part);
+  }
+}
+
+/**
+ * Error thrown when a middleware hook vetoes a request
+ */
+class MiddlewareVetoError extends Error {
+  /**
+   * @param {string} reason - Why the request was vetoed
+   * @param {string} stage - Hook that vetoed it
+   * @param {string} protocol - Protocol identifier
+   */
+  constructor(reason, stage, protocol) {
+    super(reason || 'Request vetoed by middleware');
+    this.name = 'MiddlewareVetoError';
+    this.stage = stage;
+    this.protocol = protocol;
+  }
+}
+
 /**
  * Protocol Plugin Registry
- * Manages registration and retrieval of protocol plugins
+ * Manages registration and retrieval of protocol plugins, and the middleware
+ * hooks that run around them
  */
 class ProtocolPluginRegistry {
   constructor() {
     this.plugins = new Map();
+    this.catalogue = new ProtocolCatalogue();
+    this.middleware = []; // { hooks, protocols: Set or null for every protocol }
     
     // Register example plugin (replace with real implementations)
     this.register(new ExampleProtocolPlugin());
@@ -111,26 +390,65 @@ class ProtocolPluginRegistry {
       console.warn(`Protocol plugin for '${protocolId}' is being replaced`);
     }
     
+    this.catalogue.add({
+      id: protocolId,
+      family: plugin.getProtocolFamily(),
+      version: plugin.getProtocolVersion(),
+      aliases: plugin.getProtocolAliases()
+    });
     this.plugins.set(protocolId, plugin);
     console.log(`Registered protocol plugin: ${protocolId}`);
   }
   
   /**
    * Get a protocol plugin by ID
-   * @param {string} protocolId - Protocol identifier
+   * @param {string} protocolId - Protocol identifier or alias
    * @returns {ProtocolPlugin|null} Plugin instance or null
    */
   getPlugin(protocolId) {
-    return this.plugins.get(protocolId) || null;
+    return this.plugins.get(this.normalizeProtocol(protocolId)) || null;
   }
   
   /**
    * Check if a protocol is supported
-   * @param {string} protocolId - Protocol identifier
+   * @param {string} protocolId - Protocol identifier or alias
    * @returns {boolean} True if protocol is supported
    */
   isSupported(protocolId) {
-    return this.plugins.has(protocolId);
+    return this.plugins.has(this.normalizeProtocol(protocolId));
+  }
+  
+  /**
+   * Get the canonical identifier of a protocol identifier or alias
+   * @param {string} protocolId - Protocol identifier or alias
+   * @returns {string} Canonical identifier (unknown identifiers unchanged)
+   */
+  normalizeProtocol(protocolId) {
+    return this.catalogue.normalize(protocolId);
+  }
+  
+  /**
+   * Get the protocols a wallet's declarations name (see ProtocolCatalogue)
+   * @param {string[]} declarations - Identifiers, aliases or family@range
+   * @returns {string[]} Canonical identifiers of registered protocols
+   */
+  resolveWalletProtocols(declarations) {
+    const protocols = new Set();
+    (Array.isArray(declarations) ? declarations : []).forEach(declaration => {
+      this.catalogue.resolve(declaration).forEach(protocol => protocols.add(protocol));
+    });
+    return Array.from(protocols);
+  }
+  
+  /**
+   * Check if a protocol plugin handles a credential operation
+   * @param {string} protocolId - Protocol identifier
+   * @param {string} operation - 'get' or 'create'
+   * @returns {boolean} True if the plugin supports the operation
+   */
+  supportsOperation(protocolId, operation) {
+    const plugin = this.getPlugin(protocolId);
+    return !!plugin && plugin.getSupportedOperations().includes(operation);
   }
   
   /**
@@ -141,34 +459,387 @@ class ProtocolPluginRegistry {
     return Array.from(this.plugins.keys());
   }
   
+  /**
+   * Check the protocols a wallet declares against the registered plugins
+   * @param {Object} wallet - Wallet configuration
+   * @returns {Object} supported: canonical identifiers of the declared
+   *   protocols a plugin handles; invalid: { protocol, index, reason } for
+   *   every entry that adds none
+   */
+  checkWalletProtocols(wallet) {
+    const report = { supported: [], invalid: [] };
+    const protocols = wallet ? wallet.protocols : undefined;
+    if (protocols === undefined || protocols === null) {
+      return report;
+    }
+    if (!Array.isArray(protocols)) {
+      report.invalid.push({ protocol: protocols, reason: 'protocols must be a list of protocol identifiers' });
+      return report;
+    }
+    
+    const seen = new Set();
+    protocols.forEach((protocol, index) => {
+      const at = typeof protocol === 'string' ? protocol.lastIndexOf('@') : -1;
+      const range = at !== -1 ? protocol.slice(at + 1) : null;
+      const resolved = this.catalogue.resolve(protocol);
+      const added = resolved.filter(id => !report.supported.includes(id));
+      
+      if (!ProtocolCatalogue.isIdentifier(at !== -1 ? protocol.slice(0, at) : protocol)) {
+        report.invalid.push({ protocol, index, reason: 'not a protocol identifier' });
+      } else if (seen.has(protocol)) {
+        report.invalid.push({ protocol, index, reason: 'declared more than once' });
+      } else if (range !== null && !ProtocolCatalogue.isVersionRange(range)) {
+        report.invalid.push({ protocol, index, reason: 'invalid version range' });
+      } else if (resolved.length === 0) {
+        report.invalid.push({
+          protocol,
+          index,
+          reason: range !== null ? 'no registered protocol in the version range' : 'no plugin registered for the protocol'
+        });
+      } else if (added.length === 0) {
+        report.invalid.push({ protocol, index, reason: 'already covered by another entry' });
+      } else {
+        report.supported.push(...added);
+      }
+      seen.add(protocol);
+    });
+    return report;
+  }
+  
+  /**
+   * Pick the request a wallet should receive
+   * Every request in a protocol the wallet supports is scored by its plugin:
+   * the highest score wins, then the newest protocol version, then the
+   * order of the requests
+   * @param {Object[]} requests - Prepared requests ({ protocol, data })
+   * @param {Object} wallet - Wallet configuration
+   * @returns {Object} Match: walletId, requestIndex (-1 when no request suits
+   *   the wallet), protocol, score, and reasons explaining an exclusion
+   */
+  matchWallet(requests, wallet) {
+    const walletProtocols = this.resolveWalletProtocols(wallet.protocols);
+    const reasons = [];
+    let best = null;
+    
+    requests.forEach((request, index) => {
+      const protocol = request.protocol;
+      if (!walletProtocols.includes(this.normalizeProtocol(protocol))) {
+        reasons.push(`${protocol}: protocol not supported by the wallet`);
+        return;
+      }
+      
+      const plugin = this.getPlugin(protocol);
+      if (!plugin) {
+        reasons.push(`${protocol}: no plugin registered for the protocol`);
+        return;
+      }
+      
+      let result;
+      try {
+        result = plugin.matchWallet(request.data, wallet);
+      } catch (error) {
+        reasons.push(`${protocol}: ${error.message}`);
+        return;
+      }
+      
+      if (!result || !(result.score > 0)) {
+        const why = result && Array.isArray(result.reasons) && result.reasons.length > 0
+          ? result.reasons
+          : ['request not supported by the wallet'];
+        why.forEach(reason => reasons.push(`${protocol}: ${reason}`));
+        return;
+      }
+      
+      const candidate = { index, protocol, score: result.score, version: plugin.getProtocolVersion() };
+      if (!best || candidate.score > best.score ||
+          (candidate.score === best.score &&
+           ProtocolPluginRegistry.compareVersions(candidate.version, best.version) > 0)) {
+        best = candidate;
+      }
+    });
+    
+    if (!best) {
+      return { walletId: wallet.id, requestIndex: -1, protocol: null, score: 0, reasons: reasons };
+    }
+    return { walletId: wallet.id, requestIndex: best.index, protocol: best.protocol, score: best.score, reasons: [] };
+  }
+  
+  /**
+   * Pick the request each wallet should receive
+   * @param {Object[]} requests - Prepared requests ({ protocol, data })
+   * @param {Object[]} wallets - Wallet configurations
+   * @returns {Object[]} One match per wallet, see matchWallet()
+   */
+  matchWallets(requests, wallets) {
+    return wallets.map(wallet => this.matchWallet(requests, wallet));
+  }
+  
+  /**
+   * Compare dotted protocol versions; drafts (null) sort before any version
+   * @param {string|null} a - Version
+   * @param {string|null} b - Version
+   * @returns {number} Negative, zero or positive as a is older, equal or newer
+   */
+  static compareVersions(a, b) {
+    if (a === b) {
+      return 0;
+    }
+    if (a === null || a === undefined) {
+      return -1;
+    }
+    if (b === null || b === undefined) {
+      return 1;
+    }
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) {
+        return diff;
+      }
+    }
+    return 0;
+  }
+  
+  /**
+   * Register middleware hooks
+   *
+   * Hooks run around the protocol plugins:
+   * - beforePrepare(requestData, context): before plugin.prepareRequest()
+   * - afterPrepare(preparedRequest, context): after plugin.prepareRequest()
+   * - beforeInvoke(preparedRequest, context): before the wallet is opened (context.wallet)
+   * - afterResponse(responseData, context): after plugin.validateResponse() (context.request)
+   * - onError(error, context): when any step above fails or is vetoed
+   *
+   * A hook returns a replacement value, or undefined to keep the current
+   * one, and may return a promise. It vetoes the request by calling
+   * context.veto(reason) or by throwing. onError hooks only observe.
+   *
+   * Global hooks run first, then the hooks of the protocol, each in the
+   * order they were registered.
+   *
+   * @param {Object} hooks - Hook functions by name
+   * @param {Object} [options]
+   * @param {string|string[]} [options.protocol] - Only run for these protocols
+   * @returns {Function} Removes the hooks again
+   */
+  use(hooks, options = {}) {
+    if (!hooks || typeof hooks !== 'object') {
+      throw new Error('Middleware must be an object of hook functions');
+    }
+    const names = Object.keys(hooks);
+    if (names.length === 0) {
+      throw new Error('Middleware must define at least one hook');
+    }
+    for (const name of names) {
+      if (!ProtocolPluginRegistry.HOOKS.includes(name)) {
+        throw new Error(`Unknown middleware hook: ${name}. Must be one of: ${ProtocolPluginRegistry.HOOKS.join(', ')}`);
+      }
+      if (typeof hooks[name] !== 'function') {
+        throw new Error(`Middleware hook ${name} must be a function`);
+      }
+    }
+    
+    let protocols = null;
+    if (options.protocol !== undefined) {
+      protocols = [].concat(options.protocol);
+      if (protocols.length === 0 || protocols.some(protocol => typeof protocol !== 'string')) {
+        throw new Error('Middleware protocol must be a protocol identifier or an array of them');
+      }
+    }
+    
+    const entry = {
+      hooks: { ...hooks },
+      protocols: protocols && new Set(protocols.map(protocol => this.normalizeProtocol(protocol)))
+    };
+    this.middleware.push(entry);
+    return () => {
+      this.middleware = this.middleware.filter(other => other !== entry);
+    };
+  }
+  
+  /**
+   * Hook functions of a stage for a protocol, in the order they run
+   * @private
+   */
+  _hooksFor(stage, protocolId) {
+    const applies = (entry) => typeof entry.hooks[stage] === 'function';
+    const protocol = this.normalizeProtocol(protocolId);
+    return this.middleware.filter(entry => applies(entry) && !entry.protocols)
+      .concat(this.middleware.filter(entry => applies(entry) && entry.protocols && entry.protocols.has(protocol)))
+      .map(entry => entry.hooks[stage]);
+  }
+  
+  /**
+   * Run the hooks of a stage, passing each one the current value
+   * @private
+   */
+  _runHooks(stage, value, context) {
+    context.stage = stage;
+    return this._hooksFor(stage, context.protocol).reduce(
+      (current, hook) => ProtocolPluginRegistry.chain(current, (input) =>
+        ProtocolPluginRegistry.chain(hook(input, context), (output) => output === undefined ? input : output)),
+      value
+    );
+  }
+  
+  /**
+   * Run the steps of a request, reporting failures to the onError hooks
+   *
+   * Stays synchronous unless a hook returns a promise.
+   *
+   * @private
+   * @param {Object} context - Hook context (protocol, wallet, ...)
+   * @param {Function[]} steps - Each gets the previous step's result
+   */
+  _pipeline(context, steps) {
+    context.veto = (reason) => {
+      throw new MiddlewareVetoError(reason, context.stage, context.protocol);
+    };
+    
+    const fail = (error) => {
+      for (const hook of this._hooksFor('onError', context.protocol)) {
+        try {
+          const result = hook(error, { protocol: context.protocol, stage: context.stage, wallet: context.wallet });
+          if (ProtocolPluginRegistry.isThenable(result)) {
+            result.then(null, hookError => console.error('Middleware onError hook failed:', hookError));
+          }
+        } catch (hookError) {
+          console.error('Middleware onError hook failed:', hookError);
+        }
+      }
+      throw error;
+    };
+    
+    let result;
+    try {
+      result = steps.reduce((current, step) => ProtocolPluginRegistry.chain(current, step), undefined);
+    } catch (error) {
+      return fail(error);
+    }
+    return ProtocolPluginRegistry.isThenable(result) ? result.then(null, fail) : result;
+  }
+  
   /**
    * Process a request using the appropriate plugin
    * @param {string} protocolId - Protocol identifier
    * @param {Object} requestData - Request data
-   * @returns {Object} Prepared request
+   * @param {Object} [pageContext] - Page making the request: origin, url and
+   *   the jwtVerifier for signed requests
+   * @returns {Object|Promise<Object>} Prepared request (a promise when the
+   *   plugin or a hook returned one)
    */
-  prepareRequest(protocolId, requestData) {
+  prepareRequest(protocolId, requestData, pageContext = {}) {
     const plugin = this.getPlugin(protocolId);
     if (!plugin) {
       throw new Error(`No plugin registered for protocol: ${protocolId}`);
     }
     
-    return plugin.prepareRequest(requestData);
+    const context = { protocol: protocolId };
+    return this._pipeline(context, [
+      () => this._runHooks('beforePrepare', requestData, context),
+      (data) => {
+        context.stage = 'prepare';
+        return plugin.prepareRequest(data, pageContext);
+      },
+      (prepared) => this._runHooks('afterPrepare', prepared, context)
+    ]);
   }
   
+  /**
+   * Run the beforeInvoke hooks for the request a wallet is about to receive
+   * @param {string} protocolId - Protocol identifier
+   * @param {Object} preparedRequest - Prepared request data
+   * @param {Object} wallet - Wallet configuration
+   * @returns {Object|Promise<Object>} Request data to send to the wallet
+   */
+  beforeInvoke(protocolId, preparedRequest, wallet) {
+    const context = { protocol: protocolId, wallet: wallet };
+    return this._pipeline(context, [
+      () => this._runHooks('beforeInvoke', preparedRequest, context)
+    ]);
+  }
+
+  /**
+   * Apply the changes beforeInvoke hooks made to a checked request
+   * The hooks run in the page, after the background has checked the request:
+   * they may add parameters, but not change or remove the checked ones, nor
+   * add the plugin's bound parameters or internal ones (prefixed with '_')
+   * @param {string} protocolId - Protocol identifier
+   * @param {Object} checkedRequest - Prepared request the background checked
+   * @param {Object} changedRequest - Request data the beforeInvoke hooks returned
+   * @returns {Object} The checked request with the added parameters
+   * @throws {Error} When the hooks changed what they may not
+   */
+  applyInvokeChanges(protocolId, checkedRequest, changedRequest) {
+    const plugin = this.getPlugin(protocolId);
+    if (!plugin) {
+      throw new Error(`No plugin registered for protocol: ${protocolId}`);
+    }
+    if (!changedRequest || typeof changedRequest !== 'object' || Array.isArray(changedRequest)) {
+      throw new Error('beforeInvoke hooks must return the request data');
+    }
+
+    const bound = plugin.getBoundParameters();
+    const result = { ...checkedRequest };
+    Object.keys(checkedRequest).forEach(key => {
+      if (JSON.stringify(changedRequest[key]) !== JSON.stringify(checkedRequest[key])) {
+        throw new Error(`beforeInvoke hooks may not change the checked request parameter '${key}'`);
+      }
+    });
+    Object.keys(changedRequest).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(checkedRequest, key)) {
+        return;
+      }
+      if (key.startsWith('_') || bound.includes(key)) {
+        throw new Error(`beforeInvoke hooks may not add the request parameter '${key}'`);
+      }
+      result[key] = changedRequest[key];
+    });
+    return result;
+  }
+
   /**
    * Validate a response using the appropriate plugin
    * @param {string} protocolId - Protocol identifier
    * @param {Object} responseData - Response data
-   * @returns {Object} Validated response
+   * @param {Object} [request] - Prepared request the wallet answered, when known
+   * @returns {Object|Promise<Object>} Validated response (a promise when a hook returned one)
    */
-  validateResponse(protocolId, responseData) {
+  validateResponse(protocolId, responseData, request) {
     const plugin = this.getPlugin(protocolId);
     if (!plugin) {
       throw new Error(`No plugin registered for protocol: ${protocolId}`);
     }
     
-    return plugin.validateResponse(responseData);
+    const context = { protocol: protocolId, request: request };
+    return this._pipeline(context, [
+      () => {
+        context.stage = 'validate';
+        return plugin.validateResponse(responseData, request);
+      },
+      (validated) => this._runHooks('afterResponse', validated, context)
+    ]);
+  }
+  
+  /**
+   * Whether a value is a promise or another thenable
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') &&
+      typeof value.then === 'function';
+  }
+  
+  /**
+   * Continue with a value now, or once it settles when it is a thenable
+   * @param {*} value - Value or thenable
+   * @param {Function} next - Called with the value
+   * @returns {*} next()'s result, or a promise of it
+   */
+  static chain(value, next) {
+    return ProtocolPluginRegistry.isThenable(value) ? value.then(next) : next(value);
   }
   
   /**
@@ -176,30 +847,46 @@ class ProtocolPluginRegistry {
    * @param {string} protocolId - Protocol identifier
    * @param {Object} preparedRequest - Prepared request data
    * @param {string} walletUrl - Wallet URL
-   * @returns {Object} Formatted request
+   * @param {Object} [context] - Page making the request: origin and url, and the wallet
+   * @returns {Object} Formatted request; the wallet is opened at its invocationUrl,
+   *   and its response is checked against requestData (the prepared request by default)
    */
-  formatForWallet(protocolId, preparedRequest, walletUrl) {
+  formatForWallet(protocolId, preparedRequest, walletUrl, context = {}) {
     const plugin = this.getPlugin(protocolId);
     if (!plugin) {
       throw new Error(`No plugin registered for protocol: ${protocolId}`);
     }
     
-    return plugin.formatForWallet(preparedRequest, walletUrl);
+    const formatted = plugin.formatForWallet(preparedRequest, walletUrl, context);
+    if (!formatted || typeof formatted.invocationUrl !== 'string') {
+      throw new Error(`Protocol plugin for '${protocolId}' did not return an invocationUrl`);
+    }
+    return formatted.requestData ? formatted : { ...formatted, requestData: preparedRequest };
   }
 }
 
+// Middleware hooks, in the order a request meets them
+ProtocolPluginRegistry.HOOKS = ['beforePrepare', 'afterPrepare', 'beforeInvoke', 'afterResponse', 'onError'];
+ProtocolPluginRegistry.MiddlewareVetoError = MiddlewareVetoError;
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment (for testing)
   module.exports = {
     ProtocolPlugin,
     ExampleProtocolPlugin,
-    ProtocolPluginRegistry
+    ProtocolCatalogue,
+    ProtocolPluginRegistry,
+    MiddlewareVetoError
   };
 }
 
-// Make available globally for browser extension
+// Make available globally for browser extension: the page, and the
+// background (a service worker under Manifest V3)
 if (typeof window !== 'undefined') {
   window.ProtocolPluginRegistry = ProtocolPluginRegistry;
   window.ProtocolPlugin = ProtocolPlugin;
+} else if (typeof self !== 'undefined') {
+  self.ProtocolPluginRegistry = ProtocolPluginRegistry;
+  self.ProtocolPlugin = ProtocolPlugin;
 }
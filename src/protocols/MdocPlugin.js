@@ -0,0 +1,412 @@
+/**
+ * ISO mdoc Protocol Plugin
+ *
+ * Implements the org-iso-mdoc Digital Credentials API protocol of
+ * ISO/IEC 18013-7 Annex C, used to request mobile driving licences (mDL),
+ * PIDs and other mdoc credentials. The verifier passes a CBOR DeviceRequest
+ * and the HPKE parameters the wallet encrypts its DeviceResponse with.
+ *
+ * References:
+ * - ISO/IEC 18013-5: mdoc data model (DeviceRequest, DeviceResponse)
+ * - ISO/IEC 18013-7 Annex C: Digital Credentials API profile
+ * - RFC 8949: CBOR, RFC 9180: HPKE
+ *
+ * CBOR and COSE come from the shared codec in cbor.js.
+ */
+
+/* global module, require, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS - get ProtocolPlugin from protocols.js, the codec from
+    // cbor.js and base64url from encoding.js
+    const { ProtocolPlugin } = require('../protocols.js');
+    module.exports = factory(ProtocolPlugin, require('../cbor.js'), require('../encoding.js'));
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD
+    define(['ProtocolPlugin', 'CborCodec', 'Encoding'], factory);
+  } else {
+    // Browser globals
+    if (!root.ProtocolPlugin || !root.CborCodec || !root.Encoding) {
+      console.error('ProtocolPlugin, CborCodec or Encoding not found. Make sure protocols.js, cbor.js and encoding.js are loaded first.');
+      return;
+    }
+    const MdocPlugin = factory(root.ProtocolPlugin, root.CborCodec, root.Encoding);
+    root.MdocPlugin = MdocPlugin;
+
+    // Store plugins to be registered
+    if (!root._pendingProtocolPlugins) {
+      root._pendingProtocolPlugins = [];
+    }
+
+    root._pendingProtocolPlugins.push(new MdocPlugin());
+
+    console.log('MdocPlugin queued for registration:', root._pendingProtocolPlugins.length);
+  }
+})(typeof window !== 'undefined' ? window : this, function(ProtocolPlugin, CborCodec, Encoding) {
+  'use strict';
+
+  console.log('MdocPlugin.js loaded');
+
+  // DeviceRequest versions defined by ISO 18013-5 (1.1 adds deviceRequestInfo)
+  const DEVICE_REQUEST_VERSIONS = ['1.0', '1.1'];
+
+  // Label of the Annex C encryption info and encrypted response arrays
+  const DC_API_LABEL = 'dcapi';
+
+  // COSE_Key parameters (RFC 9052, RFC 9053)
+  const COSE_KEY_KTY = 1;
+  const COSE_KEY_CRV = -1;
+  const COSE_KEY_X = -2;
+  const COSE_KEY_Y = -3;
+  const COSE_KTY_EC2 = 2;
+  const COSE_CRV_P256 = 1;
+
+  // HPKE suite of Annex C: DHKEM(P-256, HKDF-SHA256), HKDF-SHA256, AES-128-GCM.
+  // The encapsulated key is an uncompressed P-256 point and the ciphertext
+  // carries at least the 16-byte AEAD tag
+  const P256_COORDINATE_LENGTH = 32;
+  const P256_UNCOMPRESSED_LENGTH = 65;
+  const AEAD_TAG_LENGTH = 16;
+
+  // Session transcript nonce: at least 16 bytes of verifier randomness
+  const MIN_NONCE_LENGTH = 16;
+
+  /**
+   * Decode base64url (RFC 4648 Section 5, unpadded) to bytes
+   * @param {string} value - base64url string
+   * @param {string} name - Parameter name for error messages
+   * @returns {Uint8Array}
+   */
+  function base64UrlDecode(value, name) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new Error(`${name} must be a non-empty base64url string`);
+    }
+    try {
+      return Encoding.base64UrlDecode(value);
+    } catch (err) {
+      throw new Error(`${name} is not valid base64url`);
+    }
+  }
+
+  const { EncodedCbor, isBytes } = CborCodec;
+  const isMap = (value) => value instanceof Map;
+
+class MdocPlugin extends ProtocolPlugin {
+  getProtocolId() {
+    return 'org-iso-mdoc';
+  }
+
+  /**
+   * Some pages and wallets spell the identifier with dots
+   */
+  getProtocolAliases() {
+    return ['org.iso.mdoc'];
+  }
+
+  /**
+   * Parse and validate an org-iso-mdoc request
+   *
+   * The request data carries two base64url CBOR items:
+   * - deviceRequest: the ISO 18013-5 DeviceRequest
+   * - encryptionInfo: ["dcapi", { nonce, recipientPublicKey }]
+   *
+   * Both are forwarded to the wallet unchanged; the decoded document
+   * requests are added for matching and display.
+   *
+   * @param {Object} requestData - Request data from navigator.credentials.get
+   * @returns {Object} Validated request data
+   */
+  prepareRequest(requestData) {
+    if (!requestData || typeof requestData !== 'object') {
+      throw new Error('org-iso-mdoc request data must be an object');
+    }
+
+    const deviceRequest = this._decode(requestData.deviceRequest, 'deviceRequest');
+    const encryptionInfo = this._decode(requestData.encryptionInfo, 'encryptionInfo');
+
+    const { version, docRequests } = this._parseDeviceRequest(deviceRequest);
+    this._validateEncryptionInfo(encryptionInfo);
+
+    return {
+      deviceRequest: requestData.deviceRequest,
+      encryptionInfo: requestData.encryptionInfo,
+      version: version,
+      docRequests: docRequests,
+      protocol: this.getProtocolId(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Decode a base64url CBOR request parameter
+   *
+   * @private
+   */
+  _decode(value, name) {
+    const bytes = base64UrlDecode(value, name);
+    try {
+      return CborCodec.decode(bytes);
+    } catch (err) {
+      throw new Error(`Failed to decode ${name}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Validate a DeviceRequest (ISO 18013-5 Section 8.3.2.1.2.1)
+   *
+   * DeviceRequest = { "version": tstr, "docRequests": [+ DocRequest], ... }
+   *
+   * @private
+   * @returns {Object} version and the decoded document requests
+   */
+  _parseDeviceRequest(deviceRequest) {
+    if (!isMap(deviceRequest)) {
+      throw new Error('DeviceRequest must be a CBOR map');
+    }
+
+    const version = deviceRequest.get('version');
+    if (!DEVICE_REQUEST_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported DeviceRequest version: ${version}. Must be one of: ${DEVICE_REQUEST_VERSIONS.join(', ')}`);
+    }
+
+    const docRequests = deviceRequest.get('docRequests');
+    if (!Array.isArray(docRequests) || docRequests.length === 0) {
+      throw new Error('DeviceRequest must include a non-empty docRequests array');
+    }
+
+    return {
+      version: version,
+      docRequests: docRequests.map((docRequest, index) => this._parseDocRequest(docRequest, index))
+    };
+  }
+
+  /**
+   * Validate a DocRequest
+   *
+   * DocRequest = { "itemsRequest": #6.24(bstr .cbor ItemsRequest), ? "readerAuth": COSE_Sign1 }
+   *
+   * @private
+   */
+  _parseDocRequest(docRequest, index) {
+    const name = `docRequests[${index}]`;
+    if (!isMap(docRequest)) {
+      throw new Error(`${name} must be a CBOR map`);
+    }
+
+    const itemsRequestBytes = docRequest.get('itemsRequest');
+    if (!(itemsRequestBytes instanceof EncodedCbor)) {
+      throw new Error(`${name}.itemsRequest must be an embedded CBOR item (tag 24)`);
+    }
+
+    let itemsRequest;
+    try {
+      itemsRequest = itemsRequestBytes.decode();
+    } catch (err) {
+      throw new Error(`Failed to decode ${name}.itemsRequest: ${err.message}`);
+    }
+
+    const readerAuth = docRequest.get('readerAuth');
+    if (readerAuth !== undefined) {
+      this._validateCoseSign1(readerAuth, `${name}.readerAuth`);
+    }
+
+    return {
+      ...this._parseItemsRequest(itemsRequest, `${name}.itemsRequest`),
+      readerAuthenticated: readerAuth !== undefined
+    };
+  }
+
+  /**
+   * Validate an ItemsRequest
+   *
+   * ItemsRequest = {
+   *   "docType": tstr,
+   *   "nameSpaces": { + tstr => { + tstr => bool } },  ; element => IntentToRetain
+   *   ? "requestInfo": { * tstr => any }
+   * }
+   *
+   * @private
+   * @returns {Object} docType and nameSpaces as plain objects
+   */
+  _parseItemsRequest(itemsRequest, name) {
+    if (!isMap(itemsRequest)) {
+      throw new Error(`${name} must be a CBOR map`);
+    }
+
+    const docType = itemsRequest.get('docType');
+    if (typeof docType !== 'string' || docType.length === 0) {
+      throw new Error(`${name} must include a docType string`);
+    }
+
+    const nameSpaces = itemsRequest.get('nameSpaces');
+    if (!isMap(nameSpaces) || nameSpaces.size === 0) {
+      throw new Error(`${name} must include a non-empty nameSpaces map`);
+    }
+
+    const requestedNameSpaces = [];
+    for (const [nameSpace, elements] of nameSpaces) {
+      if (typeof nameSpace !== 'string' || !isMap(elements) || elements.size === 0) {
+        throw new Error(`${name}.nameSpaces must map namespace strings to non-empty data element maps`);
+      }
+      const requestedElements = [];
+      for (const [element, intentToRetain] of elements) {
+        if (typeof element !== 'string' || typeof intentToRetain !== 'boolean') {
+          throw new Error(`${name}.nameSpaces["${nameSpace}"] must map data element strings to IntentToRetain booleans`);
+        }
+        requestedElements.push([element, intentToRetain]);
+      }
+      requestedNameSpaces.push([nameSpace, Object.fromEntries(requestedElements)]);
+    }
+
+    const requestInfo = itemsRequest.get('requestInfo');
+    if (requestInfo !== undefined && !isMap(requestInfo)) {
+      throw new Error(`${name}.requestInfo must be a CBOR map`);
+    }
+
+    return {
+      docType: docType,
+      nameSpaces: Object.fromEntries(requestedNameSpaces)
+    };
+  }
+
+  /**
+   * Validate the structure of a COSE_Sign1 (RFC 9052 Section 4.2)
+   * The signature itself is checked by the wallet
+   *
+   * COSE_Sign1 = [protected: bstr, unprotected: map, payload: bstr / nil, signature: bstr]
+   *
+   * @private
+   */
+  _validateCoseSign1(value, name) {
+    try {
+      CborCodec.parseCoseSign1(value);
+    } catch (err) {
+      throw new Error(`${name} must be a COSE_Sign1 structure (${err.message})`);
+    }
+  }
+
+  /**
+   * Validate the Annex C EncryptionInfo
+   *
+   * EncryptionInfo = ["dcapi", { "nonce": bstr, "recipientPublicKey": COSE_Key }]
+   *
+   * @private
+   */
+  _validateEncryptionInfo(encryptionInfo) {
+    if (!Array.isArray(encryptionInfo) || encryptionInfo.length !== 2 || encryptionInfo[0] !== DC_API_LABEL) {
+      throw new Error(`encryptionInfo must be ["${DC_API_LABEL}", EncryptionParameters]`);
+    }
+
+    const parameters = encryptionInfo[1];
+    if (!isMap(parameters)) {
+      throw new Error('encryptionInfo parameters must be a CBOR map');
+    }
+
+    const nonce = parameters.get('nonce');
+    if (!isBytes(nonce) || nonce.length < MIN_NONCE_LENGTH) {
+      throw new Error(`encryptionInfo nonce must be a byte string of at least ${MIN_NONCE_LENGTH} bytes`);
+    }
+
+    const key = parameters.get('recipientPublicKey');
+    if (!isMap(key)) {
+      throw new Error('encryptionInfo must include a recipientPublicKey COSE_Key');
+    }
+    if (key.get(COSE_KEY_KTY) !== COSE_KTY_EC2 || key.get(COSE_KEY_CRV) !== COSE_CRV_P256) {
+      throw new Error('recipientPublicKey must be an EC2 key on P-256');
+    }
+    for (const [label, coordinate] of [['x', key.get(COSE_KEY_X)], ['y', key.get(COSE_KEY_Y)]]) {
+      if (!isBytes(coordinate) || coordinate.length !== P256_COORDINATE_LENGTH) {
+        throw new Error(`recipientPublicKey ${label} must be a ${P256_COORDINATE_LENGTH}-byte coordinate`);
+      }
+    }
+  }
+
+  /**
+   * Validate response data from wallet
+   *
+   * The wallet answers with { response: base64url(EncryptedResponse) }:
+   * EncryptedResponse = ["dcapi", { "enc": bstr, "cipherText": bstr }]
+   * The DeviceResponse inside can only be decrypted by the verifier, so
+   * only the HPKE envelope is checked here.
+   *
+   * @param {Object} responseData - Response data from wallet
+   * @returns {Object} Validated response data
+   */
+  validateResponse(responseData) {
+    if (!responseData || typeof responseData !== 'object') {
+      throw new Error('Invalid org-iso-mdoc response');
+    }
+
+    const encryptedResponse = this._decode(responseData.response, 'response');
+    if (!Array.isArray(encryptedResponse) || encryptedResponse.length !== 2 || encryptedResponse[0] !== DC_API_LABEL) {
+      throw new Error(`response must be ["${DC_API_LABEL}", EncryptedResponseData]`);
+    }
+
+    const envelope = encryptedResponse[1];
+    if (!isMap(envelope)) {
+      throw new Error('response data must be a CBOR map');
+    }
+
+    const enc = envelope.get('enc');
+    if (!isBytes(enc) || enc.length !== P256_UNCOMPRESSED_LENGTH || enc[0] !== 0x04) {
+      throw new Error('response enc must be an uncompressed P-256 encapsulated key');
+    }
+
+    const cipherText = envelope.get('cipherText');
+    if (!isBytes(cipherText) || cipherText.length <= AEAD_TAG_LENGTH) {
+      throw new Error('response cipherText must be a byte string longer than the AEAD tag');
+    }
+
+    return responseData;
+  }
+
+  /**
+   * Format the request for the wallet
+   *
+   * The wallet gets both parameters as they came from the verifier: it needs
+   * the exact bytes to build the session transcript and to encrypt the response.
+   * The session transcript also includes the verifier's origin.
+   *
+   * @param {Object} preparedRequest - Output from prepareRequest()
+   * @param {string} walletUrl - Target wallet URL
+   * @param {Object} [context] - Page making the request: origin and url
+   * @returns {Object} Request ready for transmission, with invocationUrl
+   */
+  formatForWallet(preparedRequest, walletUrl, context = {}) {
+    const url = new URL(walletUrl);
+    url.searchParams.set('deviceRequest', preparedRequest.deviceRequest);
+    url.searchParams.set('encryptionInfo', preparedRequest.encryptionInfo);
+    if (context.origin) {
+      url.searchParams.set('origin', context.origin);
+    }
+
+    return {
+      protocol: this.getProtocolId(),
+      walletUrl: walletUrl,
+      invocationUrl: url.toString(),
+      requestData: preparedRequest,
+    };
+  }
+
+  /**
+   * mdoc requests always ask for mso_mdoc credentials
+   */
+  getRequestedFormats() {
+    return ['mso_mdoc'];
+  }
+
+  /**
+   * The requested document types (e.g. org.iso.18013.5.1.mDL)
+   */
+  getRequestedCredentialTypes(preparedRequest) {
+    return Array.from(new Set((preparedRequest.docRequests || []).map(docRequest => docRequest.docType)));
+  }
+}
+
+  return MdocPlugin;
+});
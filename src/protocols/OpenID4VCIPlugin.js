@@ -0,0 +1,263 @@
+/**
+ * OpenID4VCI Protocol Plugin
+ *
+ * Implements the issuance side of the Digital Credentials API: a page calls
+ * navigator.credentials.create() with an OpenID for Verifiable Credential
+ * Issuance (OpenID4VCI) credential offer, and the selected web wallet is
+ * invoked through its credential offer endpoint.
+ *
+ * References:
+ * - OpenID4VCI spec: https://openid.net/specs/openid-4-verifiable-credential-issuance-1_0.html
+ * - Credential Offer: Section 4.1 of the OpenID4VCI spec
+ */
+
+/* global module, require, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS - get ProtocolPlugin from protocols.js
+    const { ProtocolPlugin } = require('../protocols.js');
+    module.exports = factory(ProtocolPlugin);
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD
+    define(['ProtocolPlugin'], factory);
+  } else {
+    // Browser globals
+    if (!root.ProtocolPlugin) {
+      console.error('ProtocolPlugin base class not found. Make sure protocols.js is loaded first.');
+      return;
+    }
+    const OpenID4VCIPlugin = factory(root.ProtocolPlugin);
+    root.OpenID4VCIPlugin = OpenID4VCIPlugin;
+
+    // Store plugins to be registered
+    if (!root._pendingProtocolPlugins) {
+      root._pendingProtocolPlugins = [];
+    }
+
+    root._pendingProtocolPlugins.push(new OpenID4VCIPlugin());
+
+    console.log('OpenID4VCIPlugin queued for registration:', root._pendingProtocolPlugins.length);
+  }
+})(typeof window !== 'undefined' ? window : this, function(ProtocolPlugin) {
+  'use strict';
+
+  console.log('OpenID4VCIPlugin.js loaded');
+
+  // Grant types defined by OpenID4VCI for credential offers
+  const GRANT_AUTHORIZATION_CODE = 'authorization_code';
+  const GRANT_PRE_AUTHORIZED_CODE = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+
+class OpenID4VCIPlugin extends ProtocolPlugin {
+  getProtocolId() {
+    return 'openid4vci';
+  }
+
+  /**
+   * OpenID4VCI is an issuance protocol, so it is only offered
+   * for navigator.credentials.create()
+   */
+  getSupportedOperations() {
+    return ['create'];
+  }
+
+  /**
+   * Validate and prepare a credential offer
+   *
+   * The request carries the offer either by value (credential_offer)
+   * or by reference (credential_offer_uri), never both.
+   *
+   * @param {Object} requestData - Request data from navigator.credentials.create
+   * @returns {Object} Validated credential offer request
+   */
+  prepareRequest(requestData) {
+    if (!requestData || typeof requestData !== 'object') {
+      throw new Error('OpenID4VCI request data must be an object');
+    }
+
+    const hasOffer = requestData.credential_offer !== undefined;
+    const hasOfferUri = requestData.credential_offer_uri !== undefined;
+
+    if (hasOffer && hasOfferUri) {
+      throw new Error('OpenID4VCI request must not include both credential_offer and credential_offer_uri');
+    }
+
+    if (!hasOffer && !hasOfferUri) {
+      throw new Error('OpenID4VCI request must include credential_offer or credential_offer_uri');
+    }
+
+    if (hasOfferUri) {
+      this._validateHttpsUrl(requestData.credential_offer_uri, 'credential_offer_uri');
+      return {
+        credential_offer_uri: requestData.credential_offer_uri,
+        protocol: this.getProtocolId(),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // The offer may be passed as a JSON string, as in the wallet endpoint URL
+    let offer = requestData.credential_offer;
+    if (typeof offer === 'string') {
+      try {
+        offer = JSON.parse(offer);
+      } catch (err) {
+        throw new Error(`Failed to parse credential_offer: ${err.message}`);
+      }
+    }
+
+    this._validateCredentialOffer(offer);
+
+    return {
+      credential_offer: offer,
+      protocol: this.getProtocolId(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Validate credential offer structure
+   *
+   * According to OpenID4VCI Section 4.1.1:
+   * - MUST have credential_issuer (https URL)
+   * - MUST have non-empty credential_configuration_ids array
+   * - MAY have grants; a pre-authorized_code grant MUST carry the code
+   *
+   * @private
+   */
+  _validateCredentialOffer(offer) {
+    if (!offer || typeof offer !== 'object' || Array.isArray(offer)) {
+      throw new Error('credential_offer must be an object');
+    }
+
+    if (!offer.credential_issuer) {
+      throw new Error('Credential offer must include credential_issuer');
+    }
+    this._validateHttpsUrl(offer.credential_issuer, 'credential_issuer');
+
+    const configurationIds = offer.credential_configuration_ids;
+    if (!Array.isArray(configurationIds) || configurationIds.length === 0) {
+      throw new Error('Credential offer must include a non-empty credential_configuration_ids array');
+    }
+    configurationIds.forEach((id, index) => {
+      if (typeof id !== 'string' || id.length === 0) {
+        throw new Error(`credential_configuration_ids[${index}] must be a non-empty string`);
+      }
+    });
+
+    if (offer.grants === undefined) {
+      return;
+    }
+
+    if (!offer.grants || typeof offer.grants !== 'object' || Array.isArray(offer.grants)) {
+      throw new Error('Credential offer grants must be an object');
+    }
+
+    const preAuthorized = offer.grants[GRANT_PRE_AUTHORIZED_CODE];
+    if (preAuthorized !== undefined) {
+      if (!preAuthorized || typeof preAuthorized['pre-authorized_code'] !== 'string') {
+        throw new Error('pre-authorized_code grant must include a pre-authorized_code string');
+      }
+      if (preAuthorized.tx_code !== undefined) {
+        this._validateTxCode(preAuthorized.tx_code);
+      }
+    }
+
+    const authorizationCode = offer.grants[GRANT_AUTHORIZATION_CODE];
+    if (authorizationCode !== undefined) {
+      if (!authorizationCode || typeof authorizationCode !== 'object') {
+        throw new Error('authorization_code grant must be an object');
+      }
+      if (authorizationCode.issuer_state !== undefined && typeof authorizationCode.issuer_state !== 'string') {
+        throw new Error('authorization_code issuer_state must be a string');
+      }
+    }
+  }
+
+  /**
+   * Validate the transaction code description of a pre-authorized_code grant
+   *
+   * @private
+   */
+  _validateTxCode(txCode) {
+    if (!txCode || typeof txCode !== 'object') {
+      throw new Error('tx_code must be an object');
+    }
+    if (txCode.input_mode !== undefined && !['numeric', 'text'].includes(txCode.input_mode)) {
+      throw new Error(`Invalid tx_code input_mode: ${txCode.input_mode}. Must be one of: numeric, text`);
+    }
+    if (txCode.length !== undefined && (!Number.isInteger(txCode.length) || txCode.length <= 0)) {
+      throw new Error('tx_code length must be a positive integer');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateHttpsUrl(value, name) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (err) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    if (url.protocol !== 'https:') {
+      throw new Error(`${name} must use https`);
+    }
+  }
+
+  /**
+   * Validate response data from wallet
+   *
+   * The wallet reports the outcome of the issuance. An OAuth-style error
+   * response (error / error_description) is turned into an exception.
+   *
+   * @param {Object} responseData - Response data from wallet
+   * @returns {Object} Validated response data
+   */
+  validateResponse(responseData) {
+    if (!responseData || typeof responseData !== 'object') {
+      throw new Error('Invalid OpenID4VCI response');
+    }
+
+    if (responseData.error) {
+      const description = responseData.error_description ? `: ${responseData.error_description}` : '';
+      throw new Error(`Wallet rejected credential offer (${responseData.error})${description}`);
+    }
+
+    return responseData;
+  }
+
+  /**
+   * Format the request for the wallet's credential offer endpoint
+   *
+   * Per OpenID4VCI Section 4.1 the offer is passed as the credential_offer
+   * query parameter (JSON) or by reference in credential_offer_uri.
+   *
+   * @param {Object} preparedRequest - Output from prepareRequest()
+   * @param {string} walletUrl - Target wallet URL
+   * @returns {Object} Request ready for transmission, with invocationUrl
+   */
+  formatForWallet(preparedRequest, walletUrl) {
+    const url = new URL(walletUrl);
+
+    if (preparedRequest.credential_offer_uri) {
+      url.searchParams.set('credential_offer_uri', preparedRequest.credential_offer_uri);
+    } else {
+      url.searchParams.set('credential_offer', JSON.stringify(preparedRequest.credential_offer));
+    }
+
+    return {
+      protocol: this.getProtocolId(),
+      walletUrl: walletUrl,
+      invocationUrl: url.toString(),
+      requestData: preparedRequest,
+    };
+  }
+}
+
+  return OpenID4VCIPlugin;
+});
@@ -10,25 +10,30 @@
  * - wwWallet implementation: wallet-frontend/src/lib/services/OpenID4VP/OpenID4VP.ts
  */
 
+/* global module, require, define */
+
 (function(root, factory) {
   'use strict';
   
   // Universal Module Definition (UMD) pattern
   // Supports CommonJS, AMD, and browser globals
   if (typeof module !== 'undefined' && module.exports) {
-    // Node.js/CommonJS - get ProtocolPlugin from protocols.js
+    // Node.js/CommonJS - get ProtocolPlugin from protocols.js, base64url from
+    // encoding.js, the SD-JWT parser from sdjwt.js, the JWT verifier from
+    // jwt.js, the client_id prefixes from clientid.js and the DCQL checks from dcql.js
     const { ProtocolPlugin } = require('../protocols.js');
-    module.exports = factory(ProtocolPlugin);
+    module.exports = factory(ProtocolPlugin, require('../encoding.js'), require('../sdjwt.js'), require('../jwt.js'),
+      require('../clientid.js'), require('../dcql.js'));
   } else if (typeof define === 'function' && define.amd) {
     // AMD
-    define(['ProtocolPlugin'], factory);
+    define(['ProtocolPlugin', 'Encoding', 'SdJwt', 'Jwt', 'ClientId', 'Dcql'], factory);
   } else {
     // Browser globals
-    if (!root.ProtocolPlugin) {
-      console.error('ProtocolPlugin base class not found. Make sure protocols.js is loaded first.');
+    if (!root.ProtocolPlugin || !root.Encoding || !root.SdJwt || !root.Jwt || !root.ClientId || !root.Dcql) {
+      console.error('ProtocolPlugin, Encoding, SdJwt, Jwt, ClientId or Dcql not found. Make sure protocols.js, encoding.js, sdjwt.js, jwt.js, clientid.js and dcql.js are loaded first.');
       return;
     }
-    const OpenID4VPPlugin = factory(root.ProtocolPlugin);
+    const OpenID4VPPlugin = factory(root.ProtocolPlugin, root.Encoding, root.SdJwt, root.Jwt, root.ClientId, root.Dcql);
     root.OpenID4VPPlugin = OpenID4VPPlugin;
     
     // Store plugins to be registered
@@ -45,11 +50,26 @@
     
     console.log('OpenID4VPPlugin variants queued for registration:', root._pendingProtocolPlugins.length);
   }
-})(typeof window !== 'undefined' ? window : this, function(ProtocolPlugin) {
+})(typeof window !== 'undefined' ? window : this, function(ProtocolPlugin, Encoding, SdJwt, Jwt, ClientId, Dcql) {
   'use strict';
 
   console.log('OpenID4VPPlugin.js loaded');
 
+  // Response modes of OpenID4VP 1.0: direct_post to the verifier's
+  // response_uri, dc_api back through the Digital Credentials API
+  const RESPONSE_MODES = ['direct_post', 'direct_post.jwt', 'dc_api', 'dc_api.jwt'];
+  const DC_API_RESPONSE_MODES = ['dc_api', 'dc_api.jwt'];
+
+  // JWE key management algorithms a verifier key can be used with
+  const ENCRYPTION_KEY_TYPES = {
+    'ECDH-ES': ['EC', 'OKP'],
+    'ECDH-ES+A128KW': ['EC', 'OKP'],
+    'ECDH-ES+A192KW': ['EC', 'OKP'],
+    'ECDH-ES+A256KW': ['EC', 'OKP'],
+    'RSA-OAEP': ['RSA'],
+    'RSA-OAEP-256': ['RSA']
+  };
+
 class OpenID4VPPlugin extends ProtocolPlugin {
   constructor(variant = '') {
     super();
@@ -60,22 +80,172 @@ class OpenID4VPPlugin extends ProtocolPlugin {
     return this.variant ? `openid4vp-${this.variant}` : 'openid4vp';
   }
 
+  /**
+   * The v1 variants implement OpenID4VP 1.0, the plain identifier the drafts
+   */
+  getProtocolVersion() {
+    return this.variant.startsWith('v1') ? '1.0' : null;
+  }
+
+  /**
+   * The draft and the v1 variants are versions of one protocol, so wallets
+   * can declare them together (e.g. openid4vp@1.0)
+   */
+  getProtocolFamily() {
+    return 'openid4vp';
+  }
+
+  /**
+   * The client identifier, where the response goes and the signed request
+   * are checked against the page's origin: a request without them was
+   * checked as the origin's own, answered through the Digital Credentials API
+   */
+  getBoundParameters() {
+    return ['client_id', 'expected_origins', 'nonce', 'redirect_uri', 'request', 'request_uri',
+      'response_mode', 'response_uri'];
+  }
+
+  /**
+   * Formats from the DCQL credential queries or the presentation definition
+   * (top-level and per input descriptor)
+   */
+  getRequestedFormats(preparedRequest) {
+    const formats = new Set();
+    const dcqlCredentials = preparedRequest.dcql_query && preparedRequest.dcql_query.credentials;
+    if (Array.isArray(dcqlCredentials)) {
+      dcqlCredentials.forEach(credential => credential.format && formats.add(credential.format));
+    }
+
+    const definition = preparedRequest.presentation_definition;
+    if (definition && typeof definition === 'object') {
+      Object.keys(definition.format || {}).forEach(format => formats.add(format));
+      (definition.input_descriptors || []).forEach(descriptor => {
+        Object.keys(descriptor.format || {}).forEach(format => formats.add(format));
+      });
+    }
+
+    return Array.from(formats);
+  }
+
+  /**
+   * SD-JWT VC types (meta.vct_values) and mdoc doctypes (meta.doctype_value)
+   * from the DCQL credential queries
+   */
+  getRequestedCredentialTypes(preparedRequest) {
+    const types = new Set();
+    const dcqlCredentials = preparedRequest.dcql_query && preparedRequest.dcql_query.credentials;
+    if (Array.isArray(dcqlCredentials)) {
+      dcqlCredentials.forEach(credential => {
+        const meta = credential.meta || {};
+        (Array.isArray(meta.vct_values) ? meta.vct_values : []).forEach(vct => types.add(vct));
+        if (typeof meta.doctype_value === 'string') {
+          types.add(meta.doctype_value);
+        }
+      });
+    }
+    return Array.from(types);
+  }
+
+  /**
+   * Query languages of a prepared request: 'dcql' (dcql_query) and
+   * 'presentation_exchange' (presentation_definition or its URI); none when
+   * the query is passed by reference (request_uri)
+   * @param {Object} preparedRequest - Output from prepareRequest()
+   * @returns {string[]}
+   */
+  getQueryLanguages(preparedRequest) {
+    const languages = [];
+    if (preparedRequest.dcql_query) {
+      languages.push('dcql');
+    }
+    if (preparedRequest.presentation_definition || preparedRequest.presentation_definition_uri) {
+      languages.push('presentation_exchange');
+    }
+    return languages;
+  }
+
+  /**
+   * A wallet that declares queryLanguages gets the query translated into one
+   * it understands; it is excluded when the query cannot be translated
+   */
+  matchWallet(preparedRequest, wallet) {
+    const result = super.matchWallet(preparedRequest, wallet);
+    if (result.score > 0) {
+      try {
+        this.translateQuery(preparedRequest, wallet);
+      } catch (err) {
+        return { score: 0, reasons: [err.message] };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Translate the query of a prepared request into a query language the
+   * wallet declares (dcql.js)
+   * 
+   * @param {Object} preparedRequest - Output from prepareRequest()
+   * @param {Object} wallet - Wallet configuration (optional queryLanguages)
+   * @returns {Object|null} { language, request } with the request the wallet
+   *   gets, or null when the wallet understands the request as it is
+   */
+  translateQuery(preparedRequest, wallet) {
+    const declared = wallet && wallet.queryLanguages;
+    const languages = this.getQueryLanguages(preparedRequest);
+    if (!Array.isArray(declared) || declared.length === 0 || languages.length === 0 || languages.some(language => declared.includes(language))) {
+      return null;
+    }
+
+    if (this.variant === 'v1-signed') {
+      throw new Error(`A signed request cannot be translated into ${declared.join(', ')}`);
+    }
+
+    const { dcql_query: dcqlQuery, presentation_definition: definition, ...rest } = preparedRequest;
+    try {
+      if (declared.includes('presentation_exchange')) {
+        return {
+          language: 'presentation_exchange',
+          request: { ...rest, presentation_definition: Dcql.toPresentationDefinition(dcqlQuery) }
+        };
+      }
+      if (declared.includes('dcql')) {
+        if (!definition) {
+          throw new Error('presentation_definition_uri is not fetched');
+        }
+        const request = { ...rest, dcql_query: Dcql.fromPresentationDefinition(definition) };
+        delete request.presentation_definition_uri;
+        return { language: 'dcql', request: request };
+      }
+    } catch (err) {
+      throw new Error(`The query cannot be translated into ${declared.join(', ')}: ${err.message}`);
+    }
+    throw new Error(`The wallet understands none of the query languages of the request (${languages.join(', ')})`);
+  }
+
   /**
    * Parse and validate OpenID4VP authorization request
    * 
-   * The request can come in two forms:
+   * The request can come in three forms:
    * 1. Direct parameters in URL query string
    * 2. Reference via request_uri (JAR - JWT Authorization Request)
+   * 3. A signed request object in `request` (openid4vp-v1-signed)
    * 
    * @param {Object} requestData - Raw request data from navigator.credentials.get
-   * @returns {Object} Validated and formatted request data
+   * @param {Object} [context] - Page making the request: origin, and the
+   *   jwtVerifier checking signed requests
+   * @returns {Object|Promise<Object>} Validated and formatted request data
+   *   (a promise for signed requests)
    */
-  prepareRequest(requestData) {
+  prepareRequest(requestData, context = {}) {
     // Validate request structure
     if (!requestData || typeof requestData !== 'object') {
       throw new Error('OpenID4VP request data must be an object');
     }
 
+    if (this.variant === 'v1-signed') {
+      return this._prepareSignedRequest(requestData, context);
+    }
+
     console.log('[OpenID4VPPlugin] prepareRequest called with:', JSON.stringify(requestData, null, 2));
 
     // For Digital Credentials API, the request data is already well-formed
@@ -84,10 +254,17 @@ class OpenID4VPPlugin extends ProtocolPlugin {
     if (requestData.client_metadata || requestData.dcql_query || requestData.nonce) {
       // This is a DC API request - pass through with minimal processing
       console.log('[OpenID4VPPlugin] DC API request detected, passing through');
+      this._validateDcqlQuery(requestData);
+      this._validateResponseMode(requestData, DC_API_RESPONSE_MODES);
+      // Without a client_id, the verifier is the calling origin
+      const clientId = requestData.client_id
+        ? this._validateClientId(requestData)
+        : context.origin && ClientId.fromOrigin(context.origin);
       return {
         ...requestData,
         protocol: this.getProtocolId(),
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        ...(clientId ? { _clientId: clientId } : {})
       };
     }
 
@@ -96,15 +273,176 @@ class OpenID4VPPlugin extends ProtocolPlugin {
 
     // Validate required parameters
     this._validateAuthorizationRequest(authRequest);
+    this._validateDcqlQuery(authRequest);
+    this._validateResponseMode(authRequest, RESPONSE_MODES);
 
     // Return prepared request with metadata
     return {
       ...authRequest,
       protocol: this.getProtocolId(),
       timestamp: new Date().toISOString(),
+      _clientId: this._validateClientId(authRequest)
     };
   }
 
+  /**
+   * Parse the client_id of an unsigned request and apply its prefix rules
+   * (clientid.js)
+   * 
+   * @private
+   * @returns {Object} Parsed client identifier
+   */
+  _validateClientId(authRequest) {
+    const clientId = ClientId.validateUnsigned(ClientId.parse(authRequest.client_id), authRequest);
+    if (clientId.prefix === 'pre-registered' && clientId.value.includes(':') && !/^https?:\/\//.test(clientId.value)) {
+      console.warn(`OpenID4VP: client_id '${clientId.value}' has no known prefix, it is treated as a pre-registered client identifier`);
+    }
+    return clientId;
+  }
+
+  /**
+   * Reject a request whose dcql_query is malformed (dcql.js)
+   * 
+   * @private
+   */
+  _validateDcqlQuery(authRequest) {
+    if (authRequest.dcql_query === undefined || authRequest.dcql_query === null) {
+      return;
+    }
+    try {
+      Dcql.validateQuery(authRequest.dcql_query);
+    } catch (err) {
+      throw new Error(`Invalid dcql_query: ${err.message}`);
+    }
+  }
+
+  /**
+   * Unpack and check a signed authorization request (JAR, RFC 9101)
+   * 
+   * Over the Digital Credentials API the request object is a JWS in
+   * `request`; other parameters next to it are ignored. The signature is
+   * checked with the key the client_id prefix binds (the x5c leaf for the
+   * x509 prefixes) by the built-in WebCrypto verifier; only a prefix that
+   * binds no key leaves it to context.jwtVerifier. Without one, the built-in
+   * verifier checks the key the request object carries itself (jwk or x5c),
+   * which proves nothing about the verifier: _jarSignatureVerified is then
+   * false. expected_origins must
+   * list the calling origin so that a request signed for one site cannot be
+   * replayed from another (OpenID4VP 1.0 Appendix A.3.2). The rules of the
+   * prefix apply once the signature is verified (clientid.js). The prepared
+   * request has the verified claims, and the request object itself in
+   * `request`: the wallet gets that (formatForWallet), signed.
+   * 
+   * @private
+   */
+  async _prepareSignedRequest(requestData, context) {
+    if (typeof requestData.request !== 'string') {
+      throw new Error('Signed OpenID4VP request must include the request object in request');
+    }
+    const { header, claims } = this._parseRequestObject(requestData.request);
+
+    if (!claims.client_id) {
+      throw new Error('Signed OpenID4VP request must include client_id');
+    }
+    let clientId;
+    let key;
+    try {
+      clientId = ClientId.parse(claims.client_id);
+      key = ClientId.requestKey(clientId, header, context);
+    } catch (err) {
+      throw new Error(`Signed OpenID4VP request client_id check failed: ${err.message}`);
+    }
+
+    const walletVerifier = !key && typeof context.jwtVerifier === 'function';
+    const verifier = key ? (jwt) => Jwt.verify(jwt, key) : walletVerifier ? context.jwtVerifier : Jwt.verify;
+    const result = await this.verifyJWT(requestData.request, verifier, {
+      certificate: header.x5c?.[0],
+      algorithm: header.alg,
+      kid: header.kid
+    });
+    if (!result.valid) {
+      throw new Error(`Signed OpenID4VP request signature verification failed: ${result.error || 'Invalid signature'}`);
+    }
+
+    this._checkExpectedOrigins(claims, context.origin);
+
+    try {
+      clientId = await ClientId.validateSigned(clientId, { header, claims }, context);
+    } catch (err) {
+      throw new Error(`Signed OpenID4VP request client_id check failed: ${err.message}`);
+    }
+    if (!claims.dcql_query && !claims.presentation_definition && !claims.presentation_definition_uri) {
+      throw new Error('Signed OpenID4VP request must include dcql_query, presentation_definition or presentation_definition_uri');
+    }
+    this._validateDcqlQuery(claims);
+    this._validateResponseMode(claims, DC_API_RESPONSE_MODES);
+
+    return {
+      ...claims,
+      request: requestData.request,
+      protocol: this.getProtocolId(),
+      timestamp: new Date().toISOString(),
+      _jarHeader: header,
+      _jarSignatureVerified: Boolean(key) || walletVerifier,
+      _clientId: clientId
+    };
+  }
+
+  /**
+   * Decode a request object without verifying its signature
+   * 
+   * @private
+   * @param {string} jwt - Compact JWS (header.payload.signature)
+   * @returns {Object} header and claims
+   */
+  _parseRequestObject(jwt) {
+    const parts = jwt.split('.');
+    if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+      throw new Error('Signed OpenID4VP request object must be a compact JWS');
+    }
+
+    const decode = (part, name) => {
+      let value;
+      try {
+        value = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(Encoding.base64UrlDecode(part)));
+      } catch (err) {
+        throw new Error(`Signed OpenID4VP request object ${name} is not base64url-encoded JSON`);
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Signed OpenID4VP request object ${name} must be a JSON object`);
+      }
+      return value;
+    };
+    const header = decode(parts[0], 'header');
+    const claims = decode(parts[1], 'payload');
+
+    if (typeof header.alg !== 'string' || header.alg === 'none') {
+      throw new Error(`Signed OpenID4VP request object must be signed (alg "${header.alg}")`);
+    }
+    if (header.typ !== 'oauth-authz-req+jwt') {
+      throw new Error('Invalid JWT type: expected oauth-authz-req+jwt');
+    }
+    return { header, claims };
+  }
+
+  /**
+   * Check that a signed request is bound to the calling origin
+   * 
+   * @private
+   */
+  _checkExpectedOrigins(claims, origin) {
+    const expected = claims.expected_origins;
+    if (!Array.isArray(expected) || expected.length === 0 || expected.some(value => typeof value !== 'string')) {
+      throw new Error('Signed OpenID4VP request must include expected_origins');
+    }
+    if (!origin) {
+      throw new Error('Signed OpenID4VP request cannot be checked without the calling origin');
+    }
+    if (!expected.includes(origin)) {
+      throw new Error(`Signed OpenID4VP request is not meant for ${origin} (expected_origins: ${expected.join(', ')})`);
+    }
+  }
+
   /**
    * Parse authorization request from Digital Credentials API data
    * 
@@ -167,7 +505,8 @@ class OpenID4VPPlugin extends ProtocolPlugin {
    * According to OpenID4VP spec and wwWallet implementation:
    * - MUST have client_id
    * - MUST have either presentation_definition, presentation_definition_uri, or request_uri
-   * - client_id_scheme should be 'x509_san_dns' (for security)
+   * 
+   * The client_id prefix rules are applied by _validateClientId().
    * 
    * @private
    */
@@ -177,12 +516,6 @@ class OpenID4VPPlugin extends ProtocolPlugin {
       throw new Error('OpenID4VP request must include client_id');
     }
 
-    // Validate client_id_scheme (wwWallet only supports x509_san_dns)
-    const client_id_scheme = authRequest.client_id.split(':')[0];
-    if (client_id_scheme !== 'x509_san_dns' && !authRequest.client_id.startsWith('http')) {
-      console.warn(`OpenID4VP: client_id_scheme '${client_id_scheme}' may not be supported. Expected 'x509_san_dns' or https URL`);
-    }
-
     // Must have one of: request_uri, presentation_definition, or presentation_definition_uri
     if (!authRequest.request_uri && 
         !authRequest.presentation_definition && 
@@ -197,14 +530,63 @@ class OpenID4VPPlugin extends ProtocolPlugin {
     if (authRequest.request_uri) {
       console.log('OpenID4VP: request_uri detected, requires JWT validation');
     }
+  }
 
-    // Validate response_mode if present
-    if (authRequest.response_mode) {
-      const validModes = ['direct_post', 'direct_post.jwt'];
-      if (!validModes.includes(authRequest.response_mode)) {
-        throw new Error(`Invalid response_mode: ${authRequest.response_mode}. Must be one of: ${validModes.join(', ')}`);
-      }
+  /**
+   * Check the response_mode against the modes of the transport: requests
+   * over the Digital Credentials API are answered through it (dc_api,
+   * dc_api.jwt), others may also post to the verifier's response_uri.
+   * Encrypted modes (.jwt) need the verifier's encryption keys in
+   * client_metadata. Requests passed by reference (request_uri) are
+   * checked once the request object is fetched.
+   * 
+   * @private
+   */
+  _validateResponseMode(authRequest, validModes) {
+    const mode = authRequest.response_mode;
+    if (mode === undefined || mode === null) {
+      return;
+    }
+    if (!validModes.includes(mode)) {
+      throw new Error(`Invalid response_mode: ${mode}. Must be one of: ${validModes.join(', ')}`);
+    }
+    if (authRequest.request_uri) {
+      return;
+    }
+
+    if (mode.startsWith('direct_post') && !authRequest.response_uri) {
+      throw new Error(`OpenID4VP response_mode ${mode} requires response_uri`);
+    }
+    if (mode.endsWith('.jwt')) {
+      this._encryptionParameters(authRequest, mode);
+    }
+  }
+
+  /**
+   * Encryption keys and content encryption algorithms the verifier accepts
+   * for its response, from client_metadata (OpenID4VP 1.0 Section 8.3).
+   * Keys without `use` may encrypt; enc defaults to A128GCM. The draft
+   * authorization_encrypted_response_alg/enc parameters are honoured.
+   * 
+   * @private
+   * @returns {{keys: Array<Object>, encValues: Array<string>, alg: string|undefined}}
+   */
+  _encryptionParameters(authRequest, mode) {
+    const metadata = authRequest.client_metadata || {};
+    const keys = metadata.jwks && Array.isArray(metadata.jwks.keys)
+      ? metadata.jwks.keys.filter(key => key && typeof key === 'object' && (key.use === undefined || key.use === 'enc'))
+      : [];
+    if (keys.length === 0) {
+      throw new Error(`OpenID4VP response_mode ${mode} requires client_metadata.jwks with the verifier's encryption keys`);
     }
+
+    const encValues = metadata.encrypted_response_enc_values_supported ||
+      (metadata.authorization_encrypted_response_enc ? [metadata.authorization_encrypted_response_enc] : ['A128GCM']);
+    if (!Array.isArray(encValues) || encValues.length === 0 || encValues.some(enc => typeof enc !== 'string')) {
+      throw new Error('OpenID4VP client_metadata.encrypted_response_enc_values_supported must be a non-empty array of strings');
+    }
+
+    return { keys, encValues, alg: metadata.authorization_encrypted_response_alg };
   }
 
   /**
@@ -215,17 +597,27 @@ class OpenID4VPPlugin extends ProtocolPlugin {
    * 2. Presentation submission (descriptor mapping)
    * 3. State (if provided in request)
    * 
-   * For encrypted responses (direct_post.jwt):
+   * For encrypted responses (direct_post.jwt, dc_api.jwt):
    * - JWE with vp_token and presentation_submission as payload
+   * - When the request asked for encryption, unencrypted responses are
+   *   rejected and the JWE header must fit client_metadata; the JWE is
+   *   passed on unchanged for the verifier to decrypt
+   * 
+   * The vp_token answering a DCQL query is keyed by its credential query
+   * ids and must satisfy its required credential sets (dcql.js).
    * 
    * @param {Object} responseData - Response data from wallet
-   * @returns {Object} Validated response data
+   * @param {Object} [request] - Prepared request the wallet answered
+   * @returns {Promise<Object>} Validated response data
    */
-  validateResponse(responseData) {
+  async validateResponse(responseData, request) {
     if (!responseData || typeof responseData !== 'object') {
       throw new Error('Invalid OpenID4VP response');
     }
 
+    // Answers to a translated query come back in the request's query language
+    responseData = this._translateResponse(responseData, request);
+
     // Response should contain either:
     // 1. vp_token + presentation_submission (standard response)
     // 2. response (encrypted JWE containing vp_token and presentation_submission)
@@ -234,8 +626,25 @@ class OpenID4VPPlugin extends ProtocolPlugin {
       throw new Error('OpenID4VP response must include vp_token or encrypted response');
     }
 
-    // If vp_token is present, presentation_submission should also be present
-    if (responseData.vp_token && !responseData.presentation_submission) {
+    const mode = request && request.response_mode;
+    if (typeof mode === 'string' && mode.endsWith('.jwt')) {
+      if (responseData.vp_token || typeof responseData.response !== 'string') {
+        throw new Error(`OpenID4VP response must be encrypted (response_mode ${mode})`);
+      }
+      this._checkEncryptedResponse(responseData.response, request);
+      return responseData;
+    }
+
+    const dcqlQuery = request && request.dcql_query;
+    const presentationExchange = request && request.presentation_definition && responseData.presentation_submission;
+    if (dcqlQuery && responseData.vp_token && !presentationExchange) {
+      try {
+        Dcql.checkResponse(dcqlQuery, responseData.vp_token);
+      } catch (err) {
+        throw new Error(`OpenID4VP response does not match the dcql_query: ${err.message}`);
+      }
+    } else if (responseData.vp_token && !responseData.presentation_submission) {
+      // Presentation Exchange responses map the vp_token with presentation_submission
       console.warn('OpenID4VP: vp_token present but missing presentation_submission');
     }
 
@@ -244,9 +653,168 @@ class OpenID4VPPlugin extends ProtocolPlugin {
       this._validatePresentationSubmission(responseData.presentation_submission);
     }
 
+    // Parse SD-JWT VC presentations: malformed tokens, disclosures that do
+    // not match the issuer's digests and key binding JWTs made for another
+    // request are rejected
+    await this.getDisclosedClaims(responseData, request);
+
     return responseData;
   }
 
+  /**
+   * Check the protected header of an encrypted response (compact JWE)
+   * against the verifier's encryption keys and content encryption
+   * algorithms. The payload is left to the verifier, who holds the key.
+   * 
+   * @private
+   */
+  _checkEncryptedResponse(jwe, request) {
+    const parts = jwe.split('.');
+    if (parts.length !== 5 || parts[0].length === 0) {
+      throw new Error('OpenID4VP encrypted response must be a compact JWE');
+    }
+    let header;
+    try {
+      header = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(Encoding.base64UrlDecode(parts[0])));
+    } catch (err) {
+      throw new Error('OpenID4VP encrypted response header is not base64url-encoded JSON');
+    }
+    if (!header || typeof header.alg !== 'string' || typeof header.enc !== 'string') {
+      throw new Error('OpenID4VP encrypted response header must include alg and enc');
+    }
+
+    // Requests whose metadata the wallet fetched itself cannot be checked
+    if (!request.client_metadata) {
+      return;
+    }
+    const { keys, encValues, alg } = this._encryptionParameters(request, request.response_mode);
+    if (!encValues.includes(header.enc)) {
+      throw new Error(`OpenID4VP encrypted response enc ${header.enc} is not one of: ${encValues.join(', ')}`);
+    }
+    if (alg && header.alg !== alg) {
+      throw new Error(`OpenID4VP encrypted response alg ${header.alg} does not match ${alg}`);
+    }
+
+    const key = header.kid !== undefined ? keys.find(k => k.kid === header.kid)
+      : keys.length === 1 ? keys[0] : null;
+    if (!key) {
+      throw new Error(header.kid !== undefined
+        ? `OpenID4VP encrypted response kid ${header.kid} is not a key of client_metadata.jwks`
+        : 'OpenID4VP encrypted response must name its key with kid');
+    }
+    if (key.alg && key.alg !== header.alg) {
+      throw new Error(`OpenID4VP encrypted response alg ${header.alg} does not match the key alg ${key.alg}`);
+    }
+    const keyTypes = ENCRYPTION_KEY_TYPES[header.alg];
+    if (!keyTypes || !keyTypes.includes(key.kty)) {
+      throw new Error(`OpenID4VP encrypted response alg ${header.alg} cannot be used with key type ${key.kty}`);
+    }
+  }
+
+  /**
+   * Translate the response of a wallet that got a translated query
+   * (formatForWallet) back into the query language of the request.
+   * Encrypted responses are passed on as they are.
+   * 
+   * @private
+   */
+  _translateResponse(responseData, request) {
+    const language = request && request._walletQueryLanguage;
+    if (!language || !responseData.vp_token) {
+      return responseData;
+    }
+    try {
+      if (language === 'presentation_exchange') {
+        const { presentation_submission: submission, ...rest } = responseData;
+        return { ...rest, vp_token: Dcql.fromPresentationSubmission(request.dcql_query, responseData.vp_token, submission) };
+      }
+      return { ...responseData, ...Dcql.toPresentationSubmission(request.presentation_definition, responseData.vp_token) };
+    } catch (err) {
+      const from = language === 'dcql' ? 'DCQL' : 'Presentation Exchange';
+      throw new Error(`OpenID4VP ${from} response cannot be translated for the request: ${err.message}`);
+    }
+  }
+
+  /**
+   * Claims disclosed by the SD-JWT VC presentations in a response
+   *
+   * For display and logging in developer mode. Other presentations (JWT VPs,
+   * mdoc device responses, encrypted responses) are not included.
+   *
+   * With the request, key binding JWTs must carry its nonce and name the
+   * verifier as aud: its client_id, or the origin the request came from.
+   *
+   * @param {Object} responseData - Response data from wallet
+   * @param {Object} [request] - Prepared request the wallet answered
+   * @returns {Promise<Array<Object>>} One entry per SD-JWT: path in the response,
+   *   vct, issuer, claims, disclosed claim paths and keyBinding (aud, nonce, iat or null)
+   */
+  async getDisclosedClaims(responseData, request) {
+    const expected = this._keyBindingExpectations(request);
+    return Promise.all(this._collectPresentations(responseData.vp_token, 'vp_token')
+      .filter(({ presentation }) => SdJwt.isSdJwt(presentation))
+      .map(async ({ path, presentation }) => {
+        let sdJwt;
+        try {
+          sdJwt = await SdJwt.parse(presentation, expected);
+        } catch (err) {
+          throw new Error(`${path}: ${err.message}`);
+        }
+        const keyBinding = sdJwt.keyBinding && sdJwt.keyBinding.payload;
+        return {
+          path: path,
+          vct: sdJwt.claims.vct,
+          issuer: sdJwt.claims.iss,
+          claims: sdJwt.claims,
+          disclosed: sdJwt.disclosed,
+          keyBinding: keyBinding ? { aud: keyBinding.aud, nonce: keyBinding.nonce, iat: keyBinding.iat } : null
+        };
+      }));
+  }
+
+  /**
+   * Nonce and audiences a key binding JWT answering the request must have
+   * (aud is the client_id, or origin:<origin> for a request over the
+   * Digital Credentials API without one)
+   * 
+   * @private
+   */
+  _keyBindingExpectations(request) {
+    if (!request) {
+      return {};
+    }
+    const clientId = request._clientId;
+    const audiences = [request.client_id, clientId && clientId.value];
+    if (clientId && clientId.prefix === 'origin') {
+      audiences.push(clientId.identifier);
+    }
+    const aud = audiences.filter((value, i) => typeof value === 'string' && audiences.indexOf(value) === i);
+    return {
+      ...(typeof request.nonce === 'string' ? { nonce: request.nonce } : {}),
+      ...(aud.length > 0 ? { aud: aud } : {})
+    };
+  }
+
+  /**
+   * List the presentations of a vp_token with their paths
+   *
+   * vp_token is a presentation, an array of presentations (Presentation
+   * Exchange) or an object mapping DCQL credential query ids to a
+   * presentation or an array of them.
+   *
+   * @private
+   */
+  _collectPresentations(vpToken, path) {
+    if (Array.isArray(vpToken)) {
+      return vpToken.flatMap((presentation, index) => this._collectPresentations(presentation, `${path}[${index}]`));
+    }
+    if (vpToken && typeof vpToken === 'object' && path === 'vp_token') {
+      return Object.entries(vpToken).flatMap(([queryId, presentations]) =>
+        this._collectPresentations(presentations, `${path}.${queryId}`));
+    }
+    return vpToken === undefined ? [] : [{ path: path, presentation: vpToken }];
+  }
+
   /**
    * Validate presentation submission structure
    * 
@@ -287,63 +855,79 @@ class OpenID4VPPlugin extends ProtocolPlugin {
   /**
    * Format the request for transmission to the wallet
    * 
-   * This method prepares the OpenID4VP request in a format suitable
-   * for the web wallet to process.
+   * The wallet gets the authorization request as query parameters of its
+   * URL (wwWallet's UriHandlerProvider reads them from window.location.search).
+   * A request passed by reference only needs client_id and request_uri, and
+   * a signed request (openid4vp-v1-signed) client_id and the request object:
+   * the wallet verifies its signature, so its claims go as signed.
+   * Over the Digital Credentials API the verifier is the page's origin, and
+   * the response comes back to the page (response_mode dc_api); only the
+   * direct_post modes get the request's response_uri.
+   * 
+   * A wallet that only understands the other query language gets the query
+   * translated (translateQuery). requestData is then marked with
+   * _walletQueryLanguage, so that validateResponse() translates the answer back.
    * 
    * @param {Object} preparedRequest - Output from prepareRequest()
    * @param {string} walletUrl - Target wallet URL
-   * @returns {Object} Request ready for transmission
+   * @param {Object} [context] - Page making the request: origin and url, and the wallet
+   * @returns {Object} Request ready for transmission, with invocationUrl
    */
-  formatForWallet(preparedRequest, walletUrl) {
-    // Build the authorization request URL for the wallet
-    // The wallet will receive this as an openid4vp:// URL or via query parameters
+  formatForWallet(preparedRequest, walletUrl, context = {}) {
+    const url = new URL(walletUrl);
+    const params = url.searchParams;
     
-    const params = new URLSearchParams();
-    
-    // Add required parameters
-    if (preparedRequest.client_id) {
+    if (this.variant === 'v1-signed') {
       params.set('client_id', preparedRequest.client_id);
+      params.set('request', preparedRequest.request);
+      return {
+        protocol: this.getProtocolId(),
+        walletUrl: walletUrl,
+        invocationUrl: url.toString(),
+        requestData: preparedRequest
+      };
+    }
+    
+    const translation = this.translateQuery(preparedRequest, context.wallet);
+    const walletRequest = translation ? translation.request : preparedRequest;
+    
+    const clientId = walletRequest.client_id || context.origin;
+    if (clientId) {
+      params.set('client_id', clientId);
     }
     
-    if (preparedRequest.request_uri) {
+    if (walletRequest.request_uri) {
       // If using JAR, only request_uri and client_id are needed
-      params.set('request_uri', preparedRequest.request_uri);
+      params.set('request_uri', walletRequest.request_uri);
     } else {
       // Include all parameters directly
-      if (preparedRequest.response_uri) {
-        params.set('response_uri', preparedRequest.response_uri);
-      }
-      if (preparedRequest.nonce) {
-        params.set('nonce', preparedRequest.nonce);
-      }
-      if (preparedRequest.state) {
-        params.set('state', preparedRequest.state);
-      }
-      if (preparedRequest.presentation_definition) {
-        params.set('presentation_definition', JSON.stringify(preparedRequest.presentation_definition));
-      }
-      if (preparedRequest.presentation_definition_uri) {
-        params.set('presentation_definition_uri', preparedRequest.presentation_definition_uri);
-      }
-      if (preparedRequest.client_metadata) {
-        params.set('client_metadata', JSON.stringify(preparedRequest.client_metadata));
-      }
-      if (preparedRequest.response_mode) {
-        params.set('response_mode', preparedRequest.response_mode);
-      }
-      if (preparedRequest.dcql_query) {
-        params.set('dcql_query', JSON.stringify(preparedRequest.dcql_query));
+      params.set('response_type', walletRequest.response_type || 'vp_token');
+      const responseMode = walletRequest.response_mode || 'dc_api';
+      params.set('response_mode', responseMode);
+      
+      // Only the direct_post modes post to the verifier; never to the page
+      if (responseMode.startsWith('direct_post') && walletRequest.response_uri) {
+        params.set('response_uri', walletRequest.response_uri);
       }
+      ['nonce', 'state', 'presentation_definition_uri'].forEach(name => {
+        if (walletRequest[name]) {
+          params.set(name, walletRequest[name]);
+        }
+      });
+      
+      // Complex parameters are JSON-encoded per OpenID4VP
+      ['presentation_definition', 'client_metadata', 'dcql_query'].forEach(name => {
+        if (walletRequest[name]) {
+          params.set(name, JSON.stringify(walletRequest[name]));
+        }
+      });
     }
 
-    // Build the final URL for the wallet
-    const walletAuthUrl = `${walletUrl}?${params.toString()}`;
-
     return {
       protocol: this.getProtocolId(),
       walletUrl: walletUrl,
-      authorizationUrl: walletAuthUrl,
-      requestData: preparedRequest,
+      invocationUrl: url.toString(),
+      requestData: translation ? { ...preparedRequest, _walletQueryLanguage: translation.language } : preparedRequest,
     };
   }
 
@@ -378,7 +962,10 @@ class OpenID4VPPlugin extends ProtocolPlugin {
    * 
    * @param {string} requestUri - URL to fetch JAR from
    * @param {Object} options - Optional verification options
-   * @param {Function} options.jwtVerifier - Optional wallet-provided JWT verifier
+   * @param {Function} options.jwtVerifier - Optional wallet-provided JWT verifier;
+   *   the built-in WebCrypto verifier (jwt.js) is used without one
+   * @param {Function} options.certificateValidator - Validates x5c chains of
+   *   x509 client_id prefixes
    * @returns {Promise<Object>} Parsed and validated authorization parameters
    */
   async handleRequestUri(requestUri, options = {}) {
@@ -402,38 +989,43 @@ class OpenID4VPPlugin extends ProtocolPlugin {
         throw new Error('Invalid JWT type: expected oauth-authz-req+jwt');
       }
 
-      // Verify JWT signature if a verifier is provided
-      if (options.jwtVerifier && typeof options.jwtVerifier === 'function') {
-        console.log('OpenID4VP: Verifying JWT signature using wallet-provided verifier');
-        
-        const verificationOptions = {
-          certificate: header.x5c?.[0], // First certificate in chain
-          algorithm: header.alg,
-          kid: header.kid
-        };
+      const clientId = payload.client_id ? ClientId.parse(payload.client_id) : null;
+      const key = clientId && ClientId.requestKey(clientId, header, options);
 
-        try {
-          const verificationResult = await options.jwtVerifier(jwt, verificationOptions);
-          
-          if (!verificationResult.valid) {
-            throw new Error(`JWT signature verification failed: ${verificationResult.error || 'Invalid signature'}`);
-          }
-          
-          console.log('OpenID4VP: JWT signature verified successfully');
-        } catch (err) {
-          throw new Error(`JWT verification error: ${err.message}`);
+      // Verify JWT signature with the key the client_id binds; the
+      // wallet-provided verifier only decides for prefixes that bind none
+      const walletVerifier = !key && typeof options.jwtVerifier === 'function';
+      console.log(`OpenID4VP: Verifying JWT signature using ${walletVerifier ? 'wallet-provided' : 'built-in'} verifier`);
+      
+      const verificationOptions = {
+        certificate: header.x5c?.[0], // First certificate in chain
+        algorithm: header.alg,
+        kid: header.kid
+      };
+
+      try {
+        const verificationResult = walletVerifier
+          ? await options.jwtVerifier(jwt, verificationOptions)
+          : await Jwt.verify(jwt, key || {});
+        
+        if (!verificationResult.valid) {
+          throw new Error(`JWT signature verification failed: ${verificationResult.error || 'Invalid signature'}`);
         }
-      } else {
-        // No verifier provided - log warning
-        console.warn('OpenID4VP: JWT signature verification skipped - no verifier provided');
-        console.warn('To enable verification, register a JWT verifier via DCWS.registerJWTVerifier()');
+        
+        console.log('OpenID4VP: JWT signature verified successfully');
+      } catch (err) {
+        throw new Error(`JWT verification error: ${err.message}`);
       }
 
-      // Return parsed authorization parameters
+      this._validateResponseMode(payload, RESPONSE_MODES);
+
+      // Return parsed authorization parameters; a request object only
+      // checked with the key in its own header is not verified
       return {
         ...payload,
         _jarHeader: header, // Include header for certificate validation
-        _jarSignatureVerified: !!options.jwtVerifier, // Indicate if signature was verified
+        _jarSignatureVerified: Boolean(key) || walletVerifier,
+        _clientId: clientId && await ClientId.validateSigned(clientId, { header, claims: payload }, options)
       };
     } catch (err) {
       throw new Error(`Error handling request_uri: ${err.message}`);
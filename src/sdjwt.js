@@ -0,0 +1,323 @@
+/**
+ * SD-JWT parser
+ *
+ * Parses Selective Disclosure JWTs (RFC 9901) as presented in SD-JWT VC
+ * credentials: the issuer-signed JWT, its disclosures and the optional key
+ * binding JWT. Disclosure digests are checked against the _sd claims and the
+ * key binding JWT's sd_hash against the presentation.
+ *
+ * Signatures are not verified here: that needs the issuer's and holder's
+ * keys, and happens at the verifier. Digests are computed with WebCrypto,
+ * so parse() returns a promise.
+ *
+ * References:
+ * - RFC 9901: Selective Disclosure for JWTs (SD-JWT)
+ * - SD-JWT VC: https://datatracker.ietf.org/doc/draft-ietf-oauth-sd-jwt-vc/
+ */
+
+/* global module, require, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS - base64url from encoding.js
+    module.exports = factory(require('./encoding.js'));
+  } else if (typeof define === 'function' && define.amd) {
+    define(['Encoding'], factory);
+  } else {
+    if (!root.Encoding) {
+      console.error('Encoding not found. Make sure encoding.js is loaded first.');
+      return;
+    }
+    root.SdJwt = factory(root.Encoding);
+  }
+})(typeof window !== 'undefined' ? window : this, function(Encoding) {
+  'use strict';
+
+  // typ of the issuer-signed JWT of an SD-JWT VC (vc+sd-jwt before draft 06)
+  const SD_JWT_VC_TYPES = ['dc+sd-jwt', 'vc+sd-jwt'];
+
+  // typ of the key binding JWT
+  const KB_JWT_TYPE = 'kb+jwt';
+
+  // Only sha-256 is required by RFC 9901 and used in practice
+  const DEFAULT_SD_ALG = 'sha-256';
+
+  // Claim names with a meaning of their own in an SD-JWT payload
+  const SD_CLAIM = '_sd';
+  const SD_ALG_CLAIM = '_sd_alg';
+  const ARRAY_ELEMENT_CLAIM = '...';
+
+  /**
+   * Decode a base64url JSON value
+   * @param {string} value - base64url string
+   * @param {string} name - Part name for error messages
+   */
+  function decodeJson(value, name) {
+    try {
+      return JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(Encoding.base64UrlDecode(value)));
+    } catch (err) {
+      throw new Error(`Invalid SD-JWT: ${name} is not base64url-encoded JSON`);
+    }
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  /**
+   * Base64url SHA-256 digest of a disclosure or presentation string
+   * @param {string} value - ASCII string
+   * @returns {Promise<string>}
+   */
+  async function digest(value) {
+    const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Encoding.base64UrlEncode(new Uint8Array(hash));
+  }
+
+  /**
+   * Parse a compact JWT without verifying its signature
+   * @param {string} jwt - header.payload.signature
+   * @param {string} name - JWT name for error messages
+   * @returns {Object} header, payload and signature
+   */
+  function parseJwt(jwt, name) {
+    const parts = jwt.split('.');
+    if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+      throw new Error(`Invalid SD-JWT: ${name} must be a compact JWS`);
+    }
+    const header = decodeJson(parts[0], `${name} header`);
+    const payload = decodeJson(parts[1], `${name} payload`);
+    if (!isObject(header) || !isObject(payload)) {
+      throw new Error(`Invalid SD-JWT: ${name} header and payload must be JSON objects`);
+    }
+    if (typeof header.alg !== 'string' || header.alg === 'none') {
+      throw new Error(`Invalid SD-JWT: ${name} must be signed (alg "${header.alg}")`);
+    }
+    return { header: header, payload: payload, signature: parts[2] };
+  }
+
+  /**
+   * Decode one disclosure
+   *
+   * Object property: [salt, claim name, value]
+   * Array element:   [salt, value]
+   *
+   * @private
+   */
+  function parseDisclosure(encoded, index) {
+    const name = `disclosure ${index}`;
+    const disclosure = decodeJson(encoded, name);
+    if (!Array.isArray(disclosure) || (disclosure.length !== 2 && disclosure.length !== 3) ||
+        typeof disclosure[0] !== 'string') {
+      throw new Error(`Invalid SD-JWT: ${name} must be [salt, name, value] or [salt, value]`);
+    }
+    if (disclosure.length === 3) {
+      const claimName = disclosure[1];
+      if (typeof claimName !== 'string' || [SD_CLAIM, SD_ALG_CLAIM, ARRAY_ELEMENT_CLAIM].includes(claimName)) {
+        throw new Error(`Invalid SD-JWT: ${name} has an invalid claim name`);
+      }
+      return { salt: disclosure[0], name: claimName, value: disclosure[2] };
+    }
+    return { salt: disclosure[0], value: disclosure[1] };
+  }
+
+  /**
+   * Replace the digests in a payload with the disclosed claims
+   * (RFC 9901 Section 7.1, step 3)
+   *
+   * @private
+   * @param {*} value - Payload or nested value
+   * @param {Map} disclosures - digest -> disclosure
+   * @param {Set} used - Digests already replaced
+   * @param {string} path - Claim path of value, for the disclosed list
+   * @param {string[]} disclosed - Collects the paths of disclosed claims
+   */
+  function processClaims(value, disclosures, used, path, disclosed) {
+    const take = (digestValue) => {
+      if (typeof digestValue !== 'string') {
+        throw new Error(`Invalid SD-JWT: digests at ${path || 'the top level'} must be strings`);
+      }
+      if (used.has(digestValue)) {
+        throw new Error(`Invalid SD-JWT: digest ${digestValue} is used more than once`);
+      }
+      const disclosure = disclosures.get(digestValue);
+      if (disclosure) {
+        used.add(digestValue);
+      }
+      return disclosure;
+    };
+
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const element of value) {
+        const isDigest = isObject(element) && Object.keys(element).length === 1 && ARRAY_ELEMENT_CLAIM in element;
+        if (!isDigest) {
+          result.push(processClaims(element, disclosures, used, `${path}[${result.length}]`, disclosed));
+          continue;
+        }
+        const disclosure = take(element[ARRAY_ELEMENT_CLAIM]);
+        if (!disclosure) {
+          continue;
+        }
+        if (disclosure.name !== undefined) {
+          throw new Error(`Invalid SD-JWT: object property disclosure "${disclosure.name}" is referenced from an array`);
+        }
+        const elementPath = `${path}[${result.length}]`;
+        disclosed.push(elementPath);
+        result.push(processClaims(disclosure.value, disclosures, used, elementPath, disclosed));
+      }
+      return result;
+    }
+
+    if (!isObject(value)) {
+      return value;
+    }
+
+    const result = {};
+    const childPath = (name) => path ? `${path}.${name}` : name;
+    for (const [name, entry] of Object.entries(value)) {
+      if (name !== SD_CLAIM && !(name === SD_ALG_CLAIM && !path)) {
+        result[name] = processClaims(entry, disclosures, used, childPath(name), disclosed);
+      }
+    }
+
+    const digests = value[SD_CLAIM];
+    if (digests === undefined) {
+      return result;
+    }
+    if (!Array.isArray(digests)) {
+      throw new Error(`Invalid SD-JWT: ${SD_CLAIM} at ${path || 'the top level'} must be an array`);
+    }
+    for (const digestValue of digests) {
+      const disclosure = take(digestValue);
+      if (!disclosure) {
+        continue;
+      }
+      if (disclosure.name === undefined) {
+        throw new Error('Invalid SD-JWT: array element disclosure is referenced from an object');
+      }
+      if (Object.prototype.hasOwnProperty.call(result, disclosure.name)) {
+        throw new Error(`Invalid SD-JWT: claim "${disclosure.name}" is disclosed more than once`);
+      }
+      disclosed.push(childPath(disclosure.name));
+      result[disclosure.name] = processClaims(disclosure.value, disclosures, used, childPath(disclosure.name), disclosed);
+    }
+    return result;
+  }
+
+  /**
+   * Check the key binding JWT (RFC 9901 Section 7.3), and its nonce and
+   * aud against the request it answers when they are given
+   * @private
+   */
+  async function parseKeyBinding(jwt, issuerPayload, presentation, expected) {
+    const keyBinding = parseJwt(jwt, 'key binding JWT');
+    if (keyBinding.header.typ !== KB_JWT_TYPE) {
+      throw new Error(`Invalid SD-JWT: key binding JWT typ must be "${KB_JWT_TYPE}"`);
+    }
+    const { iat, aud, nonce } = keyBinding.payload;
+    if (typeof iat !== 'number' || typeof aud !== 'string' || typeof nonce !== 'string') {
+      throw new Error('Invalid SD-JWT: key binding JWT must include iat, aud and nonce');
+    }
+    if (expected.nonce !== undefined && nonce !== expected.nonce) {
+      throw new Error('Invalid SD-JWT: key binding JWT nonce does not match the request');
+    }
+    if (expected.aud !== undefined && !expected.aud.includes(aud)) {
+      throw new Error(`Invalid SD-JWT: key binding JWT aud ${aud} is not the verifier (${expected.aud.join(', ')})`);
+    }
+    if (keyBinding.payload.sd_hash !== await digest(presentation)) {
+      throw new Error('Invalid SD-JWT: key binding JWT sd_hash does not match the presentation');
+    }
+    if (!isObject(issuerPayload.cnf)) {
+      throw new Error('Invalid SD-JWT: key binding JWT present but the issuer JWT has no cnf claim');
+    }
+    return keyBinding;
+  }
+
+  /**
+   * Whether a value looks like an SD-JWT (a JWT followed by ~)
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isSdJwt(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+~/.test(value);
+  }
+
+  /**
+   * Parse and check an SD-JWT VC presentation
+   *
+   * <issuer JWT>~<disclosure>~...~<disclosure>~[<key binding JWT>]
+   *
+   * @param {string} token - SD-JWT presentation
+   * @param {Object} [expected] - Request the presentation answers: nonce, and
+   *   aud (the audiences the key binding JWT may name)
+   * @returns {Promise<Object>} issuer (header, payload, signature), disclosures,
+   *   keyBinding (or null), claims (payload with the disclosures applied)
+   *   and disclosed (paths of the selectively disclosed claims)
+   */
+  async function parse(token, expected = {}) {
+    if (typeof token !== 'string' || !token.includes('~')) {
+      throw new Error('Invalid SD-JWT: expected <issuer JWT>~<disclosures>~<key binding JWT>');
+    }
+
+    const parts = token.split('~');
+    const keyBindingJwt = parts.pop();
+    const [issuerJwt, ...encodedDisclosures] = parts;
+    if (encodedDisclosures.some(part => part.length === 0)) {
+      throw new Error('Invalid SD-JWT: empty disclosure');
+    }
+
+    const issuer = parseJwt(issuerJwt, 'issuer JWT');
+    if (!SD_JWT_VC_TYPES.includes(issuer.header.typ)) {
+      throw new Error(`Invalid SD-JWT: issuer JWT typ must be one of: ${SD_JWT_VC_TYPES.join(', ')}`);
+    }
+    if (typeof issuer.payload.vct !== 'string' || issuer.payload.vct.length === 0) {
+      throw new Error('Invalid SD-JWT: issuer JWT must include a vct claim');
+    }
+    const sdAlg = issuer.payload[SD_ALG_CLAIM] === undefined ? DEFAULT_SD_ALG : issuer.payload[SD_ALG_CLAIM];
+    if (sdAlg !== DEFAULT_SD_ALG) {
+      throw new Error(`Invalid SD-JWT: unsupported ${SD_ALG_CLAIM} "${sdAlg}"`);
+    }
+
+    const disclosures = encodedDisclosures.map(parseDisclosure);
+    const digests = await Promise.all(encodedDisclosures.map(digest));
+    disclosures.forEach((disclosure, i) => {
+      disclosure.digest = digests[i];
+    });
+    const byDigest = new Map();
+    for (const disclosure of disclosures) {
+      if (byDigest.has(disclosure.digest)) {
+        throw new Error('Invalid SD-JWT: the same disclosure is included more than once');
+      }
+      byDigest.set(disclosure.digest, disclosure);
+    }
+
+    const used = new Set();
+    const disclosed = [];
+    const claims = processClaims(issuer.payload, byDigest, used, '', disclosed);
+    const unused = disclosures.find(disclosure => !used.has(disclosure.digest));
+    if (unused) {
+      throw new Error(`Invalid SD-JWT: disclosure ${unused.digest} is not referenced by the issuer JWT`);
+    }
+
+    const keyBinding = keyBindingJwt
+      ? await parseKeyBinding(keyBindingJwt, issuer.payload, token.slice(0, token.length - keyBindingJwt.length), expected)
+      : null;
+
+    return {
+      issuer: issuer,
+      disclosures: disclosures,
+      keyBinding: keyBinding,
+      claims: claims,
+      disclosed: disclosed
+    };
+  }
+
+  return {
+    parse,
+    isSdJwt,
+    digest
+  };
+});
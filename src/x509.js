@@ -0,0 +1,531 @@
+/**
+ * X.509 certificate parser and chain validation
+ *
+ * Parses DER and PEM certificates and validates the x5c chain of a signed
+ * request against the trust anchors the user imported on the options page:
+ * validity periods, basic constraints, key usage, signatures, and the leaf's
+ * dNSName subjectAltName for x509_san_dns verifiers.
+ *
+ * Names are compared by their DER encoding, and unknown critical extensions
+ * (name constraints, policy constraints, ...) make a certificate invalid.
+ * Revocation is not checked. Signatures are verified with WebCrypto.
+ *
+ * References:
+ * - RFC 5280: Internet X.509 Public Key Infrastructure Certificate and CRL Profile
+ * - X.690: ASN.1 encoding rules (DER)
+ * - RFC 7468: Textual encodings of PKIX structures (PEM)
+ */
+
+/* global module, require, define */
+
+(function(root, factory) {
+  'use strict';
+
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS, AMD, and browser globals
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS - base64 and DER decoding from encoding.js
+    module.exports = factory(require('./encoding.js'));
+  } else if (typeof define === 'function' && define.amd) {
+    define(['Encoding'], factory);
+  } else {
+    if (!root.Encoding) {
+      console.error('Encoding not found. Make sure encoding.js is loaded first.');
+      return;
+    }
+    root.X509 = factory(root.Encoding);
+  }
+})(typeof window !== 'undefined' ? window : this, function(Encoding) {
+  'use strict';
+
+  // DER tags used by certificates
+  const TAG = {
+    BOOLEAN: 0x01,
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    OID: 0x06,
+    UTC_TIME: 0x17,
+    GENERALIZED_TIME: 0x18,
+    SEQUENCE: 0x30,
+    VERSION: 0xa0,
+    EXTENSIONS: 0xa3,
+    DNS_NAME: 0x82,
+    URI: 0x86
+  };
+
+  // Certificate signature algorithms: WebCrypto import and verify parameters
+  const SIGNATURE_ALGORITHMS = {
+    '1.2.840.10045.4.3.2': { name: 'ECDSA', hash: 'SHA-256' },
+    '1.2.840.10045.4.3.3': { name: 'ECDSA', hash: 'SHA-384' },
+    '1.2.840.113549.1.1.11': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    '1.2.840.113549.1.1.12': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+    '1.3.101.112': { name: 'Ed25519' }
+  };
+
+  // Named curves of EC public keys, with their coordinate size in bytes
+  const CURVES = {
+    '1.2.840.10045.3.1.7': { name: 'P-256', size: 32 },
+    '1.3.132.0.34': { name: 'P-384', size: 48 }
+  };
+
+  // Short names of distinguished name attributes
+  const NAME_ATTRIBUTES = {
+    '2.5.4.3': 'CN',
+    '2.5.4.6': 'C',
+    '2.5.4.7': 'L',
+    '2.5.4.8': 'ST',
+    '2.5.4.10': 'O',
+    '2.5.4.11': 'OU'
+  };
+
+  const EXTENSIONS = {
+    BASIC_CONSTRAINTS: '2.5.29.19',
+    KEY_USAGE: '2.5.29.15',
+    SUBJECT_ALT_NAME: '2.5.29.17'
+  };
+
+  // Extensions that may be critical: the ones interpreted here, and ones
+  // that do not restrict the chain (key identifiers, policies, EKU)
+  const KNOWN_EXTENSIONS = [
+    EXTENSIONS.BASIC_CONSTRAINTS,
+    EXTENSIONS.KEY_USAGE,
+    EXTENSIONS.SUBJECT_ALT_NAME,
+    '2.5.29.14', // subjectKeyIdentifier
+    '2.5.29.35', // authorityKeyIdentifier
+    '2.5.29.32', // certificatePolicies
+    '2.5.29.37' // extKeyUsage
+  ];
+
+  // KeyUsage bits (RFC 5280 Section 4.2.1.3)
+  const KEY_USAGES = [
+    'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+    'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'
+  ];
+
+  /**
+   * Read a DER element and check its tag
+   */
+  function expectElement(bytes, offset, tag, name) {
+    const element = Encoding.readDer(bytes, offset);
+    if (element.tag !== tag) {
+      throw new Error(`${name} has tag 0x${element.tag.toString(16)}, expected 0x${tag.toString(16)}`);
+    }
+    return element;
+  }
+
+  /**
+   * Elements of a constructed DER element
+   * @returns {Object[]} Elements, see Encoding.readDer()
+   */
+  function children(bytes, parent) {
+    const elements = [];
+    let offset = parent.start;
+    while (offset < parent.end) {
+      const element = Encoding.readDer(bytes, offset);
+      if (element.end > parent.end) {
+        throw new Error('truncated DER');
+      }
+      elements.push(element);
+      offset = element.end;
+    }
+    return elements;
+  }
+
+  const contents = (bytes, element) => bytes.slice(element.start, element.end);
+  const encoded = (bytes, element) => bytes.slice(element.offset, element.end);
+
+  /**
+   * Decode an OBJECT IDENTIFIER
+   * @returns {string} Dotted OID
+   */
+  function decodeOid(bytes) {
+    if (bytes.length === 0) {
+      throw new Error('empty OID');
+    }
+    const parts = [];
+    let value = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      value = value * 128 + (bytes[i] & 0x7f);
+      if (!(bytes[i] & 0x80)) {
+        parts.push(value);
+        value = 0;
+      }
+    }
+    const first = parts.shift();
+    const arc = first < 80 ? Math.floor(first / 40) : 2;
+    return [arc, first - arc * 40].concat(parts).join('.');
+  }
+
+  /**
+   * Decode a UTCTime or GeneralizedTime (RFC 5280 Section 4.1.2.5)
+   * @returns {Date}
+   */
+  function decodeTime(bytes, element) {
+    const text = new TextDecoder().decode(contents(bytes, element));
+    const match = element.tag === TAG.UTC_TIME
+      ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text)
+      : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text);
+    if (!match) {
+      throw new Error(`invalid time "${text}"`);
+    }
+    let year = Number(match[1]);
+    if (element.tag === TAG.UTC_TIME) {
+      year += year < 50 ? 2000 : 1900;
+    }
+    return new Date(Date.UTC(year, Number(match[2]) - 1, Number(match[3]),
+      Number(match[4]), Number(match[5]), Number(match[6])));
+  }
+
+  /**
+   * Decode a directory string (UTF8String, PrintableString, IA5String, BMPString, ...)
+   */
+  function decodeString(bytes, element) {
+    const value = contents(bytes, element);
+    if (element.tag === 0x1e) {
+      let text = '';
+      for (let i = 0; i + 1 < value.length; i += 2) {
+        text += String.fromCharCode((value[i] << 8) | value[i + 1]);
+      }
+      return text;
+    }
+    return new TextDecoder().decode(value);
+  }
+
+  /**
+   * Readable form of a Name, e.g. "CN=Verifier, O=Example"
+   */
+  function describeName(bytes, name) {
+    return children(bytes, name).flatMap(set => children(bytes, set)).map(attribute => {
+      const [type, value] = children(bytes, attribute);
+      const oid = decodeOid(contents(bytes, type));
+      return `${NAME_ATTRIBUTES[oid] || oid}=${decodeString(bytes, value)}`;
+    }).join(', ');
+  }
+
+  /**
+   * Decode the extensions of a certificate
+   */
+  function decodeExtensions(bytes, element, certificate) {
+    const list = expectElement(bytes, element.start, TAG.SEQUENCE, 'extensions');
+    children(bytes, list).forEach(extension => {
+      const parts = children(bytes, extension);
+      const oid = decodeOid(contents(bytes, parts[0]));
+      const critical = parts.length === 3 && parts[1].tag === TAG.BOOLEAN && bytes[parts[1].start] !== 0;
+      const value = parts[parts.length - 1];
+      if (value.tag !== TAG.OCTET_STRING) {
+        throw new Error(`extension ${oid} has no value`);
+      }
+      const inner = Encoding.readDer(bytes, value.start);
+
+      if (oid === EXTENSIONS.BASIC_CONSTRAINTS) {
+        const fields = children(bytes, inner);
+        const ca = fields.length > 0 && fields[0].tag === TAG.BOOLEAN && bytes[fields[0].start] !== 0;
+        const pathLength = fields.find(field => field.tag === TAG.INTEGER);
+        certificate.basicConstraints = {
+          ca: ca,
+          pathLength: pathLength ? contents(bytes, pathLength).reduce((n, byte) => n * 256 + byte, 0) : null
+        };
+      } else if (oid === EXTENSIONS.KEY_USAGE) {
+        const bits = contents(bytes, inner).slice(1);
+        certificate.keyUsage = KEY_USAGES.filter((usage, bit) =>
+          (bits[bit >> 3] || 0) & (0x80 >> (bit & 7)));
+      } else if (oid === EXTENSIONS.SUBJECT_ALT_NAME) {
+        children(bytes, inner).forEach(name => {
+          if (name.tag === TAG.DNS_NAME) {
+            certificate.subjectAltNames.dnsNames.push(decodeString(bytes, name));
+          } else if (name.tag === TAG.URI) {
+            certificate.subjectAltNames.uris.push(decodeString(bytes, name));
+          }
+        });
+      }
+
+      if (critical && !KNOWN_EXTENSIONS.includes(oid)) {
+        certificate.unknownCriticalExtensions.push(oid);
+      }
+    });
+  }
+
+  /**
+   * Parse a DER certificate (RFC 5280 Section 4.1)
+   * @param {Uint8Array} der - Certificate
+   * @returns {Object} der, tbs, version, serialNumber (hex), signatureAlgorithm,
+   *   signature, issuer and subject ({ der, name }), notBefore, notAfter,
+   *   publicKey ({ der, algorithm, curve }), basicConstraints ({ ca, pathLength }
+   *   or null), keyUsage (names, or null when absent), subjectAltNames
+   *   ({ dnsNames, uris }) and unknownCriticalExtensions
+   */
+  function parse(der) {
+    if (!(der instanceof Uint8Array)) {
+      throw new Error('certificate must be DER bytes');
+    }
+    try {
+      const certificate = expectElement(der, 0, TAG.SEQUENCE, 'certificate');
+      if (certificate.end !== der.length) {
+        throw new Error('trailing data after the certificate');
+      }
+      const [tbs, signatureAlgorithm, signature] = children(der, certificate);
+      if (!signature || signature.tag !== TAG.BIT_STRING) {
+        throw new Error('certificate has no signature');
+      }
+
+      const fields = children(der, tbs);
+      let version = 1;
+      if (fields[0] && fields[0].tag === TAG.VERSION) {
+        version = der[expectElement(der, fields.shift().start, TAG.INTEGER, 'version').start] + 1;
+      }
+      const [serial, , issuer, validity, subject, spki] = fields;
+      if (!spki || spki.tag !== TAG.SEQUENCE) {
+        throw new Error('certificate has no subjectPublicKeyInfo');
+      }
+      const [notBefore, notAfter] = children(der, validity);
+      const keyAlgorithm = children(der, children(der, spki)[0]);
+
+      const result = {
+        der: der,
+        tbs: encoded(der, tbs),
+        version: version,
+        serialNumber: Array.from(contents(der, serial), byte => byte.toString(16).padStart(2, '0')).join(''),
+        signatureAlgorithm: decodeOid(contents(der, children(der, signatureAlgorithm)[0])),
+        signature: contents(der, signature).slice(1),
+        issuer: { der: encoded(der, issuer), name: describeName(der, issuer) },
+        subject: { der: encoded(der, subject), name: describeName(der, subject) },
+        notBefore: decodeTime(der, notBefore),
+        notAfter: decodeTime(der, notAfter),
+        publicKey: {
+          der: encoded(der, spki),
+          algorithm: decodeOid(contents(der, keyAlgorithm[0])),
+          curve: keyAlgorithm[1] && keyAlgorithm[1].tag === TAG.OID ? decodeOid(contents(der, keyAlgorithm[1])) : null
+        },
+        basicConstraints: null,
+        keyUsage: null,
+        subjectAltNames: { dnsNames: [], uris: [] },
+        unknownCriticalExtensions: []
+      };
+
+      const extensions = fields.find(field => field.tag === TAG.EXTENSIONS);
+      if (extensions) {
+        decodeExtensions(der, extensions, result);
+      }
+      return result;
+    } catch (err) {
+      throw new Error(`Invalid certificate: ${err.message}`);
+    }
+  }
+
+  /**
+   * Decode a base64 (not base64url) certificate, as in x5c and PEM
+   * @param {string} value - base64 string
+   * @returns {Uint8Array}
+   */
+  function fromBase64(value) {
+    try {
+      return Encoding.base64Decode(value);
+    } catch (err) {
+      throw new Error('Invalid certificate: not base64-encoded');
+    }
+  }
+
+  /**
+   * Certificates of a PEM text (RFC 7468), other blocks are skipped
+   * @param {string} text - One or more "BEGIN CERTIFICATE" blocks
+   * @returns {Uint8Array[]} DER certificates
+   */
+  function fromPem(text) {
+    let blocks;
+    try {
+      blocks = Encoding.pemDecode(text, 'CERTIFICATE');
+    } catch (err) {
+      throw new Error('Invalid certificate: not base64-encoded');
+    }
+    if (blocks.length === 0) {
+      throw new Error('No PEM certificate found');
+    }
+    return blocks;
+  }
+
+  /**
+   * SHA-256 fingerprint of a certificate, as lowercase hex
+   * @param {Uint8Array} der - Certificate
+   * @returns {Promise<string>}
+   */
+  async function fingerprint(der) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', der));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+  /**
+   * Convert a DER ECDSA signature (SEQUENCE of r and s) to r || s
+   */
+  function ecdsaSignature(der, size) {
+    const sequence = expectElement(der, 0, TAG.SEQUENCE, 'ECDSA signature');
+    const raw = new Uint8Array(size * 2);
+    children(der, sequence).forEach((integer, index) => {
+      let value = contents(der, integer);
+      while (value.length > size && value[0] === 0) {
+        value = value.slice(1);
+      }
+      if (value.length > size || index > 1) {
+        throw new Error('malformed ECDSA signature');
+      }
+      raw.set(value, index * size + size - value.length);
+    });
+    return raw;
+  }
+
+  /**
+   * Verify that a certificate was signed with an issuer's key
+   * @returns {Promise<boolean>}
+   */
+  async function verifySignature(certificate, issuer) {
+    const algorithm = SIGNATURE_ALGORITHMS[certificate.signatureAlgorithm];
+    if (!algorithm) {
+      throw new Error(`unsupported signature algorithm ${certificate.signatureAlgorithm}`);
+    }
+    let importParams = algorithm;
+    let signature = certificate.signature;
+    if (algorithm.name === 'ECDSA') {
+      const curve = CURVES[issuer.publicKey.curve];
+      if (!curve) {
+        throw new Error(`unsupported EC curve ${issuer.publicKey.curve}`);
+      }
+      importParams = { name: 'ECDSA', namedCurve: curve.name };
+      signature = ecdsaSignature(signature, curve.size);
+    }
+    const key = await crypto.subtle.importKey('spki', issuer.publicKey.der, importParams, false, ['verify']);
+    return crypto.subtle.verify(algorithm, key, signature, certificate.tbs);
+  }
+
+  /**
+   * Checks every certificate of a chain must pass
+   */
+  function checkCertificate(certificate, now, name) {
+    if (now < certificate.notBefore) {
+      throw new Error(`${name} is not valid before ${certificate.notBefore.toISOString()}`);
+    }
+    if (now > certificate.notAfter) {
+      throw new Error(`${name} expired on ${certificate.notAfter.toISOString()}`);
+    }
+    if (certificate.unknownCriticalExtensions.length > 0) {
+      throw new Error(`${name} has unsupported critical extensions: ${certificate.unknownCriticalExtensions.join(', ')}`);
+    }
+  }
+
+  /**
+   * Checks for a certificate that issues others
+   * @param {number} below - Intermediate CA certificates between it and the leaf
+   */
+  function checkIssuer(certificate, below, name) {
+    if (!certificate.basicConstraints || !certificate.basicConstraints.ca) {
+      throw new Error(`${name} is not a CA certificate`);
+    }
+    if (certificate.keyUsage && !certificate.keyUsage.includes('keyCertSign')) {
+      throw new Error(`${name} may not sign certificates (keyUsage)`);
+    }
+    const pathLength = certificate.basicConstraints.pathLength;
+    if (pathLength !== null && below > pathLength) {
+      throw new Error(`${name} allows ${pathLength} intermediate certificates, the chain has ${below}`);
+    }
+  }
+
+  const asCertificate = (value) => {
+    if (typeof value === 'string') {
+      return parse(fromBase64(value));
+    }
+    return value instanceof Uint8Array ? parse(value) : value;
+  };
+
+  /**
+   * Validate a certificate chain against trust anchors
+   *
+   * The chain starts with the leaf (as x5c does), each certificate issued by
+   * the next one. It is trusted once a certificate of it is a trust anchor,
+   * or is issued by one.
+   *
+   * @param {Array<string|Uint8Array>} chain - base64 (x5c) or DER certificates
+   * @param {Array<string|Uint8Array|Object>} anchors - Trust anchors: base64,
+   *   DER or parsed certificates
+   * @param {Object} [options]
+   * @param {string} [options.dnsName] - Required dNSName subjectAltName of the leaf
+   * @param {Date} [options.now] - Validation time (default: now)
+   * @returns {Promise<Object>} { valid: true, leaf, anchor } or { valid: false, error }
+   */
+  async function validateChain(chain, anchors, options = {}) {
+    try {
+      if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('WebCrypto is not available');
+      }
+      if (!Array.isArray(chain) || chain.length === 0) {
+        throw new Error('The certificate chain is empty');
+      }
+      const certificates = chain.map((value, index) => {
+        try {
+          return asCertificate(value);
+        } catch (err) {
+          throw new Error(`certificate ${index}: ${err.message}`);
+        }
+      });
+      const trusted = (anchors || []).map(asCertificate);
+      const now = options.now || new Date();
+
+      const leaf = certificates[0];
+      if (leaf.keyUsage && !leaf.keyUsage.includes('digitalSignature')) {
+        throw new Error('The leaf certificate may not be used for signatures (keyUsage)');
+      }
+      if (options.dnsName !== undefined) {
+        const dnsName = String(options.dnsName).toLowerCase();
+        if (!leaf.subjectAltNames.dnsNames.some(name => name.toLowerCase() === dnsName)) {
+          throw new Error(`The leaf certificate has no dNSName subjectAltName ${options.dnsName}`);
+        }
+      }
+
+      for (let i = 0; i < certificates.length; i++) {
+        const certificate = certificates[i];
+        const name = i === 0 ? 'The leaf certificate' : `Certificate ${i}`;
+        checkCertificate(certificate, now, name);
+        if (i > 0) {
+          checkIssuer(certificate, i - 1, name);
+        }
+
+        const anchor = trusted.find(candidate => sameBytes(candidate.der, certificate.der));
+        if (anchor) {
+          return { valid: true, leaf: leaf, anchor: anchor };
+        }
+
+        if (i + 1 < certificates.length) {
+          const issuer = certificates[i + 1];
+          if (!sameBytes(issuer.subject.der, certificate.issuer.der)) {
+            throw new Error(`${name} is not issued by certificate ${i + 1}`);
+          }
+          if (!await verifySignature(certificate, issuer)) {
+            throw new Error(`${name} has an invalid signature`);
+          }
+          continue;
+        }
+
+        // The last certificate must be issued by a trust anchor
+        for (const candidate of trusted.filter(other => sameBytes(other.subject.der, certificate.issuer.der))) {
+          if (await verifySignature(certificate, candidate).catch(() => false)) {
+            checkCertificate(candidate, now, `Trust anchor ${candidate.subject.name}`);
+            checkIssuer(candidate, i, `Trust anchor ${candidate.subject.name}`);
+            return { valid: true, leaf: leaf, anchor: candidate };
+          }
+        }
+      }
+      throw new Error(`The certificate chain does not lead to a trust anchor (issuer ${certificates[certificates.length - 1].issuer.name})`);
+    } catch (err) {
+      return { valid: false, error: err.message };
+    }
+  }
+
+  return {
+    parse,
+    fromPem,
+    fromBase64,
+    toBase64: Encoding.base64Encode,
+    fingerprint,
+    validateChain
+  };
+});
@@ -28,7 +28,9 @@ describe('Background Script - Wallet Management', () => {
     STORAGE_KEYS = {
       WALLETS: 'configured_wallets',
       ENABLED: 'extension_enabled',
-      STATS: 'usage_stats'
+      STATS: 'usage_stats',
+      ORIGIN_WALLETS: 'origin_wallets',
+      REQUEST_HISTORY: 'request_history'
     };
   });
 
@@ -152,6 +154,101 @@ describe('Background Script - Wallet Management', () => {
       expect(existingWallet.id).toBe('w1');
       expect(existingWallet.name).toBe('Existing');
     });
+
+    describe('User confirmation', () => {
+      const register = async (wallet, origin, confirm) => {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.WALLETS);
+        const wallets = result[STORAGE_KEYS.WALLETS] || DEFAULT_WALLETS;
+        const existingWallet = wallets.find(w => w.url === wallet.url);
+        if (existingWallet) {
+          return { success: true, alreadyRegistered: true, wallet: existingWallet };
+        }
+        if (!(await confirm(wallet, origin))) {
+          return { success: false, error: 'The user declined the wallet registration' };
+        }
+        const newWallet = { id: 'wallet-new', ...wallet, enabled: true, autoRegistered: true, registeredFrom: origin };
+        await chrome.storage.local.set({ [STORAGE_KEYS.WALLETS]: [...wallets, newWallet] });
+        return { success: true, alreadyRegistered: false, wallet: newWallet };
+      };
+      const wallet = { name: 'New Wallet', url: 'https://new-wallet.com', protocols: ['openid4vp'] };
+
+      test('should store a new wallet only once the user allowed it', async () => {
+        chrome.storage.local.get.mockResolvedValueOnce({ configured_wallets: [] });
+        const confirm = jest.fn().mockResolvedValue(true);
+
+        const response = await register(wallet, 'https://new-wallet.com', confirm);
+
+        expect(confirm).toHaveBeenCalledWith(wallet, 'https://new-wallet.com');
+        expect(response.success).toBe(true);
+        expect(chrome.storage.local.set).toHaveBeenCalledWith({
+          configured_wallets: [expect.objectContaining({ url: 'https://new-wallet.com', registeredFrom: 'https://new-wallet.com' })]
+        });
+      });
+
+      test('should not store a wallet the user declined', async () => {
+        chrome.storage.local.get.mockResolvedValueOnce({ configured_wallets: [] });
+
+        const response = await register(wallet, 'https://attacker.example.com', jest.fn().mockResolvedValue(false));
+
+        expect(response).toEqual({ success: false, error: 'The user declined the wallet registration' });
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      });
+
+      test('should not ask about a wallet already registered', async () => {
+        chrome.storage.local.get.mockResolvedValueOnce({ configured_wallets: [{ id: 'w1', ...wallet }] });
+        const confirm = jest.fn();
+
+        const response = await register(wallet, 'https://new-wallet.com', confirm);
+
+        expect(confirm).not.toHaveBeenCalled();
+        expect(response.alreadyRegistered).toBe(true);
+      });
+
+      test('should decline a registration whose window was closed, and answer it once', () => {
+        const pendingRegistrations = new Map();
+        const settleRegistration = (registrationId, allowed) => {
+          const pending = pendingRegistrations.get(registrationId);
+          if (!pending) {
+            return false;
+          }
+          pendingRegistrations.delete(registrationId);
+          pending.resolve(allowed);
+          return true;
+        };
+        const onWindowRemoved = (windowId) => {
+          pendingRegistrations.forEach((pending, registrationId) => {
+            if (pending.windowId === windowId) {
+              settleRegistration(registrationId, false);
+            }
+          });
+        };
+        const resolve = jest.fn();
+        pendingRegistrations.set('registration-1', { wallet, origin: 'https://new-wallet.com', windowId: 7, resolve });
+
+        onWindowRemoved(8);
+        expect(resolve).not.toHaveBeenCalled();
+        onWindowRemoved(7);
+        expect(resolve).toHaveBeenCalledWith(false);
+        expect(settleRegistration('registration-1', true)).toBe(false);
+        expect(resolve).toHaveBeenCalledTimes(1);
+      });
+
+      test('should only take answers from the confirmation window', () => {
+        const isRegistrationConfirmation = (sender) => sender.id === chrome.runtime.id &&
+          typeof sender.url === 'string' &&
+          sender.url.startsWith(chrome.runtime.getURL('confirm-registration.html'));
+
+        expect(isRegistrationConfirmation({
+          id: 'test-extension-id',
+          url: 'chrome-extension://test-extension-id/confirm-registration.html?id=registration-1'
+        })).toBe(true);
+        expect(isRegistrationConfirmation({
+          id: 'test-extension-id',
+          url: 'https://attacker.example.com/confirm-registration.html',
+          tab: { id: 1 }
+        })).toBe(false);
+      });
+    });
   });
 
   describe('CHECK_WALLET', () => {
@@ -271,4 +368,516 @@ describe('Background Script - Wallet Management', () => {
       });
     });
   });
+
+  describe('Supported Protocols', () => {
+    const { ProtocolPluginRegistry } = require('../src/protocols.js');
+    const OpenID4VPPlugin = require('../src/protocols/OpenID4VPPlugin.js');
+    const OpenID4VCIPlugin = require('../src/protocols/OpenID4VCIPlugin.js');
+    const MdocPlugin = require('../src/protocols/MdocPlugin.js');
+    let registry;
+
+    // Same plugins as the background loads
+    beforeEach(() => {
+      registry = new ProtocolPluginRegistry();
+      [new OpenID4VPPlugin(), new OpenID4VPPlugin('v1-unsigned'), new OpenID4VPPlugin('v1-signed'),
+        new OpenID4VCIPlugin(), new MdocPlugin()].forEach(plugin => registry.register(plugin));
+    });
+
+    function getSupportedProtocols(wallets) {
+      const protocols = new Set();
+      wallets.filter(w => w.enabled).forEach(wallet => {
+        registry.checkWalletProtocols(wallet).supported.forEach(p => protocols.add(p));
+      });
+      return Array.from(protocols);
+    }
+
+    test('should only advertise declared protocols a plugin handles', () => {
+      const wallets = [
+        { id: 'w1', protocols: ['openid4vp', 'w3c-vc'], enabled: true },
+        { id: 'w2', protocols: ['org-iso-mdoc', 'openid4vp'], enabled: true },
+        { id: 'w3', protocols: ['openid4vci'], enabled: false }
+      ];
+
+      expect(getSupportedProtocols(wallets)).toEqual(['openid4vp', 'org-iso-mdoc']);
+    });
+
+    test('should expand version families and aliases to canonical protocols', () => {
+      const wallets = [
+        { id: 'w1', protocols: ['openid4vp@1.0', 'org.iso.mdoc'], enabled: true }
+      ];
+
+      expect(getSupportedProtocols(wallets)).toEqual(['openid4vp-v1-unsigned', 'openid4vp-v1-signed', 'org-iso-mdoc']);
+      expect(registry.normalizeProtocol('org.iso.mdoc')).toBe('org-iso-mdoc');
+    });
+
+    test('should report invalid protocol entries per wallet', () => {
+      const wallets = [
+        { id: 'w1', protocols: ['openid4vp', 'w3c-vc'], enabled: true },
+        { id: 'w2', protocols: ['openid4vp-v1-signed'], enabled: true }
+      ];
+      const reports = {};
+      wallets.forEach(wallet => {
+        reports[wallet.id] = registry.checkWalletProtocols(wallet);
+      });
+
+      expect(reports.w1.invalid).toEqual([
+        { protocol: 'w3c-vc', index: 1, reason: 'no plugin registered for the protocol' }
+      ]);
+      expect(reports.w2).toEqual({ supported: ['openid4vp-v1-signed'], invalid: [] });
+    });
+  });
+
+  describe('Mediation', () => {
+    const wallets = [
+      { id: 'w1', name: 'Wallet 1', url: 'https://w1.com', protocols: ['openid4vp'], enabled: true },
+      { id: 'w2', name: 'Wallet 2', url: 'https://w2.com', protocols: ['openid4vp'], enabled: false }
+    ];
+
+    function findRememberedWallet(originWallets, origin, protocols) {
+      const walletId = (originWallets || {})[origin];
+      return wallets.find(w =>
+        w.id === walletId &&
+        w.enabled &&
+        Array.isArray(w.protocols) &&
+        w.protocols.some(p => protocols.includes(p))
+      ) || null;
+    }
+
+    test('should use the wallet remembered for the origin in silent mode', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        origin_wallets: { 'https://rp.example.com': 'w1' }
+      });
+
+      const result = await chrome.storage.local.get(STORAGE_KEYS.ORIGIN_WALLETS);
+      const wallet = findRememberedWallet(result[STORAGE_KEYS.ORIGIN_WALLETS], 'https://rp.example.com', ['openid4vp']);
+
+      expect(wallet.id).toBe('w1');
+    });
+
+    test('should not allow silent mediation without a usable remembered wallet', () => {
+      const originWallets = { 'https://rp.example.com': 'w2' };
+
+      expect(findRememberedWallet(originWallets, 'https://rp.example.com', ['openid4vp'])).toBeNull();
+      expect(findRememberedWallet(originWallets, 'https://other.example.com', ['openid4vp'])).toBeNull();
+      expect(findRememberedWallet({ 'https://rp.example.com': 'w1' }, 'https://rp.example.com', ['org-iso-mdoc'])).toBeNull();
+    });
+
+    test('should remember the wallet chosen on an origin', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({});
+
+      const result = await chrome.storage.local.get(STORAGE_KEYS.ORIGIN_WALLETS);
+      const originWallets = result[STORAGE_KEYS.ORIGIN_WALLETS] || {};
+      originWallets['https://rp.example.com'] = 'w1';
+      await chrome.storage.local.set({ [STORAGE_KEYS.ORIGIN_WALLETS]: originWallets });
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        origin_wallets: { 'https://rp.example.com': 'w1' }
+      });
+    });
+
+    test('should record the mediation mode in the request history, newest first', () => {
+      const MAX_REQUEST_HISTORY = 50;
+      const history = Array.from({ length: MAX_REQUEST_HISTORY }, (_, i) => ({ requestId: `old-${i}` }));
+
+      history.unshift({
+        requestId: 'dc-req-1',
+        origin: 'https://rp.example.com',
+        mediation: 'silent',
+        outcome: 'not-allowed'
+      });
+      history.length = Math.min(history.length, MAX_REQUEST_HISTORY);
+
+      expect(history).toHaveLength(MAX_REQUEST_HISTORY);
+      expect(history[0]).toMatchObject({ mediation: 'silent', outcome: 'not-allowed' });
+      expect(history[MAX_REQUEST_HISTORY - 1].requestId).toBe('old-48');
+    });
+  });
+
+  describe('Request Timeouts', () => {
+    const DEFAULT_TIMEOUTS = { requestTimeout: 30, walletTimeout: 300 };
+
+    function resolveWalletTimeout(wallet, timeouts) {
+      const valid = wallet && typeof wallet.timeout === 'number' && wallet.timeout > 0;
+      return (valid ? wallet.timeout : timeouts.walletTimeout) * 1000;
+    }
+
+    test('should fall back to default timeouts', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({});
+
+      const result = await chrome.storage.local.get('request_timeouts');
+      const timeouts = { ...DEFAULT_TIMEOUTS, ...result.request_timeouts };
+
+      expect(timeouts).toEqual({ requestTimeout: 30, walletTimeout: 300 });
+    });
+
+    test('should prefer the wallet response timeout of the chosen wallet', () => {
+      const timeouts = { requestTimeout: 60, walletTimeout: 120 };
+
+      expect(resolveWalletTimeout({ id: 'w1', timeout: 600 }, timeouts)).toBe(600000);
+      expect(resolveWalletTimeout({ id: 'w2' }, timeouts)).toBe(120000);
+      expect(resolveWalletTimeout(undefined, timeouts)).toBe(120000);
+    });
+  });
+
+  describe('Trust Anchors', () => {
+    const X509 = require('../src/x509.js');
+    const { issueChain } = require('./fixtures/certificates.js');
+    const { root, intermediate, leaf } = issueChain();
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    // Mirrors importTrustAnchors() of background.js
+    async function importTrustAnchors(anchors, pem) {
+      let added = 0;
+      for (const der of X509.fromPem(pem)) {
+        const certificate = X509.parse(der);
+        if (!certificate.basicConstraints || !certificate.basicConstraints.ca) {
+          throw new Error(`${certificate.subject.name} is not a CA certificate`);
+        }
+        const fingerprint = await X509.fingerprint(der);
+        if (!anchors.some(anchor => anchor.fingerprint === fingerprint)) {
+          anchors.push({ fingerprint, certificate: X509.toBase64(der), subject: certificate.subject.name });
+          added++;
+        }
+      }
+      return added;
+    }
+
+    test('should import CA certificates once', async () => {
+      const anchors = [];
+
+      expect(await importTrustAnchors(anchors, root.pem + intermediate.pem)).toBe(2);
+      expect(await importTrustAnchors(anchors, root.pem)).toBe(0);
+      expect(anchors.map(anchor => anchor.subject)).toEqual(['CN=Test Root CA', 'CN=Test Intermediate CA']);
+    });
+
+    test('should refuse certificates that are not CAs', async () => {
+      await expect(importTrustAnchors([], leaf.pem)).rejects.toThrow('CN=verifier.example.com is not a CA certificate');
+    });
+
+    test('should validate chains against the stored anchors', async () => {
+      const anchors = [];
+      await importTrustAnchors(anchors, root.pem);
+      const stored = anchors.map(anchor => anchor.certificate);
+
+      expect(await X509.validateChain([leaf.base64, intermediate.base64], stored, { now, dnsName: 'verifier.example.com' }))
+        .toMatchObject({ valid: true });
+      expect((await X509.validateChain([leaf.base64, intermediate.base64], [], { now })).valid).toBe(false);
+    });
+  });
+
+  describe('Request Trust', () => {
+    const crypto = require('crypto');
+    const { ProtocolPluginRegistry } = require('../src/protocols.js');
+    const OpenID4VPPlugin = require('../src/protocols/OpenID4VPPlugin.js');
+    const { issueChain } = require('./fixtures/certificates.js');
+    const { leaf, leafKey } = issueChain();
+    const origin = 'https://verifier.example.com';
+    const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signedRequest = (key) => {
+      const signingInput = `${b64({ alg: 'ES256', typ: 'oauth-authz-req+jwt', x5c: [leaf.base64] })}.${b64({
+        client_id: 'x509_san_dns:verifier.example.com',
+        nonce: 'n-signed',
+        expected_origins: [origin],
+        dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] }
+      })}`;
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: key, dsaEncoding: 'ieee-p1363' });
+      return { request: `${signingInput}.${signature.toString('base64url')}` };
+    };
+    let registry;
+    let chainValidation;
+
+    beforeEach(() => {
+      registry = new ProtocolPluginRegistry();
+      registry.register(new OpenID4VPPlugin('v1-signed'));
+      chainValidation = { valid: true };
+    });
+
+    // Mirrors checkRequestTrust() of background.js
+    async function checkRequestTrust(requests, sender) {
+      const context = {
+        origin: new URL(sender.url).origin,
+        url: sender.url,
+        certificateValidator: async () => chainValidation
+      };
+      const results = await Promise.all(requests.map(async (request) => {
+        try {
+          const prepared = await registry.prepareRequest(request.protocol, request.originalData, context);
+          return { request: { protocol: request.protocol, data: prepared, originalData: request.originalData } };
+        } catch (err) {
+          return { protocol: request.protocol, error: err.message };
+        }
+      }));
+      return {
+        accepted: results.filter(result => result.request).map(result => result.request),
+        rejected: results.filter(result => !result.request)
+      };
+    }
+
+    test('should replace the client identifier the page claims with its own', async () => {
+      const originalData = signedRequest(leafKey.privateKey);
+      const request = {
+        protocol: 'openid4vp-v1-signed',
+        data: { nonce: 'n-signed', _clientId: { value: 'x509_san_dns:bank.example', verified: true } },
+        originalData: originalData
+      };
+
+      const { accepted } = await checkRequestTrust([request], { url: `${origin}/login` });
+
+      expect(accepted[0].data._clientId).toMatchObject({ value: 'x509_san_dns:verifier.example.com', verified: true });
+      expect(accepted[0].data._jarSignatureVerified).toBe(true);
+    });
+
+    test('should forward the data it prepared, not the data the page prepared', async () => {
+      registry.register(new OpenID4VPPlugin());
+      const request = {
+        protocol: 'openid4vp',
+        data: {
+          nonce: 'n-unsigned',
+          client_id: 'x509_san_dns:bank.example',
+          response_mode: 'direct_post',
+          response_uri: 'https://attacker.example/cb'
+        },
+        originalData: { nonce: 'n-unsigned', dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] } }
+      };
+
+      const { accepted } = await checkRequestTrust([request], { url: 'https://attacker.example/' });
+
+      expect(accepted[0].data).toMatchObject({ nonce: 'n-unsigned', _clientId: { value: 'origin:https://attacker.example' } });
+      expect(accepted[0].data).not.toHaveProperty('client_id');
+      expect(accepted[0].data).not.toHaveProperty('response_uri');
+      expect(accepted[0].data.response_mode).not.toBe('direct_post');
+    });
+
+    test.each([
+      'x509_san_dns:bank.example',
+      'x509_hash:Uvo3HtuIxuhC92rShpgqcT3YXwrqRxWEviRiA0OZszk',
+      'decentralized_identifier:did:example:bank',
+      'verifier_attestation:bank.example'
+    ])('should never forward an unsigned %s client_id, whatever the page prepared', async (clientId) => {
+      registry.register(new OpenID4VPPlugin());
+      const dcql = { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] };
+      const tampered = { nonce: 'n-unsigned', client_id: clientId, _clientId: { value: clientId, verified: true } };
+
+      // Claimed in the request the page was called with: the request is rejected
+      const claimed = { protocol: 'openid4vp', data: tampered, originalData: { nonce: 'n-unsigned', client_id: clientId, dcql_query: dcql } };
+      const { rejected } = await checkRequestTrust([claimed], { url: 'https://attacker.example/' });
+      expect(rejected[0].error).toContain('requires a signed request');
+
+      // Only added to the page's prepared data: the background's data goes on
+      const added = { protocol: 'openid4vp', data: tampered, originalData: { nonce: 'n-unsigned', dcql_query: dcql } };
+      const { accepted } = await checkRequestTrust([added], { url: 'https://attacker.example/' });
+      expect(accepted[0].data).not.toHaveProperty('client_id');
+      expect(accepted[0].data._clientId.value).toBe('origin:https://attacker.example');
+    });
+
+    test('should reject forged requests and untrusted chains whatever the page prepared', async () => {
+      const forger = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const forged = { protocol: 'openid4vp-v1-signed', data: { _jarSignatureVerified: true }, originalData: signedRequest(forger.privateKey) };
+
+      expect((await checkRequestTrust([forged], { url: origin })).rejected).toEqual([{
+        protocol: 'openid4vp-v1-signed',
+        error: expect.stringContaining('Signature does not match')
+      }]);
+
+      chainValidation = { valid: false, error: 'No trust anchors configured' };
+      const untrusted = { protocol: 'openid4vp-v1-signed', data: {}, originalData: signedRequest(leafKey.privateKey) };
+      expect((await checkRequestTrust([untrusted], { url: origin })).rejected[0].error)
+        .toContain('not trusted: No trust anchors configured');
+    });
+
+    test('should check the origin of the calling frame, not the one the page claims', async () => {
+      const request = { protocol: 'openid4vp-v1-signed', data: {}, originalData: signedRequest(leafKey.privateKey) };
+
+      const { accepted, rejected } = await checkRequestTrust([request], { url: 'https://attacker.example/' });
+
+      expect(accepted).toEqual([]);
+      expect(rejected[0].error).toContain('not meant for https://attacker.example');
+    });
+  });
+
+  describe('Wallet Invocation', () => {
+    const { ProtocolPluginRegistry } = require('../src/protocols.js');
+    const OpenID4VPPlugin = require('../src/protocols/OpenID4VPPlugin.js');
+    const wallet = { id: 'wallet-1', name: 'Test Wallet', url: 'https://wallet.example.com', protocols: ['openid4vp'] };
+    const context = { origin: 'https://verifier.example.com', url: 'https://verifier.example.com/login' };
+    let registry;
+    let checkedRequests;
+
+    beforeEach(async () => {
+      registry = new ProtocolPluginRegistry();
+      registry.register(new OpenID4VPPlugin());
+      const data = await registry.prepareRequest('openid4vp', {
+        nonce: 'n-123',
+        dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] }
+      }, context);
+      // As SHOW_WALLET_SELECTOR and WALLET_SELECTED keep them
+      checkedRequests = new Map([['req-1', {
+        frameId: 0,
+        requests: [{ protocol: 'openid4vp', data: data }],
+        wallets: [wallet],
+        context: context,
+        selection: { walletId: 'wallet-1', requestIndex: 0 }
+      }]]);
+    });
+
+    // The checked request as the page receives it
+    const pageData = () => JSON.parse(JSON.stringify(checkedRequests.get('req-1').requests[0].data));
+
+    // Mirrors buildWalletInvocation() of background.js
+    function buildWalletInvocation(frameId, requestId, data) {
+      const checked = checkedRequests.get(requestId);
+      if (!checked || checked.frameId !== frameId || !checked.selection) {
+        return { error: 'No wallet was chosen for this request' };
+      }
+      checkedRequests.delete(requestId);
+      const { walletId, requestIndex } = checked.selection;
+      const chosen = checked.wallets.find(w => w.id === walletId);
+      const request = Number.isInteger(requestIndex) ? checked.requests[requestIndex] : undefined;
+      if (!chosen || !request) {
+        return { error: 'The chosen wallet was not offered this request' };
+      }
+      try {
+        const walletData = registry.applyInvokeChanges(request.protocol, request.data, data);
+        const formatted = registry.formatForWallet(request.protocol, walletData, chosen.url, { ...checked.context, wallet: chosen });
+        return { protocol: request.protocol, invocationUrl: formatted.invocationUrl, requestData: formatted.requestData };
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+
+    test('should build the wallet URL from the checked request with what the page added', () => {
+      const result = buildWalletInvocation(0, 'req-1', { ...pageData(), state: 's-1' });
+
+      const url = new URL(result.invocationUrl);
+      expect(url.origin).toBe('https://wallet.example.com');
+      expect(url.searchParams.get('client_id')).toBe(context.origin);
+      expect(url.searchParams.get('nonce')).toBe('n-123');
+      expect(url.searchParams.get('state')).toBe('s-1');
+      expect(result.requestData).toMatchObject({ nonce: 'n-123', state: 's-1' });
+    });
+
+    test.each([
+      ['change a checked parameter', { nonce: 'n-other' }, "may not change the checked request parameter 'nonce'"],
+      ['remove a checked parameter', { dcql_query: undefined }, "may not change the checked request parameter 'dcql_query'"],
+      ['claim a client identifier', { client_id: 'x509_san_dns:bank.example' }, "may not add the request parameter 'client_id'"],
+      ['redirect the response', { response_mode: 'direct_post', response_uri: 'https://attacker.example/cb' }, 'may not add the request parameter'],
+      ['add internal state', { _jarSignatureVerified: true }, "may not add the request parameter '_jarSignatureVerified'"]
+    ])('should refuse a request whose beforeInvoke hooks %s', (label, change, error) => {
+      const result = buildWalletInvocation(0, 'req-1', { ...pageData(), ...change });
+
+      expect(result.error).toContain(error);
+      expect(result.invocationUrl).toBeUndefined();
+    });
+
+    test('should only build the invocation once, for the frame that made the request', () => {
+      const data = pageData();
+
+      expect(buildWalletInvocation(3, 'req-1', data)).toEqual({ error: 'No wallet was chosen for this request' });
+      expect(buildWalletInvocation(0, 'req-1', data).invocationUrl).toBeDefined();
+      expect(buildWalletInvocation(0, 'req-1', data)).toEqual({ error: 'No wallet was chosen for this request' });
+    });
+
+    test('should refuse a wallet that was not offered', () => {
+      checkedRequests.get('req-1').selection = { walletId: 'wallet-injected', requestIndex: 0 };
+
+      expect(buildWalletInvocation(0, 'req-1', pageData())).toEqual({ error: 'The chosen wallet was not offered this request' });
+    });
+  });
+
+  describe('Request Lifecycle', () => {
+    test('should follow lifecycle states and drop settled requests', () => {
+      const tabRequests = new Map();
+      const apply = (tabId, event) => {
+        if (!tabRequests.has(tabId)) {
+          tabRequests.set(tabId, new Map());
+        }
+        const requests = tabRequests.get(tabId);
+        if (event.state === 'settled') {
+          requests.delete(event.requestId);
+        } else {
+          requests.set(event.requestId, { ...requests.get(event.requestId), status: event.state });
+        }
+      };
+
+      apply(1, { requestId: 'req-1', state: 'pending' });
+      apply(1, { requestId: 'req-1', state: 'selecting' });
+      expect(tabRequests.get(1).get('req-1').status).toBe('selecting');
+
+      apply(1, { requestId: 'req-1', state: 'settled', outcome: 'fulfilled' });
+      expect(tabRequests.get(1).has('req-1')).toBe(false);
+    });
+
+    test('should only pass the disclosed claims on in developer mode', async () => {
+      const forward = async (event) => {
+        const result = await chrome.storage.local.get('developer_mode');
+        if (event.disclosedClaims !== undefined && result.developer_mode !== true) {
+          event = { ...event };
+          delete event.disclosedClaims;
+        }
+        return event;
+      };
+      const settled = { requestId: 'req-1', state: 'settled', outcome: 'fulfilled', disclosedClaims: [{ path: 'vp_token.pid[0]' }] };
+
+      chrome.storage.local.get.mockResolvedValueOnce({});
+      expect(await forward(settled)).not.toHaveProperty('disclosedClaims');
+      expect(settled.disclosedClaims).toHaveLength(1);
+
+      chrome.storage.local.get.mockResolvedValueOnce({ developer_mode: true });
+      expect((await forward(settled)).disclosedClaims).toEqual([{ path: 'vp_token.pid[0]' }]);
+    });
+  });
+
+  describe('Selector Queue', () => {
+    let queue;
+
+    function acquire(requestId) {
+      if (!queue.active) {
+        queue.active = requestId;
+        return Promise.resolve(true);
+      }
+      return new Promise(resolve => queue.waiting.push({ requestId, resolve }));
+    }
+
+    function release(requestId) {
+      const index = queue.waiting.findIndex(entry => entry.requestId === requestId);
+      if (index !== -1) {
+        queue.waiting.splice(index, 1)[0].resolve(false);
+      }
+      if (queue.active === requestId) {
+        const next = queue.waiting.shift();
+        queue.active = next ? next.requestId : null;
+        if (next) {
+          next.resolve(true);
+        }
+      }
+    }
+
+    beforeEach(() => {
+      queue = { active: null, waiting: [] };
+    });
+
+    test('should show the selector of one request at a time per tab', async () => {
+      const first = acquire('top-req');
+      const second = acquire('frame-req');
+
+      await expect(first).resolves.toBe(true);
+      expect(queue.waiting.map(entry => entry.requestId)).toEqual(['frame-req']);
+
+      // A wallet was chosen for the first request
+      release('top-req');
+      await expect(second).resolves.toBe(true);
+      expect(queue.active).toBe('frame-req');
+    });
+
+    test('should drop requests that settle while waiting', async () => {
+      acquire('req-1');
+      const waiting = acquire('req-2');
+
+      release('req-2');
+
+      await expect(waiting).resolves.toBe(false);
+      expect(queue.active).toBe('req-1');
+      expect(queue.waiting).toHaveLength(0);
+    });
+  });
 });
@@ -0,0 +1,260 @@
+/**
+ * Tests for the CBOR / COSE codec
+ */
+
+const CborCodec = require('../src/cbor.js');
+
+const { decode, encode, diagnose, Tagged, EncodedCbor, FullDate } = CborCodec;
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+const fromHex = (value) => new Uint8Array(Buffer.from(value, 'hex'));
+
+describe('CborCodec', () => {
+  describe('Encoding', () => {
+    // RFC 8949 Appendix A
+    it.each([
+      [0, '00'],
+      [23, '17'],
+      [24, '1818'],
+      [1000, '1903e8'],
+      [1000000, '1a000f4240'],
+      [4294967296, '1b0000000100000000'],
+      [Number.MAX_SAFE_INTEGER, '1b001fffffffffffff'],
+      [-1, '20'],
+      [-1000, '3903e7'],
+      [1.5, 'f93e00'],
+      [-0, 'f98000'],
+      [65504, '19ffe0'],
+      [100000.5, 'fa47c35040'],
+      [1.1, 'fb3ff199999999999a'],
+      [5.960464477539063e-8, 'f90001'],
+      [Infinity, 'f97c00'],
+      [-Infinity, 'f9fc00'],
+      [NaN, 'f97e00'],
+      [false, 'f4'],
+      [true, 'f5'],
+      [null, 'f6'],
+      [undefined, 'f7'],
+      ['', '60'],
+      ['IETF', '6449455446'],
+      ['ü', '62c3bc'],
+      [[1, [2, 3], [4, 5]], '8301820203820405'],
+      [new Uint8Array([1, 2, 3, 4]), '4401020304']
+    ])('should encode %p as %s', (value, expected) => {
+      expect(hex(encode(value))).toBe(expected);
+    });
+
+    it('should sort map keys by their encoded bytes', () => {
+      const map = new Map([['aa', 1], [-1, 2], ['b', 3], [10, 4], [100, 5]]);
+
+      expect(diagnose(decode(encode(map)))).toBe('{10: 4, 100: 5, -1: 2, "b": 3, "aa": 1}');
+    });
+
+    it('should encode plain objects as maps with text keys', () => {
+      expect(hex(encode({ b: 2, a: 1 }))).toBe(hex(encode(new Map([['a', 1], ['b', 2]]))));
+    });
+
+    it('should reject maps whose keys encode the same', () => {
+      expect(() => encode(new Map([[new Uint8Array([1]), 1], [new Uint8Array([1]), 2]])))
+        .toThrow('Cannot encode a map with duplicate keys');
+    });
+
+    it('should reject values CBOR cannot represent', () => {
+      expect(() => encode(() => {})).toThrow('Cannot encode function values as CBOR');
+      expect(() => encode(new Set())).toThrow('Cannot encode object values as CBOR');
+    });
+
+    it('should reject cyclic values', () => {
+      const cyclic = [];
+      cyclic.push(cyclic);
+      expect(() => encode(cyclic)).toThrow('nested too deeply');
+    });
+
+    it('should round-trip decoded items to the same bytes', () => {
+      const bytes = encode(new Map([
+        ['docType', 'org.iso.18013.5.1.mDL'],
+        ['issued', new Date('2024-01-02T03:04:05Z')],
+        ['birth_date', new FullDate('1990-12-31')],
+        ['item', EncodedCbor.wrap({ elementIdentifier: 'age_over_18', elementValue: true })],
+        [-7, new Tagged(1, 1700000000)]
+      ]));
+
+      expect(hex(encode(decode(bytes)))).toBe(hex(bytes));
+    });
+  });
+
+  describe('Decoding', () => {
+    it.each([
+      ['1b0000000100000000', 4294967296],
+      ['3903e7', -1000],
+      ['f93e00', 1.5],
+      ['f90001', 5.960464477539063e-8],
+      ['fa47c35040', 100000.5],
+      ['fb3ff199999999999a', 1.1],
+      ['62c3bc', 'ü'],
+      ['8301820203820405', [1, [2, 3], [4, 5]]]
+    ])('should decode %s', (bytes, expected) => {
+      expect(decode(fromHex(bytes))).toEqual(expected);
+    });
+
+    it('should decode maps to Map and byte strings to Uint8Array', () => {
+      const value = decode(fromHex('a201616161624401020304'));
+
+      expect(value).toBeInstanceOf(Map);
+      expect(value.get(1)).toBe('a');
+      expect(Array.from(value.get('b'))).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should decode indefinite-length items', () => {
+      expect(decode(fromHex('9f018202039f0405ffff'))).toEqual([1, [2, 3], [4, 5]]);
+      expect(decode(fromHex('7f657374726561646d696e67ff'))).toBe('streaming');
+      expect(Array.from(decode(fromHex('5f42010243030405ff')))).toEqual([1, 2, 3, 4, 5]);
+      expect(decode(fromHex('bf61610161629f0203ffff')).get('b')).toEqual([2, 3]);
+    });
+
+    it('should decode tag 0 to a Date', () => {
+      const value = decode(fromHex('c074323031332d30332d32315432303a30343a30305a'));
+
+      expect(value).toBeInstanceOf(Date);
+      expect(value.toISOString()).toBe('2013-03-21T20:04:00.000Z');
+    });
+
+    it('should decode tag 1004 to a FullDate', () => {
+      const value = decode(encode(new FullDate('2024-02-29')));
+
+      expect(value).toBeInstanceOf(FullDate);
+      expect(value.value).toBe('2024-02-29');
+      expect(value.toDate().toISOString()).toBe('2024-02-29T00:00:00.000Z');
+    });
+
+    it('should keep the bytes of embedded CBOR (tag 24)', () => {
+      const value = decode(fromHex('d818456449455446'));
+
+      expect(value).toBeInstanceOf(EncodedCbor);
+      expect(hex(value.bytes)).toBe('6449455446');
+      expect(value.decode()).toBe('IETF');
+    });
+
+    it('should decode other tags to Tagged', () => {
+      expect(decode(fromHex('c11a514b67b0'))).toEqual(new Tagged(1, 1363896240));
+    });
+
+    it.each([
+      ['18', 'Invalid CBOR: unexpected end of data'],
+      ['0000', 'Invalid CBOR: unexpected data after the item'],
+      ['1c', 'Invalid CBOR: reserved additional information 28'],
+      ['1f', 'Invalid CBOR: reserved additional information 31'],
+      ['ff', 'Invalid CBOR: unexpected break'],
+      ['1b0020000000000000', 'Invalid CBOR: integer too large'],
+      ['62c328', 'Invalid CBOR: text string is not valid UTF-8'],
+      ['a201000100', 'Invalid CBOR: duplicate map key 1'],
+      ['5f6161ff', 'Invalid CBOR: malformed indefinite-length string'],
+      ['c001', 'Invalid CBOR: tag 0 must be an RFC 3339 date/time string'],
+      ['d81801', 'Invalid CBOR: tag 24 must wrap a byte string'],
+      ['d903ec6a323032332d30322d3239', 'Invalid CBOR: tag 1004 must be a full-date string']
+    ])('should reject %s', (bytes, message) => {
+      expect(() => decode(fromHex(bytes))).toThrow(message);
+    });
+
+    it('should limit nesting', () => {
+      expect(() => decode(fromHex('81'.repeat(40) + '00'))).toThrow('Invalid CBOR: nested too deeply');
+    });
+
+    it('should require bytes', () => {
+      expect(() => decode('00')).toThrow('CBOR input must be a byte array');
+    });
+  });
+
+  describe('Dates', () => {
+    it('should encode dates without fractional seconds when there are none', () => {
+      expect(diagnose(decode(encode(new Date('2024-01-02T03:04:05Z'))))).toBe('0("2024-01-02T03:04:05Z")');
+      expect(diagnose(new Date('2024-01-02T03:04:05.250Z'))).toBe('0("2024-01-02T03:04:05.250Z")');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => encode(new Date('invalid'))).toThrow('Cannot encode an invalid or out of range date');
+      expect(() => new FullDate('2023-02-29')).toThrow('Invalid full-date: 2023-02-29');
+    });
+
+    it('should take the UTC calendar date of a Date', () => {
+      expect(FullDate.fromDate(new Date('2024-05-06T23:59:59Z')).value).toBe('2024-05-06');
+    });
+  });
+
+  describe('COSE', () => {
+    const protectedBytes = encode(new Map([[1, -7]]));
+    const sign1 = (overrides = {}) => {
+      const parts = Object.assign({
+        protectedBytes: protectedBytes,
+        unprotected: new Map([[4, new Uint8Array([1])]]),
+        payload: new Uint8Array([0xaa]),
+        signature: new Uint8Array(64)
+      }, overrides);
+      return new Tagged(18, [parts.protectedBytes, parts.unprotected, parts.payload, parts.signature]);
+    };
+
+    it('should parse a tagged COSE_Sign1 and decode its protected header', () => {
+      const parsed = CborCodec.parseCoseSign1(encode(sign1()));
+
+      expect(parsed.type).toBe('COSE_Sign1');
+      expect(parsed.protectedHeader.get(1)).toBe(-7);
+      expect(hex(parsed.protectedBytes)).toBe(hex(protectedBytes));
+      expect(parsed.unprotectedHeader.get(4)).toEqual(new Uint8Array([1]));
+      expect(hex(parsed.payload)).toBe('aa');
+      expect(parsed.signature).toHaveLength(64);
+    });
+
+    it('should parse an untagged COSE_Mac0 with an empty protected header', () => {
+      const parsed = CborCodec.parseCoseMac0([new Uint8Array(0), new Map(), null, new Uint8Array(32)]);
+
+      expect(parsed.type).toBe('COSE_Mac0');
+      expect(parsed.protectedHeader.size).toBe(0);
+      expect(parsed.payload).toBeNull();
+      expect(parsed.tag).toHaveLength(32);
+    });
+
+    it('should reject malformed structures', () => {
+      expect(() => CborCodec.parseCoseMac0(sign1())).toThrow('Invalid COSE_Mac0: expected tag 17, got 18');
+      expect(() => CborCodec.parseCoseSign1([1, 2, 3])).toThrow('Invalid COSE_Sign1: must be an array of 4 items');
+      expect(() => CborCodec.parseCoseSign1(sign1({ payload: 'text' })))
+        .toThrow('Invalid COSE_Sign1: payload must be a byte string or nil');
+      expect(() => CborCodec.parseCoseSign1(sign1({ protectedBytes: encode([1]) })))
+        .toThrow('Invalid COSE_Sign1: protected header must be a map');
+      expect(() => CborCodec.parseCoseSign1(sign1({ unprotected: new Map([[1, -7]]) })))
+        .toThrow('Invalid COSE_Sign1: header 1 is both protected and unprotected');
+    });
+
+    it('should build the Sig_structure and MAC_structure', () => {
+      const parsed = CborCodec.parseCoseSign1(sign1());
+      const mac0 = CborCodec.parseCoseMac0([protectedBytes, new Map(), null, new Uint8Array(32)]);
+
+      expect(diagnose(decode(CborCodec.toBeSigned(parsed)))).toBe('["Signature1", h\'a10126\', h\'\', h\'aa\']');
+      expect(diagnose(decode(CborCodec.toBeSigned(mac0, new Uint8Array([1]), new Uint8Array([2])))))
+        .toBe('["MAC0", h\'a10126\', h\'01\', h\'02\']');
+      expect(() => CborCodec.toBeSigned(mac0)).toThrow('COSE_Mac0 has a detached payload that was not supplied');
+    });
+  });
+
+  describe('Diagnostic notation', () => {
+    it('should show decoded items', () => {
+      const bytes = encode(new Map([
+        [1, [true, null, undefined, -2.5]],
+        ['bytes', new Uint8Array([0, 255])],
+        ['date', new FullDate('2000-01-01')],
+        ['item', EncodedCbor.wrap(new Map([['a', 1]]))],
+        ['raw', new EncodedCbor(new Uint8Array([0x18]))]
+      ]));
+
+      expect(diagnose(decode(bytes))).toBe(
+        '{1: [true, null, undefined, -2.5], "raw": 24(h\'18\'), "date": 1004("2000-01-01"), ' +
+        '"item": 24(<<{"a": 1}>>), "bytes": h\'00ff\'}'
+      );
+    });
+
+    it('should indent nested items on request', () => {
+      expect(diagnose(decode(encode({ a: [1, 2], b: {} })), { indent: 2 })).toBe(
+        '{\n  "a": [\n    1,\n    2\n  ],\n  "b": {}\n}'
+      );
+    });
+  });
+});
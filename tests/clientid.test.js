@@ -0,0 +1,187 @@
+/**
+ * Tests for the OpenID4VP client identifier prefixes
+ */
+
+const crypto = require('crypto');
+const ClientId = require('../src/clientid.js');
+const { issueChain } = require('./fixtures/certificates.js');
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = (header, payload, privateKey) => {
+  const signingInput = `${b64(header)}.${b64(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+describe('ClientId', () => {
+  const { leaf, leafKey } = issueChain();
+  const trusted = jest.fn(async () => ({ valid: true }));
+
+  beforeEach(() => {
+    trusted.mockClear();
+  });
+
+  describe('Parsing', () => {
+    it('should split the prefix from the identifier', () => {
+      expect(ClientId.parse('x509_san_dns:verifier.example.com')).toEqual({
+        value: 'x509_san_dns:verifier.example.com',
+        prefix: 'x509_san_dns',
+        identifier: 'verifier.example.com',
+        description: 'verifier.example.com (X.509 certificate)',
+        verified: false
+      });
+      expect(ClientId.parse('decentralized_identifier:did:web:verifier.example.com').identifier).toBe('did:web:verifier.example.com');
+    });
+
+    it('should treat client_ids without a known prefix as pre-registered', () => {
+      ['verifier-123', 'https://verifier.example.com', 'did:web:verifier.example.com'].forEach(value => {
+        expect(ClientId.parse(value)).toMatchObject({ prefix: 'pre-registered', identifier: value });
+      });
+    });
+
+    it('should check the identifier syntax of each prefix', () => {
+      expect(() => ClientId.parse('x509_san_dns:https://verifier.example.com')).toThrow('must be a DNS name');
+      expect(() => ClientId.parse('x509_hash:abc')).toThrow('must be a base64url SHA-256 hash');
+      expect(() => ClientId.parse('redirect_uri:/callback')).toThrow('must be a URL');
+      expect(() => ClientId.parse('decentralized_identifier:verifier')).toThrow('must be a DID');
+      expect(() => ClientId.parse('verifier_attestation:')).toThrow('has no identifier');
+      expect(() => ClientId.parse('')).toThrow('non-empty string');
+    });
+
+    it('should derive the client identifier of unsigned DC API requests from the origin', () => {
+      expect(ClientId.fromOrigin('https://rp.example')).toMatchObject({
+        value: 'origin:https://rp.example', prefix: 'origin', verified: true
+      });
+    });
+  });
+
+  describe('Unsigned requests', () => {
+    it('should send the response of a redirect_uri client to its identifier', () => {
+      const clientId = ClientId.parse('redirect_uri:https://rp.example/cb');
+
+      expect(ClientId.validateUnsigned(clientId, { response_uri: 'https://rp.example/cb' })).toMatchObject({ verified: false });
+      expect(() => ClientId.validateUnsigned(clientId, { response_uri: 'https://attacker.example/cb' }))
+        .toThrow('does not match the redirect_uri client_id');
+    });
+
+    it.each(['x509_san_dns:verifier.example.com', `x509_hash:${'A'.repeat(43)}`,
+      'decentralized_identifier:did:web:verifier.example.com', 'verifier_attestation:verifier'])(
+      'should require %s requests to be signed', (value) => {
+        const clientId = ClientId.parse(value);
+
+        expect(() => ClientId.validateUnsigned(clientId, { dcql_query: {} })).toThrow('requires a signed request');
+        // Passed by reference: checked when the request object is fetched
+        expect(ClientId.validateUnsigned(clientId, { request_uri: 'https://verifier.example.com/req' }).verified).toBe(false);
+      });
+
+    it('should reject origin client_ids from verifiers', () => {
+      expect(() => ClientId.validateUnsigned(ClientId.parse('origin:https://rp.example'), {})).toThrow('reserved for the wallet');
+    });
+  });
+
+  describe('Signed requests', () => {
+    it('should reject signed redirect_uri requests', async () => {
+      await expect(ClientId.validateSigned(ClientId.parse('redirect_uri:https://rp.example/cb'), { header: {}, claims: {} }))
+        .rejects.toThrow('does not allow signed requests');
+    });
+
+    it('should validate the x509_san_dns chain for the host and bind response_uri to it', async () => {
+      const clientId = ClientId.parse('x509_san_dns:verifier.example.com');
+      const header = { x5c: [leaf.base64] };
+
+      expect(await ClientId.validateSigned(clientId, { header, claims: {} }, { certificateValidator: trusted }))
+        .toMatchObject({ verified: true });
+      expect(trusted).toHaveBeenCalledWith([leaf.base64], { dnsName: 'verifier.example.com' });
+      await expect(ClientId.validateSigned(clientId, { header, claims: { response_uri: 'https://attacker.example/cb' } },
+        { certificateValidator: trusted })).rejects.toThrow('is not on the x509_san_dns client_id host');
+      await expect(ClientId.validateSigned(clientId, { header: {}, claims: {} }, { certificateValidator: trusted }))
+        .rejects.toThrow('requires an x5c certificate chain');
+    });
+
+    it('should leave the client identifier unverified where trust is deferred', async () => {
+      const clientId = ClientId.parse('x509_san_dns:verifier.example.com');
+
+      expect(await ClientId.validateSigned(clientId, { header: { x5c: [leaf.base64] }, claims: {} }, { deferTrust: true }))
+        .toMatchObject({ verified: false });
+      await expect(ClientId.validateSigned(clientId, { header: {}, claims: {} }, { deferTrust: true }))
+        .rejects.toThrow('requires an x5c certificate chain');
+    });
+
+    it('should match x509_hash against the hash of the leaf certificate', async () => {
+      const hash = crypto.createHash('sha256').update(leaf.der).digest('base64url');
+      const request = { header: { x5c: [leaf.base64] }, claims: {} };
+
+      expect(await ClientId.validateSigned(ClientId.parse(`x509_hash:${hash}`), request, { certificateValidator: trusted }))
+        .toMatchObject({ verified: true });
+      expect(trusted).toHaveBeenCalledWith([leaf.base64], {});
+      await expect(ClientId.validateSigned(ClientId.parse(`x509_hash:${'A'.repeat(43)}`), request, { certificateValidator: trusted }))
+        .rejects.toThrow('does not match the hash of the x5c leaf certificate');
+    });
+
+    it.each(['x509_san_dns:verifier.example.com', `x509_hash:${'A'.repeat(43)}`])(
+      'should verify %s requests with the x5c leaf, even with a wallet verifier', (value) => {
+        const clientId = ClientId.parse(value);
+
+        expect(ClientId.requestKey(clientId, { x5c: [leaf.base64] }, { jwtVerifier: jest.fn() }))
+          .toEqual({ certificate: leaf.base64 });
+        expect(() => ClientId.requestKey(clientId, {}, { jwtVerifier: jest.fn() })).toThrow('requires an x5c certificate chain');
+      });
+
+    it('should require a DID URL kid and resolve did:jwk keys', async () => {
+      const jwk = leafKey.publicKey.export({ format: 'jwk' });
+      const did = `did:jwk:${b64(jwk)}`;
+      const clientId = ClientId.parse(`decentralized_identifier:${did}`);
+
+      expect(ClientId.requestKey(clientId, {})).toEqual({ jwk });
+      expect(await ClientId.validateSigned(clientId, { header: { kid: `${did}#0` }, claims: {} })).toMatchObject({ verified: true });
+      await expect(ClientId.validateSigned(clientId, { header: { kid: 'did:web:other.example#0' }, claims: {} }))
+        .rejects.toThrow('requires a kid that is a DID URL of the client_id');
+    });
+
+    it('should leave other DID methods to a wallet verifier', () => {
+      const clientId = ClientId.parse('decentralized_identifier:did:web:verifier.example.com');
+
+      expect(() => ClientId.requestKey(clientId, {})).toThrow('only did:jwk is supported without a wallet verifier');
+      expect(ClientId.requestKey(clientId, {}, { jwtVerifier: jest.fn() })).toBeNull();
+    });
+
+    describe('verifier_attestation', () => {
+      const requestKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const attestation = (payload, header = {}) => sign(
+        { alg: 'ES256', typ: 'verifier-attestation+jwt', x5c: [leaf.base64], ...header },
+        { iss: 'https://attester.example', sub: 'verifier', exp: Math.floor(Date.now() / 1000) + 3600,
+          cnf: { jwk: requestKey.publicKey.export({ format: 'jwk' }) }, ...payload },
+        leafKey.privateKey);
+      const clientId = ClientId.parse('verifier_attestation:verifier');
+
+      it('should verify the request with the cnf key of the attestation', () => {
+        expect(ClientId.requestKey(clientId, { jwt: attestation({}) })).toEqual({ jwk: requestKey.publicKey.export({ format: 'jwk' }) });
+        expect(() => ClientId.requestKey(clientId, {})).toThrow('requires a Verifier Attestation JWT');
+        expect(() => ClientId.requestKey(clientId, { jwt: attestation({}, { typ: 'JWT' }) }))
+          .toThrow('must have typ verifier-attestation+jwt');
+      });
+
+      it('should accept an attestation for the client_id from a trusted issuer', async () => {
+        const request = { header: { jwt: attestation({ redirect_uris: ['https://rp.example/cb'] }) }, claims: { response_uri: 'https://rp.example/cb' } };
+
+        expect(await ClientId.validateSigned(clientId, request, { certificateValidator: trusted })).toMatchObject({ verified: true });
+        expect(trusted).toHaveBeenCalledWith([leaf.base64], {});
+      });
+
+      it('should reject attestations for another verifier, redirect URI or without trust', async () => {
+        const context = { certificateValidator: trusted };
+
+        await expect(ClientId.validateSigned(clientId, { header: { jwt: attestation({ sub: 'other' }) }, claims: {} }, context))
+          .rejects.toThrow('sub does not match the client_id');
+        await expect(ClientId.validateSigned(clientId, {
+          header: { jwt: attestation({ redirect_uris: ['https://rp.example/cb'] }) },
+          claims: { response_uri: 'https://attacker.example/cb' }
+        }, context)).rejects.toThrow('is not in the redirect_uris');
+        await expect(ClientId.validateSigned(clientId, { header: { jwt: attestation({}, { x5c: undefined, jwk: leafKey.publicKey.export({ format: 'jwk' }) }) }, claims: {} }, context))
+          .rejects.toThrow('no x5c certificate chain');
+        await expect(ClientId.validateSigned(clientId, { header: { jwt: attestation({}) }, claims: {} }))
+          .rejects.toThrow('no trust store available');
+      });
+    });
+  });
+});
@@ -506,3 +506,636 @@ describe('Content Script - Event Dispatching', () => {
   });
 });
 
+
+describe('Content Script - Page channel', () => {
+  const runtime = {
+    getURL: (path) => `chrome-extension://test-id/${path}`,
+    sendMessage: jest.fn(() => Promise.resolve({ success: true })),
+    onMessage: { addListener: jest.fn() }
+  };
+  const testWallet = { id: 'wallet-1', name: 'Test Wallet', url: 'https://wallet.example.com', protocols: ['openid4vp'] };
+  const testRequest = { protocol: 'openid4vp', data: { nonce: 'n-123' } };
+
+  // Ports handed to the page scripts: script file -> port
+  const pagePorts = {};
+  // Choice callbacks of each selector shown by the modal: requestId -> handlers
+  const selectorHandlers = new Map();
+  // Page scripts in the order they were injected
+  const injectedFiles = [];
+  let onMessage;
+  let events;
+  let walletMatches;
+  let originalBrowser;
+
+  // jsdom has no MessageChannel: deliver messages between the two ports synchronously
+  class FakeMessageChannel {
+    constructor() {
+      this.port1 = { onmessage: null, postMessage: (data) => this.port2.onmessage({ data }) };
+      this.port2 = { onmessage: null, postMessage: (data) => this.port1.onmessage({ data }) };
+    }
+  }
+
+  function useRuntime() {
+    global.browser = { runtime };
+    global.chrome = { runtime };
+  }
+
+  beforeAll(() => {
+    // Use the real jsdom event implementation (other suites replace it with mocks)
+    delete window.addEventListener;
+    delete window.removeEventListener;
+    delete window.dispatchEvent;
+
+    originalBrowser = global.browser;
+    global.MessageChannel = FakeMessageChannel;
+    useRuntime();
+    // Stand in for modal.js, the content script loaded before content.js
+    window.WalletSelectorModal = {
+      show: (selector, handlers) => {
+        selectorHandlers.set(selector.requestId, handlers);
+        events.push({ to: 'modal.js', type: 'show', detail: selector });
+      },
+      close: (requestId) => events.push({ to: 'modal.js', type: 'close', detail: { requestId } })
+    };
+    jest.isolateModules(() => {
+      require('../src/content.js');
+    });
+    onMessage = runtime.onMessage.addListener.mock.calls[0][0];
+
+    // jsdom does not load the injected scripts: finish each one by hand and
+    // keep the port it is handed
+    let script;
+    while ((script = document.querySelector('script[src^="chrome-extension://test-id/"]'))) {
+      const file = script.src.replace('chrome-extension://test-id/', '');
+      injectedFiles.push(file);
+      script.addEventListener('message', (event) => {
+        pagePorts[file] = event.ports[0];
+      });
+      script.onload.call(script);
+    }
+  });
+
+  beforeEach(() => {
+    useRuntime();
+    runtime.sendMessage.mockImplementation(() => Promise.resolve({ success: true }));
+
+    // Each test records the messages the page scripts receive into its own array
+    const captured = [];
+    events = captured;
+    pagePorts['inject.js'].onmessage = (event) => {
+      captured.push({ to: 'inject.js', ...event.data });
+      // Stand in for the protocol plugins of inject.js
+      if (event.data.type === 'DC_MATCH_WALLETS') {
+        const { requestId, wallets } = event.data.detail;
+        sendFrom('inject.js', 'DC_WALLET_MATCHES', { requestId, matches: walletMatches(wallets) });
+      }
+    };
+    walletMatches = (wallets) => wallets.map(wallet => ({ walletId: wallet.id, requestIndex: 0, reasons: [] }));
+  });
+
+  afterAll(() => {
+    global.browser = originalBrowser;
+    delete global.chrome;
+    delete global.MessageChannel;
+    delete window.WalletSelectorModal;
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  // Send a message to the content script as a page script
+  function sendFrom(file, type, detail) {
+    pagePorts[file].postMessage({ type, detail });
+  }
+
+  // Choose a wallet in the selector shown for a request
+  function chooseWallet(requestId, walletId) {
+    selectorHandlers.get(requestId).onSelect(walletId);
+  }
+
+  function showFrameSelector(requestId) {
+    const sendResponse = jest.fn();
+    const keepOpen = onMessage({
+      type: 'SHOW_FRAME_WALLET_SELECTOR',
+      selector: {
+        requestId, wallets: [testWallet], walletRequests: [0], requests: [testRequest], nativeProtocols: [], operation: 'get'
+      },
+      requesterOrigin: 'https://widget.example.com'
+    }, {}, sendResponse);
+    return { sendResponse, keepOpen };
+  }
+
+  test('should only inject scripts every manifest makes web accessible', () => {
+    const manifest = (browser) => require(`../manifests/${browser}-manifest.json`);
+    const chromeResources = manifest('chrome').web_accessible_resources[0].resources;
+    const matchesResource = (file) => chromeResources.some(resource =>
+      new RegExp(`^${resource.replace(/\./g, '\\.').replace(/\*/g, '[^/]*')}$`).test(file));
+
+    expect(injectedFiles).toContain('lifecycle.js');
+    injectedFiles.forEach(file => {
+      expect(matchesResource(file)).toBe(true);
+      expect(manifest('firefox').web_accessible_resources).toContain(file);
+      expect(manifest('safari').web_accessible_resources).toContain(file);
+    });
+  });
+
+  test('should hand a channel to the interception script only', () => {
+    expect(Object.keys(pagePorts)).toEqual(['inject.js']);
+  });
+
+  test('should keep the wallet selector out of the page', () => {
+    expect(injectedFiles).not.toContain('modal.js');
+    ['chrome', 'firefox', 'safari'].forEach(browser => {
+      const manifest = require(`../manifests/${browser}-manifest.json`);
+      expect(manifest.content_scripts[0].js).toEqual(['modal.js', 'content.js']);
+    });
+  });
+
+  describe('Embedded frame selectors', () => {
+    let walletWindow;
+    let openSpy;
+
+    beforeEach(() => {
+      walletWindow = { closed: false, close: jest.fn(), location: { href: 'about:blank' } };
+      openSpy = jest.spyOn(window, 'open').mockImplementation(() => walletWindow);
+    });
+
+    afterEach(() => {
+      openSpy.mockRestore();
+    });
+
+    // Choose the test wallet for a frame's request and have the frame hand over its URL
+    function loadFrameWallet(requestId, url = 'https://wallet.example.com/?request=1', requesterOrigin = 'https://widget.example.com') {
+      showFrameSelector(requestId);
+      chooseWallet(requestId, 'wallet-1');
+      const sendResponse = jest.fn();
+      const keepOpen = onMessage({ type: 'OPEN_FRAME_WALLET_WINDOW', requestId, url, requesterOrigin }, {}, sendResponse);
+      return { sendResponse, keepOpen };
+    }
+
+    const walletResponds = (requestId, response, origin = 'https://wallet.example.com') => {
+      window.dispatchEvent(new MessageEvent('message', {
+        origin,
+        data: { type: 'DC_WALLET_RESPONSE', requestId, response }
+      }));
+    };
+    test('should show the selector of an embedded frame labelled with its origin', () => {
+      const { keepOpen } = showFrameSelector('frame-req-1');
+
+      expect(keepOpen).toBe(true);
+      expect(events).toEqual([{
+        to: 'modal.js',
+        type: 'show',
+        detail: expect.objectContaining({ requestId: 'frame-req-1', requesterOrigin: 'https://widget.example.com' })
+      }]);
+    });
+
+    test('should answer the embedded frame with the selected wallet', () => {
+      const { sendResponse } = showFrameSelector('frame-req-2');
+
+      chooseWallet('frame-req-2', 'wallet-1');
+
+      expect(sendResponse).toHaveBeenCalledWith({
+        selection: {
+          requestId: 'frame-req-2',
+          walletId: 'wallet-1',
+          wallet: testWallet,
+          protocol: 'openid4vp',
+          requestIndex: 0,
+          selectedRequest: testRequest
+        }
+      });
+      // The embedded frame invokes the wallet, not the top-level frame
+      expect(runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'WALLET_SELECTED' }));
+    });
+
+    test('should open the wallet window of an embedded frame on the click in the top-level frame', () => {
+      const { sendResponse } = showFrameSelector('frame-req-7');
+
+      chooseWallet('frame-req-7', 'wallet-1');
+
+      // Opened while handling the click, before the embedded frame hears of the choice
+      expect(openSpy).toHaveBeenCalledWith('about:blank', '_blank');
+      expect(openSpy.mock.invocationCallOrder[0]).toBeLessThan(sendResponse.mock.invocationCallOrder[0]);
+    });
+
+    test('should load the wallet URL of the embedded frame and relay the wallet response', () => {
+      const { sendResponse, keepOpen } = loadFrameWallet('frame-req-8');
+
+      expect(keepOpen).toBe(true);
+      expect(walletWindow.location.href).toBe('https://wallet.example.com/?request=1');
+
+      walletResponds('frame-req-8', { vp_token: 'forged' }, 'https://attacker.example');
+      walletResponds('other-request', { vp_token: 'other' });
+      expect(sendResponse).not.toHaveBeenCalled();
+
+      walletResponds('frame-req-8', { vp_token: 'token' });
+      expect(sendResponse).toHaveBeenCalledWith({ response: { vp_token: 'token' } });
+      expect(walletWindow.close).not.toHaveBeenCalled();
+    });
+
+    test('should only load the URL of the chosen wallet for the frame that chose it', () => {
+      expect(loadFrameWallet('frame-req-9', 'https://attacker.example/').sendResponse)
+        .toHaveBeenCalledWith({ error: 'Wallet URL is not on the origin of the chosen wallet' });
+      expect(walletWindow.close).toHaveBeenCalled();
+      expect(walletWindow.location.href).toBe('about:blank');
+
+      expect(loadFrameWallet('frame-req-10', undefined, 'https://other-frame.example').sendResponse)
+        .toHaveBeenCalledWith({ error: 'No wallet window was opened for this request' });
+      expect(walletWindow.location.href).toBe('about:blank');
+    });
+
+    test('should report a blocked wallet window to the embedded frame', () => {
+      openSpy.mockImplementation(() => null);
+
+      expect(loadFrameWallet('frame-req-11').sendResponse)
+        .toHaveBeenCalledWith({ error: 'Failed to open wallet window - popup blocked by browser' });
+    });
+
+    test('should close the wallet window when the embedded request settles', () => {
+      const { sendResponse } = loadFrameWallet('frame-req-12');
+
+      onMessage({ type: 'CLOSE_FRAME_WALLET_SELECTOR', requestId: 'frame-req-12' }, {}, jest.fn());
+
+      expect(walletWindow.close).toHaveBeenCalled();
+      expect(sendResponse).toHaveBeenCalledWith({ closed: true });
+    });
+
+    test('should answer the embedded frame with a native or cancel choice', () => {
+      const { sendResponse } = showFrameSelector('frame-req-3');
+
+      selectorHandlers.get('frame-req-3').onNative();
+
+      expect(sendResponse).toHaveBeenCalledWith({ useNative: true, unsupportedOnly: true, cancelled: undefined });
+    });
+
+    test('should close the selector when the embedded request settles', () => {
+      const { sendResponse } = showFrameSelector('frame-req-4');
+
+      onMessage({ type: 'CLOSE_FRAME_WALLET_SELECTOR', requestId: 'frame-req-4' }, {}, jest.fn());
+
+      expect(sendResponse).toHaveBeenCalledWith({ closed: true });
+      expect(events).toContainEqual({
+        to: 'modal.js',
+        type: 'close',
+        detail: { requestId: 'frame-req-4' }
+      });
+    });
+  });
+
+  describe('Wallet windows', () => {
+    const invocation = {
+      protocol: 'openid4vp',
+      invocationUrl: 'https://wallet.example.com/?nonce=n-123&state=s-1',
+      requestData: { nonce: 'n-123', state: 's-1' }
+    };
+    let walletWindow;
+    let openSpy;
+    let buildResult;
+
+    beforeEach(() => {
+      walletWindow = { closed: false, close: jest.fn(), location: { href: 'about:blank' } };
+      openSpy = jest.spyOn(window, 'open').mockImplementation(() => walletWindow);
+      buildResult = invocation;
+      runtime.sendMessage.mockImplementation((message) => Promise.resolve(
+        message.type === 'SHOW_WALLET_SELECTOR' ? { wallets: [testWallet], requests: message.requests, requestTimeout: 30000 }
+          : message.type === 'BUILD_WALLET_INVOCATION' ? buildResult
+            : { walletTimeout: 300000 }
+      ));
+    });
+
+    afterEach(() => {
+      openSpy.mockRestore();
+    });
+
+    // Choose the test wallet for a request, then have inject.js ask for it to be opened
+    async function openChosenWallet(requestId) {
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId, requests: [testRequest], options: {} });
+      await flush();
+      chooseWallet(requestId, 'wallet-1');
+      await flush();
+      sendFrom('inject.js', 'DC_OPEN_WALLET', { requestId, data: { nonce: 'n-123', state: 's-1' } });
+      await flush();
+    }
+
+    const walletResponds = (requestId, response, origin = 'https://wallet.example.com') => {
+      window.dispatchEvent(new MessageEvent('message', {
+        origin,
+        data: { type: 'DC_WALLET_RESPONSE', requestId, response }
+      }));
+    };
+
+    test('should open the chosen wallet at the URL the background builds', async () => {
+      await openChosenWallet('open-1');
+
+      expect(openSpy).toHaveBeenCalledWith('about:blank', '_blank');
+      expect(runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'WALLET_SELECTED', requestId: 'open-1', walletId: 'wallet-1', requestIndex: 0
+      }));
+      expect(runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'BUILD_WALLET_INVOCATION', requestId: 'open-1', data: { nonce: 'n-123', state: 's-1' }
+      });
+      expect(walletWindow.location.href).toBe(invocation.invocationUrl);
+      expect(events).toContainEqual({
+        to: 'inject.js',
+        type: 'DC_WALLET_OPENED',
+        detail: { requestId: 'open-1', requestData: invocation.requestData }
+      });
+    });
+
+    test('should pass only the response of the chosen wallet to the page', async () => {
+      await openChosenWallet('open-2');
+
+      walletResponds('open-2', { vp_token: 'forged' }, 'https://attacker.example');
+      walletResponds('other-request', { vp_token: 'other' });
+      expect(events.some(e => e.type === 'DC_CREDENTIALS_RESPONSE')).toBe(false);
+
+      walletResponds('open-2', { vp_token: 'token' });
+      expect(events).toContainEqual({
+        to: 'inject.js',
+        type: 'DC_CREDENTIALS_RESPONSE',
+        detail: { requestId: 'open-2', response: { vp_token: 'token' }, protocol: 'openid4vp' }
+      });
+    });
+
+    test('should fail the request when the background refuses to build the invocation', async () => {
+      buildResult = { error: "beforeInvoke hooks may not change the checked request parameter 'nonce'" };
+
+      await openChosenWallet('open-3');
+
+      expect(walletWindow.close).toHaveBeenCalled();
+      expect(walletWindow.location.href).toBe('about:blank');
+      expect(events).toContainEqual({
+        to: 'inject.js',
+        type: 'DC_CREDENTIALS_RESPONSE',
+        detail: { requestId: 'open-3', error: buildResult.error }
+      });
+    });
+
+    test('should not load a URL that is not on the origin of the chosen wallet', async () => {
+      buildResult = { ...invocation, invocationUrl: 'https://attacker.example/' };
+
+      await openChosenWallet('open-4');
+
+      expect(walletWindow.location.href).toBe('about:blank');
+      expect(events).toContainEqual(expect.objectContaining({
+        type: 'DC_CREDENTIALS_RESPONSE',
+        detail: { requestId: 'open-4', error: 'Wallet URL is not on the origin of the chosen wallet' }
+      }));
+    });
+
+    test('should open the wallet at once on silent mediation', async () => {
+      runtime.sendMessage.mockImplementation((message) => Promise.resolve(
+        message.type === 'SHOW_WALLET_SELECTOR' ? { silentWallet: testWallet, requests: message.requests }
+          : message.type === 'BUILD_WALLET_INVOCATION' ? invocation
+            : { walletTimeout: 300000 }
+      ));
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'open-5', requests: [testRequest], options: { mediation: 'silent' } });
+      await flush();
+      expect(openSpy).not.toHaveBeenCalled();
+
+      sendFrom('inject.js', 'DC_OPEN_WALLET', { requestId: 'open-5', data: testRequest.data });
+      await flush();
+
+      expect(walletWindow.location.href).toBe(invocation.invocationUrl);
+    });
+
+    test('should close the wallet window of an aborted request only', async () => {
+      await openChosenWallet('open-6');
+      sendFrom('inject.js', 'DC_REQUEST_LIFECYCLE', { requestId: 'open-6', state: 'settled', outcome: 'timeout' });
+      expect(walletWindow.close).not.toHaveBeenCalled();
+
+      await openChosenWallet('open-7');
+      sendFrom('inject.js', 'DC_REQUEST_LIFECYCLE', { requestId: 'open-7', state: 'settled', outcome: 'aborted' });
+      expect(walletWindow.close).toHaveBeenCalled();
+    });
+
+    test('should close a wallet window the request never loaded', async () => {
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'open-8', requests: [testRequest], options: {} });
+      await flush();
+      chooseWallet('open-8', 'wallet-1');
+
+      // A beforeInvoke hook vetoed the invocation
+      sendFrom('inject.js', 'DC_REQUEST_LIFECYCLE', { requestId: 'open-8', state: 'settled', outcome: 'error' });
+
+      expect(walletWindow.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('Wallet matching', () => {
+    const otherWallet = { id: 'wallet-2', name: 'Other Wallet', icon: '🪪', url: 'https://other.example.com', protocols: ['openid4vp'] };
+    const draftRequest = { protocol: 'openid4vp', data: { nonce: 'draft' } };
+    const v1Request = { protocol: 'openid4vp-v1-unsigned', data: { nonce: 'v1' } };
+
+    function showsWallets(wallets, extra = {}) {
+      runtime.sendMessage.mockImplementation((message) => Promise.resolve(
+        message.type === 'SHOW_WALLET_SELECTOR'
+          ? { wallets, requests: message.requests, requestTimeout: 30000, ...extra }
+          : { walletTimeout: 300000 }
+      ));
+    }
+
+    const shownSelector = () => events.find(e => e.to === 'modal.js' && e.type === 'show').detail;
+
+    test('should offer each wallet the request the plugins picked and list excluded wallets', async () => {
+      showsWallets([testWallet, otherWallet]);
+      walletMatches = () => [
+        { walletId: 'wallet-1', requestIndex: 1, reasons: [] },
+        { walletId: 'wallet-2', requestIndex: -1, reasons: ['openid4vp: supports none of the requested formats (mso_mdoc)'] }
+      ];
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'match-1', requests: [draftRequest, v1Request], options: {} });
+      await flush();
+
+      expect(shownSelector()).toEqual(expect.objectContaining({
+        wallets: [testWallet],
+        walletRequests: [1],
+        excludedWallets: [{
+          id: 'wallet-2',
+          name: 'Other Wallet',
+          icon: '🪪',
+          reasons: ['openid4vp: supports none of the requested formats (mso_mdoc)']
+        }]
+      }));
+
+      chooseWallet('match-1', 'wallet-1');
+      await flush();
+      expect(events).toContainEqual(expect.objectContaining({
+        type: 'DC_INVOKE_WALLET',
+        detail: expect.objectContaining({ protocol: 'openid4vp-v1-unsigned', request: v1Request })
+      }));
+    });
+
+    test('should not accept a choice of an excluded wallet', async () => {
+      showsWallets([testWallet, otherWallet]);
+      walletMatches = () => [
+        { walletId: 'wallet-1', requestIndex: 0, reasons: [] },
+        { walletId: 'wallet-2', requestIndex: -1, reasons: [] }
+      ];
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'match-2', requests: [testRequest], options: {} });
+      await flush();
+      chooseWallet('match-2', 'wallet-2');
+      await flush();
+
+      expect(runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'WALLET_SELECTED' }));
+    });
+
+    test('should exclude wallets matched to a request the call does not have', async () => {
+      showsWallets([testWallet, otherWallet]);
+      walletMatches = () => [
+        { walletId: 'wallet-1', requestIndex: 0, reasons: [] },
+        { walletId: 'wallet-2', requestIndex: 5, reasons: [] }
+      ];
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'match-3', requests: [testRequest], options: {} });
+      await flush();
+
+      expect(shownSelector().wallets).toEqual([testWallet]);
+      expect(shownSelector().excludedWallets.map(w => w.id)).toEqual(['wallet-2']);
+    });
+
+    test('should use the native API when every wallet is excluded', async () => {
+      showsWallets([testWallet]);
+      walletMatches = () => [{ walletId: 'wallet-1', requestIndex: -1, reasons: ['no match'] }];
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'match-4', requests: [testRequest], options: {} });
+      await flush();
+
+      expect(events.map(e => e.type)).toEqual(['DC_MATCH_WALLETS', 'DC_CREDENTIALS_RESPONSE']);
+      expect(events[1].detail).toEqual({ requestId: 'match-4', useNative: true });
+    });
+
+    test('should stop when the request is no longer pending in the page', async () => {
+      showsWallets([testWallet]);
+      walletMatches = () => null;
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'match-5', requests: [testRequest], options: {} });
+      await flush();
+
+      expect(events.map(e => e.type)).toEqual(['DC_MATCH_WALLETS']);
+    });
+
+    test('should invoke the remembered wallet with its matched request on silent mediation', async () => {
+      showsWallets(undefined, { silentWallet: testWallet });
+      walletMatches = () => [{ walletId: 'wallet-1', requestIndex: 1, reasons: [] }];
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', {
+        requestId: 'match-6', requests: [draftRequest, v1Request], options: { mediation: 'silent' }
+      });
+      await flush();
+
+      expect(events).toContainEqual(expect.objectContaining({
+        type: 'DC_INVOKE_WALLET',
+        detail: expect.objectContaining({ wallet: testWallet, request: v1Request })
+      }));
+    });
+
+    test('should only offer the requests the background accepted, with its client identifier', async () => {
+      const forged = { protocol: 'openid4vp', data: { nonce: 'forged', _clientId: { value: 'x509_san_dns:bank.example', verified: true } } };
+      const checked = { protocol: 'openid4vp', data: { nonce: 'checked', _clientId: { value: 'origin:https://rp.example', verified: true } } };
+      showsWallets([testWallet], { requests: [checked] });
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'match-8', requests: [forged, testRequest], options: {} });
+      await flush();
+
+      expect(events.find(e => e.type === 'DC_MATCH_WALLETS').detail.requests).toEqual([checked]);
+      expect(shownSelector().requests).toEqual([checked]);
+
+      chooseWallet('match-8', 'wallet-1');
+      await flush();
+      expect(events).toContainEqual(expect.objectContaining({
+        type: 'DC_INVOKE_WALLET',
+        detail: expect.objectContaining({ request: checked })
+      }));
+    });
+
+    test('should refuse silent mediation when the remembered wallet is excluded', async () => {
+      showsWallets(undefined, { silentWallet: testWallet });
+      walletMatches = () => [{ walletId: 'wallet-1', requestIndex: -1, reasons: ['no match'] }];
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', {
+        requestId: 'match-7', requests: [testRequest], options: { mediation: 'silent' }
+      });
+      await flush();
+
+      expect(events).toContainEqual({
+        to: 'inject.js',
+        type: 'DC_CREDENTIALS_RESPONSE',
+        detail: expect.objectContaining({ requestId: 'match-7', errorName: 'NotAllowedError' })
+      });
+    });
+  });
+
+  describe('Authenticated messages', () => {
+    test('should show the selector and invoke the chosen wallet', async () => {
+      runtime.sendMessage.mockImplementation((message) => Promise.resolve(
+        message.type === 'SHOW_WALLET_SELECTOR'
+          ? { wallets: [testWallet], requests: message.requests, requestTimeout: 30000 }
+          : { walletTimeout: 300000 }
+      ));
+
+      sendFrom('inject.js', 'DC_CREDENTIALS_REQUEST', { requestId: 'req-1', requests: [testRequest], options: {} });
+      await flush();
+      expect(events.map(e => `${e.to} ${e.type}`)).toEqual([
+        'inject.js DC_MATCH_WALLETS',
+        'inject.js DC_WALLET_SELECTOR_SHOWN',
+        'modal.js show'
+      ]);
+
+      chooseWallet('req-1', 'wallet-1');
+      await flush();
+
+      expect(events).toContainEqual({
+        to: 'inject.js',
+        type: 'DC_INVOKE_WALLET',
+        detail: { requestId: 'req-1', wallet: testWallet, protocol: 'openid4vp', request: testRequest, timeout: 300000 }
+      });
+    });
+
+    test('should ignore wallets the selector did not offer', () => {
+      const { sendResponse } = showFrameSelector('frame-req-5');
+
+      chooseWallet('frame-req-5', 'wallet-injected');
+
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('should ignore wallet choices dispatched on the window by the page', () => {
+      const { sendResponse } = showFrameSelector('frame-req-6');
+
+      window.dispatchEvent(new CustomEvent('DC_WALLET_SELECTED', {
+        detail: { requestId: 'frame-req-6', walletId: 'wallet-1', wallet: testWallet }
+      }));
+      window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
+        detail: { requestId: 'frame-req-6', useNative: true }
+      }));
+
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('should ignore wallet registrations dispatched on the window by the page', async () => {
+      window.dispatchEvent(new CustomEvent('DC_WALLET_REGISTRATION_REQUEST', {
+        detail: { registrationId: 'reg-1', wallet: { name: 'Silent Wallet', url: 'https://evil.example.com' } }
+      }));
+      await flush();
+
+      expect(runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'REGISTER_WALLET' }));
+    });
+
+    test('should forward wallet registrations from the interception script', async () => {
+      const wallet = { name: 'Test Wallet', url: 'https://wallet.example.com', protocols: ['openid4vp'] };
+      runtime.sendMessage.mockImplementation(() => Promise.resolve({ success: true, alreadyRegistered: false, wallet }));
+
+      sendFrom('inject.js', 'DC_WALLET_REGISTRATION_REQUEST', { registrationId: 'reg-2', wallet });
+      await flush();
+
+      expect(runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'REGISTER_WALLET', wallet }));
+      expect(events).toContainEqual({
+        to: 'inject.js',
+        type: 'DC_WALLET_REGISTRATION_RESPONSE',
+        detail: expect.objectContaining({ registrationId: 'reg-2', success: true })
+      });
+    });
+
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the DigitalCredential factory
+ */
+
+const {
+  createDigitalCredential,
+  installDigitalCredentialPolyfill
+} = require('../src/credential.js');
+
+describe('DigitalCredential factory', () => {
+  describe('Polyfill', () => {
+    let scope;
+
+    beforeEach(() => {
+      scope = {};
+    });
+
+    it('should install DigitalCredential when missing', () => {
+      const DigitalCredential = installDigitalCredentialPolyfill(scope);
+
+      expect(scope.DigitalCredential).toBe(DigitalCredential);
+      expect(Object.keys(scope)).not.toContain('DigitalCredential');
+    });
+
+    it('should keep an existing DigitalCredential', () => {
+      class NativeDigitalCredential {}
+      scope.DigitalCredential = NativeDigitalCredential;
+
+      expect(installDigitalCredentialPolyfill(scope)).toBe(NativeDigitalCredential);
+    });
+
+    it('should not be constructible', () => {
+      const DigitalCredential = installDigitalCredentialPolyfill(scope);
+
+      expect(() => new DigitalCredential()).toThrow('Illegal constructor');
+    });
+
+    it('should extend the native Credential interface when present', () => {
+      class Credential {}
+      scope.Credential = Credential;
+
+      const credential = createDigitalCredential('openid4vp', {}, scope);
+
+      expect(credential).toBeInstanceOf(scope.DigitalCredential);
+      expect(credential).toBeInstanceOf(Credential);
+    });
+
+    it('should report no protocols by default', () => {
+      const DigitalCredential = installDigitalCredentialPolyfill(scope);
+
+      expect(DigitalCredential.userAgentAllowsProtocol('openid4vp')).toBe(false);
+    });
+
+    it('should throw on attribute access from foreign objects', () => {
+      const DigitalCredential = installDigitalCredentialPolyfill(scope);
+
+      expect(() => DigitalCredential.prototype.protocol).toThrow('Illegal invocation');
+    });
+  });
+
+  describe('createDigitalCredential()', () => {
+    it('should create a credential with spec attributes', () => {
+      const scope = {};
+      const data = { vp_token: { pid: ['token'] } };
+
+      const credential = createDigitalCredential('openid4vp-v1-unsigned', data, scope);
+
+      expect(credential).toBeInstanceOf(scope.DigitalCredential);
+      expect(credential.id).toBe('');
+      expect(credential.type).toBe('digital');
+      expect(credential.protocol).toBe('openid4vp-v1-unsigned');
+      expect(credential.data).toBe(data);
+      expect(Object.prototype.toString.call(credential)).toBe('[object DigitalCredential]');
+    });
+
+    it('should have read-only attributes', () => {
+      const credential = createDigitalCredential('openid4vp', {}, {});
+
+      expect(() => { 'use strict'; credential.protocol = 'other'; }).toThrow(TypeError);
+      expect(credential.protocol).toBe('openid4vp');
+    });
+
+    it('should serialize with toJSON', () => {
+      const credential = createDigitalCredential('openid4vp', { vp_token: 'abc' }, {});
+
+      expect(JSON.parse(JSON.stringify(credential))).toEqual({
+        id: '',
+        type: 'digital',
+        protocol: 'openid4vp',
+        data: { vp_token: 'abc' }
+      });
+    });
+
+    it('should use the native prototype when available', () => {
+      // Native attribute getters throw on objects the browser did not create
+      class Credential {
+        get id() { throw new TypeError('Illegal invocation'); }
+        get type() { throw new TypeError('Illegal invocation'); }
+      }
+      class DigitalCredential extends Credential {
+        get protocol() { throw new TypeError('Illegal invocation'); }
+        get data() { throw new TypeError('Illegal invocation'); }
+        toJSON() { throw new TypeError('Illegal invocation'); }
+      }
+      const scope = { Credential, DigitalCredential };
+
+      const credential = createDigitalCredential('org-iso-mdoc', { response: 'abc' }, scope);
+
+      expect(credential).toBeInstanceOf(DigitalCredential);
+      expect(credential).toBeInstanceOf(Credential);
+      expect(credential.id).toBe('');
+      expect(credential.type).toBe('digital');
+      expect(credential.protocol).toBe('org-iso-mdoc');
+      expect(credential.data).toEqual({ response: 'abc' });
+      expect(credential.toJSON()).toEqual({
+        id: '',
+        type: 'digital',
+        protocol: 'org-iso-mdoc',
+        data: { response: 'abc' }
+      });
+    });
+
+    it('should reject missing protocol', () => {
+      expect(() => createDigitalCredential('', {}, {})).toThrow('protocol must be a non-empty string');
+    });
+
+    it('should reject non-object data', () => {
+      expect(() => createDigitalCredential('openid4vp', 'token', {})).toThrow('data must be an object');
+      expect(() => createDigitalCredential('openid4vp', null, {})).toThrow('data must be an object');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Tests for the Digital Credentials Query Language checks
+ */
+
+const Dcql = require('../src/dcql.js');
+
+describe('Dcql', () => {
+  const pid = {
+    id: 'pid',
+    format: 'dc+sd-jwt',
+    meta: { vct_values: ['urn:eudi:pid:1'] },
+    claims: [
+      { id: 'given_name', path: ['given_name'] },
+      { id: 'birthdate', path: ['birthdate'] },
+      { id: 'age', path: ['age_equal_or_over', '18'], values: [true] }
+    ],
+    claim_sets: [['given_name', 'birthdate'], ['age']]
+  };
+  const mdl = {
+    id: 'mdl',
+    format: 'mso_mdoc',
+    meta: { doctype_value: 'org.iso.18013.5.1.mDL' },
+    claims: [{ path: ['org.iso.18013.5.1', 'family_name'], intent_to_retain: false }]
+  };
+  const diploma = {
+    id: 'diploma',
+    format: 'jwt_vc_json',
+    meta: { type_values: [['VerifiableCredential', 'Diploma']] },
+    trusted_authorities: [{ type: 'aki', values: ['s9tIpPmhxdiuNkHMEWNpYim8S8Y'] }],
+    multiple: true
+  };
+  const query = {
+    credentials: [pid, mdl, diploma],
+    credential_sets: [
+      { options: [['pid'], ['mdl']], purpose: 'Identification' },
+      { options: [['diploma']], required: false }
+    ]
+  };
+  const withCredential = (credential) => ({ credentials: [{ id: 'pid', format: 'dc+sd-jwt', ...credential }] });
+
+  describe('Query validation', () => {
+    it('should accept a query using every member', () => {
+      expect(Dcql.validateQuery(query)).toBe(query);
+      expect(Dcql.validateQuery({ credentials: [{ id: 'any', format: 'ldp_vc' }] })).toBeDefined();
+    });
+
+    it('should require a non-empty credentials array', () => {
+      expect(() => Dcql.validateQuery(null)).toThrow('query must be an object');
+      expect(() => Dcql.validateQuery({ credentials: [] })).toThrow('credentials must be a non-empty array');
+      expect(() => Dcql.validateQuery({ credentials: {} })).toThrow('credentials must be a non-empty array');
+    });
+
+    it('should require unique credential ids and a format', () => {
+      expect(() => Dcql.validateQuery({ credentials: [{ id: 'p id', format: 'dc+sd-jwt' }] }))
+        .toThrow('credentials[0].id must be a non-empty string of letters, digits, _ and -');
+      expect(() => Dcql.validateQuery({ credentials: [mdl, { ...pid, id: 'mdl' }] }))
+        .toThrow('credentials[1].id "mdl" is used by another credential query');
+      expect(() => Dcql.validateQuery({ credentials: [{ id: 'pid' }] })).toThrow('credentials[0].format must be a non-empty string');
+    });
+
+    it('should check the type of the optional credential query members', () => {
+      expect(() => Dcql.validateQuery(withCredential({ multiple: 'yes' }))).toThrow('credentials[0].multiple must be a boolean');
+      expect(() => Dcql.validateQuery(withCredential({ require_cryptographic_holder_binding: 1 })))
+        .toThrow('credentials[0].require_cryptographic_holder_binding must be a boolean');
+      expect(() => Dcql.validateQuery(withCredential({ trusted_authorities: [{ type: 'aki' }] })))
+        .toThrow('credentials[0].trusted_authorities[0].values must be a non-empty array of strings');
+    });
+
+    it('should check the format-specific meta members', () => {
+      expect(() => Dcql.validateQuery(withCredential({ meta: [] }))).toThrow('credentials[0].meta must be an object');
+      expect(() => Dcql.validateQuery(withCredential({ meta: { vct_values: 'urn:eudi:pid:1' } })))
+        .toThrow('credentials[0].meta.vct_values must be a non-empty array of strings');
+      expect(() => Dcql.validateQuery({ credentials: [{ ...mdl, meta: { doctype_value: ['org.iso.18013.5.1.mDL'] } }] }))
+        .toThrow('credentials[0].meta.doctype_value must be a string');
+      expect(() => Dcql.validateQuery({ credentials: [{ ...diploma, meta: { type_values: ['Diploma'] } }] }))
+        .toThrow('credentials[0].meta.type_values must be a non-empty array of non-empty arrays of strings');
+    });
+
+    it('should check claims paths and values', () => {
+      expect(() => Dcql.validateQuery(withCredential({ claims: [] }))).toThrow('credentials[0].claims must be a non-empty array');
+      expect(() => Dcql.validateQuery(withCredential({ claims: [{ path: ['nationalities', -1] }] })))
+        .toThrow('credentials[0].claims[0].path[1] must be a string, a non-negative integer or null');
+      expect(() => Dcql.validateQuery(withCredential({ claims: [{ path: ['nationalities', null], values: [] }] })))
+        .toThrow('credentials[0].claims[0].values must be a non-empty array of strings, integers or booleans');
+      expect(() => Dcql.validateQuery({ credentials: [{ ...mdl, claims: [{ path: ['family_name'] }] }] }))
+        .toThrow('credentials[0].claims[0].path must be a namespace and a data element identifier for mso_mdoc');
+    });
+
+    it('should require claim_sets to name the claims of their credential query', () => {
+      expect(() => Dcql.validateQuery(withCredential({ claim_sets: [['given_name']] })))
+        .toThrow('credentials[0].claim_sets requires claims');
+      expect(() => Dcql.validateQuery(withCredential({ claims: [{ path: ['given_name'] }], claim_sets: [['given_name']] })))
+        .toThrow('credentials[0].claims[0].id is required with claim_sets');
+      expect(() => Dcql.validateQuery({ credentials: [{ ...pid, claim_sets: [['given_name', 'address']] }] }))
+        .toThrow('credentials[0].claim_sets[0] names unknown claims query "address"');
+      expect(() => Dcql.validateQuery({ credentials: [{ ...pid, claim_sets: [[]] }] }))
+        .toThrow('credentials[0].claim_sets[0] must be a non-empty array of ids');
+    });
+
+    it('should require credential sets to name requested credentials', () => {
+      expect(() => Dcql.validateQuery({ credentials: [pid], credential_sets: [] }))
+        .toThrow('credential_sets must be a non-empty array');
+      expect(() => Dcql.validateQuery({ credentials: [pid], credential_sets: [{ options: [['pid', 'mdl']] }] }))
+        .toThrow('credential_sets[0].options[0] names unknown credential query "mdl"');
+      expect(() => Dcql.validateQuery({ credentials: [pid], credential_sets: [{ options: [['pid']], required: 'no' }] }))
+        .toThrow('credential_sets[0].required must be a boolean');
+    });
+  });
+
+  describe('Response matching', () => {
+    it('should accept presentations for a required credential set option', () => {
+      expect(Dcql.checkResponse(query, { mdl: ['mdoc'] })).toEqual({ presented: ['mdl'] });
+      expect(Dcql.checkResponse(query, { pid: 'sd-jwt', diploma: ['vc-1', 'vc-2'] })).toEqual({ presented: ['pid', 'diploma'] });
+    });
+
+    it('should require every credential query without credential sets', () => {
+      const plain = { credentials: [pid, mdl] };
+
+      expect(() => Dcql.checkResponse(plain, { pid: ['sd-jwt'] }))
+        .toThrow('vp_token does not satisfy credentials[1]: expected presentations for mdl');
+      expect(() => Dcql.checkResponse(query, { diploma: ['vc'] }))
+        .toThrow('vp_token does not satisfy credential_sets[0]: expected presentations for pid or mdl');
+    });
+
+    it('should reject presentations for credentials that were not requested', () => {
+      expect(() => Dcql.checkResponse(query, ['sd-jwt'])).toThrow('vp_token must be an object keyed by credential query id');
+      expect(() => Dcql.checkResponse(query, { pid: ['sd-jwt'], photo_id: ['sd-jwt'] }))
+        .toThrow('vp_token.photo_id answers no credential query of the request');
+    });
+
+    it('should only accept several presentations for multiple credential queries', () => {
+      expect(() => Dcql.checkResponse(query, { pid: ['sd-jwt-1', 'sd-jwt-2'] }))
+        .toThrow('vp_token.pid has 2 presentations, the credential query allows one');
+    });
+  });
+
+  describe('Presentation Exchange translation', () => {
+    const definition = {
+      id: 'verification',
+      input_descriptors: [
+        {
+          id: 'eu.europa.ec.eudi.pid.1',
+          format: { 'vc+sd-jwt': { 'sd-jwt_alg_values': ['ES256'] } },
+          constraints: {
+            fields: [
+              { path: ['$.vct'], filter: { type: 'string', const: 'urn:eudi:pid:1' } },
+              { path: ['$.address.street_address', '$.street_address'] },
+              { path: ['$.nationalities[*]'], filter: { type: 'string', enum: ['DE', 'AT'] } },
+              { path: ['$.birthdate'], optional: true }
+            ]
+          }
+        },
+        {
+          id: 'org.iso.18013.5.1.mDL',
+          format: { mso_mdoc: { alg: ['ES256'] } },
+          constraints: { fields: [{ path: ["$['org.iso.18013.5.1']['family_name']"], intent_to_retain: false }] }
+        }
+      ]
+    };
+
+    it('should translate a presentation definition into a DCQL query', () => {
+      expect(Dcql.fromPresentationDefinition(definition)).toEqual({
+        credentials: [
+          {
+            id: 'eu_europa_ec_eudi_pid_1',
+            format: 'dc+sd-jwt',
+            meta: { vct_values: ['urn:eudi:pid:1'] },
+            claims: [{ path: ['address', 'street_address'] }, { path: ['nationalities', null], values: ['DE', 'AT'] }]
+          },
+          {
+            id: 'org_iso_18013_5_1_mDL',
+            format: 'mso_mdoc',
+            meta: { doctype_value: 'org.iso.18013.5.1.mDL' },
+            claims: [{ path: ['org.iso.18013.5.1', 'family_name'], intent_to_retain: false }]
+          }
+        ]
+      });
+    });
+
+    it('should refuse definitions DCQL cannot express', () => {
+      expect(() => Dcql.fromPresentationDefinition({ ...definition, submission_requirements: [] }))
+        .toThrow('submission_requirements have no DCQL equivalent');
+      expect(() => Dcql.fromPresentationDefinition({ id: 'd', input_descriptors: [{ id: 'vc', format: { jwt_vc_json: {}, ldp_vc: {} } }] }))
+        .toThrow('input_descriptors[0] must accept exactly one credential format');
+      expect(() => Dcql.fromPresentationDefinition({ id: 'd', input_descriptors: [{ id: 'vc', format: { ac_vc: {} } }] }))
+        .toThrow('input_descriptors[0] format ac_vc has no DCQL equivalent');
+      expect(() => Dcql.fromPresentationDefinition({ id: 'd', input_descriptors: [{
+        id: 'vc', format: { jwt_vc_json: {} }, constraints: { fields: [{ path: ['$..name'] }] }
+      }] })).toThrow('JSONPath $..name has no DCQL equivalent');
+    });
+
+    it('should translate a DCQL query into a presentation definition', () => {
+      expect(Dcql.toPresentationDefinition(query)).toEqual({
+        id: 'dcql_query',
+        input_descriptors: [
+          {
+            id: 'pid',
+            format: { 'vc+sd-jwt': {} },
+            group: ['set0'],
+            constraints: {
+              fields: [
+                { path: ['$.vct'], filter: { type: 'string', enum: ['urn:eudi:pid:1'] } },
+                { path: ['$.given_name'] },
+                { path: ['$.birthdate'] }
+              ],
+              limit_disclosure: 'required'
+            }
+          },
+          {
+            id: 'org.iso.18013.5.1.mDL',
+            format: { mso_mdoc: {} },
+            group: ['set0'],
+            constraints: {
+              fields: [{ path: ["$['org.iso.18013.5.1']['family_name']"], intent_to_retain: false }],
+              limit_disclosure: 'required'
+            }
+          },
+          { id: 'diploma', format: { jwt_vc_json: {} }, group: ['set1'] }
+        ],
+        submission_requirements: [
+          { rule: 'pick', count: 1, purpose: 'Identification', from: 'set0' },
+          { rule: 'pick', min: 0, max: 1, from: 'set1' }
+        ]
+      });
+    });
+
+    it('should nest submission requirements for options of several credentials', () => {
+      const nested = Dcql.toPresentationDefinition({
+        credentials: [pid, mdl, diploma],
+        credential_sets: [{ options: [['pid', 'diploma'], ['mdl']] }]
+      });
+
+      expect(nested.submission_requirements).toEqual([{
+        rule: 'pick',
+        count: 1,
+        from_nested: [{ rule: 'all', from: 'set0_option0' }, { rule: 'all', from: 'set0_option1' }]
+      }]);
+      expect(nested.input_descriptors.map(descriptor => descriptor.group))
+        .toEqual([['set0_option0'], ['set0_option1'], ['set0_option0']]);
+    });
+
+    it('should key a Presentation Exchange response by credential query id', () => {
+      const submission = {
+        id: 'submission-1',
+        definition_id: 'dcql_query',
+        descriptor_map: [
+          { id: 'org.iso.18013.5.1.mDL', format: 'mso_mdoc', path: '$[0]' },
+          { id: 'diploma', format: 'jwt_vp_json', path: '$[1]' }
+        ]
+      };
+
+      expect(Dcql.fromPresentationSubmission(query, ['mdoc', 'vp'], submission)).toEqual({ mdl: ['mdoc'], diploma: ['vp'] });
+      expect(() => Dcql.fromPresentationSubmission(query, ['mdoc'], submission))
+        .toThrow('presentation_submission.descriptor_map[1].path $[1] selects no presentation of the vp_token');
+      expect(() => Dcql.fromPresentationSubmission(query, 'mdoc', { descriptor_map: [{ id: 'photo_id', path: '$' }] }))
+        .toThrow('presentation_submission.descriptor_map[0] answers no input descriptor of the request');
+    });
+
+    it('should map a DCQL response to a presentation submission', () => {
+      expect(Dcql.toPresentationSubmission(definition, { eu_europa_ec_eudi_pid_1: ['sd-jwt'], org_iso_18013_5_1_mDL: ['mdoc'] }))
+        .toEqual({
+          vp_token: ['sd-jwt', 'mdoc'],
+          presentation_submission: {
+            id: 'verification-submission',
+            definition_id: 'verification',
+            descriptor_map: [
+              { id: 'eu.europa.ec.eudi.pid.1', format: 'vc+sd-jwt', path: '$[0]' },
+              { id: 'org.iso.18013.5.1.mDL', format: 'mso_mdoc', path: '$[1]' }
+            ]
+          }
+        });
+      expect(Dcql.toPresentationSubmission({ id: 'd', input_descriptors: [{ id: 'vc', format: { jwt_vc_json: {} } }] }, { vc: 'vp' }))
+        .toMatchObject({ vp_token: 'vp', presentation_submission: { descriptor_map: [{ id: 'vc', format: 'jwt_vp_json', path: '$' }] } });
+      expect(() => Dcql.toPresentationSubmission(definition, { eu_europa_ec_eudi_pid_1: ['sd-jwt'] }))
+        .toThrow('vp_token does not satisfy credentials[1]: expected presentations for org_iso_18013_5_1_mDL');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Test certificates: issues X.509 certificates with P-256 keys
+ */
+
+const crypto = require('crypto');
+
+const KEY_USAGES = ['digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+  'keyAgreement', 'keyCertSign', 'cRLSign'];
+
+// DER encoding (X.690), enough for certificates
+function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  let length;
+  if (body.length < 0x80) {
+    length = Buffer.from([body.length]);
+  } else if (body.length < 0x100) {
+    length = Buffer.from([0x81, body.length]);
+  } else {
+    length = Buffer.from([0x82, body.length >> 8, body.length & 0xff]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  rest.forEach(value => {
+    const encoded = [value & 0x7f];
+    while ((value = Math.floor(value / 128)) > 0) {
+      encoded.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...encoded);
+  });
+  return der(0x06, Buffer.from(bytes));
+}
+
+const sequence = (...contents) => der(0x30, ...contents);
+const name = (commonName) => sequence(der(0x31, sequence(oid('2.5.4.3'), der(0x0c, Buffer.from(commonName)))));
+const time = (date) => {
+  const text = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  return date.getUTCFullYear() < 2050 ? der(0x17, Buffer.from(text.slice(2))) : der(0x18, Buffer.from(text));
+};
+const extension = (id, value, critical) => sequence(oid(id), ...(critical ? [der(0x01, Buffer.from([0xff]))] : []), der(0x04, value));
+
+const ecdsaWithSha256 = sequence(oid('1.2.840.10045.4.3.2'));
+
+/**
+ * New P-256 key pair
+ */
+function keyPair() {
+  return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+}
+
+/**
+ * Issue a certificate
+ * @param {Object} options
+ * @param {string} options.subject - Subject common name
+ * @param {KeyObject} options.publicKey - Subject public key
+ * @param {Object} [options.issuer] - { subject, privateKey }; self-signed with options.privateKey without one
+ * @param {boolean} [options.ca] - basicConstraints cA
+ * @param {number} [options.pathLength] - basicConstraints pathLenConstraint
+ * @param {string[]} [options.keyUsage] - keyUsage names
+ * @param {string[]} [options.dnsNames] - dNSName subjectAltNames
+ * @param {Buffer[]} [options.extensions] - Additional encoded extensions
+ * @param {Date} [options.notBefore]
+ * @param {Date} [options.notAfter]
+ * @returns {Object} der (Buffer), base64 and pem
+ */
+function issueCertificate(options) {
+  const issuer = options.issuer || { subject: options.subject, privateKey: options.privateKey };
+  const extensions = [];
+  if (options.ca !== undefined) {
+    const fields = options.ca ? [der(0x01, Buffer.from([0xff]))] : [];
+    if (options.pathLength !== undefined) {
+      fields.push(der(0x02, Buffer.from([options.pathLength])));
+    }
+    extensions.push(extension('2.5.29.19', sequence(...fields), true));
+  }
+  if (options.keyUsage) {
+    const bits = [0, 0];
+    options.keyUsage.forEach(usage => {
+      const bit = KEY_USAGES.indexOf(usage);
+      bits[bit >> 3] |= 0x80 >> (bit & 7);
+    });
+    extensions.push(extension('2.5.29.15', der(0x03, Buffer.from([0, bits[0]])), true));
+  }
+  if (options.dnsNames) {
+    extensions.push(extension('2.5.29.17', sequence(...options.dnsNames.map(dns => der(0x82, Buffer.from(dns))))));
+  }
+  extensions.push(...(options.extensions || []));
+
+  const tbs = sequence(
+    der(0xa0, der(0x02, Buffer.from([2]))),
+    der(0x02, crypto.randomBytes(8).fill(0x7f, 0, 1)),
+    ecdsaWithSha256,
+    name(issuer.subject),
+    sequence(time(options.notBefore || new Date('2025-01-01T00:00:00Z')), time(options.notAfter || new Date('2035-01-01T00:00:00Z'))),
+    name(options.subject),
+    options.publicKey.export({ type: 'spki', format: 'der' }),
+    ...(extensions.length > 0 ? [der(0xa3, sequence(...extensions))] : [])
+  );
+  const signature = crypto.sign('sha256', tbs, issuer.privateKey);
+  const certificate = sequence(tbs, ecdsaWithSha256, der(0x03, Buffer.from([0]), signature));
+  const base64 = certificate.toString('base64');
+
+  return {
+    der: certificate,
+    base64: base64,
+    pem: `-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`
+  };
+}
+
+/**
+ * Root CA, intermediate CA and leaf certificate for a verifier host
+ * @param {string} [dnsName] - Leaf dNSName
+ * @returns {Object} root, intermediate, leaf (certificates) and leafKey (key pair)
+ */
+function issueChain(dnsName = 'verifier.example.com') {
+  const rootKey = keyPair();
+  const intermediateKey = keyPair();
+  const leafKey = keyPair();
+  const root = issueCertificate({
+    subject: 'Test Root CA', publicKey: rootKey.publicKey, privateKey: rootKey.privateKey,
+    ca: true, keyUsage: ['keyCertSign', 'cRLSign']
+  });
+  const intermediate = issueCertificate({
+    subject: 'Test Intermediate CA', publicKey: intermediateKey.publicKey,
+    issuer: { subject: 'Test Root CA', privateKey: rootKey.privateKey },
+    ca: true, pathLength: 0, keyUsage: ['keyCertSign']
+  });
+  const leaf = issueCertificate({
+    subject: dnsName, publicKey: leafKey.publicKey,
+    issuer: { subject: 'Test Intermediate CA', privateKey: intermediateKey.privateKey },
+    keyUsage: ['digitalSignature'], dnsNames: [dnsName]
+  });
+  return { root, intermediate, leaf, rootKey, intermediateKey, leafKey };
+}
+
+module.exports = { keyPair, issueCertificate, issueChain, der, oid, extension };
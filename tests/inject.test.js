@@ -386,51 +386,52 @@ describe('Inject Script - Wallet Registration API', () => {
   });
 });
 
-describe('Inject Script - buildWalletUrl Function', () => {
-  describe('OpenID4VP Protocol URL Building', () => {
-    const mockWallet = {
-      id: 'wallet-1',
-      name: 'Test Wallet',
-      url: 'https://wallet.example.com'
-    };
+describe('Inject Script - Wallet URL Building', () => {
+  // inject.js opens the wallet at the invocationUrl the protocol plugin builds
+  const { ProtocolPlugin, ProtocolPluginRegistry } = require('../src/protocols.js');
+  const OpenID4VPPlugin = require('../src/protocols/OpenID4VPPlugin.js');
+
+  const mockWallet = {
+    id: 'wallet-1',
+    name: 'Test Wallet',
+    url: 'https://wallet.example.com'
+  };
+  const page = { origin: 'https://verifier.example.com', url: 'https://verifier.example.com/callback' };
+
+  class CustomPlugin extends ProtocolPlugin {
+    constructor(protocolId) {
+      super();
+      this.protocolId = protocolId;
+    }
+    getProtocolId() { return this.protocolId; }
+  }
 
-    function buildWalletUrl(wallet, protocol, request) {
-      const walletBaseUrl = wallet.url;
-      const requestData = request.data || request;
-
-      if (protocol.startsWith('openid4vp')) {
-        const walletUrl = new URL(walletBaseUrl);
-        
-        walletUrl.searchParams.set('client_id', 'https://verifier.example.com');
-        walletUrl.searchParams.set('response_type', requestData.response_type || 'vp_token');
-        walletUrl.searchParams.set('response_mode', requestData.response_mode || 'dc_api');
-        walletUrl.searchParams.set('nonce', requestData.nonce);
-        walletUrl.searchParams.set('response_uri', 'https://verifier.example.com/callback');
-        
-        walletUrl.searchParams.set('client_metadata', JSON.stringify(requestData.client_metadata || {}));
-        walletUrl.searchParams.set('dcql_query', JSON.stringify(requestData.dcql_query || {}));
-        
-        if (requestData.state) {
-          walletUrl.searchParams.set('state', requestData.state);
-        }
-        
-        return walletUrl.toString();
-      }
+  let registry;
 
-      // Generic protocol
-      const url = new URL(walletBaseUrl);
-      url.searchParams.set('request', JSON.stringify(requestData));
-      url.searchParams.set('protocol', protocol);
-      url.searchParams.set('origin', 'https://verifier.example.com');
-      
-      return url.toString();
-    }
+  beforeEach(() => {
+    registry = new ProtocolPluginRegistry();
+    [new OpenID4VPPlugin(), new OpenID4VPPlugin('v1-unsigned'), new OpenID4VPPlugin('v1-signed'),
+      new CustomPlugin('custom-protocol'), new CustomPlugin('my-custom-protocol')]
+      .forEach(plugin => registry.register(plugin));
+  });
 
+  function buildWalletUrl(wallet, protocol, request) {
+    return registry.formatForWallet(protocol, request.data, wallet.url, page).invocationUrl;
+  }
+
+  describe('OpenID4VP Protocol URL Building', () => {
     test('should build URL with client_id', () => {
       const request = { data: { nonce: '123' } };
       const url = buildWalletUrl(mockWallet, 'openid4vp', request);
       
-      expect(url).toContain('client_id=');
+      expect(new URL(url).searchParams.get('client_id')).toBe('https://verifier.example.com');
+    });
+
+    test('should prefer the client_id of the request', () => {
+      const request = { data: { nonce: '123', client_id: 'x509_san_dns:verifier.example.com' } };
+      const url = buildWalletUrl(mockWallet, 'openid4vp', request);
+      
+      expect(new URL(url).searchParams.get('client_id')).toBe('x509_san_dns:verifier.example.com');
     });
 
     test('should build URL with response_type', () => {
@@ -461,6 +462,20 @@ describe('Inject Script - buildWalletUrl Function', () => {
       expect(url).toContain('response_mode=dc_api');
     });
 
+    test('should not send a response_uri for dc_api', () => {
+      const request = { data: { nonce: '123', response_uri: 'https://verifier.example.com/callback' } };
+      const url = buildWalletUrl(mockWallet, 'openid4vp', request);
+      
+      expect(new URL(url).searchParams.has('response_uri')).toBe(false);
+    });
+
+    test('should send the request\'s response_uri for direct_post', () => {
+      const request = { data: { nonce: '123', response_mode: 'direct_post', response_uri: 'https://verifier.example.com/callback' } };
+      const url = buildWalletUrl(mockWallet, 'openid4vp', request);
+      
+      expect(new URL(url).searchParams.get('response_uri')).toBe('https://verifier.example.com/callback');
+    });
+
     test('should build URL with nonce', () => {
       const request = { data: { nonce: 'test-nonce-123' } };
       const url = buildWalletUrl(mockWallet, 'openid4vp', request);
@@ -504,11 +519,12 @@ describe('Inject Script - buildWalletUrl Function', () => {
     });
 
     test('should handle openid4vp-v1-signed protocol', () => {
-      const request = { data: { nonce: '123' } };
-      const url = buildWalletUrl(mockWallet, 'openid4vp-v1-signed', request);
+      const request = { data: { client_id: 'x509_san_dns:verifier.example.com', request: 'eyJhbGciOiJFUzI1NiJ9.e30.sig', nonce: '123' } };
+      const url = new URL(buildWalletUrl(mockWallet, 'openid4vp-v1-signed', request));
       
-      expect(url).toContain('client_id=');
-      expect(url).toContain('response_type=');
+      expect(url.searchParams.get('client_id')).toBe('x509_san_dns:verifier.example.com');
+      expect(url.searchParams.get('request')).toBe('eyJhbGciOiJFUzI1NiJ9.e30.sig');
+      expect(url.searchParams.has('nonce')).toBe(false);
     });
 
     test('should handle openid4vp-v1-unsigned protocol', () => {
@@ -524,37 +540,22 @@ describe('Inject Script - buildWalletUrl Function', () => {
       
       expect(url.startsWith('https://wallet.example.com')).toBe(true);
     });
-  });
-
-  describe('Generic Protocol URL Building', () => {
-    const mockWallet = {
-      id: 'wallet-1',
-      name: 'Test Wallet',
-      url: 'https://wallet.example.com'
-    };
 
-    function buildWalletUrl(wallet, protocol, request) {
-      const walletBaseUrl = wallet.url;
-      const requestData = request.data || request;
-
-      if (protocol.startsWith('openid4vp')) {
-        // OpenID4VP handling (not tested here)
-        return '';
-      }
-
-      const url = new URL(walletBaseUrl);
-      url.searchParams.set('request', JSON.stringify(requestData));
-      url.searchParams.set('protocol', protocol);
-      url.searchParams.set('origin', 'https://verifier.example.com');
+    test('should keep the query parameters of the wallet URL', () => {
+      const request = { data: { nonce: '123' } };
+      const url = buildWalletUrl({ ...mockWallet, url: 'https://wallet.example.com/cb?tenant=eu' }, 'openid4vp', request);
       
-      return url.toString();
-    }
+      expect(new URL(url).searchParams.get('tenant')).toBe('eu');
+      expect(new URL(url).searchParams.get('nonce')).toBe('123');
+    });
+  });
 
+  describe('Generic Protocol URL Building', () => {
     test('should build URL with request as JSON', () => {
       const request = { data: { customField: 'value' } };
       const url = buildWalletUrl(mockWallet, 'custom-protocol', request);
       
-      expect(url).toContain('request=');
+      expect(JSON.parse(new URL(url).searchParams.get('request'))).toEqual({ customField: 'value' });
     });
 
     test('should include protocol identifier', () => {
@@ -566,16 +567,21 @@ describe('Inject Script - buildWalletUrl Function', () => {
 
     test('should include origin', () => {
       const request = { data: {} };
-      const url = buildWalletUrl(mockWallet, 'custom', request);
+      const url = buildWalletUrl(mockWallet, 'custom-protocol', request);
       
-      expect(url).toContain('origin=');
+      expect(new URL(url).searchParams.get('origin')).toBe('https://verifier.example.com');
     });
 
-    test('should handle request without data wrapper', () => {
-      const request = { customField: 'value' };
-      const url = buildWalletUrl(mockWallet, 'custom', request);
-      
-      expect(url).toContain('customField');
+    test('should let plugins use their own parameter conventions', () => {
+      class PathPlugin extends CustomPlugin {
+        formatForWallet(preparedRequest, walletUrl) {
+          return { invocationUrl: `${walletUrl}/present/${encodeURIComponent(preparedRequest.id)}` };
+        }
+      }
+      registry.register(new PathPlugin('path-protocol'));
+
+      expect(buildWalletUrl(mockWallet, 'path-protocol', { data: { id: 'a b' } }))
+        .toBe('https://wallet.example.com/present/a%20b');
     });
   });
 });
@@ -626,55 +632,28 @@ describe('Inject Script - Protocol Validation', () => {
   });
 
   describe('Response Validation', () => {
+    const { createDigitalCredential } = require('../src/credential.js');
+
     test('should create credential object with type', () => {
-      const credential = {
-        type: 'digital',
-        protocol: 'openid4vp',
-        data: { vp_token: 'token-value' },
-        id: `credential-${Date.now()}`
-      };
+      const credential = createDigitalCredential('openid4vp', { vp_token: 'token-value' });
 
       expect(credential.type).toBe('digital');
     });
 
     test('should create credential object with protocol', () => {
-      const credential = {
-        type: 'digital',
-        protocol: 'openid4vp-v1-signed',
-        data: {},
-        id: 'cred-123'
-      };
+      const credential = createDigitalCredential('openid4vp-v1-signed', {});
 
       expect(credential.protocol).toBe('openid4vp-v1-signed');
     });
 
-    test('should create credential object with id', () => {
-      const timestamp = Date.now();
-      const credential = {
-        type: 'digital',
-        protocol: 'openid4vp',
-        data: {},
-        id: `credential-${timestamp}`
-      };
+    test('should create credential object with empty id', () => {
+      const credential = createDigitalCredential('openid4vp', {});
 
-      expect(credential.id).toMatch(/^credential-\d+$/);
+      expect(credential.id).toBe('');
     });
 
     test('should have toJSON method', () => {
-      const credential = {
-        type: 'digital',
-        protocol: 'openid4vp',
-        data: { token: 'abc' },
-        id: 'cred-123',
-        toJSON: function() {
-          return {
-            type: this.type,
-            protocol: this.protocol,
-            data: this.data,
-            id: this.id
-          };
-        }
-      };
+      const credential = createDigitalCredential('openid4vp', { token: 'abc' });
 
       const json = credential.toJSON();
       expect(json.type).toBe('digital');
@@ -730,3 +709,1110 @@ describe('Inject Script - Supported Protocols Cache', () => {
     expect(unsupportedRequests[0].protocol).toBe('unknown-protocol');
   });
 });
+
+describe('Inject Script - Request flow', () => {
+  const { ProtocolPluginRegistry } = require('../src/protocols.js');
+  const OpenID4VPPlugin = require('../src/protocols/OpenID4VPPlugin.js');
+  const MdocPlugin = require('../src/protocols/MdocPlugin.js');
+  const DigitalCredentialFactory = require('../src/credential.js');
+  const RequestLifecycle = require('../src/lifecycle.js');
+
+  const digitalOptions = (signal) => ({
+    digital: {
+      requests: [{
+        protocol: 'openid4vp',
+        data: { nonce: 'n-123', dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] } }
+      }]
+    },
+    signal
+  });
+
+  let nativeGet;
+  let events;
+  let script;
+  let port;
+  // Wallets invoked (requestId -> { wallet, protocol, request }) and the URLs they were opened at
+  let invocations;
+  let walletUrls;
+  // Whether the content script opens the wallets as soon as it is asked to
+  let openWallets;
+  // Protocols of the registered wallets, answered to the protocol update
+  let walletProtocols = ['openid4vp'];
+  // Middleware queued for inject.js, as extension scripts do
+  let pendingMiddleware = [];
+
+  // Load inject.js as content.js does: run the script, then hand it its channel
+  function loadInjectScript() {
+    script = document.createElement('script');
+    Object.defineProperty(document, 'currentScript', { value: script, configurable: true });
+    jest.isolateModules(() => {
+      require('../src/inject.js');
+    });
+    delete document.currentScript;
+    connect(port);
+  }
+
+  function connect(extensionPort) {
+    script.dispatchEvent(new MessageEvent('message', {
+      data: { type: 'DC_CHANNEL_CONNECT' },
+      ports: [extensionPort]
+    }));
+  }
+
+  // Send a message to inject.js as the content script
+  function sendToInject(type, detail) {
+    if (type === 'DC_INVOKE_WALLET') {
+      invocations.set(detail.requestId, { wallet: detail.wallet, protocol: detail.protocol, request: detail.request });
+    }
+    port.onmessage({ data: { type, detail } });
+  }
+
+  // Open the wallet of a request as the content script does, at the URL the
+  // background builds from the request it checked (here the one the page got)
+  function openWallet({ requestId, data }) {
+    const { wallet, protocol, request } = invocations.get(requestId);
+    const registry = new ProtocolPluginRegistry();
+    [new OpenID4VPPlugin(), new OpenID4VPPlugin('v1-signed'), new MdocPlugin()].forEach(plugin => registry.register(plugin));
+    const walletData = registry.applyInvokeChanges(protocol, request.data, data);
+    const formatted = registry.formatForWallet(protocol, walletData, wallet.url, {
+      origin: window.location.origin, url: window.location.href, wallet
+    });
+    walletUrls.push(formatted.invocationUrl);
+    sendToInject('DC_WALLET_OPENED', { requestId, requestData: formatted.requestData });
+  }
+
+  // Answer a request from the wallet window, as the content script relays it
+  function walletResponds(request, response) {
+    const invocation = invocations.get(request.requestId);
+    sendToInject('DC_CREDENTIALS_RESPONSE', {
+      requestId: request.requestId,
+      response,
+      protocol: invocation ? invocation.protocol : 'openid4vp'
+    });
+  }
+
+  beforeEach(() => {
+    // Use the real jsdom event implementation (other suites replace it with mocks)
+    delete window.addEventListener;
+    delete window.removeEventListener;
+    delete window.dispatchEvent;
+
+    nativeGet = jest.fn(() => Promise.resolve({ id: 'native-credential' }));
+    navigator.credentials.get = nativeGet;
+    navigator.credentials.create = jest.fn(() => Promise.resolve(null));
+
+    window.ProtocolPluginRegistry = ProtocolPluginRegistry;
+    window.DigitalCredentialFactory = DigitalCredentialFactory;
+    window.RequestLifecycle = RequestLifecycle;
+    window._pendingProtocolPlugins = [new OpenID4VPPlugin(), new OpenID4VPPlugin('v1-signed'), new MdocPlugin()];
+    window._pendingProtocolMiddleware = pendingMiddleware;
+
+    // Capture messages sent to the content script, answer the protocol
+    // update and open the wallets
+    events = [];
+    invocations = new Map();
+    walletUrls = [];
+    openWallets = true;
+    port = {
+      onmessage: null,
+      postMessage: jest.fn((message) => {
+        events.push(message);
+        if (message.type === 'DC_PROTOCOLS_UPDATE_REQUEST') {
+          sendToInject('DC_PROTOCOLS_UPDATE_RESPONSE', {
+            updateId: message.detail.updateId,
+            protocols: walletProtocols
+          });
+        } else if (message.type === 'DC_OPEN_WALLET' && openWallets) {
+          openWallet(message.detail);
+        }
+      })
+    };
+
+    loadInjectScript();
+  });
+
+  afterEach(() => {
+    delete window.ProtocolPluginRegistry;
+    delete window.DigitalCredentialFactory;
+    delete window.RequestLifecycle;
+    delete window.DigitalCredential;
+    delete window.DigitalCredentialsWalletSelector;
+    delete window.DCWS;
+  });
+
+  const testWallet = { id: 'wallet-1', name: 'Test Wallet', url: 'https://wallet.example.com' };
+
+  // Invoke the test wallet for a request, as content.js does after selection
+  function invokeWallet(request, timeout, wallet = testWallet) {
+    sendToInject('DC_INVOKE_WALLET', {
+      requestId: request.requestId,
+      wallet: wallet,
+      protocol: 'openid4vp',
+      request: request.requests[0],
+      timeout
+    });
+  }
+
+  const lifecycleStates = (requestId) => events
+    .filter(e => e.type === 'DC_REQUEST_LIFECYCLE' && e.detail.requestId === requestId)
+    .map(e => e.detail.state);
+
+  async function startRequest(options) {
+    const promise = navigator.credentials.get(options);
+    // Let the request reach the content script boundary
+    await Promise.resolve();
+    const request = events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST').pop();
+    return { promise, request: request && request.detail };
+  }
+
+  describe('Credential responses', () => {
+    test('should open the wallet at the URL built by the protocol plugin', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+
+      const walletUrl = new URL(walletUrls[0]);
+      expect(walletUrl.origin).toBe('https://wallet.example.com');
+      expect(walletUrl.searchParams.get('client_id')).toBe(window.location.origin);
+      expect(walletUrl.searchParams.get('response_mode')).toBe('dc_api');
+      expect(walletUrl.searchParams.get('nonce')).toBe('n-123');
+      expect(JSON.parse(walletUrl.searchParams.get('dcql_query'))).toEqual({ credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] });
+
+      walletResponds(request, { vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.sig'] } });
+      await promise;
+    });
+
+    test('should leave building the wallet URL and opening the wallet to the extension', async () => {
+      const openSpy = jest.spyOn(window, 'open');
+      openWallets = false;
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+
+      // Page scripts could change a URL built here, or the window it opens
+      expect(openSpy).not.toHaveBeenCalled();
+      const { detail } = events.find(e => e.type === 'DC_OPEN_WALLET');
+      expect(detail).toEqual({ requestId: request.requestId, data: request.requests[0].data });
+
+      // No response is accepted before the extension has opened the wallet
+      walletResponds(request, { vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.sig'] } });
+      expect(lifecycleStates(request.requestId)).not.toContain('validating');
+
+      openWallet(detail);
+      expect(lifecycleStates(request.requestId)).toContain('awaiting-response');
+      walletResponds(request, { vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.sig'] } });
+      await expect(promise).resolves.toBeDefined();
+      openSpy.mockRestore();
+    });
+
+    test('should translate the query for a Presentation Exchange wallet and its response back', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request, undefined, { ...testWallet, queryLanguages: ['presentation_exchange'] });
+
+      const walletUrl = new URL(walletUrls[0]);
+      expect(walletUrl.searchParams.has('dcql_query')).toBe(false);
+      expect(JSON.parse(walletUrl.searchParams.get('presentation_definition')).input_descriptors)
+        .toEqual([{ id: 'pid', format: { 'vc+sd-jwt': {} } }]);
+
+      walletResponds(request, {
+        vp_token: 'eyJhbGciOiJFUzI1NiJ9.e30.sig',
+        presentation_submission: {
+          id: 'submission-1', definition_id: 'dcql_query', descriptor_map: [{ id: 'pid', format: 'vc+sd-jwt', path: '$' }]
+        }
+      });
+      await expect(promise).resolves.toMatchObject({ data: { vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.sig'] } } });
+    });
+
+    test('should resolve with a DigitalCredential instance', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+      const walletResponse = {
+        vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.sig'] }
+      };
+
+      invokeWallet(request);
+      walletResponds(request, walletResponse);
+
+      const credential = await promise;
+      expect(credential).toBeInstanceOf(window.DigitalCredential);
+      expect(credential.type).toBe('digital');
+      expect(credential.protocol).toBe('openid4vp');
+      expect(credential.data).toEqual(walletResponse);
+      expect(credential.id).toBe('');
+      expect(JSON.parse(JSON.stringify(credential))).toEqual({
+        id: '',
+        type: 'digital',
+        protocol: 'openid4vp',
+        data: walletResponse
+      });
+    });
+
+    test('should resolve with a plain credential when credential.js did not load', async () => {
+      delete window.DigitalCredentialFactory;
+      delete window.DigitalCredential;
+      window._pendingProtocolPlugins = [new OpenID4VPPlugin()];
+      loadInjectScript();
+      const { promise, request } = await startRequest(digitalOptions());
+      const walletResponse = { vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.sig'] } };
+
+      invokeWallet(request);
+      walletResponds(request, walletResponse);
+
+      const credential = await promise;
+      expect(window.DigitalCredential).toBeUndefined();
+      expect(credential).toMatchObject({ type: 'digital', protocol: 'openid4vp', data: walletResponse });
+      expect(JSON.parse(JSON.stringify(credential))).toEqual({ type: 'digital', protocol: 'openid4vp', data: walletResponse });
+    });
+
+    test('should use the native API when the protocol plugins did not load', async () => {
+      delete window.ProtocolPluginRegistry;
+      navigator.credentials.get = nativeGet;
+      loadInjectScript();
+      const options = digitalOptions();
+
+      await expect(navigator.credentials.get(options)).resolves.toEqual({ id: 'native-credential' });
+      expect(nativeGet).toHaveBeenCalledWith(options);
+      expect(events.some(e => e.type === 'DC_CREDENTIALS_REQUEST')).toBe(false);
+    });
+
+    test('should report the disclosed SD-JWT claims to the extension, not on the window event', async () => {
+      const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const disclosure = b64(['salt', 'given_name', 'Erika']);
+      const digest = require('crypto').createHash('sha256').update(disclosure).digest('base64url');
+      const issuerJwt = `${b64({ alg: 'ES256', typ: 'dc+sd-jwt' })}.${b64({ vct: 'urn:eudi:pid:1', _sd: [digest] })}.c2ln`;
+      const pageEvents = [];
+      const onLifecycle = (event) => pageEvents.push(event.detail);
+      window.addEventListener('DC_REQUEST_LIFECYCLE', onLifecycle);
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+      walletResponds(request, { vp_token: { pid: [`${issuerJwt}~${disclosure}~`] } });
+
+      await promise;
+      window.removeEventListener('DC_REQUEST_LIFECYCLE', onLifecycle);
+      const settled = events.filter(e => e.type === 'DC_REQUEST_LIFECYCLE').pop().detail;
+      expect(settled.outcome).toBe('fulfilled');
+      expect(settled.disclosedClaims).toEqual([expect.objectContaining({
+        path: 'vp_token.pid[0]',
+        claims: { vct: 'urn:eudi:pid:1', given_name: 'Erika' },
+        disclosed: ['given_name']
+      })]);
+      const pageSettled = pageEvents.pop();
+      expect(pageSettled.outcome).toBe('fulfilled');
+      expect(pageSettled).not.toHaveProperty('disclosedClaims');
+    });
+
+    test('should reject a malformed SD-JWT presentation', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+      walletResponds(request, { vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.c2ln~bm90IGpzb24~'] } });
+
+      await expect(promise).rejects.toThrow('Invalid credential response: vp_token.pid[0]: Invalid SD-JWT');
+    });
+
+    test('should reject a vp_token that does not answer the dcql_query the wallet got', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+      walletResponds(request, { vp_token: { mdl: ['token'] } });
+
+      await expect(promise).rejects.toThrow(
+        'Invalid credential response: OpenID4VP response does not match the dcql_query: vp_token.mdl answers no credential query of the request');
+    });
+
+    test('should install DigitalCredential when the browser has none', () => {
+      expect(typeof window.DigitalCredential).toBe('function');
+      expect(Object.keys(window)).not.toContain('DigitalCredential');
+    });
+  });
+
+  describe('Request lifecycle', () => {
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should move through every state to settled', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+
+      sendToInject('DC_WALLET_SELECTOR_SHOWN', { requestId: request.requestId });
+      invokeWallet(request);
+      walletResponds(request, { vp_token: { pid: ['token'] } });
+
+      await promise;
+      expect(lifecycleStates(request.requestId)).toEqual([
+        'pending', 'selecting', 'invoking', 'awaiting-response', 'validating', 'settled'
+      ]);
+      const settled = events.filter(e => e.type === 'DC_REQUEST_LIFECYCLE').pop().detail;
+      expect(settled).toMatchObject({ previousState: 'validating', outcome: 'fulfilled' });
+    });
+
+    test('should let a slow wallet answer after the request timeout', async () => {
+      jest.useFakeTimers();
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request, 120000);
+      jest.advanceTimersByTime(60000);
+      walletResponds(request, { vp_token: { pid: ['token'] } });
+
+      await expect(promise).resolves.toMatchObject({ protocol: 'openid4vp' });
+    });
+
+    test('should reject when the wallet response timeout expires', async () => {
+      jest.useFakeTimers();
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request, 120000);
+      jest.advanceTimersByTime(120000);
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError', message: 'Wallet response timeout' });
+      expect(events.filter(e => e.type === 'DC_REQUEST_LIFECYCLE').pop().detail).toMatchObject({
+        state: 'settled',
+        previousState: 'awaiting-response',
+        outcome: 'timeout'
+      });
+    });
+
+    test('should apply the configured request timeout while selecting', async () => {
+      jest.useFakeTimers();
+      const { promise, request } = await startRequest(digitalOptions());
+
+      sendToInject('DC_WALLET_SELECTOR_SHOWN', { requestId: request.requestId, requestTimeout: 90000 });
+      jest.advanceTimersByTime(60000);
+      expect(lifecycleStates(request.requestId)).not.toContain('settled');
+
+      jest.advanceTimersByTime(30000);
+      await expect(promise).rejects.toMatchObject({ message: 'Request timeout' });
+    });
+
+    test('should settle a request cancelled in the selector as cancelled', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+      sendToInject('DC_WALLET_SELECTOR_SHOWN', { requestId: request.requestId });
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: request.requestId, cancelled: true });
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError', message: 'User cancelled the request' });
+      const settled = events.filter(e => e.type === 'DC_REQUEST_LIFECYCLE').pop().detail;
+      expect(settled).toMatchObject({ state: 'settled', outcome: 'cancelled' });
+    });
+
+    test('should ignore wallet responses for a request not awaiting a wallet', async () => {
+      const { promise, request } = await startRequest(digitalOptions());
+
+      walletResponds(request, { vp_token: 'forged' });
+      expect(lifecycleStates(request.requestId)).toEqual(['pending']);
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: request.requestId, cancelled: true });
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('Permissions Policy', () => {
+    afterEach(() => {
+      delete document.featurePolicy;
+    });
+
+    function setPolicy(allowed) {
+      document.featurePolicy = {
+        features: () => ['digital-credentials-get', 'digital-credentials-create'],
+        allowsFeature: jest.fn(feature => allowed.includes(feature))
+      };
+    }
+
+    test('should reject with NotAllowedError when digital-credentials-get is not allowed', async () => {
+      setPolicy([]);
+
+      await expect(navigator.credentials.get(digitalOptions())).rejects.toMatchObject({
+        name: 'NotAllowedError',
+        message: expect.stringContaining('digital-credentials-get')
+      });
+      expect(events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST')).toHaveLength(0);
+      expect(nativeGet).not.toHaveBeenCalled();
+    });
+
+    test('should intercept when the frame is allowed to use the feature', async () => {
+      setPolicy(['digital-credentials-get']);
+
+      const { request } = await startRequest(digitalOptions());
+
+      expect(request).toBeDefined();
+      expect(document.featurePolicy.allowsFeature).toHaveBeenCalledWith('digital-credentials-get');
+    });
+
+    test('should apply the default self allowlist when the browser does not know the feature', async () => {
+      document.featurePolicy = { features: () => [], allowsFeature: () => false };
+
+      // The test document is a top-level document
+      const { request } = await startRequest(digitalOptions());
+
+      expect(request).toBeDefined();
+    });
+  });
+
+  describe('Mixed protocol requests', () => {
+    const mdocRequest = { protocol: 'org-iso-mdoc', data: { deviceRequest: 'omd2ZXJzaW9u' } };
+    const mixedOptions = () => ({
+      digital: { requests: [...digitalOptions().digital.requests, mdocRequest] },
+      mediation: 'required'
+    });
+
+    test('should offer unsupported protocols to the browser wallet entry', async () => {
+      const { request } = await startRequest(mixedOptions());
+
+      expect(request.requests.map(r => r.protocol)).toEqual(['openid4vp']);
+      expect(request.nativeProtocols).toEqual(['org-iso-mdoc']);
+    });
+
+    test('should call the native API with only the unsupported requests', async () => {
+      const options = mixedOptions();
+      const { promise, request } = await startRequest(options);
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: request.requestId, useNative: true, unsupportedOnly: true });
+
+      await expect(promise).resolves.toEqual({ id: 'native-credential' });
+      expect(nativeGet).toHaveBeenCalledWith({
+        digital: { requests: [mdocRequest] },
+        mediation: 'required'
+      });
+      // The page's options object is left untouched
+      expect(options.digital.requests).toHaveLength(2);
+    });
+
+    test('should hand the full request back when the extension falls back to native', async () => {
+      const options = mixedOptions();
+      const { promise, request } = await startRequest(options);
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: request.requestId, useNative: true });
+
+      await promise;
+      expect(nativeGet).toHaveBeenCalledWith(options);
+    });
+
+    test('should report no native protocols when every request is supported', async () => {
+      const { request } = await startRequest(digitalOptions());
+
+      expect(request.nativeProtocols).toEqual([]);
+    });
+  });
+
+  describe('Mediation', () => {
+    afterEach(() => {
+      delete navigator.userActivation;
+    });
+
+    test('should reject with NotAllowedError when silent mediation is refused', async () => {
+      const { promise, request } = await startRequest({ ...digitalOptions(), mediation: 'silent' });
+
+      expect(request.options.mediation).toBe('silent');
+      sendToInject('DC_CREDENTIALS_RESPONSE', {
+        requestId: request.requestId,
+        error: 'No remembered wallet',
+        errorName: 'NotAllowedError'
+      });
+
+      await expect(promise).rejects.toMatchObject({ name: 'NotAllowedError', message: 'No remembered wallet' });
+    });
+
+    test('should hold conditional requests until a trusted user gesture', async () => {
+      const { request } = await startRequest({ ...digitalOptions(), mediation: 'conditional' });
+
+      expect(request).toBeUndefined();
+      // Synthetic events dispatched by the page are not user gestures
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+      await Promise.resolve();
+      expect(events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST')).toHaveLength(0);
+    });
+
+    test('should continue conditional requests with transient user activation', async () => {
+      navigator.userActivation = { isActive: true };
+
+      const { request } = await startRequest({ ...digitalOptions(), mediation: 'conditional' });
+
+      expect(request).toBeDefined();
+      expect(request.options.mediation).toBe('conditional');
+    });
+
+    test('should reject a conditional request aborted while waiting for a gesture', async () => {
+      const controller = new AbortController();
+      const promise = navigator.credentials.get({ ...digitalOptions(controller.signal), mediation: 'conditional' });
+      await Promise.resolve();
+
+      const reason = new Error('form submitted');
+      controller.abort(reason);
+
+      await expect(promise).rejects.toBe(reason);
+      expect(events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST')).toHaveLength(0);
+    });
+  });
+
+  describe('AbortSignal handling', () => {
+    test('should reject immediately when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      const reason = new DOMException('Page navigated away', 'AbortError');
+      controller.abort(reason);
+
+      await expect(navigator.credentials.get(digitalOptions(controller.signal))).rejects.toBe(reason);
+      expect(events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST')).toHaveLength(0);
+    });
+
+    test('should reject with the signal reason when aborted while pending', async () => {
+      const controller = new AbortController();
+      const promise = navigator.credentials.get(digitalOptions(controller.signal));
+
+      // Let the request reach the content script boundary
+      await Promise.resolve();
+      const request = events.find(e => e.type === 'DC_CREDENTIALS_REQUEST');
+      expect(request).toBeDefined();
+      expect(request.detail.options.signal).toBeUndefined();
+
+      const reason = new Error('relying party gave up');
+      controller.abort(reason);
+
+      await expect(promise).rejects.toBe(reason);
+      expect(events).toContainEqual({
+        type: 'DC_REQUEST_ABORTED',
+        detail: { requestId: request.detail.requestId }
+      });
+    });
+
+    test('should ignore responses arriving after abort', async () => {
+      const controller = new AbortController();
+      const promise = navigator.credentials.get(digitalOptions(controller.signal));
+      await Promise.resolve();
+      const { requestId } = events.find(e => e.type === 'DC_CREDENTIALS_REQUEST').detail;
+
+      controller.abort();
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId, useNative: true });
+      expect(nativeGet).not.toHaveBeenCalled();
+    });
+
+    test('should not invoke the wallet for an aborted request', async () => {
+      const controller = new AbortController();
+      const promise = navigator.credentials.get(digitalOptions(controller.signal));
+      await Promise.resolve();
+      const { requestId, requests } = events.find(e => e.type === 'DC_CREDENTIALS_REQUEST').detail;
+
+      controller.abort();
+      await expect(promise).rejects.toBeDefined();
+
+      sendToInject('DC_INVOKE_WALLET', {
+        requestId,
+        wallet: { name: 'Test Wallet', url: 'https://wallet.example.com' },
+        protocol: 'openid4vp',
+        request: requests[0]
+      });
+      expect(walletUrls).toHaveLength(0);
+    });
+
+    test('should tell the extension when aborted while awaiting the wallet', async () => {
+      const controller = new AbortController();
+      const promise = navigator.credentials.get(digitalOptions(controller.signal));
+      await Promise.resolve();
+      const { requestId, requests } = events.find(e => e.type === 'DC_CREDENTIALS_REQUEST').detail;
+
+      sendToInject('DC_INVOKE_WALLET', {
+        requestId,
+        wallet: { name: 'Test Wallet', url: 'https://wallet.example.com' },
+        protocol: 'openid4vp',
+        request: requests[0]
+      });
+      expect(lifecycleStates(requestId)).toContain('awaiting-response');
+
+      // The content script closes the wallet window
+      controller.abort();
+      await expect(promise).rejects.toBeDefined();
+      expect(events.find(e => e.type === 'DC_REQUEST_ABORTED').detail).toEqual({ requestId });
+    });
+  });
+
+  describe('Request queue', () => {
+    const optionsWithNonce = (nonce, signal) => ({
+      digital: { requests: [{ protocol: 'openid4vp', data: { nonce, dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] } } }] },
+      signal
+    });
+    const sentRequests = () => events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST').map(e => e.detail);
+
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should send a second request once the first has left the selector', async () => {
+      navigator.credentials.get(optionsWithNonce('first'));
+      navigator.credentials.get(optionsWithNonce('second'));
+      await Promise.resolve();
+
+      expect(sentRequests()).toHaveLength(1);
+      const queued = events.filter(e => e.type === 'DC_REQUEST_LIFECYCLE' && e.detail.state === 'pending').pop();
+      expect(queued.detail.queued).toBe(true);
+
+      invokeWallet(sentRequests()[0]);
+
+      expect(sentRequests().map(r => r.requests[0].data.nonce)).toEqual(['first', 'second']);
+    });
+
+    test('should give a queued request the whole request timeout once it reaches the selector', async () => {
+      jest.useFakeTimers();
+      navigator.credentials.get(optionsWithNonce('first'));
+      const second = navigator.credentials.get(optionsWithNonce('second'));
+      await Promise.resolve();
+
+      sendToInject('DC_WALLET_SELECTOR_SHOWN', { requestId: sentRequests()[0].requestId, requestTimeout: 30000 });
+      jest.advanceTimersByTime(20000);
+      invokeWallet(sentRequests()[0]);
+
+      const secondId = sentRequests()[1].requestId;
+      sendToInject('DC_WALLET_SELECTOR_SHOWN', { requestId: secondId, requestTimeout: 30000 });
+      jest.advanceTimersByTime(29999);
+      expect(lifecycleStates(secondId)).toEqual(['pending', 'selecting']);
+
+      jest.advanceTimersByTime(1);
+      await expect(second).rejects.toMatchObject({ name: 'AbortError', message: 'Request timeout' });
+    });
+
+        test('should send the next request when the current one settles', async () => {
+      const first = navigator.credentials.get(optionsWithNonce('first'));
+      navigator.credentials.get(optionsWithNonce('second'));
+      await Promise.resolve();
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: sentRequests()[0].requestId, cancelled: true });
+
+      await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+      expect(sentRequests()).toHaveLength(2);
+    });
+
+    test('should reject a waiting request superseded by an identical one right away', async () => {
+      const first = navigator.credentials.get(optionsWithNonce('first'));
+      const second = navigator.credentials.get(optionsWithNonce('again'));
+      await Promise.resolve();
+      const third = navigator.credentials.get(optionsWithNonce('again'));
+      await Promise.resolve();
+
+      await expect(second).rejects.toMatchObject({
+        name: 'AbortError',
+        message: 'The request was superseded by a newer identical credential request.'
+      });
+      expect(events.filter(e => e.type === 'DC_REQUEST_LIFECYCLE').pop().detail).toMatchObject({
+        state: 'settled',
+        outcome: 'superseded'
+      });
+
+      // The request being selected is not interrupted; the newest one follows it
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: sentRequests()[0].requestId, useNative: true });
+      await first;
+      expect(sentRequests()).toHaveLength(2);
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: sentRequests()[1].requestId, useNative: true });
+      await expect(third).resolves.toEqual({ id: 'native-credential' });
+    });
+
+    test('should drop a waiting request aborted by the page', async () => {
+      const controller = new AbortController();
+      navigator.credentials.get(optionsWithNonce('first'));
+      const second = navigator.credentials.get(optionsWithNonce('second', controller.signal));
+      await Promise.resolve();
+
+      controller.abort();
+      await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+
+      invokeWallet(sentRequests()[0]);
+      expect(sentRequests()).toHaveLength(1);
+    });
+  });
+
+  describe('Extension channel', () => {
+    test('should ignore credential events dispatched on the window by the page', async () => {
+      const { request } = await startRequest(digitalOptions());
+
+      window.dispatchEvent(new CustomEvent('DC_INVOKE_WALLET', {
+        detail: { requestId: request.requestId, wallet: testWallet, protocol: 'openid4vp', request: request.requests[0] }
+      }));
+      window.dispatchEvent(new CustomEvent('DC_CREDENTIALS_RESPONSE', {
+        detail: { requestId: request.requestId, useNative: true }
+      }));
+
+      expect(walletUrls).toHaveLength(0);
+      expect(nativeGet).not.toHaveBeenCalled();
+      expect(lifecycleStates(request.requestId)).toEqual(['pending']);
+    });
+
+    test('should queue messages sent before the channel is connected', () => {
+      // The protocol update is requested while the script runs
+      expect(port.postMessage.mock.calls[0][0]).toMatchObject({ type: 'DC_PROTOCOLS_UPDATE_REQUEST' });
+    });
+
+    test('should keep the first channel it is handed', async () => {
+      const otherPort = { onmessage: null, postMessage: jest.fn() };
+      connect(otherPort);
+
+      const registered = window.DCWS.isWalletRegistered('https://wallet.example.com');
+      const check = events.find(e => e.type === 'DC_WALLET_CHECK_REQUEST');
+      expect(check).toBeDefined();
+      expect(otherPort.postMessage).not.toHaveBeenCalled();
+
+      sendToInject('DC_WALLET_CHECK_RESPONSE', { checkId: check.detail.checkId, isRegistered: true });
+      await expect(registered).resolves.toBe(true);
+    });
+
+    test('should send wallet registrations over the channel only', () => {
+      const dispatched = [];
+      const record = (event) => dispatched.push(event);
+      window.addEventListener('DC_WALLET_REGISTRATION_REQUEST', record);
+
+      window.DCWS.registerWallet({
+        name: 'Test Wallet',
+        url: 'https://wallet.example.com',
+        protocols: ['openid4vp']
+      }).catch(() => {});
+
+      expect(events).toContainEqual({
+        type: 'DC_WALLET_REGISTRATION_REQUEST',
+        detail: expect.objectContaining({ wallet: expect.objectContaining({ url: 'https://wallet.example.com' }) })
+      });
+      expect(dispatched).toHaveLength(0);
+      window.removeEventListener('DC_WALLET_REGISTRATION_REQUEST', record);
+    });
+  });
+
+  describe('Signed OpenID4VP requests', () => {
+    const crypto = require('crypto');
+    const { issueChain } = require('./fixtures/certificates.js');
+    const { leaf, leafKey: { privateKey, publicKey } } = issueChain();
+    const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signedRequest = (expectedOrigins) => {
+      const signingInput = `${b64({ alg: 'ES256', typ: 'oauth-authz-req+jwt', x5c: [leaf.base64] })}.${b64({
+        client_id: 'x509_san_dns:verifier.example.com',
+        nonce: 'n-signed',
+        expected_origins: expectedOrigins,
+        dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] }
+      })}`;
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+      return { protocol: 'openid4vp-v1-signed', data: { request: `${signingInput}.${signature.toString('base64url')}` } };
+    };
+    const verifier = jest.fn(async (jwt) => {
+      const parts = jwt.split('.');
+      return {
+        valid: crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`),
+          { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(parts[2], 'base64url'))
+      };
+    });
+    // Signed requests are verified (with WebCrypto) before they reach the
+    // content script
+    const settle = async () => {
+      for (let i = 0; i < 100 && !events.some(e => e.type === 'DC_CREDENTIALS_REQUEST'); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    beforeAll(() => {
+      walletProtocols = ['openid4vp-v1-signed'];
+    });
+
+    afterAll(() => {
+      walletProtocols = ['openid4vp'];
+    });
+
+    beforeEach(() => {
+      window.DCWS.registerJWTVerifier('https://wallet.example.com', verifier);
+    });
+
+    test('should verify the request with the x5c leaf key and send its claims', async () => {
+      const signed = signedRequest([window.location.origin]);
+      const promise = navigator.credentials.get({ digital: { requests: [signed] } });
+      await settle();
+
+      const request = events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST').pop().detail;
+      // The x509_san_dns client_id binds the key: a registered verifier has no say
+      expect(verifier).not.toHaveBeenCalled();
+      expect(request.requests[0].data).toMatchObject({ nonce: 'n-signed', _jarSignatureVerified: true });
+      // The background checks the request again from the data the page was called with
+      expect(request.requests[0].originalData).toEqual(signed.data);
+      expect(nativeGet).not.toHaveBeenCalled();
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: request.requestId, error: 'cancelled' });
+      await expect(promise).rejects.toThrow();
+    });
+
+    test('should not intercept a request signed for another origin', async () => {
+      const credential = await navigator.credentials.get({
+        digital: { requests: [signedRequest(['https://verifier.example.com'])] }
+      });
+
+      expect(credential).toEqual({ id: 'native-credential' });
+      expect(events.some(e => e.type === 'DC_CREDENTIALS_REQUEST')).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(
+        'Error preparing request for protocol openid4vp-v1-signed:', expect.objectContaining({
+          message: expect.stringContaining(`not meant for ${window.location.origin}`)
+        }));
+    });
+
+    test('should not intercept a forged x509 request that a registered verifier accepts', async () => {
+      const alwaysValid = jest.fn(async () => ({ valid: true }));
+      window.DCWS.registerJWTVerifier('https://wallet.example.com', alwaysValid);
+      const forged = signedRequest([window.location.origin]);
+      const [header, payload] = forged.data.request.split('.');
+      const forger = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), { key: forger.privateKey, dsaEncoding: 'ieee-p1363' });
+      forged.data.request = `${header}.${payload}.${signature.toString('base64url')}`;
+
+      const credential = await navigator.credentials.get({ digital: { requests: [forged] } });
+
+      expect(credential).toEqual({ id: 'native-credential' });
+      expect(alwaysValid).not.toHaveBeenCalled();
+      expect(events.some(e => e.type === 'DC_CREDENTIALS_REQUEST')).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(
+        'Error preparing request for protocol openid4vp-v1-signed:', expect.objectContaining({
+          message: expect.stringContaining('signature verification failed: Signature does not match')
+        }));
+    });
+
+    test('should leave the certificate chain to the background', async () => {
+      const promise = navigator.credentials.get({ digital: { requests: [signedRequest([window.location.origin])] } });
+      await settle();
+
+      // The page cannot vouch for the verifier: the background checks the
+      // chain against the trust anchors and replaces the client identifier
+      const request = events.filter(e => e.type === 'DC_CREDENTIALS_REQUEST').pop().detail;
+      expect(request.requests[0].data._clientId).toMatchObject({ prefix: 'x509_san_dns', verified: false });
+
+      sendToInject('DC_CREDENTIALS_RESPONSE', { requestId: request.requestId, error: 'cancelled' });
+      await expect(promise).rejects.toThrow();
+    });
+  });
+
+  describe('ISO mdoc requests', () => {
+    // DeviceRequest for age_over_18 of an mDL, EncryptionInfo and an encrypted response
+    const mdocRequest = {
+      deviceRequest: 'omd2ZXJzaW9uYzEuMGtkb2NSZXF1ZXN0c4GhbGl0ZW1zUmVxdWVzdNgYWEuiZ2RvY1R5cGV1b3JnLmlzby4xODAxMy41LjEubURMam5hbWVTcGFjZXOhcW9yZy5pc28uMTgwMTMuNS4xoWthZ2Vfb3Zlcl8xOPQ',
+      encryptionInfo: 'gmVkY2FwaaJlbm9uY2VQBwcHBwcHBwcHBwcHBwcHB3JyZWNpcGllbnRQdWJsaWNLZXmkAQIgASFYIAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBIlggAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgI'
+    };
+    const mdocResponse = {
+      response: 'gmVkY2FwaaJjZW5jWEEEAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDA2pjaXBoZXJUZXh0WBgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQk'
+    };
+
+    beforeAll(() => {
+      walletProtocols = ['openid4vp', 'org-iso-mdoc'];
+    });
+
+    afterAll(() => {
+      walletProtocols = ['openid4vp'];
+    });
+
+    test('should invoke the wallet with the verifier parameters and return the encrypted response', async () => {
+      const { promise, request } = await startRequest({
+        digital: { requests: [{ protocol: 'org-iso-mdoc', data: mdocRequest }] }
+      });
+
+      expect(request.requests[0].data.docRequests).toEqual([expect.objectContaining({
+        docType: 'org.iso.18013.5.1.mDL',
+        nameSpaces: { 'org.iso.18013.5.1': { age_over_18: false } }
+      })]);
+
+      sendToInject('DC_INVOKE_WALLET', {
+        requestId: request.requestId,
+        wallet: testWallet,
+        protocol: 'org-iso-mdoc',
+        request: request.requests[0]
+      });
+      const walletUrl = new URL(walletUrls[0]);
+      expect(walletUrl.searchParams.get('deviceRequest')).toBe(mdocRequest.deviceRequest);
+      expect(walletUrl.searchParams.get('encryptionInfo')).toBe(mdocRequest.encryptionInfo);
+      expect(walletUrl.searchParams.get('origin')).toBe(window.location.origin);
+
+      walletResponds(request, mdocResponse);
+
+      const credential = await promise;
+      expect(credential.protocol).toBe('org-iso-mdoc');
+      expect(credential.data).toEqual(mdocResponse);
+    });
+
+    test('should intercept requests that use a protocol alias', async () => {
+      expect(window.DigitalCredential.userAgentAllowsProtocol('org.iso.mdoc')).toBe(true);
+
+      const { promise, request } = await startRequest({
+        digital: { requests: [{ protocol: 'org.iso.mdoc', data: mdocRequest }] }
+      });
+      expect(nativeGet).not.toHaveBeenCalled();
+
+      sendToInject('DC_INVOKE_WALLET', {
+        requestId: request.requestId,
+        wallet: testWallet,
+        protocol: 'org.iso.mdoc',
+        request: request.requests[0]
+      });
+      expect(new URL(walletUrls[0]).searchParams.get('deviceRequest')).toBe(mdocRequest.deviceRequest);
+
+      walletResponds(request, mdocResponse);
+
+      // The credential names the protocol as the page requested it
+      const credential = await promise;
+      expect(credential.protocol).toBe('org.iso.mdoc');
+    });
+
+    test('should pass malformed mdoc requests to the browser', async () => {
+      await navigator.credentials.get({
+        digital: { requests: [{ protocol: 'org-iso-mdoc', data: { deviceRequest: 'AAAA', encryptionInfo: 'AAAA' } }] }
+      });
+
+      expect(nativeGet).toHaveBeenCalled();
+      expect(events.some(e => e.type === 'DC_CREDENTIALS_REQUEST')).toBe(false);
+    });
+  });
+
+  describe('Wallet matching', () => {
+    const matchesFor = (requestId) => events.find(e => e.type === 'DC_WALLET_MATCHES' && e.detail.requestId === requestId);
+
+    test('should match the wallets against the pending request with the protocol plugins', async () => {
+      const { request } = await startRequest(digitalOptions());
+
+      sendToInject('DC_MATCH_WALLETS', {
+        requestId: request.requestId,
+        requests: request.requests,
+        wallets: [
+          { id: 'sd-jwt-wallet', protocols: ['openid4vp'], formats: ['dc+sd-jwt'] },
+          { id: 'mdoc-wallet', protocols: ['openid4vp'], formats: ['mso_mdoc'] }
+        ]
+      });
+
+      expect(matchesFor(request.requestId).detail.matches).toEqual([
+        expect.objectContaining({ walletId: 'sd-jwt-wallet', requestIndex: 0, reasons: [] }),
+        expect.objectContaining({
+          walletId: 'mdoc-wallet',
+          requestIndex: -1,
+          reasons: ['openid4vp: supports none of the requested formats (dc+sd-jwt)']
+        })
+      ]);
+    });
+
+    test('should answer without matches for requests no longer pending', () => {
+      sendToInject('DC_MATCH_WALLETS', { requestId: 'dc-req-gone', wallets: [testWallet] });
+
+      expect(matchesFor('dc-req-gone').detail.matches).toBeNull();
+    });
+
+    test('should register the formats and credential types a wallet holds', () => {
+      window.DCWS.registerWallet({
+        name: 'Test Wallet',
+        url: 'https://wallet.example.com',
+        protocols: ['openid4vp'],
+        formats: ['dc+sd-jwt'],
+        credentialTypes: ['urn:eu.europa.ec.eudi:pid:1']
+      }).catch(() => {});
+
+      const registration = events.find(e => e.type === 'DC_WALLET_REGISTRATION_REQUEST');
+      expect(registration.detail.wallet).toEqual(expect.objectContaining({
+        formats: ['dc+sd-jwt'],
+        credentialTypes: ['urn:eu.europa.ec.eudi:pid:1']
+      }));
+    });
+
+    test('should register versioned protocols and protocol aliases', () => {
+      window.DCWS.registerWallet({
+        name: 'Test Wallet',
+        url: 'https://wallet.example.com',
+        protocols: ['openid4vp@1.0', 'org.iso.mdoc', 'w3c-vc']
+      }).catch(() => {});
+
+      const registration = events.find(e => e.type === 'DC_WALLET_REGISTRATION_REQUEST');
+      expect(registration.detail.wallet.protocols).toEqual(['openid4vp@1.0', 'org.iso.mdoc', 'w3c-vc']);
+    });
+
+    test('should reject malformed protocol identifiers', async () => {
+      const walletInfo = { name: 'Test Wallet', url: 'https://wallet.example.com' };
+
+      await expect(window.DCWS.registerWallet({ ...walletInfo, protocols: ['Invalid Protocol!'] }))
+        .rejects.toThrow('Invalid protocol identifier: Invalid Protocol! (not a protocol identifier)');
+      await expect(window.DCWS.registerWallet({ ...walletInfo, protocols: ['openid4vp@next'] }))
+        .rejects.toThrow('Invalid protocol identifier: openid4vp@next (invalid version range)');
+    });
+
+    test('should reject capabilities that are not lists of strings', async () => {
+      await expect(window.DCWS.registerWallet({
+        name: 'Test Wallet',
+        url: 'https://wallet.example.com',
+        protocols: ['openid4vp'],
+        formats: 'dc+sd-jwt'
+      })).rejects.toThrow('Wallet formats must be an array of strings');
+    });
+
+    test('should only register the query languages the extension translates between', async () => {
+      const walletInfo = { name: 'Test Wallet', url: 'https://wallet.example.com', protocols: ['openid4vp'] };
+
+      window.DCWS.registerWallet({ ...walletInfo, queryLanguages: ['presentation_exchange'] }).catch(() => {});
+      expect(events.find(e => e.type === 'DC_WALLET_REGISTRATION_REQUEST').detail.wallet.queryLanguages)
+        .toEqual(['presentation_exchange']);
+      await expect(window.DCWS.registerWallet({ ...walletInfo, queryLanguages: ['sparql'] }))
+        .rejects.toThrow('Wallet queryLanguages must be a non-empty array of: dcql, presentation_exchange');
+    });
+  });
+
+  describe('Middleware hooks', () => {
+    // Each test sets the hooks the queued middleware delegates to
+    const hooks = {};
+
+    beforeAll(() => {
+      pendingMiddleware = [{
+        protocol: 'openid4vp',
+        hooks: {
+          beforePrepare: (data, context) => hooks.beforePrepare(data, context),
+          beforeInvoke: (data, context) => hooks.beforeInvoke(data, context),
+          afterResponse: (data, context) => hooks.afterResponse(data, context)
+        }
+      }];
+    });
+
+    afterAll(() => {
+      pendingMiddleware = [];
+    });
+
+    beforeEach(() => {
+      hooks.beforePrepare = hooks.beforeInvoke = hooks.afterResponse = () => {};
+    });
+
+    test('should refuse a request vetoed before it is prepared', async () => {
+      hooks.beforePrepare = (data, context) => context.veto('Verifier not on the allow list');
+
+      await expect(navigator.credentials.get(digitalOptions())).rejects.toMatchObject({
+        name: 'NotAllowedError',
+        message: 'Verifier not on the allow list'
+      });
+      expect(nativeGet).not.toHaveBeenCalled();
+      expect(events.some(e => e.type === 'DC_CREDENTIALS_REQUEST')).toBe(false);
+    });
+
+    test('should invoke the wallet with the request the beforeInvoke hooks return', async () => {
+      hooks.beforeInvoke = (data, context) => ({ ...data, state: `for-${context.wallet.id}` });
+      const { request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+
+      const walletUrl = new URL(walletUrls[0]);
+      expect(walletUrl.searchParams.get('state')).toBe('for-wallet-1');
+      expect(walletUrl.searchParams.get('nonce')).toBe('n-123');
+    });
+
+    test('should not open the wallet when an async beforeInvoke hook vetoes it', async () => {
+      hooks.beforeInvoke = async (data, context) => context.veto('Wallet blocked by policy');
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+
+      await expect(promise).rejects.toMatchObject({ name: 'NotAllowedError', message: 'Wallet blocked by policy' });
+      expect(walletUrls).toHaveLength(0);
+    });
+
+    test('should resolve with the response the afterResponse hooks return', async () => {
+      hooks.afterResponse = async (response) => ({ ...response, redacted: true });
+      const { promise, request } = await startRequest(digitalOptions());
+
+      invokeWallet(request);
+      walletResponds(request, { vp_token: { pid: ['token'] } });
+
+      const credential = await promise;
+      expect(credential.data).toEqual({ vp_token: { pid: ['token'] }, redacted: true });
+      expect(lifecycleStates(request.requestId).pop()).toBe('settled');
+    });
+  });
+});
@@ -280,8 +280,7 @@ describe('OpenID4VPPlugin - JWT Verification Integration', () => {
       ).rejects.toThrow('JWT signature verification failed: Invalid signature');
     });
 
-    it('should skip verification if no verifier provided', async () => {
-      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+    it('should verify with the built-in verifier if no verifier provided', async () => {
       const mockJWT = 'eyJ0eXAiOiJvYXV0aC1hdXRoei1yZXErand0IiwiYWxnIjoiRVMyNTYifQ.eyJjbGllbnRfaWQiOiJ0ZXN0In0.sig';
       
       global.fetch.mockResolvedValue({
@@ -289,14 +288,25 @@ describe('OpenID4VPPlugin - JWT Verification Integration', () => {
         text: async () => mockJWT
       });
 
+      // No x5c or jwk header names a key
+      await expect(
+        plugin.handleRequestUri('https://verifier.example.com/request')
+      ).rejects.toThrow('JWT signature verification failed: No key found');
+    });
+
+    it('should not count a request object checked with its own header key as verified', async () => {
+      const crypto = require('crypto');
+      const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const signingInput = `${b64({ typ: 'oauth-authz-req+jwt', alg: 'ES256', jwk: publicKey.export({ format: 'jwk' }) })}.` +
+        b64({ client_id: 'verifier-123', nonce: '123' });
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+      global.fetch.mockResolvedValue({ ok: true, text: async () => `${signingInput}.${signature.toString('base64url')}` });
+
       const result = await plugin.handleRequestUri('https://verifier.example.com/request');
 
+      expect(result.client_id).toBe('verifier-123');
       expect(result._jarSignatureVerified).toBe(false);
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('JWT signature verification skipped')
-      );
-
-      consoleSpy.mockRestore();
     });
 
     it('should extract certificate from x5c header', async () => {
@@ -317,6 +327,28 @@ describe('OpenID4VPPlugin - JWT Verification Integration', () => {
       });
     });
 
+    it('should verify x509 client_id requests with the x5c leaf key, not the verifier', async () => {
+      const crypto = require('crypto');
+      const { issueChain } = require('./fixtures/certificates.js');
+      const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const forger = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const signingInput = `${b64({ typ: 'oauth-authz-req+jwt', alg: 'ES256', x5c: [issueChain().leaf.base64] })}.` +
+        b64({ client_id: 'x509_san_dns:verifier.example.com', nonce: '123' });
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: forger.privateKey, dsaEncoding: 'ieee-p1363' });
+
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => `${signingInput}.${signature.toString('base64url')}`
+      });
+
+      const verifier = jest.fn(async () => ({ valid: true }));
+
+      await expect(
+        plugin.handleRequestUri('https://verifier.example.com/request', { jwtVerifier: verifier })
+      ).rejects.toThrow('JWT signature verification failed: Signature does not match');
+      expect(verifier).not.toHaveBeenCalled();
+    });
+
     it('should handle verifier throwing error', async () => {
       const mockJWT = 'eyJ0eXAiOiJvYXV0aC1hdXRoei1yZXErand0IiwiYWxnIjoiRVMyNTYifQ.eyJub25jZSI6IjEyMyJ9.sig';
       
@@ -0,0 +1,147 @@
+/**
+ * Tests for the WebCrypto JWT verifier
+ */
+
+const crypto = require('crypto');
+const Jwt = require('../src/jwt.js');
+const { issueCertificate } = require('./fixtures/certificates.js');
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Node signing parameters per JWS alg
+const SIGNERS = {
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' }, hash: 'sha256', key: { dsaEncoding: 'ieee-p1363' } },
+  ES384: { type: 'ec', options: { namedCurve: 'P-384' }, hash: 'sha384', key: { dsaEncoding: 'ieee-p1363' } },
+  RS256: { type: 'rsa', options: { modulusLength: 2048 }, hash: 'sha256', key: {} },
+  PS256: {
+    type: 'rsa',
+    options: { modulusLength: 2048 },
+    hash: 'sha256',
+    key: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }
+  },
+  EdDSA: { type: 'ed25519', options: {}, hash: null, key: {} }
+};
+
+const keyPairs = {};
+const keyPair = (alg) => {
+  if (!keyPairs[alg]) {
+    keyPairs[alg] = crypto.generateKeyPairSync(SIGNERS[alg].type, SIGNERS[alg].options);
+  }
+  return keyPairs[alg];
+};
+const publicJwk = (alg) => keyPair(alg).publicKey.export({ format: 'jwk' });
+
+const sign = (header, payload) => {
+  const signer = SIGNERS[header.alg];
+  const signingInput = `${b64(header)}.${b64(payload)}`;
+  const signature = crypto.sign(signer.hash, Buffer.from(signingInput), { key: keyPair(header.alg).privateKey, ...signer.key });
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+const certificate = (alg) => issueCertificate({
+  subject: 'Verifier', publicKey: keyPair(alg).publicKey, privateKey: keyPair(alg).privateKey
+}).base64;
+
+const now = 1800000000;
+const claims = { iss: 'https://verifier.example.com', iat: now - 10, exp: now + 300 };
+
+describe('Jwt', () => {
+  describe('Signature verification', () => {
+    it.each(['ES256', 'ES384', 'RS256', 'PS256', 'EdDSA'])('should verify %s with the header jwk', async (alg) => {
+      const jwt = sign({ alg, jwk: publicJwk(alg) }, claims);
+
+      const result = await Jwt.verify(jwt, { now });
+
+      expect(result).toEqual({ valid: true, header: expect.objectContaining({ alg }), payload: claims });
+    });
+
+    it('should verify with the key of an x5c certificate', async () => {
+      const jwt = sign({ alg: 'ES256', typ: 'oauth-authz-req+jwt', x5c: [certificate('ES256')] }, claims);
+
+      expect(await Jwt.verify(jwt, { now })).toMatchObject({ valid: true });
+    });
+
+    it('should verify with the certificate of the options, ignoring the header keys', async () => {
+      const jwt = sign({ alg: 'ES256', jwk: publicJwk('ES256') }, claims);
+      const other = issueCertificate({
+        subject: 'Other', publicKey: keyPair('ES384').publicKey, privateKey: keyPair('ES384').privateKey
+      }).base64;
+
+      expect(await Jwt.verify(jwt, { certificate: certificate('ES256'), now })).toMatchObject({ valid: true });
+      expect((await Jwt.verify(jwt, { certificate: other, now })).valid).toBe(false);
+    });
+
+    it('should pick the JWKS key by kid', async () => {
+      const jwks = { keys: [
+        { ...publicJwk('ES384'), kid: 'other' },
+        { ...publicJwk('ES256'), kid: 'signing', use: 'sig', alg: 'ES256' }
+      ] };
+
+      expect(await Jwt.verify(sign({ alg: 'ES256', kid: 'signing' }, claims), { jwks, now })).toMatchObject({ valid: true });
+      expect(await Jwt.verify(sign({ alg: 'ES256', kid: 'missing' }, claims), { jwks, now }))
+        .toEqual({ valid: false, error: 'No key found for kid "missing"' });
+    });
+
+    it('should use the only JWKS key of the type when there is no kid', async () => {
+      const jwks = { keys: [publicJwk('RS256'), { ...publicJwk('ES256'), use: 'enc' }] };
+
+      expect(await Jwt.verify(sign({ alg: 'RS256' }, claims), { jwks, now })).toMatchObject({ valid: true });
+      expect((await Jwt.verify(sign({ alg: 'ES256' }, claims), { jwks, now })).error).toContain('No key found');
+    });
+
+    it('should reject a modified payload', async () => {
+      const [header, , signature] = sign({ alg: 'ES256', jwk: publicJwk('ES256') }, claims).split('.');
+      const tampered = `${header}.${b64({ ...claims, iss: 'https://attacker.example' })}.${signature}`;
+
+      expect(await Jwt.verify(tampered, { now })).toEqual({ valid: false, error: 'Signature does not match' });
+    });
+
+    it('should reject a key of another type than the alg', async () => {
+      const jwt = sign({ alg: 'ES256', jwk: publicJwk('ES256') }, claims);
+      const header = b64({ alg: 'ES256', jwk: publicJwk('RS256') });
+
+      expect((await Jwt.verify(`${header}.${jwt.split('.').slice(1).join('.')}`, { now })).error)
+        .toBe('Key type RSA does not match alg ES256');
+    });
+
+    it.each([
+      ['none', `${b64({ alg: 'none' })}.${b64(claims)}.c2ln`],
+      ['HS256', `${b64({ alg: 'HS256' })}.${b64(claims)}.c2ln`]
+    ])('should reject alg %s', async (alg, jwt) => {
+      expect(await Jwt.verify(jwt, { now })).toEqual({ valid: false, error: `Unsupported JWT alg "${alg}"` });
+    });
+
+    it('should only accept the algorithms asked for', async () => {
+      const jwt = sign({ alg: 'RS256', jwk: publicJwk('RS256') }, claims);
+
+      expect(await Jwt.verify(jwt, { now, algorithms: ['ES256'] }))
+        .toEqual({ valid: false, error: 'Unsupported JWT alg "RS256"' });
+    });
+
+    it('should reject malformed JWTs', async () => {
+      expect((await Jwt.verify('a.b', { now })).error).toBe('JWT must be a compact JWS');
+      expect((await Jwt.verify(`${b64([1])}.${b64(claims)}.c2ln`, { now })).error).toBe('JWT header must be a JSON object');
+      expect((await Jwt.verify(`${b64({ alg: 'ES256', x5c: ['AAAA'] })}.${b64(claims)}.c2ln`, { now })).error)
+        .toContain('Invalid x5c certificate');
+    });
+  });
+
+  describe('Time claims', () => {
+    const verifyAt = (payload, options) => Jwt.verify(sign({ alg: 'ES256', jwk: publicJwk('ES256') }, payload), { now, ...options });
+
+    it('should reject an expired JWT', async () => {
+      expect(await verifyAt({ exp: now - 61 })).toEqual({ valid: false, error: 'JWT has expired' });
+      expect(await verifyAt({ exp: now - 30 })).toMatchObject({ valid: true });
+      expect(await verifyAt({ exp: now - 30 }, { clockTolerance: 0 })).toMatchObject({ valid: false });
+    });
+
+    it('should reject a JWT that is not yet valid or issued in the future', async () => {
+      expect(await verifyAt({ nbf: now + 120 })).toEqual({ valid: false, error: 'JWT is not yet valid' });
+      expect(await verifyAt({ iat: now + 120 })).toEqual({ valid: false, error: 'JWT was issued in the future' });
+    });
+
+    it('should reject time claims that are not numbers', async () => {
+      expect(await verifyAt({ exp: '1800000300' })).toEqual({ valid: false, error: 'JWT exp must be a number' });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for the request lifecycle manager
+ */
+
+const RequestLifecycle = require('../src/lifecycle.js');
+
+describe('RequestLifecycle', () => {
+  let lifecycle;
+  let onTimeout;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onTimeout = jest.fn();
+    events = [];
+    lifecycle = new RequestLifecycle({
+      requestTimeout: 1000,
+      walletTimeout: 5000,
+      onTimeout,
+      onEvent: (event) => events.push(event)
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('States', () => {
+    test('should start requests in the pending state', () => {
+      lifecycle.start('req-1', { operation: 'get' });
+
+      expect(lifecycle.getState('req-1')).toBe('pending');
+      expect(events[0]).toMatchObject({ requestId: 'req-1', previousState: null, state: 'pending', operation: 'get' });
+    });
+
+    test('should follow the full lifecycle', () => {
+      lifecycle.start('req-1');
+      ['selecting', 'invoking', 'awaiting-response', 'validating'].forEach(state => {
+        expect(lifecycle.transition('req-1', state)).toBe(true);
+      });
+      lifecycle.settle('req-1', 'fulfilled');
+
+      expect(events.map(e => e.state)).toEqual([
+        'pending', 'selecting', 'invoking', 'awaiting-response', 'validating', 'settled'
+      ]);
+      expect(events[5]).toMatchObject({ previousState: 'validating', outcome: 'fulfilled' });
+      expect(lifecycle.getState('req-1')).toBe('settled');
+    });
+
+    test('should allow silent requests to skip the selector', () => {
+      lifecycle.start('req-1');
+
+      expect(lifecycle.transition('req-1', 'invoking')).toBe(true);
+    });
+
+    test('should refuse transitions that skip states', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      lifecycle.start('req-1');
+
+      expect(lifecycle.transition('req-1', 'validating')).toBe(false);
+      expect(lifecycle.getState('req-1')).toBe('pending');
+      warn.mockRestore();
+    });
+
+    test('should ignore unknown requests', () => {
+      expect(lifecycle.transition('unknown', 'selecting')).toBe(false);
+      expect(lifecycle.settle('unknown', 'aborted')).toBe(false);
+      expect(events).toHaveLength(0);
+    });
+
+    test('should not track the same request twice', () => {
+      lifecycle.start('req-1');
+
+      expect(() => lifecycle.start('req-1')).toThrow('already tracked');
+    });
+  });
+
+  describe('Timeouts', () => {
+    test('should time out requests that never reach a wallet', () => {
+      lifecycle.start('req-1');
+      lifecycle.transition('req-1', 'selecting');
+
+      jest.advanceTimersByTime(999);
+      expect(onTimeout).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(onTimeout).toHaveBeenCalledWith('req-1', 'selecting');
+    });
+
+    test('should count the request timeout from when the request reaches the selector', () => {
+      lifecycle.start('req-1');
+      jest.advanceTimersByTime(600);
+      lifecycle.transition('req-1', 'selecting');
+
+      jest.advanceTimersByTime(999);
+      expect(onTimeout).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(onTimeout).toHaveBeenCalledWith('req-1', 'selecting');
+    });
+
+    test('should not time out requests waiting for the selector', () => {
+      lifecycle.start('req-1', { queued: true });
+
+      jest.advanceTimersByTime(10000);
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should use a request timeout passed on transition', () => {
+      lifecycle.start('req-1');
+      lifecycle.transition('req-1', 'selecting', { requestTimeout: 3000 });
+
+      jest.advanceTimersByTime(2999);
+      expect(onTimeout).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('should switch to the wallet timeout once the wallet is invoked', () => {
+      lifecycle.start('req-1');
+      lifecycle.transition('req-1', 'invoking');
+      lifecycle.transition('req-1', 'awaiting-response');
+
+      jest.advanceTimersByTime(4999);
+      expect(onTimeout).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(onTimeout).toHaveBeenCalledWith('req-1', 'awaiting-response');
+    });
+
+    test('should use a per-wallet timeout', () => {
+      lifecycle.start('req-1');
+      lifecycle.transition('req-1', 'invoking');
+      lifecycle.transition('req-1', 'awaiting-response', { walletTimeout: 20000 });
+
+      jest.advanceTimersByTime(19999);
+      expect(onTimeout).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('should clear timers when a request settles', () => {
+      lifecycle.start('req-1');
+      lifecycle.settle('req-1', 'cancelled');
+
+      jest.advanceTimersByTime(10000);
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should default to 30 second request and 5 minute wallet timeouts', () => {
+      const defaults = new RequestLifecycle();
+
+      expect(defaults.requestTimeout).toBe(30000);
+      expect(defaults.walletTimeout).toBe(300000);
+    });
+  });
+
+  describe('Events', () => {
+    test('should keep working when an event listener throws', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = new RequestLifecycle({ onEvent: () => { throw new Error('listener failed'); } });
+
+      expect(() => failing.start('req-1')).not.toThrow();
+      expect(failing.getState('req-1')).toBe('pending');
+      error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Tests for ISO mdoc Protocol Plugin (org-iso-mdoc, ISO 18013-7 Annex C)
+ */
+
+const MdocPlugin = require('../src/protocols/MdocPlugin.js');
+const { ProtocolPluginRegistry } = require('../src/protocols.js');
+
+// Minimal CBOR encoder for building test requests and responses
+function cbor(value) {
+  const bytes = [];
+  const head = (major, length) => {
+    if (length < 24) {
+      bytes.push((major << 5) | length);
+    } else if (length < 0x100) {
+      bytes.push((major << 5) | 24, length);
+    } else {
+      bytes.push((major << 5) | 25, length >> 8, length & 0xff);
+    }
+  };
+  const write = (item) => {
+    if (item instanceof Uint8Array) {
+      head(2, item.length);
+      bytes.push(...item);
+    } else if (typeof item === 'string') {
+      const encoded = new TextEncoder().encode(item);
+      head(3, encoded.length);
+      bytes.push(...encoded);
+    } else if (Number.isInteger(item)) {
+      item >= 0 ? head(0, item) : head(1, -1 - item);
+    } else if (Array.isArray(item)) {
+      head(4, item.length);
+      item.forEach(write);
+    } else if (item instanceof Map) {
+      head(5, item.size);
+      item.forEach((entry, key) => {
+        write(key);
+        write(entry);
+      });
+    } else if (item && item.tag !== undefined) {
+      head(6, item.tag);
+      write(item.value);
+    } else if (typeof item === 'boolean') {
+      bytes.push(item ? 0xf5 : 0xf4);
+    } else if (item === null) {
+      bytes.push(0xf6);
+    }
+  };
+  write(value);
+  return new Uint8Array(bytes);
+}
+
+const base64url = (bytes) => Buffer.from(bytes).toString('base64url');
+const filled = (length, value) => new Uint8Array(length).fill(value);
+
+const itemsRequest = (docType = 'org.iso.18013.5.1.mDL') => new Map([
+  ['docType', docType],
+  ['nameSpaces', new Map([
+    ['org.iso.18013.5.1', new Map([['family_name', false], ['portrait', true]])]
+  ])]
+]);
+
+const deviceRequest = (docRequests, version = '1.0') => base64url(cbor(new Map([
+  ['version', version],
+  ['docRequests', docRequests]
+])));
+
+const docRequest = (items = itemsRequest(), extra = []) => new Map([
+  ['itemsRequest', { tag: 24, value: cbor(items) }],
+  ...extra
+]);
+
+const recipientPublicKey = (overrides = []) => new Map([
+  [1, 2],
+  [-1, 1],
+  [-2, filled(32, 1)],
+  [-3, filled(32, 2)],
+  ...overrides
+]);
+
+const encryptionInfo = (key = recipientPublicKey(), nonce = filled(16, 7)) => base64url(cbor([
+  'dcapi',
+  new Map([['nonce', nonce], ['recipientPublicKey', key]])
+]));
+
+const validRequest = () => ({
+  deviceRequest: deviceRequest([docRequest()]),
+  encryptionInfo: encryptionInfo()
+});
+
+const encapsulatedKey = () => {
+  const enc = filled(65, 3);
+  enc[0] = 0x04;
+  return enc;
+};
+
+const encryptedResponse = (enc = encapsulatedKey(), cipherText = filled(48, 9)) => ({
+  response: base64url(cbor(['dcapi', new Map([['enc', enc], ['cipherText', cipherText]])]))
+});
+
+describe('MdocPlugin', () => {
+  let plugin;
+
+  beforeEach(() => {
+    plugin = new MdocPlugin();
+  });
+
+  describe('Protocol Identification', () => {
+    it('should have correct protocol ID', () => {
+      expect(plugin.getProtocolId()).toBe('org-iso-mdoc');
+    });
+
+    it('should only support the get operation', () => {
+      const registry = new ProtocolPluginRegistry();
+      registry.register(plugin);
+
+      expect(registry.supportsOperation('org-iso-mdoc', 'get')).toBe(true);
+      expect(registry.supportsOperation('org-iso-mdoc', 'create')).toBe(false);
+    });
+
+    it('should accept the org.iso.mdoc spelling as an alias', () => {
+      const registry = new ProtocolPluginRegistry();
+      registry.register(plugin);
+
+      expect(registry.normalizeProtocol('org.iso.mdoc')).toBe('org-iso-mdoc');
+      expect(registry.getPlugin('org.iso.mdoc')).toBe(plugin);
+    });
+  });
+
+  describe('Request Preparation', () => {
+    it('should decode the document requests', () => {
+      const request = validRequest();
+      const prepared = plugin.prepareRequest(request);
+
+      expect(prepared).toMatchObject({
+        deviceRequest: request.deviceRequest,
+        encryptionInfo: request.encryptionInfo,
+        version: '1.0',
+        protocol: 'org-iso-mdoc',
+        docRequests: [{
+          docType: 'org.iso.18013.5.1.mDL',
+          nameSpaces: { 'org.iso.18013.5.1': { family_name: false, portrait: true } },
+          readerAuthenticated: false
+        }]
+      });
+      expect(prepared.timestamp).toBeDefined();
+    });
+
+    it('should accept reader authentication and several documents', () => {
+      const readerAuth = { tag: 18, value: [cbor(new Map([[1, -7]])), new Map(), null, filled(64, 5)] };
+      const request = {
+        deviceRequest: deviceRequest([
+          docRequest(itemsRequest(), [['readerAuth', readerAuth]]),
+          docRequest(itemsRequest('eu.europa.ec.eudi.pid.1'))
+        ], '1.1'),
+        encryptionInfo: encryptionInfo()
+      };
+
+      const prepared = plugin.prepareRequest(request);
+
+      expect(prepared.version).toBe('1.1');
+      expect(prepared.docRequests.map(d => [d.docType, d.readerAuthenticated])).toEqual([
+        ['org.iso.18013.5.1.mDL', true],
+        ['eu.europa.ec.eudi.pid.1', false]
+      ]);
+    });
+
+    it('should reject missing or malformed parameters', () => {
+      expect(() => plugin.prepareRequest(null)).toThrow('org-iso-mdoc request data must be an object');
+      expect(() => plugin.prepareRequest({ encryptionInfo: encryptionInfo() }))
+        .toThrow('deviceRequest must be a non-empty base64url string');
+      expect(() => plugin.prepareRequest({ deviceRequest: 'not base64!', encryptionInfo: encryptionInfo() }))
+        .toThrow('deviceRequest is not valid base64url');
+    });
+
+    it('should reject truncated CBOR', () => {
+      const truncated = base64url(cbor(new Map([['version', '1.0']])).slice(0, 5));
+
+      expect(() => plugin.prepareRequest({ deviceRequest: truncated, encryptionInfo: encryptionInfo() }))
+        .toThrow('Failed to decode deviceRequest: Invalid CBOR: unexpected end of data');
+    });
+
+    it('should reject trailing data after the CBOR item', () => {
+      const bytes = cbor(new Map([['version', '1.0']]));
+      const trailing = base64url(new Uint8Array([...bytes, 0x00]));
+
+      expect(() => plugin.prepareRequest({ deviceRequest: trailing, encryptionInfo: encryptionInfo() }))
+        .toThrow('unexpected data after the item');
+    });
+
+    it('should reject unsupported DeviceRequest versions', () => {
+      const request = { ...validRequest(), deviceRequest: deviceRequest([docRequest()], '2.0') };
+
+      expect(() => plugin.prepareRequest(request)).toThrow('Unsupported DeviceRequest version: 2.0');
+    });
+
+    it('should require document requests', () => {
+      const request = { ...validRequest(), deviceRequest: deviceRequest([]) };
+
+      expect(() => plugin.prepareRequest(request)).toThrow('DeviceRequest must include a non-empty docRequests array');
+    });
+
+    it('should require the items request to be embedded CBOR', () => {
+      const request = {
+        ...validRequest(),
+        deviceRequest: deviceRequest([new Map([['itemsRequest', itemsRequest()]])])
+      };
+
+      expect(() => plugin.prepareRequest(request)).toThrow('docRequests[0].itemsRequest must be an embedded CBOR item (tag 24)');
+    });
+
+    it('should validate the requested data elements', () => {
+      const withoutDocType = new Map([['nameSpaces', itemsRequest().get('nameSpaces')]]);
+      const withIntentString = new Map([
+        ['docType', 'org.iso.18013.5.1.mDL'],
+        ['nameSpaces', new Map([['org.iso.18013.5.1', new Map([['family_name', 'yes']])]])]
+      ]);
+      const withoutElements = new Map([
+        ['docType', 'org.iso.18013.5.1.mDL'],
+        ['nameSpaces', new Map([['org.iso.18013.5.1', new Map()]])]
+      ]);
+
+      const prepare = (items) => plugin.prepareRequest({ ...validRequest(), deviceRequest: deviceRequest([docRequest(items)]) });
+
+      expect(() => prepare(withoutDocType)).toThrow('must include a docType string');
+      expect(() => prepare(withIntentString)).toThrow('must map data element strings to IntentToRetain booleans');
+      expect(() => prepare(withoutElements)).toThrow('must map namespace strings to non-empty data element maps');
+    });
+
+    it('should validate the reader authentication structure', () => {
+      const request = {
+        ...validRequest(),
+        deviceRequest: deviceRequest([docRequest(itemsRequest(), [['readerAuth', [filled(2, 0), new Map()]]])])
+      };
+
+      expect(() => plugin.prepareRequest(request)).toThrow('docRequests[0].readerAuth must be a COSE_Sign1 structure');
+    });
+
+    it('should keep namespace names as data', () => {
+      const items = new Map([
+        ['docType', 'org.iso.18013.5.1.mDL'],
+        ['nameSpaces', new Map([['__proto__', new Map([['polluted', true]])]])]
+      ]);
+
+      const prepared = plugin.prepareRequest({ ...validRequest(), deviceRequest: deviceRequest([docRequest(items)]) });
+
+      expect(Object.prototype.hasOwnProperty.call(prepared.docRequests[0].nameSpaces, '__proto__')).toBe(true);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('Encryption Info Validation', () => {
+    const prepareWith = (info) => plugin.prepareRequest({ ...validRequest(), encryptionInfo: info });
+
+    it('should require the dcapi label', () => {
+      const info = base64url(cbor(['other', new Map([['nonce', filled(16, 7)], ['recipientPublicKey', recipientPublicKey()]])]));
+
+      expect(() => prepareWith(info)).toThrow('encryptionInfo must be ["dcapi", EncryptionParameters]');
+    });
+
+    it('should require a nonce of at least 16 bytes', () => {
+      expect(() => prepareWith(encryptionInfo(recipientPublicKey(), filled(8, 7))))
+        .toThrow('encryptionInfo nonce must be a byte string of at least 16 bytes');
+    });
+
+    it('should require a P-256 recipient key', () => {
+      expect(() => prepareWith(encryptionInfo(recipientPublicKey([[-1, 2]]))))
+        .toThrow('recipientPublicKey must be an EC2 key on P-256');
+      expect(() => prepareWith(encryptionInfo(recipientPublicKey([[-2, filled(31, 1)]]))))
+        .toThrow('recipientPublicKey x must be a 32-byte coordinate');
+    });
+  });
+
+  describe('Response Validation', () => {
+    it('should accept a well-formed HPKE envelope', () => {
+      const response = encryptedResponse();
+
+      expect(plugin.validateResponse(response)).toBe(response);
+    });
+
+    it('should reject responses without an encrypted response', () => {
+      expect(() => plugin.validateResponse(null)).toThrow('Invalid org-iso-mdoc response');
+      expect(() => plugin.validateResponse({ response: '' })).toThrow('response must be a non-empty base64url string');
+    });
+
+    it('should reject a DeviceResponse sent in the clear', () => {
+      const response = { response: base64url(cbor(new Map([['version', '1.0'], ['status', 0]]))) };
+
+      expect(() => plugin.validateResponse(response)).toThrow('response must be ["dcapi", EncryptedResponseData]');
+    });
+
+    it('should require an uncompressed P-256 encapsulated key', () => {
+      const compressed = filled(33, 3);
+      compressed[0] = 0x02;
+
+      expect(() => plugin.validateResponse(encryptedResponse(compressed)))
+        .toThrow('response enc must be an uncompressed P-256 encapsulated key');
+    });
+
+    it('should require a ciphertext longer than the AEAD tag', () => {
+      expect(() => plugin.validateResponse(encryptedResponse(encapsulatedKey(), filled(16, 9))))
+        .toThrow('response cipherText must be a byte string longer than the AEAD tag');
+    });
+  });
+
+  describe('Format for Wallet', () => {
+    it('should pass the verifier parameters unchanged', () => {
+      const prepared = plugin.prepareRequest(validRequest());
+
+      const formatted = plugin.formatForWallet(prepared, 'https://wallet.example.com/mdoc');
+      const url = new URL(formatted.invocationUrl);
+
+      expect(formatted.protocol).toBe('org-iso-mdoc');
+      expect(url.origin + url.pathname).toBe('https://wallet.example.com/mdoc');
+      expect(url.searchParams.get('deviceRequest')).toBe(prepared.deviceRequest);
+      expect(url.searchParams.get('encryptionInfo')).toBe(prepared.encryptionInfo);
+    });
+
+    it('should pass the origin of the requesting page', () => {
+      const prepared = plugin.prepareRequest(validRequest());
+
+      const formatted = plugin.formatForWallet(prepared, 'https://wallet.example.com/mdoc', {
+        origin: 'https://verifier.example.com'
+      });
+
+      expect(new URL(formatted.invocationUrl).searchParams.get('origin')).toBe('https://verifier.example.com');
+    });
+  });
+
+  describe('Wallet Matching', () => {
+    it('should request mso_mdoc credentials of the requested document types', () => {
+      const prepared = plugin.prepareRequest({
+        ...validRequest(),
+        deviceRequest: deviceRequest([docRequest(), docRequest(itemsRequest('eu.europa.ec.eudi.pid.1'))])
+      });
+
+      expect(plugin.getRequestedFormats(prepared)).toEqual(['mso_mdoc']);
+      expect(plugin.getRequestedCredentialTypes(prepared)).toEqual(['org.iso.18013.5.1.mDL', 'eu.europa.ec.eudi.pid.1']);
+      expect(plugin.matchWallet(prepared, { formats: ['dc+sd-jwt'] }).score).toBe(0);
+    });
+  });
+});
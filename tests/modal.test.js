@@ -484,13 +484,13 @@ describe('Modal - Wallet Selector', () => {
       expect(eventDetail.requestId).toBe('req-123');
     });
 
-    test('should dispatch error response on cancel', () => {
+    test('should dispatch cancelled response on cancel', () => {
       const eventDetail = {
         requestId: 'req-123',
-        error: 'User cancelled the request'
+        cancelled: true
       };
 
-      expect(eventDetail.error).toBe('User cancelled the request');
+      expect(eventDetail.cancelled).toBe(true);
     });
   });
 
@@ -543,3 +543,313 @@ describe('Modal - Wallet Selector', () => {
   });
 });
 
+
+// Load a fresh copy of modal.js, as the content script does
+function loadModal() {
+  let modal;
+  jest.isolateModules(() => {
+    modal = require('../src/modal.js');
+  });
+  return modal;
+}
+
+// Callbacks content.js passes for the user's choice
+const choiceHandlers = () => ({ onSelect: jest.fn(), onNative: jest.fn(), onCancel: jest.fn() });
+
+// Choices reported to the handlers, as [callback name, ...arguments]
+const reportedChoices = (handlers) => Object.keys(handlers).flatMap(name =>
+  handlers[name].mock.calls.map(args => [name, ...args]));
+
+// The selector renders into a closed shadow root; keep a reference to each
+// root as it is attached so tests can look inside
+const shadowRoots = new WeakMap();
+const attachShadow = Element.prototype.attachShadow;
+Element.prototype.attachShadow = function(init) {
+  const root = attachShadow.call(this, init);
+  shadowRoots.set(this, root);
+  return root;
+};
+
+// Shadow root of the selector on screen, or null when it is closed
+function selectorRoot() {
+  const host = document.querySelector('dc-wallet-selector');
+  return host ? shadowRoots.get(host) : null;
+}
+
+// Remove selectors left over from a previous test
+function removeSelectors() {
+  document.querySelectorAll('dc-wallet-selector').forEach((host) => host.remove());
+}
+
+describe('Modal - Abort handling', () => {
+  const wallets = [{
+    id: 'wallet-1',
+    name: 'Test Wallet',
+    url: 'https://wallet.example.com',
+    protocols: ['openid4vp']
+  }];
+
+  let modal;
+  let handlers;
+
+  beforeAll(() => {
+    modal = loadModal();
+  });
+
+  beforeEach(() => {
+    removeSelectors();
+    handlers = choiceHandlers();
+  });
+
+  function showSelector(requestId) {
+    modal.show({ requestId, wallets, requests: [{ protocol: 'openid4vp', data: {} }] }, handlers);
+  }
+
+  function closeSelector(requestId) {
+    modal.close(requestId);
+  }
+
+  test('should close the selector when its request is aborted', () => {
+    showSelector('req-abort-1');
+    expect(selectorRoot()).not.toBeNull();
+
+    closeSelector('req-abort-1');
+
+    expect(selectorRoot()).toBeNull();
+    // Closing on abort must not report a cancellation
+    expect(reportedChoices(handlers)).toHaveLength(0);
+  });
+
+  test('should keep the selector open when another request is aborted', () => {
+    showSelector('req-abort-2');
+
+    closeSelector('some-other-request');
+
+    expect(selectorRoot()).not.toBeNull();
+  });
+
+  test('should stop handling Escape after an abort closed the selector', () => {
+    showSelector('req-abort-3');
+    closeSelector('req-abort-3');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(reportedChoices(handlers)).toHaveLength(0);
+  });
+
+  test('should ignore selector events dispatched on the window by the page', () => {
+    window.dispatchEvent(new CustomEvent('DC_SHOW_WALLET_SELECTOR', {
+      detail: { requestId: 'req-forged', wallets, requests: [] }
+    }));
+
+    expect(selectorRoot()).toBeNull();
+  });
+});
+
+
+describe('Modal - Browser wallet entry', () => {
+  const wallets = [{
+    id: 'wallet-1',
+    name: 'Test Wallet',
+    url: 'https://wallet.example.com',
+    protocols: ['openid4vp']
+  }];
+
+  let modal;
+  let handlers;
+
+  beforeAll(() => {
+    modal = loadModal();
+  });
+
+  beforeEach(() => {
+    removeSelectors();
+    handlers = choiceHandlers();
+  });
+
+  function showSelector(requestId, nativeProtocols, requesterOrigin) {
+    modal.show({
+      requestId,
+      wallets,
+      requests: [{ protocol: 'openid4vp', data: {} }],
+      nativeProtocols,
+      requesterOrigin
+    }, handlers);
+  }
+
+  test('should list the browser wallet next to web wallets for unsupported protocols', () => {
+    showSelector('req-mixed-1', ['org-iso-mdoc']);
+
+    const root = selectorRoot();
+    const entries = root.querySelector('.wallet-list').children;
+    expect(entries).toHaveLength(2);
+    expect(entries[1].classList.contains('native-entry')).toBe(true);
+    expect(entries[1].textContent).toContain('Handles org-iso-mdoc requests');
+    expect(root.querySelector('.native').hidden).toBe(true);
+  });
+
+  test('should ask for the unsupported requests only when the entry is chosen', () => {
+    showSelector('req-mixed-2', ['org-iso-mdoc']);
+    selectorRoot().querySelector('.native-entry').click();
+
+    expect(reportedChoices(handlers)).toEqual([['onNative']]);
+    expect(selectorRoot()).toBeNull();
+  });
+
+  test('should report a cancelled selection as cancelled', () => {
+    showSelector('req-cancel-1', []);
+    selectorRoot().querySelector('.cancel').click();
+
+    expect(reportedChoices(handlers)).toEqual([['onCancel']]);
+  });
+
+  test('should report the chosen wallet by ID only', () => {
+    showSelector('req-mixed-4', []);
+    selectorRoot().querySelector('.wallet-list').children[0].click();
+
+    expect(reportedChoices(handlers)).toEqual([['onSelect', 'wallet-1']]);
+  });
+
+  test('should keep the footer button when every request is supported', () => {
+    showSelector('req-mixed-3', []);
+
+    const root = selectorRoot();
+    expect(root.querySelector('.native-entry')).toBeNull();
+    expect(root.querySelector('.native').hidden).toBe(false);
+  });
+
+  test('should name the embedded frame that made the request', () => {
+    showSelector('req-frame-1', [], 'https://widget.example.com');
+
+    const requester = selectorRoot().querySelector('.requester');
+    expect(requester.hidden).toBe(false);
+    expect(requester.textContent).toBe('Requested by an embedded frame from https://widget.example.com');
+  });
+
+  test('should list excluded wallets as disabled entries with the reason', () => {
+    modal.show({
+      requestId: 'req-excluded-1',
+      wallets,
+      excludedWallets: [{ id: 'wallet-2', name: 'mdoc Wallet', reasons: ['openid4vp: supports none of the requested formats (dc+sd-jwt)'] }]
+    }, handlers);
+
+    const excluded = selectorRoot().querySelector('.excluded');
+    expect(excluded.disabled).toBe(true);
+    expect(excluded.textContent).toContain('mdoc Wallet');
+    expect(excluded.textContent).toContain('supports none of the requested formats (dc+sd-jwt)');
+
+    excluded.click();
+    expect(reportedChoices(handlers)).toHaveLength(0);
+    expect(selectorRoot()).not.toBeNull();
+  });
+
+  test('should not show a requester for top-level requests', () => {
+    showSelector('req-frame-2', []);
+
+    expect(selectorRoot().querySelector('.requester').hidden).toBe(true);
+  });
+
+  test('should name the verifier of the requests', () => {
+    const clientId = (value, description, verified) => ({ value, description, verified });
+    modal.show({
+      requestId: 'req-verifier-1',
+      wallets,
+      requests: [
+        { protocol: 'openid4vp-v1-signed', data: { _clientId: clientId('x509_san_dns:verifier.example.com', 'verifier.example.com (X.509 certificate)', true) } },
+        { protocol: 'openid4vp', data: { _clientId: clientId('redirect_uri:https://rp.example/cb', 'rp.example (redirect URI, unsigned request)', false) } },
+        { protocol: 'openid4vp-v1-signed', data: { _clientId: clientId('x509_san_dns:verifier.example.com', 'verifier.example.com (X.509 certificate)', true) } }
+      ]
+    }, handlers);
+
+    const verifier = selectorRoot().querySelector('.verifier');
+    expect(verifier.hidden).toBe(false);
+    expect(verifier.textContent).toBe(
+      'Verifier: verifier.example.com (X.509 certificate), rp.example (redirect URI, unsigned request) – not verified');
+  });
+
+  test('should not name a verifier for requests without a client identifier', () => {
+    showSelector('req-verifier-2', []);
+
+    expect(selectorRoot().querySelector('.verifier').hidden).toBe(true);
+  });
+});
+
+
+describe('Modal - Page isolation', () => {
+  const wallets = [{
+    id: 'wallet-1',
+    name: '<img src=x onerror="alert(1)">',
+    url: 'https://wallet.example.com',
+    protocols: ['openid4vp']
+  }];
+
+  let modal;
+
+  beforeAll(() => {
+    modal = loadModal();
+  });
+
+  beforeEach(() => {
+    removeSelectors();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function showSelector(requestId) {
+    modal.show({
+      requestId, wallets, requests: [{ protocol: 'openid4vp', data: {} }], nativeProtocols: ['org-iso-mdoc']
+    }, choiceHandlers());
+  }
+
+  test('should render into a closed shadow root the page cannot reach', () => {
+    showSelector('req-isolated-1');
+
+    const host = document.querySelector('dc-wallet-selector');
+    expect(host.shadowRoot).toBeNull();
+    expect(document.querySelector('.wallet-list')).toBeNull();
+    expect(selectorRoot().querySelector('.wallet-list')).not.toBeNull();
+  });
+
+  test('should build the modal without HTML parsing or inline styles', () => {
+    const innerHTML = jest.spyOn(Element.prototype, 'innerHTML', 'set');
+    showSelector('req-isolated-2');
+
+    const root = selectorRoot();
+    expect(innerHTML).not.toHaveBeenCalled();
+    expect(root.querySelectorAll('[style]')).toHaveLength(0);
+    // Wallet names are text, never markup
+    expect(root.querySelector('img')).toBeNull();
+    expect(root.querySelector('.wallet-name').textContent).toBe('<img src=x onerror="alert(1)">');
+  });
+
+  test('should style the modal from inside the shadow root', () => {
+    showSelector('req-isolated-3');
+
+    // jsdom has no constructable stylesheets, so the style element fallback applies
+    const style = selectorRoot().querySelector('style');
+    expect(style.textContent).toContain(':host');
+    expect(document.head.querySelector('style')).toBeNull();
+  });
+
+  test('should adopt a constructed stylesheet when the browser supports it', () => {
+    const replaceSync = jest.fn();
+    CSSStyleSheet.prototype.replaceSync = replaceSync;
+    Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', {
+      value: [], writable: true, configurable: true
+    });
+
+    try {
+      loadModal().show({ requestId: 'req-isolated-4', wallets, requests: [] }, choiceHandlers());
+
+      const root = selectorRoot();
+      expect(root.adoptedStyleSheets).toHaveLength(1);
+      expect(root.adoptedStyleSheets[0]).toBeInstanceOf(CSSStyleSheet);
+      expect(replaceSync).toHaveBeenCalledWith(expect.stringContaining(':host'));
+      expect(root.querySelector('style')).toBeNull();
+    } finally {
+      delete CSSStyleSheet.prototype.replaceSync;
+      delete ShadowRoot.prototype.adoptedStyleSheets;
+    }
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for OpenID4VCI Protocol Plugin (credential issuance)
+ */
+
+const OpenID4VCIPlugin = require('../src/protocols/OpenID4VCIPlugin.js');
+const { ProtocolPluginRegistry } = require('../src/protocols.js');
+
+describe('OpenID4VCIPlugin', () => {
+  let plugin;
+
+  const credentialOffer = {
+    credential_issuer: 'https://issuer.example.com',
+    credential_configuration_ids: ['UniversityDegree_sd_jwt'],
+    grants: {
+      'urn:ietf:params:oauth:grant-type:pre-authorized_code': {
+        'pre-authorized_code': 'adhjhdjajkdkhjhdj',
+        tx_code: { input_mode: 'numeric', length: 4 }
+      }
+    }
+  };
+
+  beforeEach(() => {
+    plugin = new OpenID4VCIPlugin();
+  });
+
+  describe('Protocol Identification', () => {
+    it('should have correct protocol ID', () => {
+      expect(plugin.getProtocolId()).toBe('openid4vci');
+    });
+
+    it('should only support the create operation', () => {
+      expect(plugin.getSupportedOperations()).toEqual(['create']);
+    });
+
+    it('should be matched by the registry for create but not get', () => {
+      const registry = new ProtocolPluginRegistry();
+      registry.register(plugin);
+
+      expect(registry.supportsOperation('openid4vci', 'create')).toBe(true);
+      expect(registry.supportsOperation('openid4vci', 'get')).toBe(false);
+    });
+  });
+
+  describe('Request Preparation', () => {
+    it('should prepare request with credential_offer by value', () => {
+      const prepared = plugin.prepareRequest({ credential_offer: credentialOffer });
+
+      expect(prepared.credential_offer).toEqual(credentialOffer);
+      expect(prepared).toHaveProperty('protocol', 'openid4vci');
+      expect(prepared).toHaveProperty('timestamp');
+    });
+
+    it('should parse credential_offer passed as JSON string', () => {
+      const prepared = plugin.prepareRequest({ credential_offer: JSON.stringify(credentialOffer) });
+
+      expect(prepared.credential_offer).toEqual(credentialOffer);
+    });
+
+    it('should prepare request with credential_offer_uri', () => {
+      const prepared = plugin.prepareRequest({
+        credential_offer_uri: 'https://issuer.example.com/offers/123'
+      });
+
+      expect(prepared.credential_offer_uri).toBe('https://issuer.example.com/offers/123');
+      expect(prepared.credential_offer).toBeUndefined();
+    });
+
+    it('should accept authorization_code grant with issuer_state', () => {
+      const offer = {
+        ...credentialOffer,
+        grants: { authorization_code: { issuer_state: 'eyJhbGciOiJSU0Et...' } }
+      };
+
+      expect(() => plugin.prepareRequest({ credential_offer: offer })).not.toThrow();
+    });
+
+    it('should reject non-object request data', () => {
+      expect(() => plugin.prepareRequest(null)).toThrow('must be an object');
+      expect(() => plugin.prepareRequest('offer')).toThrow('must be an object');
+    });
+
+    it('should reject request without offer', () => {
+      expect(() => plugin.prepareRequest({})).toThrow(
+        'must include credential_offer or credential_offer_uri'
+      );
+    });
+
+    it('should reject request with both offer and offer URI', () => {
+      expect(() => plugin.prepareRequest({
+        credential_offer: credentialOffer,
+        credential_offer_uri: 'https://issuer.example.com/offers/123'
+      })).toThrow('must not include both');
+    });
+
+    it('should reject non-https credential_offer_uri', () => {
+      expect(() => plugin.prepareRequest({
+        credential_offer_uri: 'http://issuer.example.com/offers/123'
+      })).toThrow('credential_offer_uri must use https');
+    });
+
+    it('should reject malformed JSON offer', () => {
+      expect(() => plugin.prepareRequest({ credential_offer: '{not json' })).toThrow(
+        'Failed to parse credential_offer'
+      );
+    });
+
+    it('should reject offer without credential_issuer', () => {
+      const { credential_issuer, ...offer } = credentialOffer;
+
+      expect(() => plugin.prepareRequest({ credential_offer: offer })).toThrow(
+        'must include credential_issuer'
+      );
+    });
+
+    it('should reject offer with empty credential_configuration_ids', () => {
+      const offer = { ...credentialOffer, credential_configuration_ids: [] };
+
+      expect(() => plugin.prepareRequest({ credential_offer: offer })).toThrow(
+        'non-empty credential_configuration_ids array'
+      );
+    });
+
+    it('should reject pre-authorized_code grant without code', () => {
+      const offer = {
+        ...credentialOffer,
+        grants: { 'urn:ietf:params:oauth:grant-type:pre-authorized_code': {} }
+      };
+
+      expect(() => plugin.prepareRequest({ credential_offer: offer })).toThrow(
+        'must include a pre-authorized_code string'
+      );
+    });
+
+    it('should reject invalid tx_code input_mode', () => {
+      const offer = {
+        ...credentialOffer,
+        grants: {
+          'urn:ietf:params:oauth:grant-type:pre-authorized_code': {
+            'pre-authorized_code': 'code',
+            tx_code: { input_mode: 'voice' }
+          }
+        }
+      };
+
+      expect(() => plugin.prepareRequest({ credential_offer: offer })).toThrow(
+        'Invalid tx_code input_mode'
+      );
+    });
+  });
+
+  describe('Response Validation', () => {
+    it('should pass through wallet response', () => {
+      const responseData = { status: 'accepted' };
+
+      expect(plugin.validateResponse(responseData)).toEqual(responseData);
+    });
+
+    it('should reject error response from wallet', () => {
+      expect(() => plugin.validateResponse({
+        error: 'access_denied',
+        error_description: 'User declined the offer'
+      })).toThrow('Wallet rejected credential offer (access_denied): User declined the offer');
+    });
+
+    it('should reject null response data', () => {
+      expect(() => plugin.validateResponse(null)).toThrow('Invalid OpenID4VCI response');
+    });
+  });
+
+  describe('Format for Wallet', () => {
+    it('should pass offer by value as credential_offer parameter', () => {
+      const prepared = plugin.prepareRequest({ credential_offer: credentialOffer });
+      const formatted = plugin.formatForWallet(prepared, 'https://wallet.example.com/offer');
+
+      const url = new URL(formatted.invocationUrl);
+      expect(url.origin + url.pathname).toBe('https://wallet.example.com/offer');
+      expect(JSON.parse(url.searchParams.get('credential_offer'))).toEqual(credentialOffer);
+    });
+
+    it('should pass offer by reference as credential_offer_uri parameter', () => {
+      const prepared = plugin.prepareRequest({
+        credential_offer_uri: 'https://issuer.example.com/offers/123'
+      });
+      const formatted = plugin.formatForWallet(prepared, 'https://wallet.example.com');
+
+      const url = new URL(formatted.invocationUrl);
+      expect(url.searchParams.get('credential_offer_uri')).toBe('https://issuer.example.com/offers/123');
+      expect(url.searchParams.has('credential_offer')).toBe(false);
+    });
+  });
+});
@@ -3,7 +3,9 @@
  * Based on wwWallet implementation patterns
  */
 
+const crypto = require('crypto');
 const OpenID4VPPlugin = require('../src/protocols/OpenID4VPPlugin.js');
+const { issueChain } = require('./fixtures/certificates.js');
 
 describe('OpenID4VPPlugin', () => {
   let plugin;
@@ -18,6 +20,48 @@ describe('OpenID4VPPlugin', () => {
     });
   });
 
+  describe('Wallet Matching', () => {
+    const dcqlRequest = {
+      dcql_query: {
+        credentials: [
+          { id: 'pid', format: 'dc+sd-jwt', meta: { vct_values: ['urn:eu.europa.ec.eudi:pid:1'] } },
+          { id: 'mdl', format: 'mso_mdoc', meta: { doctype_value: 'org.iso.18013.5.1.mDL' } }
+        ]
+      }
+    };
+
+    it('should report the OpenID4VP version of each variant', () => {
+      expect(plugin.getProtocolVersion()).toBeNull();
+      expect(new OpenID4VPPlugin('v1-signed').getProtocolVersion()).toBe('1.0');
+    });
+
+    it('should read formats and credential types from a DCQL query', () => {
+      expect(plugin.getRequestedFormats(dcqlRequest)).toEqual(['dc+sd-jwt', 'mso_mdoc']);
+      expect(plugin.getRequestedCredentialTypes(dcqlRequest)).toEqual([
+        'urn:eu.europa.ec.eudi:pid:1',
+        'org.iso.18013.5.1.mDL'
+      ]);
+    });
+
+    it('should read formats from a presentation definition', () => {
+      const request = {
+        presentation_definition: {
+          format: { jwt_vp: {} },
+          input_descriptors: [{ id: 'id-1', format: { 'vc+sd-jwt': {} } }, { id: 'id-2' }]
+        }
+      };
+
+      expect(plugin.getRequestedFormats(request)).toEqual(['jwt_vp', 'vc+sd-jwt']);
+    });
+
+    it('should exclude a wallet that holds none of the requested credential types', () => {
+      const match = plugin.matchWallet(dcqlRequest, { formats: ['dc+sd-jwt'], credentialTypes: ['urn:example:diploma'] });
+
+      expect(match.score).toBe(0);
+      expect(match.reasons[0]).toContain('credential types');
+    });
+  });
+
   describe('Request Preparation - Direct Parameters', () => {
     it('should prepare request with URL containing all parameters', () => {
       const requestData = {
@@ -60,7 +104,7 @@ describe('OpenID4VPPlugin', () => {
 
     it('should prepare request with presentation_definition_uri', () => {
       const requestData = {
-        url: 'openid4vp://?client_id=x509_san_dns:verifier.example.com&presentation_definition_uri=https://verifier.example.com/definitions/123&response_uri=https://verifier.example.com/callback&nonce=xyz789'
+        url: 'openid4vp://?client_id=redirect_uri:https://verifier.example.com/callback&presentation_definition_uri=https://verifier.example.com/definitions/123&response_uri=https://verifier.example.com/callback&nonce=xyz789'
       };
 
       const prepared = plugin.prepareRequest(requestData);
@@ -152,7 +196,7 @@ describe('OpenID4VPPlugin', () => {
       );
     });
 
-    it('should warn on unsupported client_id_scheme', () => {
+    it('should warn on a client_id without a known prefix', () => {
       const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
 
       const requestData = {
@@ -162,7 +206,7 @@ describe('OpenID4VPPlugin', () => {
       plugin.prepareRequest(requestData);
 
       expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining("client_id_scheme 'did' may not be supported")
+        expect.stringContaining("client_id 'did:web:verifier.example.com' has no known prefix")
       );
 
       consoleSpy.mockRestore();
@@ -236,7 +280,7 @@ describe('OpenID4VPPlugin', () => {
   });
 
   describe('Response Validation', () => {
-    it('should validate response with vp_token and presentation_submission', () => {
+    it('should validate response with vp_token and presentation_submission', async () => {
       const responseData = {
         vp_token: 'eyJhbGciOiJFUzI1NiIsInR5cCI6IkpXVCJ9...',
         presentation_submission: {
@@ -250,22 +294,22 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      const validated = plugin.validateResponse(responseData);
+      const validated = await plugin.validateResponse(responseData);
 
       expect(validated).toEqual(responseData);
     });
 
-    it('should validate response with encrypted response', () => {
+    it('should validate response with encrypted response', async () => {
       const responseData = {
         response: 'eyJhbGciOiJFQ0RILUVTIiwiZW5jIjoiQTI1NkdDTSJ9...' // JWE
       };
 
-      const validated = plugin.validateResponse(responseData);
+      const validated = await plugin.validateResponse(responseData);
 
       expect(validated).toEqual(responseData);
     });
 
-    it('should validate response with state', () => {
+    it('should validate response with state', async () => {
       const responseData = {
         vp_token: 'eyJhbGciOiJFUzI1NiJ9...',
         presentation_submission: {
@@ -280,12 +324,12 @@ describe('OpenID4VPPlugin', () => {
         state: 'original-state-123'
       };
 
-      const validated = plugin.validateResponse(responseData);
+      const validated = await plugin.validateResponse(responseData);
 
       expect(validated.state).toBe('original-state-123');
     });
 
-    it('should reject response without vp_token or encrypted response', () => {
+    it('should reject response without vp_token or encrypted response', async () => {
       const responseData = {
         presentation_submission: {
           id: 'sub-1',
@@ -294,19 +338,19 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow(
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow(
         'must include vp_token or encrypted response'
       );
     });
 
-    it('should warn if vp_token present but presentation_submission missing', () => {
+    it('should warn if vp_token present but presentation_submission missing', async () => {
       const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
 
       const responseData = {
         vp_token: 'eyJhbGciOiJFUzI1NiJ9...'
       };
 
-      plugin.validateResponse(responseData);
+      await plugin.validateResponse(responseData);
 
       expect(consoleSpy).toHaveBeenCalledWith(
         expect.stringContaining('missing presentation_submission')
@@ -315,17 +359,280 @@ describe('OpenID4VPPlugin', () => {
       consoleSpy.mockRestore();
     });
 
-    it('should reject null response data', () => {
-      expect(() => plugin.validateResponse(null)).toThrow('Invalid OpenID4VP response');
+    it('should reject null response data', async () => {
+      await expect(plugin.validateResponse(null)).rejects.toThrow('Invalid OpenID4VP response');
+    });
+
+    it('should reject string response data', async () => {
+      await expect(plugin.validateResponse('invalid')).rejects.toThrow('Invalid OpenID4VP response');
+    });
+  });
+
+  describe('SD-JWT VC Presentations', () => {
+    const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const hash = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+    const jwt = (header, payload) => `${b64(header)}.${b64(payload)}.c2lnbmF0dXJl`;
+    const givenName = b64(['salt-1', 'given_name', 'Erika']);
+
+    const sdJwt = (disclosures = [givenName], keyBinding = {}) => {
+      const presentation = jwt({ alg: 'ES256', typ: 'dc+sd-jwt' }, {
+        iss: 'https://issuer.example.com',
+        vct: 'urn:eudi:pid:1',
+        _sd: [hash(givenName)],
+        cnf: { jwk: { kty: 'EC' } }
+      }) + '~' + disclosures.map(d => d + '~').join('');
+      return presentation + jwt({ alg: 'ES256', typ: 'kb+jwt' }, {
+        iat: 1700000000, aud: 'verifier.example.com', nonce: 'nonce-1', sd_hash: hash(presentation), ...keyBinding
+      });
+    };
+
+    it('should expose the disclosed claims of DCQL presentations', async () => {
+      const responseData = { vp_token: { pid: [sdJwt()], other: ['eyJhbGciOiJFUzI1NiJ9.e30.c2ln'] } };
+
+      expect(await plugin.validateResponse(responseData)).toBe(responseData);
+      expect(await plugin.getDisclosedClaims(responseData)).toEqual([{
+        path: 'vp_token.pid[0]',
+        vct: 'urn:eudi:pid:1',
+        issuer: 'https://issuer.example.com',
+        claims: {
+          iss: 'https://issuer.example.com',
+          vct: 'urn:eudi:pid:1',
+          given_name: 'Erika',
+          cnf: { jwk: { kty: 'EC' } }
+        },
+        disclosed: ['given_name'],
+        keyBinding: { aud: 'verifier.example.com', nonce: 'nonce-1', iat: 1700000000 }
+      }]);
+    });
+
+    it('should find SD-JWTs in Presentation Exchange responses', async () => {
+      const responseData = {
+        vp_token: [{ type: 'VerifiablePresentation' }, sdJwt()],
+        presentation_submission: {
+          id: 'sub-1',
+          definition_id: 'def-1',
+          descriptor_map: [{ id: 'pid', format: 'vc+sd-jwt', path: '$[1]' }]
+        }
+      };
+
+      expect((await plugin.getDisclosedClaims(responseData)).map(entry => entry.path)).toEqual(['vp_token[1]']);
+    });
+
+    it('should return no claims for responses without SD-JWTs', async () => {
+      expect(await plugin.getDisclosedClaims({ response: 'eyJhbGciOiJFQ0RILUVTIn0..' })).toEqual([]);
+    });
+
+    it('should reject key binding JWTs made for another request', async () => {
+      const request = plugin.prepareRequest({
+        nonce: 'nonce-1',
+        dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] }
+      }, { origin: 'https://verifier.example.com' });
+      const answer = (keyBinding) => ({ vp_token: { pid: [sdJwt([givenName], keyBinding)] } });
+
+      await expect(plugin.validateResponse(answer({ aud: 'origin:https://verifier.example.com' }), request)).resolves.toBeDefined();
+      await expect(plugin.validateResponse(answer({ aud: 'https://verifier.example.com' }), request)).resolves.toBeDefined();
+      await expect(plugin.validateResponse(answer({ aud: 'origin:https://verifier.example.com', nonce: 'nonce-2' }), request))
+        .rejects.toThrow('vp_token.pid[0]: Invalid SD-JWT: key binding JWT nonce does not match the request');
+      await expect(plugin.validateResponse(answer({ aud: 'origin:https://attacker.example.com' }), request))
+        .rejects.toThrow('key binding JWT aud origin:https://attacker.example.com is not the verifier');
+    });
+
+    it('should accept the client_id of the request as key binding aud', async () => {
+      const request = { nonce: 'nonce-1', client_id: 'x509_san_dns:verifier.example.com' };
+      const answer = (aud) => ({ vp_token: { pid: [sdJwt([givenName], { aud: aud })] } });
+
+      await expect(plugin.validateResponse(answer('x509_san_dns:verifier.example.com'), request)).resolves.toBeDefined();
+      await expect(plugin.validateResponse(answer('origin:https://verifier.example.com'), request))
+        .rejects.toThrow('is not the verifier (x509_san_dns:verifier.example.com)');
+    });
+
+    it('should reject malformed SD-JWTs with their path', async () => {
+      const forged = b64(['salt-2', 'given_name', 'Max']);
+
+      await expect(plugin.validateResponse({ vp_token: { pid: sdJwt([forged]) } }))
+        .rejects.toThrow('vp_token.pid: Invalid SD-JWT: disclosure');
+      await expect(plugin.validateResponse({ vp_token: 'header.payload.signature~' }))
+        .rejects.toThrow('vp_token: Invalid SD-JWT: issuer JWT header is not base64url-encoded JSON');
+    });
+  });
+
+  describe('Response Modes', () => {
+    const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const jwe = (header) => `${b64(header)}.${'A'.repeat(8)}.${'B'.repeat(8)}.${'C'.repeat(8)}.${'D'.repeat(8)}`;
+    const ecKey = { kty: 'EC', crv: 'P-256', kid: 'enc-1', use: 'enc', x: 'x', y: 'y' };
+    const request = {
+      nonce: 'nonce-123',
+      response_mode: 'dc_api.jwt',
+      client_metadata: {
+        jwks: { keys: [ecKey, { kty: 'RSA', kid: 'sig-1', use: 'sig', n: 'n', e: 'AQAB' }] },
+        encrypted_response_enc_values_supported: ['A128GCM', 'A256GCM']
+      },
+      dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] }
+    };
+
+    it('should accept dc_api modes over the Digital Credentials API only', () => {
+      expect(plugin.prepareRequest(request).response_mode).toBe('dc_api.jwt');
+      expect(plugin.prepareRequest({ ...request, response_mode: 'dc_api' }).response_mode).toBe('dc_api');
+      expect(() => plugin.prepareRequest({ ...request, response_mode: 'direct_post' }))
+        .toThrow('Invalid response_mode: direct_post. Must be one of: dc_api, dc_api.jwt');
+      expect(() => plugin.prepareRequest({
+        url: 'openid4vp://?client_id=https://verifier.example.com&presentation_definition_uri=https://verifier.example.com/pd&response_mode=direct_post'
+      })).toThrow('response_mode direct_post requires response_uri');
+    });
+
+    it('should require the verifier encryption keys for encrypted modes', () => {
+      expect(() => plugin.prepareRequest({ ...request, client_metadata: {} }))
+        .toThrow("response_mode dc_api.jwt requires client_metadata.jwks with the verifier's encryption keys");
+      expect(() => plugin.prepareRequest({
+        ...request,
+        client_metadata: { jwks: { keys: [ecKey] }, encrypted_response_enc_values_supported: [] }
+      })).toThrow('encrypted_response_enc_values_supported must be a non-empty array of strings');
+    });
+
+    it('should pass encrypted responses through unchanged', async () => {
+      const responseData = { response: jwe({ alg: 'ECDH-ES', enc: 'A256GCM', kid: 'enc-1' }) };
+
+      expect(await plugin.validateResponse(responseData, request)).toBe(responseData);
+      // The only encryption key need not be named
+      const single = { ...request, client_metadata: { jwks: { keys: [{ kty: 'OKP', crv: 'X25519', x: 'x' }] } } };
+      expect(await plugin.validateResponse({ response: jwe({ alg: 'ECDH-ES', enc: 'A128GCM' }) }, single)).toBeTruthy();
+    });
+
+    it('should reject unencrypted responses when encryption was requested', async () => {
+      await expect(plugin.validateResponse({ vp_token: { pid: ['token'] } }, request))
+        .rejects.toThrow('OpenID4VP response must be encrypted (response_mode dc_api.jwt)');
+      await expect(plugin.validateResponse({ response: 'not-a-jwe' }, request))
+        .rejects.toThrow('must be a compact JWE');
+    });
+
+    it('should check the JWE header against client_metadata', async () => {
+      const check = (header) => plugin.validateResponse({ response: jwe(header) }, request);
+
+      await expect(check({ alg: 'ECDH-ES', enc: 'A192GCM', kid: 'enc-1' }))
+        .rejects.toThrow('enc A192GCM is not one of: A128GCM, A256GCM');
+      await expect(check({ alg: 'ECDH-ES', enc: 'A128GCM', kid: 'sig-1' }))
+        .rejects.toThrow('kid sig-1 is not a key of client_metadata.jwks');
+      await expect(check({ alg: 'RSA-OAEP-256', enc: 'A128GCM', kid: 'enc-1' }))
+        .rejects.toThrow('alg RSA-OAEP-256 cannot be used with key type EC');
+      await expect(check({ alg: 'dir', enc: 'A128GCM', kid: 'enc-1' }))
+        .rejects.toThrow('alg dir cannot be used with key type EC');
+      await expect(check({ enc: 'A128GCM', kid: 'enc-1' }))
+        .rejects.toThrow('header must include alg and enc');
+    });
+  });
+
+  describe('DCQL', () => {
+    const dcqlQuery = {
+      credentials: [
+        { id: 'pid', format: 'dc+sd-jwt' },
+        { id: 'mdl', format: 'mso_mdoc', claims: [{ path: ['org.iso.18013.5.1', 'family_name'] }] }
+      ],
+      credential_sets: [{ options: [['pid'], ['mdl']] }]
+    };
+
+    it('should reject malformed queries before the selector', () => {
+      const query = { credentials: [{ id: 'pid', format: 'dc+sd-jwt', claims: [{ path: [] }] }] };
+
+      expect(() => plugin.prepareRequest({ nonce: 'n', dcql_query: query }))
+        .toThrow('Invalid dcql_query: credentials[0].claims[0].path must be a non-empty array');
+      expect(() => plugin.prepareRequest({
+        url: `openid4vp://?client_id=https://verifier.example.com&dcql_query=${encodeURIComponent('{"credentials":[]}')}`
+      })).toThrow('Invalid dcql_query: credentials must be a non-empty array');
+    });
+
+    it('should accept a vp_token that satisfies the query', async () => {
+      const responseData = { vp_token: { mdl: ['o2d2ZXJzaW9u'] } };
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      expect(await plugin.validateResponse(responseData, { dcql_query: dcqlQuery })).toBe(responseData);
+      // DCQL responses have no presentation_submission
+      expect(consoleSpy).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    it('should reject a vp_token that does not answer the query', async () => {
+      const request = { dcql_query: dcqlQuery };
+
+      await expect(plugin.validateResponse({ vp_token: 'eyJhbGciOiJFUzI1NiJ9.e30.c2ln' }, request))
+        .rejects.toThrow('OpenID4VP response does not match the dcql_query: vp_token must be an object keyed by credential query id');
+      await expect(plugin.validateResponse({ vp_token: { pid: [] } }, request))
+        .rejects.toThrow('vp_token does not satisfy credential_sets[0]: expected presentations for pid or mdl');
+      await expect(plugin.validateResponse({ vp_token: { pid: ['a', 'b'] } }, request))
+        .rejects.toThrow('vp_token.pid has 2 presentations, the credential query allows one');
+    });
+
+    it('should leave encrypted responses to the verifier', async () => {
+      const responseData = { response: 'eyJhbGciOiJFQ0RILUVTIn0..' };
+
+      expect(await plugin.validateResponse(responseData, { dcql_query: dcqlQuery })).toBe(responseData);
+    });
+  });
+
+  describe('Query language translation', () => {
+    const dcqlRequest = { nonce: 'n', dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] } };
+    const peRequest = {
+      client_id: 'https://verifier.example.com',
+      nonce: 'n',
+      presentation_definition: { id: 'def-1', input_descriptors: [{ id: 'pid', format: { 'vc+sd-jwt': {} } }] }
+    };
+    const walletUrl = 'https://wallet.example.com';
+
+    it('should send the query as requested without declared query languages', () => {
+      const formatted = plugin.formatForWallet(dcqlRequest, walletUrl, { wallet: {} });
+
+      expect(new URL(formatted.invocationUrl).searchParams.has('dcql_query')).toBe(true);
+      expect(formatted.requestData).toBe(dcqlRequest);
+      expect(plugin.translateQuery(dcqlRequest, { queryLanguages: ['dcql', 'presentation_exchange'] })).toBeNull();
+    });
+
+    it('should translate DCQL for a Presentation Exchange wallet and its response back', async () => {
+      const formatted = plugin.formatForWallet(dcqlRequest, walletUrl, { wallet: { queryLanguages: ['presentation_exchange'] } });
+      const params = new URL(formatted.invocationUrl).searchParams;
+
+      expect(params.has('dcql_query')).toBe(false);
+      expect(JSON.parse(params.get('presentation_definition')).id).toBe('dcql_query');
+      expect(formatted.requestData).toEqual({ ...dcqlRequest, _walletQueryLanguage: 'presentation_exchange' });
+
+      const response = await plugin.validateResponse({
+        vp_token: 'eyJhbGciOiJFUzI1NiJ9.e30.c2ln',
+        presentation_submission: { id: 's', definition_id: 'dcql_query', descriptor_map: [{ id: 'pid', format: 'vc+sd-jwt', path: '$' }] },
+        state: 'st'
+      }, formatted.requestData);
+      expect(response).toEqual({ vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.c2ln'] }, state: 'st' });
+    });
+
+    it('should translate Presentation Exchange for a DCQL wallet and its response back', async () => {
+      const formatted = plugin.formatForWallet(peRequest, walletUrl, { wallet: { queryLanguages: ['dcql'] } });
+      const params = new URL(formatted.invocationUrl).searchParams;
+
+      expect(params.has('presentation_definition')).toBe(false);
+      expect(JSON.parse(params.get('dcql_query'))).toEqual({ credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] });
+
+      expect(await plugin.validateResponse({ vp_token: { pid: ['eyJhbGciOiJFUzI1NiJ9.e30.c2ln'] } }, formatted.requestData)).toEqual({
+        vp_token: 'eyJhbGciOiJFUzI1NiJ9.e30.c2ln',
+        presentation_submission: {
+          id: 'def-1-submission', definition_id: 'def-1', descriptor_map: [{ id: 'pid', format: 'vc+sd-jwt', path: '$' }]
+        }
+      });
+      await expect(plugin.validateResponse({ vp_token: { mdl: ['o2d2'] } }, formatted.requestData))
+        .rejects.toThrow('OpenID4VP DCQL response cannot be translated for the request: vp_token.mdl answers no credential query of the request');
     });
 
-    it('should reject string response data', () => {
-      expect(() => plugin.validateResponse('invalid')).toThrow('Invalid OpenID4VP response');
+    it('should exclude wallets the query cannot be translated for', () => {
+      const byReference = { client_id: 'https://verifier.example.com', presentation_definition_uri: 'https://verifier.example.com/pd' };
+
+      expect(plugin.matchWallet(byReference, { queryLanguages: ['dcql'] })).toEqual({
+        score: 0,
+        reasons: ['The query cannot be translated into dcql: presentation_definition_uri is not fetched']
+      });
+      expect(plugin.matchWallet(peRequest, { queryLanguages: ['dcql'] }).score).toBeGreaterThan(0);
+      expect(() => plugin.formatForWallet(byReference, walletUrl, { wallet: { queryLanguages: ['dcql'] } }))
+        .toThrow('cannot be translated');
     });
   });
 
   describe('Presentation Submission Validation', () => {
-    it('should validate complete presentation submission', () => {
+    it('should validate complete presentation submission', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -346,11 +653,11 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      const validated = plugin.validateResponse(responseData);
+      const validated = await plugin.validateResponse(responseData);
       expect(validated).toEqual(responseData);
     });
 
-    it('should reject submission without id', () => {
+    it('should reject submission without id', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -363,10 +670,10 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow('must include id');
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow('must include id');
     });
 
-    it('should reject submission without definition_id', () => {
+    it('should reject submission without definition_id', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -379,10 +686,10 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow('must include definition_id');
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow('must include definition_id');
     });
 
-    it('should reject submission without descriptor_map array', () => {
+    it('should reject submission without descriptor_map array', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -391,10 +698,10 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow('must include descriptor_map array');
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow('must include descriptor_map array');
     });
 
-    it('should reject descriptor without id', () => {
+    it('should reject descriptor without id', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -407,10 +714,10 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow('Descriptor 0 missing id');
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow('Descriptor 0 missing id');
     });
 
-    it('should reject descriptor without format', () => {
+    it('should reject descriptor without format', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -423,10 +730,10 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow('Descriptor 0 missing format');
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow('Descriptor 0 missing format');
     });
 
-    it('should reject descriptor without path', () => {
+    it('should reject descriptor without path', async () => {
       const responseData = {
         vp_token: 'token',
         presentation_submission: {
@@ -439,7 +746,209 @@ describe('OpenID4VPPlugin', () => {
         }
       };
 
-      expect(() => plugin.validateResponse(responseData)).toThrow('Descriptor 0 missing path');
+      await expect(plugin.validateResponse(responseData)).rejects.toThrow('Descriptor 0 missing path');
+    });
+  });
+
+  describe('Signed Requests', () => {
+    const signedPlugin = new OpenID4VPPlugin('v1-signed');
+    const { leaf, leafKey: { privateKey, publicKey } } = issueChain();
+    const origin = 'https://verifier.example.com';
+    const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const claims = {
+      client_id: 'x509_san_dns:verifier.example.com',
+      response_type: 'vp_token',
+      response_mode: 'dc_api',
+      nonce: 'nonce-123',
+      expected_origins: [origin],
+      dcql_query: { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }] }
+    };
+    const x5c = [leaf.base64];
+    const sign = (payload, header = { alg: 'ES256', typ: 'oauth-authz-req+jwt', x5c }) => {
+      const signingInput = `${b64(header)}.${b64(payload)}`;
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+      return `${signingInput}.${signature.toString('base64url')}`;
+    };
+    const jwtVerifier = jest.fn(async (jwt) => {
+      const [header, payload, signature] = jwt.split('.');
+      const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`),
+        { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+      return valid ? { valid: true } : { valid: false, error: 'Signature mismatch' };
+    });
+    const certificateValidator = jest.fn(async () => ({ valid: true }));
+
+    it('should pass the signed request object to the wallet', async () => {
+      const request = sign(claims);
+      const prepared = await signedPlugin.prepareRequest({ request }, { origin, jwtVerifier, certificateValidator });
+
+      expect(prepared).toMatchObject({ ...claims, request, protocol: 'openid4vp-v1-signed', _jarSignatureVerified: true });
+
+      const formatted = signedPlugin.formatForWallet(prepared, 'https://wallet.example.com', { origin, url: `${origin}/login` });
+      const url = new URL(formatted.invocationUrl);
+      expect([...url.searchParams.keys()].sort()).toEqual(['client_id', 'request']);
+      expect(url.searchParams.get('client_id')).toBe(claims.client_id);
+      expect(url.searchParams.get('request')).toBe(request);
+      expect(formatted.requestData).toBe(prepared);
+    });
+
+    it('should not offer a signed request to a wallet that needs its query translated', async () => {
+      const prepared = await signedPlugin.prepareRequest({ request: sign(claims) }, { origin, jwtVerifier, certificateValidator });
+
+      expect(signedPlugin.matchWallet(prepared, { queryLanguages: ['presentation_exchange'] })).toEqual({
+        score: 0,
+        reasons: ['A signed request cannot be translated into presentation_exchange']
+      });
+    });
+
+
+    it('should only accept response modes of the Digital Credentials API', async () => {
+      await expect(signedPlugin.prepareRequest({ request: sign({ ...claims, response_mode: 'direct_post' }) },
+        { origin, jwtVerifier, certificateValidator })).rejects.toThrow('Invalid response_mode: direct_post');
+    });
+    it('should reject a request whose signature does not verify', async () => {
+      const [header, , signature] = sign(claims).split('.');
+      const tampered = `${header}.${b64({ ...claims, nonce: 'other' })}.${signature}`;
+
+      await expect(signedPlugin.prepareRequest({ request: tampered }, { origin, jwtVerifier, certificateValidator }))
+        .rejects.toThrow('signature verification failed: Signature does not match');
+    });
+
+    it('should ask the registered verifier about requests whose client_id binds no key', async () => {
+      jwtVerifier.mockClear();
+      const preRegisteredClaims = { ...claims, client_id: 'verifier-123' };
+
+      await signedPlugin.prepareRequest({ request: sign(preRegisteredClaims) }, { origin, jwtVerifier });
+
+      expect(jwtVerifier).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ algorithm: 'ES256' }));
+      expect((await signedPlugin.prepareRequest({ request: sign(preRegisteredClaims) }, { origin, jwtVerifier }))
+        ._jarSignatureVerified).toBe(true);
+    });
+
+    it('should reject a request signed for another origin', async () => {
+      await expect(signedPlugin.prepareRequest({ request: sign(claims) }, { origin: 'https://attacker.example', jwtVerifier }))
+        .rejects.toThrow('not meant for https://attacker.example');
+    });
+
+    it('should require expected_origins and the calling origin', async () => {
+      const unbound = { ...claims };
+      delete unbound.expected_origins;
+
+      await expect(signedPlugin.prepareRequest({ request: sign(unbound) }, { origin, jwtVerifier, certificateValidator }))
+        .rejects.toThrow('must include expected_origins');
+      await expect(signedPlugin.prepareRequest({ request: sign(claims) }, { jwtVerifier }))
+        .rejects.toThrow('without the calling origin');
+    });
+
+    it('should reject malformed and unsigned request objects', async () => {
+      await expect(signedPlugin.prepareRequest({ ...claims }, { origin })).rejects.toThrow('request object in request');
+      await expect(signedPlugin.prepareRequest({ request: 'not-a-jws' }, { origin })).rejects.toThrow('compact JWS');
+      await expect(signedPlugin.prepareRequest({ request: `${b64({ alg: 'none', typ: 'oauth-authz-req+jwt' })}.${b64(claims)}.c2ln` }, { origin }))
+        .rejects.toThrow('must be signed');
+      await expect(signedPlugin.prepareRequest({ request: sign(claims, { alg: 'ES256', typ: 'JWT' }) }, { origin }))
+        .rejects.toThrow('expected oauth-authz-req+jwt');
+    });
+
+    it('should verify with the built-in verifier without a registered one', async () => {
+      const preRegisteredClaims = { ...claims, client_id: 'verifier-123' };
+      const header = { alg: 'ES256', typ: 'oauth-authz-req+jwt', jwk: publicKey.export({ format: 'jwk' }) };
+      const prepared = await signedPlugin.prepareRequest({ request: sign(preRegisteredClaims, header) }, { origin });
+
+      // Only the key the request object carries itself vouches for it
+      expect(prepared._jarSignatureVerified).toBe(false);
+
+      const [encodedHeader, , signature] = sign(preRegisteredClaims, header).split('.');
+      const tampered = `${encodedHeader}.${b64({ ...preRegisteredClaims, nonce: 'other' })}.${signature}`;
+      await expect(signedPlugin.prepareRequest({ request: tampered }, { origin }))
+        .rejects.toThrow('signature verification failed: Signature does not match');
+    });
+
+    it('should reject a malformed dcql_query once the signature is verified', async () => {
+      const query = { credentials: [{ id: 'pid', format: 'dc+sd-jwt' }], credential_sets: [{ options: [['mdl']] }] };
+
+      await expect(signedPlugin.prepareRequest({ request: sign({ ...claims, dcql_query: query }) },
+        { origin, jwtVerifier, certificateValidator }))
+        .rejects.toThrow('Invalid dcql_query: credential_sets[0].options[0] names unknown credential query "mdl"');
+    });
+
+    describe('x509_san_dns client_id', () => {
+      it('should validate the x5c chain for the client_id host', async () => {
+        certificateValidator.mockClear();
+
+        await signedPlugin.prepareRequest({ request: sign(claims) }, { origin, jwtVerifier, certificateValidator });
+
+        expect(certificateValidator).toHaveBeenCalledWith(x5c, { dnsName: 'verifier.example.com' });
+      });
+
+      it('should reject an untrusted chain', async () => {
+        const untrusted = jest.fn(async () => ({ valid: false, error: 'The certificate chain does not lead to a trust anchor' }));
+
+        await expect(signedPlugin.prepareRequest({ request: sign(claims) }, { origin, jwtVerifier, certificateValidator: untrusted }))
+          .rejects.toThrow('certificate chain is not trusted: The certificate chain does not lead to a trust anchor');
+      });
+
+      it('should verify with the x5c leaf key whatever the registered verifier says', async () => {
+        const forger = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const signingInput = `${b64({ alg: 'ES256', typ: 'oauth-authz-req+jwt', x5c })}.${b64(claims)}`;
+        const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: forger.privateKey, dsaEncoding: 'ieee-p1363' });
+        const alwaysValid = jest.fn(async () => ({ valid: true }));
+
+        await expect(signedPlugin.prepareRequest({ request: `${signingInput}.${signature.toString('base64url')}` },
+          { origin, jwtVerifier: alwaysValid, certificateValidator }))
+          .rejects.toThrow('signature verification failed: Signature does not match');
+        expect(alwaysValid).not.toHaveBeenCalled();
+      });
+
+      it('should require x5c and a trust store', async () => {
+        const header = { alg: 'ES256', typ: 'oauth-authz-req+jwt', jwk: publicKey.export({ format: 'jwk' }) };
+
+        await expect(signedPlugin.prepareRequest({ request: sign(claims, header) }, { origin, jwtVerifier, certificateValidator }))
+          .rejects.toThrow('requires an x5c certificate chain');
+        await expect(signedPlugin.prepareRequest({ request: sign(claims) }, { origin, jwtVerifier }))
+          .rejects.toThrow('no trust store available');
+      });
+    });
+
+    describe('Client identifier', () => {
+      it('should pass the verified client identifier to the wallet', async () => {
+        const prepared = await signedPlugin.prepareRequest({ request: sign(claims) }, { origin, jwtVerifier, certificateValidator });
+
+        expect(prepared._clientId).toMatchObject({
+          value: claims.client_id, prefix: 'x509_san_dns', identifier: 'verifier.example.com', verified: true
+        });
+      });
+
+      it('should verify did:jwk requests with the key of the DID', async () => {
+        const did = `did:jwk:${b64(publicKey.export({ format: 'jwk' }))}`;
+        const didClaims = { ...claims, client_id: `decentralized_identifier:${did}` };
+        const header = { alg: 'ES256', typ: 'oauth-authz-req+jwt', kid: `${did}#0` };
+
+        const prepared = await signedPlugin.prepareRequest({ request: sign(didClaims, header) }, { origin });
+        expect(prepared._clientId).toMatchObject({ prefix: 'decentralized_identifier', verified: true });
+
+        // A key in the header does not override the DID's key
+        const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const forgedDid = `did:jwk:${b64(otherKey.publicKey.export({ format: 'jwk' }))}`;
+        await expect(signedPlugin.prepareRequest({
+          request: sign({ ...claims, client_id: `decentralized_identifier:${forgedDid}` },
+            { ...header, kid: `${forgedDid}#0`, jwk: publicKey.export({ format: 'jwk' }) })
+        }, { origin })).rejects.toThrow('Signature does not match');
+      });
+
+      it('should reject signed requests with a redirect_uri or origin client_id', async () => {
+        await expect(signedPlugin.prepareRequest({ request: sign({ ...claims, client_id: 'redirect_uri:https://verifier.example.com/cb' }) },
+          { origin, jwtVerifier })).rejects.toThrow('client_id check failed: client_id prefix redirect_uri does not allow signed requests');
+        await expect(signedPlugin.prepareRequest({ request: sign({ ...claims, client_id: `origin:${origin}` }) },
+          { origin, jwtVerifier })).rejects.toThrow('reserved for the wallet');
+      });
+
+      it('should take the calling origin as client identifier of unsigned DC API requests', () => {
+        const unsigned = new OpenID4VPPlugin('v1-unsigned');
+        const prepared = unsigned.prepareRequest({ nonce: 'n', dcql_query: claims.dcql_query }, { origin });
+
+        expect(prepared._clientId).toMatchObject({ value: `origin:${origin}`, prefix: 'origin', verified: true });
+        expect(() => unsigned.prepareRequest({ nonce: 'n', client_id: 'x509_san_dns:verifier.example.com' }, { origin }))
+          .toThrow('requires a signed request');
+      });
     });
   });
 
@@ -454,8 +963,8 @@ describe('OpenID4VPPlugin', () => {
 
       expect(formatted.protocol).toBe('openid4vp');
       expect(formatted.walletUrl).toBe('https://wallet.example.com');
-      expect(formatted.authorizationUrl).toContain('client_id=x509_san_dns%3Averifier.example.com');
-      expect(formatted.authorizationUrl).toContain('request_uri=https%3A%2F%2Fverifier.example.com%2Frequests%2Fabc123');
+      expect(formatted.invocationUrl).toContain('client_id=x509_san_dns%3Averifier.example.com');
+      expect(formatted.invocationUrl).toContain('request_uri=https%3A%2F%2Fverifier.example.com%2Frequests%2Fabc123');
       expect(formatted.requestData).toEqual(preparedRequest);
     });
 
@@ -471,12 +980,29 @@ describe('OpenID4VPPlugin', () => {
 
       const formatted = plugin.formatForWallet(preparedRequest, 'https://wallet.example.com');
 
-      expect(formatted.authorizationUrl).toContain('client_id=https%3A%2F%2Fverifier.example.com');
-      expect(formatted.authorizationUrl).toContain('response_uri=https%3A%2F%2Fverifier.example.com%2Fcallback');
-      expect(formatted.authorizationUrl).toContain('nonce=nonce-123');
-      expect(formatted.authorizationUrl).toContain('state=state-456');
-      expect(formatted.authorizationUrl).toContain('response_mode=direct_post');
-      expect(formatted.authorizationUrl).toContain('presentation_definition=');
+      expect(formatted.invocationUrl).toContain('client_id=https%3A%2F%2Fverifier.example.com');
+      expect(formatted.invocationUrl).toContain('response_uri=https%3A%2F%2Fverifier.example.com%2Fcallback');
+      expect(formatted.invocationUrl).toContain('nonce=nonce-123');
+      expect(formatted.invocationUrl).toContain('state=state-456');
+      expect(formatted.invocationUrl).toContain('response_mode=direct_post');
+      expect(formatted.invocationUrl).toContain('presentation_definition=');
+    });
+
+    it('should not send response_uri for dc_api, nor default it to the page', () => {
+      const preparedRequest = {
+        client_id: 'https://verifier.example.com',
+        response_uri: 'https://verifier.example.com/callback',
+        nonce: 'nonce-123',
+        response_mode: 'dc_api.jwt'
+      };
+      const context = { origin: 'https://verifier.example.com', url: 'https://verifier.example.com/page' };
+
+      const withUri = new URL(plugin.formatForWallet(preparedRequest, 'https://wallet.example.com', context).invocationUrl);
+      const { response_uri: _unused, ...withoutUriRequest } = preparedRequest;
+      const withoutUri = new URL(plugin.formatForWallet(withoutUriRequest, 'https://wallet.example.com', context).invocationUrl);
+
+      expect(withUri.searchParams.has('response_uri')).toBe(false);
+      expect(withoutUri.searchParams.has('response_uri')).toBe(false);
     });
 
     it('should include DCQL query in formatted request', () => {
@@ -489,7 +1015,7 @@ describe('OpenID4VPPlugin', () => {
 
       const formatted = plugin.formatForWallet(preparedRequest, 'https://wallet.example.com');
 
-      expect(formatted.authorizationUrl).toContain('dcql_query=');
+      expect(formatted.invocationUrl).toContain('dcql_query=');
     });
   });
 });
@@ -717,4 +717,54 @@ describe('Options Page - Wallet Management', () => {
       expect(currentTab).toBe('add');
     });
   });
+
+  describe('Trust Anchors', () => {
+    // Mirrors handleImportTrustAnchor() of options.js: DER files become PEM
+    function toPem(bytes) {
+      const text = new TextDecoder().decode(bytes);
+      if (text.includes('-----BEGIN CERTIFICATE-----')) {
+        return text;
+      }
+      const base64 = btoa(String.fromCharCode(...bytes));
+      return `-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+    }
+
+    test('should keep PEM files and wrap DER files', () => {
+      const pem = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n';
+
+      expect(toPem(new TextEncoder().encode(pem))).toBe(pem);
+      expect(toPem(new Uint8Array([0x30, 0x82, 0x01, 0x0a]))).toBe('-----BEGIN CERTIFICATE-----\nMIIBCg==\n-----END CERTIFICATE-----\n');
+    });
+  });
+
+    describe('Wallet Protocol Report', () => {
+    function renderProtocolWarning(report) {
+      const invalid = (report && report.invalid) || [];
+      return invalid.length > 0
+        ? `<span class="badge badge-warning">${invalid.length} invalid protocol${invalid.length === 1 ? '' : 's'}</span>`
+        : '';
+    }
+
+    test('should flag wallets with protocol entries no plugin handles', () => {
+      const report = {
+        supported: ['openid4vp'],
+        invalid: [{ protocol: 'w3c-vc', index: 1, reason: 'no plugin registered for the protocol' }]
+      };
+
+      expect(renderProtocolWarning(report)).toContain('1 invalid protocol<');
+    });
+
+    test('should not flag wallets without a report or invalid entries', () => {
+      expect(renderProtocolWarning(undefined)).toBe('');
+      expect(renderProtocolWarning({ supported: ['openid4vp'], invalid: [] })).toBe('');
+    });
+
+    test('should match invalid entries by position', () => {
+      const protocols = ['openid4vp', 'openid4vp'];
+      const invalid = [{ protocol: 'openid4vp', index: 1, reason: 'declared more than once' }];
+      const flagged = protocols.map((p, index) => invalid.some(i => i.index === index));
+
+      expect(flagged).toEqual([false, true]);
+    });
+  });
 });
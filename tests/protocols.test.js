@@ -5,7 +5,9 @@
 const {
   ProtocolPlugin,
   ExampleProtocolPlugin,
-  ProtocolPluginRegistry
+  ProtocolCatalogue,
+  ProtocolPluginRegistry,
+  MiddlewareVetoError
 } = require('../src/protocols.js');
 
 describe('Protocol Plugin System', () => {
@@ -18,17 +20,59 @@ describe('Protocol Plugin System', () => {
       expect(() => plugin.validateResponse({})).toThrow('validateResponse() must be implemented');
     });
     
+    it('should support only the get operation by default', () => {
+      const plugin = new ProtocolPlugin();
+      
+      expect(plugin.getSupportedOperations()).toEqual(['get']);
+    });
+    
+    it('should not exclude wallets that declare no capabilities', () => {
+      const plugin = new ProtocolPlugin();
+      plugin.getRequestedFormats = () => ['dc+sd-jwt'];
+      
+      expect(plugin.matchWallet({}, { protocols: ['test-protocol'] })).toEqual({ score: 1, reasons: [] });
+    });
+    
+    it('should score wallets by the requested formats and credential types they hold', () => {
+      const plugin = new ProtocolPlugin();
+      plugin.getRequestedFormats = () => ['dc+sd-jwt', 'mso_mdoc'];
+      plugin.getRequestedCredentialTypes = () => ['urn:eu.europa.ec.eudi:pid:1'];
+      
+      const all = plugin.matchWallet({}, { formats: ['dc+sd-jwt', 'mso_mdoc'], credentialTypes: ['urn:eu.europa.ec.eudi:pid:1'] });
+      const some = plugin.matchWallet({}, { formats: ['mso_mdoc'], credentialTypes: ['urn:eu.europa.ec.eudi:pid:1'] });
+      
+      expect(all.score).toBeGreaterThan(some.score);
+      expect(some.score).toBeGreaterThan(0);
+    });
+    
+    it('should exclude wallets holding none of the requested formats', () => {
+      const plugin = new ProtocolPlugin();
+      plugin.getRequestedFormats = () => ['mso_mdoc'];
+      
+      expect(plugin.matchWallet({}, { formats: ['dc+sd-jwt'] })).toEqual({
+        score: 0,
+        reasons: ['supports none of the requested formats (mso_mdoc)']
+      });
+    });
+    
     it('should have default formatForWallet implementation', () => {
       const plugin = new ProtocolPlugin();
       plugin.getProtocolId = () => 'test-protocol';
       
-      const formatted = plugin.formatForWallet({ foo: 'bar' }, 'https://wallet.example.com');
+      const formatted = plugin.formatForWallet({ foo: 'bar' }, 'https://wallet.example.com', {
+        origin: 'https://verifier.example.com'
+      });
       
       expect(formatted).toEqual({
         protocol: 'test-protocol',
         data: { foo: 'bar' },
-        walletUrl: 'https://wallet.example.com'
+        walletUrl: 'https://wallet.example.com',
+        invocationUrl: expect.any(String)
       });
+      const url = new URL(formatted.invocationUrl);
+      expect(JSON.parse(url.searchParams.get('request'))).toEqual({ foo: 'bar' });
+      expect(url.searchParams.get('protocol')).toBe('test-protocol');
+      expect(url.searchParams.get('origin')).toBe('https://verifier.example.com');
     });
   });
   
@@ -174,10 +218,40 @@ describe('Protocol Plugin System', () => {
       expect(formatted).toEqual({
         protocol: 'example-protocol',
         data: preparedRequest,
-        walletUrl: 'https://wallet.example.com'
+        walletUrl: 'https://wallet.example.com',
+        invocationUrl: expect.stringContaining('protocol=example-protocol'),
+        // The wallet's response is checked against the prepared request
+        requestData: preparedRequest
       });
     });
     
+    it('should require an invocationUrl from the plugin', () => {
+      class NoUrlPlugin extends ProtocolPlugin {
+        getProtocolId() { return 'no-url'; }
+        formatForWallet(data) { return { data }; }
+      }
+      registry.register(new NoUrlPlugin());
+      
+      expect(() => registry.formatForWallet('no-url', {}, 'https://wallet.example.com'))
+        .toThrow("Protocol plugin for 'no-url' did not return an invocationUrl");
+    });
+    
+    it('should report supported operations per protocol', () => {
+      class IssuancePlugin extends ProtocolPlugin {
+        getProtocolId() { return 'issuance-protocol'; }
+        getSupportedOperations() { return ['create']; }
+        prepareRequest(data) { return data; }
+        validateResponse(data) { return data; }
+      }
+      
+      registry.register(new IssuancePlugin());
+      
+      expect(registry.supportsOperation('example-protocol', 'get')).toBe(true);
+      expect(registry.supportsOperation('example-protocol', 'create')).toBe(false);
+      expect(registry.supportsOperation('issuance-protocol', 'create')).toBe(true);
+      expect(registry.supportsOperation('unknown-protocol', 'get')).toBe(false);
+    });
+    
     it('should throw error when formatting for unknown protocol', () => {
       expect(() => registry.formatForWallet('unknown-protocol', {}, 'https://wallet.example.com')).toThrow(
         'No plugin registered for protocol: unknown-protocol'
@@ -203,5 +277,431 @@ describe('Protocol Plugin System', () => {
       
       spy.mockRestore();
     });
+    
+    describe('Wallet matching', () => {
+      // Request formats and version come from the prepared data in these tests
+      class MatchingPlugin extends ProtocolPlugin {
+        constructor(protocolId, version) {
+          super();
+          this.protocolId = protocolId;
+          this.version = version;
+        }
+        getProtocolId() { return this.protocolId; }
+        getProtocolVersion() { return this.version; }
+        getRequestedFormats(data) { return data.formats || []; }
+        prepareRequest(data) { return data; }
+        validateResponse(data) { return data; }
+      }
+      
+      beforeEach(() => {
+        registry.register(new MatchingPlugin('test-draft', null));
+        registry.register(new MatchingPlugin('test-v1', '1.0'));
+        registry.register(new MatchingPlugin('test-v1-1', '1.1'));
+      });
+      
+      const wallet = (protocols, extra = {}) => ({ id: 'wallet-1', protocols, ...extra });
+      
+      it('should pick the request with the best score', () => {
+        const requests = [
+          { protocol: 'test-v1', data: { formats: ['jwt_vc_json', 'mso_mdoc'] } },
+          { protocol: 'test-v1', data: { formats: ['dc+sd-jwt'] } }
+        ];
+        
+        const match = registry.matchWallet(requests, wallet(['test-v1'], { formats: ['dc+sd-jwt', 'jwt_vc_json'] }));
+        
+        expect(match).toEqual({ walletId: 'wallet-1', requestIndex: 1, protocol: 'test-v1', score: 3, reasons: [] });
+      });
+      
+      it('should prefer the newest protocol version on equal scores', () => {
+        const requests = [
+          { protocol: 'test-draft', data: {} },
+          { protocol: 'test-v1-1', data: {} },
+          { protocol: 'test-v1', data: {} }
+        ];
+        
+        expect(registry.matchWallet(requests, wallet(['test-draft', 'test-v1', 'test-v1-1'])).requestIndex).toBe(1);
+        expect(registry.matchWallet(requests, wallet(['test-draft', 'test-v1'])).requestIndex).toBe(2);
+      });
+      
+      it('should skip requests whose format the wallet does not hold', () => {
+        const requests = [
+          { protocol: 'test-v1', data: { formats: ['mso_mdoc'] } },
+          { protocol: 'test-draft', data: { formats: ['dc+sd-jwt'] } }
+        ];
+        
+        const match = registry.matchWallet(requests, wallet(['test-v1', 'test-draft'], { formats: ['dc+sd-jwt'] }));
+        
+        expect(match.requestIndex).toBe(1);
+      });
+      
+      it('should explain why a wallet is excluded', () => {
+        const requests = [
+          { protocol: 'test-v1', data: { formats: ['mso_mdoc'] } },
+          { protocol: 'other-protocol', data: {} }
+        ];
+        
+        const match = registry.matchWallet(requests, wallet(['test-v1'], { formats: ['dc+sd-jwt'] }));
+        
+        expect(match).toEqual({
+          walletId: 'wallet-1',
+          requestIndex: -1,
+          protocol: null,
+          score: 0,
+          reasons: [
+            'test-v1: supports none of the requested formats (mso_mdoc)',
+            'other-protocol: protocol not supported by the wallet'
+          ]
+        });
+      });
+      
+      it('should exclude a request whose plugin fails to match it', () => {
+        const plugin = registry.getPlugin('test-v1');
+        plugin.matchWallet = () => { throw new Error('Malformed query'); };
+        
+        const match = registry.matchWallet([{ protocol: 'test-v1', data: {} }], wallet(['test-v1']));
+        
+        expect(match.requestIndex).toBe(-1);
+        expect(match.reasons).toEqual(['test-v1: Malformed query']);
+      });
+      
+      it('should match each wallet', () => {
+        const requests = [{ protocol: 'test-v1', data: {} }];
+        const wallets = [{ id: 'a', protocols: ['test-v1'] }, { id: 'b', protocols: ['test-draft'] }];
+        
+        expect(registry.matchWallets(requests, wallets).map(m => [m.walletId, m.requestIndex])).toEqual([
+          ['a', 0],
+          ['b', -1]
+        ]);
+      });
+      
+      it('should order protocol versions with drafts first', () => {
+        expect(ProtocolPluginRegistry.compareVersions(null, '1.0')).toBeLessThan(0);
+        expect(ProtocolPluginRegistry.compareVersions('1.0', '1')).toBe(0);
+        expect(ProtocolPluginRegistry.compareVersions('1.10', '1.9')).toBeGreaterThan(0);
+      });
+    });
+
+    describe('Wallet protocol checks', () => {
+      it('should keep the declared protocols a plugin handles', () => {
+        const report = registry.checkWalletProtocols({ id: 'w1', protocols: ['example-protocol'] });
+
+        expect(report).toEqual({ supported: ['example-protocol'], invalid: [] });
+      });
+
+      it('should report entries no plugin handles', () => {
+        const report = registry.checkWalletProtocols({
+          id: 'w1',
+          protocols: ['w3c-vc', 'example-protocol', 'example-protocol', '', 42]
+        });
+
+        expect(report.supported).toEqual(['example-protocol']);
+        expect(report.invalid).toEqual([
+          { protocol: 'w3c-vc', index: 0, reason: 'no plugin registered for the protocol' },
+          { protocol: 'example-protocol', index: 2, reason: 'declared more than once' },
+          { protocol: '', index: 3, reason: 'not a protocol identifier' },
+          { protocol: 42, index: 4, reason: 'not a protocol identifier' }
+        ]);
+      });
+
+      it('should report entries that are not protocol identifiers', () => {
+        const report = registry.checkWalletProtocols({
+          id: 'w1',
+          protocols: ['Invalid Protocol!', 'example-protocol', 'bad id@1.0']
+        });
+
+        expect(report.invalid).toEqual([
+          { protocol: 'Invalid Protocol!', index: 0, reason: 'not a protocol identifier' },
+          { protocol: 'bad id@1.0', index: 2, reason: 'not a protocol identifier' }
+        ]);
+      });
+
+      it('should report protocols that are not a list', () => {
+        expect(registry.checkWalletProtocols({ id: 'w1', protocols: 'example-protocol' }).invalid).toEqual([
+          { protocol: 'example-protocol', reason: 'protocols must be a list of protocol identifiers' }
+        ]);
+        expect(registry.checkWalletProtocols({ id: 'w2' })).toEqual({ supported: [], invalid: [] });
+      });
+    });
+
+    describe('Protocol catalogue', () => {
+      // A family in three versions, one with an alias
+      class VersionedPlugin extends ProtocolPlugin {
+        constructor(id, version, aliases = []) {
+          super();
+          this.id = id;
+          this.version = version;
+          this.aliases = aliases;
+        }
+        getProtocolId() { return this.id; }
+        getProtocolFamily() { return 'test'; }
+        getProtocolVersion() { return this.version; }
+        getProtocolAliases() { return this.aliases; }
+        prepareRequest(data) { return data; }
+        validateResponse(data) { return data; }
+      }
+      
+      beforeEach(() => {
+        registry.register(new VersionedPlugin('test-draft', null, ['test.draft']));
+        registry.register(new VersionedPlugin('test-v1-signed', '1.0'));
+        registry.register(new VersionedPlugin('test-v1-unsigned', '1.0'));
+        registry.register(new VersionedPlugin('test-v2', '2.1'));
+      });
+      
+      it('should normalize aliases to the canonical identifier', () => {
+        expect(registry.normalizeProtocol('test.draft')).toBe('test-draft');
+        expect(registry.normalizeProtocol('test-draft')).toBe('test-draft');
+        expect(registry.normalizeProtocol('unknown')).toBe('unknown');
+        expect(registry.getPlugin('test.draft').getProtocolId()).toBe('test-draft');
+        expect(registry.isSupported('test.draft')).toBe(true);
+      });
+      
+      it('should look up requests by alias', () => {
+        expect(registry.prepareRequest('test.draft', { a: 1 })).toEqual({ a: 1 });
+        expect(registry.formatForWallet('test.draft', {}, 'https://wallet.example.com').protocol).toBe('test-draft');
+      });
+      
+      it.each([
+        ['test@1.0', ['test-v1-signed', 'test-v1-unsigned']],
+        ['test@1', ['test-v1-signed', 'test-v1-unsigned']],
+        ['test@>=1.0', ['test-v1-signed', 'test-v1-unsigned', 'test-v2']],
+        ['test@2', ['test-v2']],
+        ['test@draft', ['test-draft']],
+        ['test@*', ['test-draft', 'test-v1-signed', 'test-v1-unsigned', 'test-v2']],
+        ['test@3', []],
+        ['test@latest', []],
+        ['test.draft', ['test-draft']],
+        ['other@*', []]
+      ])('should resolve the declaration %s', (declaration, expected) => {
+        expect(registry.catalogue.resolve(declaration)).toEqual(expected);
+      });
+      
+      it('should match wallets declaring a version family', () => {
+        const requests = [{ protocol: 'test-v1-signed', data: {} }, { protocol: 'test.draft', data: {} }];
+        
+        expect(registry.matchWallet(requests, { id: 'a', protocols: ['test@1.0'] }).requestIndex).toBe(0);
+        expect(registry.matchWallet(requests, { id: 'b', protocols: ['test-draft'] }).requestIndex).toBe(1);
+        expect(registry.matchWallet(requests, { id: 'c', protocols: ['test@2'] }).reasons).toEqual([
+          'test-v1-signed: protocol not supported by the wallet',
+          'test.draft: protocol not supported by the wallet'
+        ]);
+      });
+      
+      it('should check wallet declarations with version ranges', () => {
+        const report = registry.checkWalletProtocols({
+          id: 'w1',
+          protocols: ['test@1.0', 'test-v1-signed', 'test@9', 'test@next', 'test.draft']
+        });
+        
+        expect(report.supported).toEqual(['test-v1-signed', 'test-v1-unsigned', 'test-draft']);
+        expect(report.invalid).toEqual([
+          { protocol: 'test-v1-signed', index: 1, reason: 'already covered by another entry' },
+          { protocol: 'test@9', index: 2, reason: 'no registered protocol in the version range' },
+          { protocol: 'test@next', index: 3, reason: 'invalid version range' }
+        ]);
+      });
+      
+      it('should run protocol middleware for requests made with an alias', () => {
+        const calls = [];
+        registry.use({ beforePrepare: () => { calls.push('hook'); } }, { protocol: 'test-draft' });
+        
+        registry.prepareRequest('test.draft', {});
+        
+        expect(calls).toEqual(['hook']);
+      });
+      
+      it('should refuse aliases that name another protocol', () => {
+        expect(() => registry.register(new VersionedPlugin('test-v3', '3.0', ['test.draft'])))
+          .toThrow("Protocol alias 'test.draft' already refers to 'test-draft'");
+        expect(() => registry.register(new VersionedPlugin('test-v3', '3.0', ['test-v2'])))
+          .toThrow("Protocol alias 'test-v2' already refers to 'test-v2'");
+        expect(() => registry.register(new VersionedPlugin('test.draft', '3.0')))
+          .toThrow("Protocol identifier 'test.draft' is an alias of 'test-draft'");
+      });
+      
+      it('should drop the aliases of a replaced plugin', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        registry.register(new VersionedPlugin('test-draft', null, ['test.old']));
+        console.warn.mockRestore();
+        
+        expect(registry.normalizeProtocol('test.draft')).toBe('test.draft');
+        expect(registry.normalizeProtocol('test.old')).toBe('test-draft');
+      });
+      
+      it('should compare versions against ranges', () => {
+        expect(ProtocolCatalogue.satisfies('1.0.1', '1.0')).toBe(true);
+        expect(ProtocolCatalogue.satisfies('1.1', '1.0')).toBe(false);
+        expect(ProtocolCatalogue.satisfies('1.10', '>=1.9')).toBe(true);
+        expect(ProtocolCatalogue.satisfies(null, '>=0')).toBe(false);
+        expect(ProtocolCatalogue.isVersionRange('>=1.0')).toBe(true);
+        expect(ProtocolCatalogue.isVersionRange('1.x')).toBe(false);
+      });
+    });
+    
+    describe('Middleware hooks', () => {
+      class EchoPlugin extends ProtocolPlugin {
+        getProtocolId() { return 'echo'; }
+        prepareRequest(data) { return { ...data, prepared: true }; }
+        validateResponse(data) { return { ...data, validated: true }; }
+      }
+      
+      let calls;
+      
+      // Record each call, tagged with the hook's name
+      const recorder = (name, hooks = ProtocolPluginRegistry.HOOKS) => Object.fromEntries(
+        hooks.map(hook => [hook, (value, context) => { calls.push(`${name}:${hook}:${context.protocol}`); }])
+      );
+      
+      beforeEach(() => {
+        calls = [];
+        registry.register(new EchoPlugin());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+      });
+      
+      afterEach(() => {
+        console.error.mockRestore();
+      });
+      
+      it('should run global hooks first, then protocol hooks, in registration order', () => {
+        registry.use(recorder('echo-only'), { protocol: 'echo' });
+        registry.use(recorder('first'));
+        registry.use(recorder('other'), { protocol: ['example-protocol'] });
+        registry.use(recorder('second'));
+        
+        registry.prepareRequest('echo', {});
+        registry.beforeInvoke('echo', {}, { id: 'wallet-1' });
+        registry.validateResponse('echo', {});
+        
+        expect(calls).toEqual([
+          'first:beforePrepare:echo', 'second:beforePrepare:echo', 'echo-only:beforePrepare:echo',
+          'first:afterPrepare:echo', 'second:afterPrepare:echo', 'echo-only:afterPrepare:echo',
+          'first:beforeInvoke:echo', 'second:beforeInvoke:echo', 'echo-only:beforeInvoke:echo',
+          'first:afterResponse:echo', 'second:afterResponse:echo', 'echo-only:afterResponse:echo'
+        ]);
+      });
+      
+      it('should stay synchronous when no hook returns a promise', () => {
+        registry.use({ afterPrepare: (prepared) => ({ ...prepared, tagged: true }) });
+        
+        expect(registry.prepareRequest('echo', { a: 1 })).toEqual({ a: 1, prepared: true, tagged: true });
+        expect(registry.validateResponse('echo', { b: 2 })).toEqual({ b: 2, validated: true });
+      });
+      
+      it('should pass each hook the value the previous one returned', () => {
+        registry.use({ beforePrepare: (data) => ({ ...data, steps: ['one'] }) });
+        registry.use({ beforePrepare: (data) => { data.steps.push('kept'); } });
+        registry.use({ beforePrepare: (data) => ({ ...data, steps: [...data.steps, 'two'] }) });
+        
+        expect(registry.prepareRequest('echo', {}).steps).toEqual(['one', 'kept', 'two']);
+      });
+      
+      it('should give beforeInvoke hooks the wallet', () => {
+        registry.use({
+          beforeInvoke: (request, context) => ({ ...request, wallet: context.wallet.id })
+        });
+        
+        expect(registry.beforeInvoke('echo', { nonce: 'n' }, { id: 'wallet-1' })).toEqual({ nonce: 'n', wallet: 'wallet-1' });
+      });
+
+      it('should only keep the parameters beforeInvoke hooks added to a checked request', () => {
+        const checked = { nonce: 'n', _clientId: { value: 'origin:https://rp.example' } };
+
+        expect(registry.applyInvokeChanges('echo', checked, { ...checked, state: 's' }))
+          .toEqual({ ...checked, state: 's' });
+        expect(() => registry.applyInvokeChanges('echo', checked, { ...checked, nonce: 'other' }))
+          .toThrow("beforeInvoke hooks may not change the checked request parameter 'nonce'");
+        expect(() => registry.applyInvokeChanges('echo', checked, { nonce: 'n' }))
+          .toThrow("beforeInvoke hooks may not change the checked request parameter '_clientId'");
+        expect(() => registry.applyInvokeChanges('echo', checked, { ...checked, _verified: true }))
+          .toThrow("beforeInvoke hooks may not add the request parameter '_verified'");
+      });
+
+      it('should not let beforeInvoke hooks add the parameters a plugin binds', () => {
+        const plugin = registry.getPlugin('echo');
+        plugin.getBoundParameters = () => ['client_id'];
+
+        expect(() => registry.applyInvokeChanges('echo', { nonce: 'n' }, { nonce: 'n', client_id: 'x509_san_dns:bank.example' }))
+          .toThrow("beforeInvoke hooks may not add the request parameter 'client_id'");
+      });
+      
+      it('should give the plugin and afterResponse hooks the request the wallet answered', () => {
+        const plugin = registry.getPlugin('echo');
+        jest.spyOn(plugin, 'validateResponse');
+        registry.use({ afterResponse: (response, context) => ({ ...response, nonce: context.request.nonce }) });
+        
+        expect(registry.validateResponse('echo', { b: 2 }, { nonce: 'n' })).toEqual({ b: 2, validated: true, nonce: 'n' });
+        expect(plugin.validateResponse).toHaveBeenCalledWith({ b: 2 }, { nonce: 'n' });
+      });
+      
+      it('should return a promise once a hook returns one', async () => {
+        registry.use({ afterResponse: async (response) => ({ ...response, checked: true }) });
+        registry.use({ afterResponse: (response) => ({ ...response, logged: response.checked }) });
+        
+        const result = registry.validateResponse('echo', {});
+        
+        expect(result).toBeInstanceOf(Promise);
+        await expect(result).resolves.toEqual({ validated: true, checked: true, logged: true });
+      });
+      
+      it('should stop at a veto and report it to onError hooks', () => {
+        const errors = [];
+        registry.use({
+          onError: (error, context) => errors.push([error.name, context.stage, context.protocol]),
+          beforePrepare: (data, context) => context.veto('Origin not allowed')
+        });
+        registry.use(recorder('later', ['afterPrepare']));
+        
+        let vetoError;
+        try {
+          registry.prepareRequest('echo', {});
+        } catch (error) {
+          vetoError = error;
+        }
+        
+        expect(vetoError).toBeInstanceOf(MiddlewareVetoError);
+        expect(vetoError).toMatchObject({ message: 'Origin not allowed', stage: 'beforePrepare', protocol: 'echo' });
+        expect(errors).toEqual([['MiddlewareVetoError', 'beforePrepare', 'echo']]);
+        expect(calls).toEqual([]);
+      });
+      
+      it('should report plugin failures and rejected hooks to onError hooks', async () => {
+        const stages = [];
+        registry.use({ onError: (error, context) => stages.push([context.stage, error.message]) });
+        
+        expect(() => registry.prepareRequest('example-protocol', null)).toThrow('Request data must be an object');
+        
+        registry.use({ beforeInvoke: () => Promise.reject(new Error('Policy service unavailable')) });
+        await expect(registry.beforeInvoke('echo', {}, {})).rejects.toThrow('Policy service unavailable');
+        
+        expect(stages).toEqual([
+          ['prepare', 'Request data must be an object'],
+          ['beforeInvoke', 'Policy service unavailable']
+        ]);
+      });
+      
+      it('should not let a failing onError hook hide the error', () => {
+        registry.use({ onError: () => { throw new Error('Metrics down'); } });
+        
+        expect(() => registry.validateResponse('example-protocol', null)).toThrow('Invalid response data');
+        expect(console.error).toHaveBeenCalledWith('Middleware onError hook failed:', expect.any(Error));
+      });
+      
+      it('should remove hooks again', () => {
+        const remove = registry.use(recorder('removed'));
+        remove();
+        
+        registry.prepareRequest('echo', {});
+        
+        expect(calls).toEqual([]);
+      });
+      
+      it('should reject invalid middleware', () => {
+        expect(() => registry.use(null)).toThrow('Middleware must be an object of hook functions');
+        expect(() => registry.use({})).toThrow('Middleware must define at least one hook');
+        expect(() => registry.use({ beforeSend: () => {} })).toThrow('Unknown middleware hook: beforeSend');
+        expect(() => registry.use({ onError: 'log' })).toThrow('Middleware hook onError must be a function');
+        expect(() => registry.use({ onError: () => {} }, { protocol: [] }))
+          .toThrow('Middleware protocol must be a protocol identifier or an array of them');
+      });
+    });
   });
 });
@@ -0,0 +1,150 @@
+/**
+ * Tests for the SD-JWT parser
+ */
+
+const crypto = require('crypto');
+const SdJwt = require('../src/sdjwt.js');
+
+const b64 = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+const hash = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+const jwt = (header, payload) => `${b64(header)}.${b64(payload)}.c2lnbmF0dXJl`;
+const disclosure = (...parts) => b64(parts);
+
+const givenName = disclosure('salt-1', 'given_name', 'Erika');
+const familyName = disclosure('salt-2', 'family_name', 'Mustermann');
+const street = disclosure('salt-3', 'street_address', 'Heidestraße 17');
+const nationality = disclosure('salt-4', 'DE');
+const address = disclosure('salt-5', 'address', { locality: 'Köln', _sd: [hash(street)] });
+
+const issuerPayload = (extra = {}) => Object.assign({
+  iss: 'https://issuer.example.com',
+  vct: 'urn:eudi:pid:1',
+  _sd_alg: 'sha-256',
+  _sd: [hash(givenName), hash(familyName), hash(address), hash('decoy')],
+  nationalities: [{ '...': hash(nationality) }, { '...': hash('undisclosed') }],
+  cnf: { jwk: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' } }
+}, extra);
+
+const issuerJwt = (payload = issuerPayload(), header = { alg: 'ES256', typ: 'dc+sd-jwt' }) => jwt(header, payload);
+
+const keyBindingJwt = (presentation, overrides = {}) => jwt(
+  { alg: 'ES256', typ: 'kb+jwt' },
+  Object.assign({ iat: 1700000000, aud: 'x509_san_dns:verifier.example.com', nonce: 'n-0S6_WzA2Mj', sd_hash: hash(presentation) }, overrides)
+);
+
+const present = (disclosures, options = {}) => {
+  const presentation = `${options.issuer || issuerJwt()}~${disclosures.map(d => d + '~').join('')}`;
+  return options.keyBinding === false ? presentation : presentation + keyBindingJwt(presentation, options.keyBinding);
+};
+
+describe('SdJwt', () => {
+  describe('digest', () => {
+    it.each([
+      [''],
+      ['abc'],
+      ['a'.repeat(55)],
+      ['a'.repeat(56)],
+      ['a'.repeat(1000)]
+    ])('should match the reference base64url SHA-256 digest for %#', async (message) => {
+      await expect(SdJwt.digest(message)).resolves.toBe(hash(message));
+    });
+  });
+
+  describe('Parsing', () => {
+    it('should apply the disclosures to the issuer payload', async () => {
+      const result = await SdJwt.parse(present([givenName, address, street, nationality]));
+
+      expect(result.claims).toEqual({
+        iss: 'https://issuer.example.com',
+        vct: 'urn:eudi:pid:1',
+        given_name: 'Erika',
+        address: { locality: 'Köln', street_address: 'Heidestraße 17' },
+        nationalities: ['DE'],
+        cnf: { jwk: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' } }
+      });
+      expect(result.disclosed).toEqual(['nationalities[0]', 'given_name', 'address', 'address.street_address']);
+      expect(result.disclosures.map(d => d.name)).toEqual(['given_name', 'address', 'street_address', undefined]);
+      expect(result.issuer.header.typ).toBe('dc+sd-jwt');
+    });
+
+    it('should parse the key binding JWT', async () => {
+      const result = await SdJwt.parse(present([givenName]));
+
+      expect(result.keyBinding.payload.nonce).toBe('n-0S6_WzA2Mj');
+      expect(result.keyBinding.payload.aud).toBe('x509_san_dns:verifier.example.com');
+    });
+
+    it('should check the key binding JWT against the request', async () => {
+      const token = present([givenName]);
+      const aud = ['x509_san_dns:verifier.example.com'];
+
+      await expect(SdJwt.parse(token, { nonce: 'n-0S6_WzA2Mj', aud: aud })).resolves.toHaveProperty('keyBinding');
+      await expect(SdJwt.parse(token, { nonce: 'other-nonce', aud: aud }))
+        .rejects.toThrow('Invalid SD-JWT: key binding JWT nonce does not match the request');
+      await expect(SdJwt.parse(token, { nonce: 'n-0S6_WzA2Mj', aud: ['origin:https://attacker.example.com'] }))
+        .rejects.toThrow('key binding JWT aud x509_san_dns:verifier.example.com is not the verifier (origin:https://attacker.example.com)');
+    });
+
+    it('should accept a presentation without key binding', async () => {
+      const result = await SdJwt.parse(present([familyName], { keyBinding: false }));
+
+      expect(result.keyBinding).toBeNull();
+      expect(result.claims.family_name).toBe('Mustermann');
+    });
+
+    it('should accept the pre-draft 06 vc+sd-jwt type', async () => {
+      const issuer = issuerJwt(issuerPayload(), { alg: 'ES256', typ: 'vc+sd-jwt' });
+      expect((await SdJwt.parse(present([], { issuer, keyBinding: false }))).disclosed).toEqual([]);
+    });
+
+    it('should recognise SD-JWTs', () => {
+      expect(SdJwt.isSdJwt(present([givenName]))).toBe(true);
+      expect(SdJwt.isSdJwt(issuerJwt())).toBe(false);
+      expect(SdJwt.isSdJwt({})).toBe(false);
+    });
+  });
+
+  describe('Rejection', () => {
+    it.each([
+      ['a token without ~', () => issuerJwt(), 'expected <issuer JWT>~<disclosures>~<key binding JWT>'],
+      ['an empty disclosure', () => `${issuerJwt()}~~`, 'empty disclosure'],
+      ['an issuer JWT that is not a JWS', () => 'abc~', 'issuer JWT must be a compact JWS'],
+      ['an unsigned issuer JWT', () => present([], { issuer: issuerJwt(issuerPayload(), { alg: 'none', typ: 'dc+sd-jwt' }) }),
+        'issuer JWT must be signed'],
+      ['an issuer JWT of another type', () => present([], { issuer: issuerJwt(issuerPayload(), { alg: 'ES256', typ: 'JWT' }) }),
+        'issuer JWT typ must be one of: dc+sd-jwt, vc+sd-jwt'],
+      ['an issuer JWT without vct', () => present([], { issuer: issuerJwt(issuerPayload({ vct: undefined })) }),
+        'issuer JWT must include a vct claim'],
+      ['an unsupported _sd_alg', () => present([], { issuer: issuerJwt(issuerPayload({ _sd_alg: 'sha-512' })) }),
+        'unsupported _sd_alg "sha-512"'],
+      ['a disclosure that is not JSON', () => present(['bm90IGpzb24']), 'disclosure 0 is not base64url-encoded JSON'],
+      ['a malformed disclosure', () => present([disclosure('salt')]), 'disclosure 0 must be [salt, name, value] or [salt, value]'],
+      ['a disclosure of _sd', () => present([disclosure('salt', '_sd', [])]), 'disclosure 0 has an invalid claim name'],
+      ['a repeated disclosure', () => present([givenName, givenName]), 'the same disclosure is included more than once'],
+      ['a disclosure without a digest', () => present([disclosure('salt-9', 'age', 42)]),
+        'is not referenced by the issuer JWT'],
+      ['an array element disclosed as a property', () => {
+        const element = disclosure('salt-6', 'FR');
+        return present([element], { issuer: issuerJwt(issuerPayload({ _sd: [hash(element)] })) });
+      }, 'array element disclosure is referenced from an object'],
+      ['a claim disclosed over a plain claim', () => {
+        const iss = disclosure('salt-7', 'iss', 'https://attacker.example.com');
+        return present([iss], { issuer: issuerJwt(issuerPayload({ _sd: [hash(iss)] })) });
+      }, 'claim "iss" is disclosed more than once'],
+      ['a digest used twice', () => present([givenName], { issuer: issuerJwt(issuerPayload({ _sd: [hash(givenName), hash(givenName)] })) }),
+        'is used more than once'],
+      ['a key binding JWT of another type', () => {
+        const presentation = `${issuerJwt()}~${givenName}~`;
+        return presentation + jwt({ alg: 'ES256', typ: 'JWT' }, { iat: 1, aud: 'a', nonce: 'n', sd_hash: hash(presentation) });
+      }, 'key binding JWT typ must be "kb+jwt"'],
+      ['a key binding JWT without nonce', () => present([givenName], { keyBinding: { nonce: undefined } }),
+        'key binding JWT must include iat, aud and nonce'],
+      ['a key binding JWT over other disclosures', () => present([givenName], { keyBinding: { sd_hash: hash('other') } }),
+        'key binding JWT sd_hash does not match the presentation'],
+      ['key binding without cnf', () => present([givenName], { issuer: issuerJwt(issuerPayload({ cnf: undefined })) }),
+        'key binding JWT present but the issuer JWT has no cnf claim']
+    ])('should reject %s', async (name, token, message) => {
+      await expect(SdJwt.parse(token())).rejects.toThrow(message);
+    });
+  });
+});
@@ -60,6 +60,16 @@ global.console = {
   error: jest.fn()
 };
 
+// jsdom lacks the Encoding API that browsers provide
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// ... and SubtleCrypto (crypto.subtle), which the JWT verifier uses
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+}
+
 // Note: Do NOT mock document.createElement - jsdom provides a real implementation
 // that is needed for DOM manipulation tests
 
@@ -0,0 +1,156 @@
+/**
+ * Tests for the X.509 parser and chain validation
+ */
+
+const X509 = require('../src/x509.js');
+const { keyPair, issueCertificate, issueChain, extension, der } = require('./fixtures/certificates.js');
+
+describe('X509', () => {
+  const { root, intermediate, leaf, rootKey, intermediateKey } = issueChain();
+  const chain = [leaf.base64, intermediate.base64];
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  describe('Parsing', () => {
+    it('should read names, validity, key and extensions', () => {
+      const certificate = X509.parse(new Uint8Array(leaf.der));
+
+      expect(certificate.version).toBe(3);
+      expect(certificate.subject.name).toBe('CN=verifier.example.com');
+      expect(certificate.issuer.name).toBe('CN=Test Intermediate CA');
+      expect(certificate.notBefore).toEqual(new Date('2025-01-01T00:00:00Z'));
+      expect(certificate.notAfter).toEqual(new Date('2035-01-01T00:00:00Z'));
+      expect(certificate.signatureAlgorithm).toBe('1.2.840.10045.4.3.2');
+      expect(certificate.publicKey).toMatchObject({ algorithm: '1.2.840.10045.2.1', curve: '1.2.840.10045.3.1.7' });
+      expect(certificate.keyUsage).toEqual(['digitalSignature']);
+      expect(certificate.basicConstraints).toBeNull();
+      expect(certificate.subjectAltNames).toEqual({ dnsNames: ['verifier.example.com'], uris: [] });
+    });
+
+    it('should read basic constraints of a CA', () => {
+      expect(X509.parse(new Uint8Array(intermediate.der)).basicConstraints).toEqual({ ca: true, pathLength: 0 });
+      expect(X509.parse(new Uint8Array(root.der)).basicConstraints).toEqual({ ca: true, pathLength: null });
+    });
+
+    it('should read every certificate of a PEM text', () => {
+      const certificates = X509.fromPem(`Root\n${root.pem}Intermediate\n${intermediate.pem}`);
+
+      expect(certificates.map(certificate => X509.parse(certificate).subject.name))
+        .toEqual(['CN=Test Root CA', 'CN=Test Intermediate CA']);
+      expect(() => X509.fromPem('no certificate')).toThrow('No PEM certificate found');
+    });
+
+    it('should reject data that is not a certificate', () => {
+      expect(() => X509.parse(new Uint8Array([0x30, 0x03, 0x02, 0x01, 0x01]))).toThrow('Invalid certificate');
+      expect(() => X509.parse(new Uint8Array(leaf.der.subarray(0, 100)))).toThrow('Invalid certificate: truncated DER');
+    });
+
+    it('should compute the SHA-256 fingerprint', async () => {
+      const expected = require('crypto').createHash('sha256').update(root.der).digest('hex');
+
+      expect(await X509.fingerprint(new Uint8Array(root.der))).toBe(expected);
+    });
+  });
+
+  describe('Chain validation', () => {
+    it('should accept a chain issued by a trust anchor', async () => {
+      const result = await X509.validateChain(chain, [root.base64], { now, dnsName: 'verifier.example.com' });
+
+      expect(result).toMatchObject({ valid: true });
+      expect(result.anchor.subject.name).toBe('CN=Test Root CA');
+      expect(result.leaf.subject.name).toBe('CN=verifier.example.com');
+    });
+
+    it('should accept a chain that includes the trust anchor', async () => {
+      expect(await X509.validateChain([...chain, root.base64], [root.base64], { now })).toMatchObject({ valid: true });
+    });
+
+    it('should reject a chain without a trust anchor', async () => {
+      const other = issueChain();
+
+      expect(await X509.validateChain(chain, [other.root.base64], { now })).toEqual({
+        valid: false,
+        error: 'The certificate chain does not lead to a trust anchor (issuer CN=Test Root CA)'
+      });
+      expect((await X509.validateChain(chain, [], { now })).valid).toBe(false);
+    });
+
+    it('should reject a leaf without the client_id dNSName', async () => {
+      expect(await X509.validateChain(chain, [root.base64], { now, dnsName: 'attacker.example' })).toEqual({
+        valid: false,
+        error: 'The leaf certificate has no dNSName subjectAltName attacker.example'
+      });
+    });
+
+    it('should reject expired and not yet valid certificates', async () => {
+      expect((await X509.validateChain(chain, [root.base64], { now: new Date('2036-01-01T00:00:00Z') })).error)
+        .toBe('The leaf certificate expired on 2035-01-01T00:00:00.000Z');
+      expect((await X509.validateChain(chain, [root.base64], { now: new Date('2024-01-01T00:00:00Z') })).error)
+        .toBe('The leaf certificate is not valid before 2025-01-01T00:00:00.000Z');
+    });
+
+    it('should reject a certificate signed by another key', async () => {
+      const forged = issueCertificate({
+        subject: 'verifier.example.com', publicKey: keyPair().publicKey,
+        issuer: { subject: 'Test Intermediate CA', privateKey: keyPair().privateKey },
+        dnsNames: ['verifier.example.com']
+      });
+
+      expect((await X509.validateChain([forged.base64, intermediate.base64], [root.base64], { now })).error)
+        .toBe('The leaf certificate has an invalid signature');
+    });
+
+    it('should reject an issuer that is not a CA', async () => {
+      const notCa = issueCertificate({
+        subject: 'Not a CA', publicKey: intermediateKey.publicKey,
+        issuer: { subject: 'Test Root CA', privateKey: rootKey.privateKey }, ca: false
+      });
+      const leafOfNotCa = issueCertificate({
+        subject: 'leaf', publicKey: keyPair().publicKey,
+        issuer: { subject: 'Not a CA', privateKey: intermediateKey.privateKey }
+      });
+
+      expect((await X509.validateChain([leafOfNotCa.base64, notCa.base64], [root.base64], { now })).error)
+        .toBe('Certificate 1 is not a CA certificate');
+    });
+
+    it('should enforce the path length of a CA', async () => {
+      const subKey = keyPair();
+      const subCa = issueCertificate({
+        subject: 'Sub CA', publicKey: subKey.publicKey,
+        issuer: { subject: 'Test Intermediate CA', privateKey: intermediateKey.privateKey }, ca: true
+      });
+      const deepLeaf = issueCertificate({
+        subject: 'leaf', publicKey: keyPair().publicKey, issuer: { subject: 'Sub CA', privateKey: subKey.privateKey }
+      });
+
+      expect((await X509.validateChain([deepLeaf.base64, subCa.base64, intermediate.base64], [root.base64], { now })).error)
+        .toBe('Certificate 2 allows 0 intermediate certificates, the chain has 1');
+    });
+
+    it('should reject a leaf whose key usage excludes signatures', async () => {
+      const encipherment = issueCertificate({
+        subject: 'leaf', publicKey: keyPair().publicKey,
+        issuer: { subject: 'Test Intermediate CA', privateKey: intermediateKey.privateKey }, keyUsage: ['keyAgreement']
+      });
+
+      expect((await X509.validateChain([encipherment.base64, intermediate.base64], [root.base64], { now })).error)
+        .toBe('The leaf certificate may not be used for signatures (keyUsage)');
+    });
+
+    it('should reject unknown critical extensions', async () => {
+      const constrained = issueCertificate({
+        subject: 'leaf', publicKey: keyPair().publicKey,
+        issuer: { subject: 'Test Intermediate CA', privateKey: intermediateKey.privateKey },
+        extensions: [extension('2.5.29.30', der(0x30), true)]
+      });
+
+      expect((await X509.validateChain([constrained.base64, intermediate.base64], [root.base64], { now })).error)
+        .toBe('The leaf certificate has unsupported critical extensions: 2.5.29.30');
+    });
+
+    it('should report certificates it cannot parse', async () => {
+      expect((await X509.validateChain(['AAAA'], [root.base64], { now })).error).toMatch(/^certificate 0: Invalid certificate/);
+      expect((await X509.validateChain([], [root.base64], { now })).error).toBe('The certificate chain is empty');
+    });
+  });
+});